@@ -1,19 +1,130 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import {
+  KPI_FORMATS,
+  weekFields,
+  mapChannelMetrics,
+  cloneWeek,
+  blankWeek,
+  ALL_BRANCHES,
+  initialBranches,
+  validateBranchDefs,
+  migrateWeeks,
+  validateChannels,
+  CHANNEL_METRICS,
+  CHANNEL_COLUMNS,
+  runTests,
+  RULE_OPS,
+  RULE_CELL_LINKS,
+  gateStatus,
+  valuePaths,
+  detectImportFormat,
+  parseDelimited,
+  guessImportMapping,
+  previewImportTable,
+  previewImportJSON,
+  parseImportNumber,
+  fmtImportCell,
+  getPath,
+  setPath,
+  validateKpis,
+  kpiSeries,
+  wowDeltas,
+  COMPARISON_BASES,
+  comparisonSeries,
+  latestComparison,
+  VIEW_WINDOWS,
+  DEFAULT_WINDOW,
+  resolveWindow,
+  sliceSeries,
+  windowLabel,
+  DETECTORS,
+  FORECAST_METHODS,
+  forecastKpi,
+  forecastWeek,
+  kpiRollup,
+  buildPlan,
+  validateTargets,
+  withTargets,
+  mergeTargetPath,
+  parsePlanPeriod,
+  weekEndsInPeriod,
+  rollupBranches,
+  branchSummary,
+  rankBranches,
+  diffPayload,
+  fmtDriftValue,
+  plainPayload,
+  startEditLog,
+  appendLogEntry,
+  logChanges,
+  logActionFor,
+  replayLog,
+  verifyLog,
+  fmtLogValue,
+  mergePayloads,
+  applyMerge,
+  payloadDocument,
+  CURRENCIES,
+  LOCALES,
+  formatter,
+  fxRate,
+  convertBranch,
+  isFiniteNum,
+  toNum,
+  sumChannels,
+  addValues,
+  addDays,
+  toISODate,
+  canonicalPayload,
+  canonicalHash,
+  ANNOTATION_WEEK,
+  annotationFields,
+  notesFor,
+  listAnnotations,
+  buildNarrative,
+  parseBullets,
+  buildMarkdown,
+  testMessage,
+  DOC_DEFAULTS,
+  kpiAnomalies,
+  listAnomalies,
+  channelTable,
+  exportPayload,
+} from "./scoreboard-engine.mjs";
 
 /**
  * Pipeline Scoreboard (Real Estate WBR) — Single-file React + Tailwind
- * Display-first, no external data. Inline edits, 8-week scoreboard, WoW deltas, sparklines, channel mix.
- * Tests Gate, Present mode, Copy Markdown/JSON, Audit hash + localStorage baseline/lastRun.
+ * Display-first, no external data. Inline edits, windowed scoreboard (4–52 weeks or a date range), WoW deltas, sparklines, channel mix.
+ * WBR report: Markdown and a standalone, print-ready HTML file (inline SVG) with KPIs, channel mix, history, anomalies, tests.
+ * Share: Slack Block Kit, Teams Adaptive Card and inline-styled email HTML from the report data, POSTed to webhooks.
+ * Slide deck: fullscreen overview / per-KPI / channel mix / anomalies & actions slides, arrow keys, meeting timer and a
+ * speaker-notes window kept in step with the deck.
+ * Tests Gate (rule engine with error/warn/info severities and user rules; errors block export unless overridden), Present mode, Copy Markdown/JSON, Import (CSV/TSV/JSON with hash check), Audit hash + localStorage baseline/lastRun.
+ * Baseline keeps its canonical payload; Drift view diffs it cell by cell against the current inputs.
+ * KPI registry (add/remove/reorder, polarity, derived formulas) drives cards, deltas, tests and exports.
+ * Channels hold real revenue/orders/sessions breakdowns; the Channel Metric selector switches between them.
+ * Channel registry (add/rename/merge/retire) drives the channel table, totals, editor columns, tests and exports.
+ * Weekly targets per KPI and channel (entered or spread from a month/quarter): variance, to-date attainment, RAG.
+ * Anomaly detector per KPI (WoW, trailing z-score, median/MAD, YoY) flags every week: card, sparkline, editor, exports.
+ * Branches each keep their own weeks and targets; "All branches" rolls them up and ranks them side by side.
+ * "What changed" narrative: rule-based bullets from deltas, channel contributions, top movers and anomalies; editable per week.
+ * Comparison basis (WoW, 4-week rolling, MoM, QoQ, YoY) regroups weeks into periods for cards, deltas and Markdown.
+ * Clicking a KPI card opens a drill-down chart (axes, hover values, anomalies, target line); channel mix charts the window.
+ * 1–4 week forecasts per KPI (linear trend, exponential smoothing, seasonal naive) with bands and a backtest MAPE.
+ * Annotations on a week or a week×KPI/channel cell: markers on sparklines and charts, card tooltips, JSON, hash, Markdown.
+ * Weeks are never dropped: the full archive feeds deltas and detectors; the view window picks what is shown and edited.
+ * Numbers parse per locale (decimal comma, thousands separators, k/m/bn, currency); a blank cell is missing (null), never 0.
+ * History Editor works like a sheet: arrow/Enter/Tab moves, Shift+arrows select, block paste, fill down/right, clear, undo/redo.
+ * Locale and currency per document: branches in other currencies convert through an FX table into the reporting currency
+ * for the roll-up; UI text, Tests Gate messages and Markdown come from a translation catalogue (English, Dutch).
+ * Working document autosaved per docId (wbr_doc:<docId>) with named, hashed snapshots (wbr_snapshots:<docId>).
+ * Append-only edit log (wbr_log:<docId>): every change to the hashed inputs is one entry chained by hash to the last;
+ * browse/filter, replay to any entry, export the chain; Import verifies the chain of an exported JSON.
+ * Document server (scoreboard-server.mjs): list, open and save shared documents by docId. A save names the hash it started
+ * from and is refused once the server copy has moved on; the conflict view three-way merges the two, cell by cell.
  *
- * Inputs schema (internal state):
- * weeks[8]: {
- *   endISO: string,
- *   kpi: { revenue: number, orders: number, active: number, cac: number },
- *   channels: Record<"paid"|"organic"|"email"|"referral", number>
- * }
- * channelMetric: "revenue"|"orders"|"sessions"   // label only for channel table
- * alertThreshold: number (0.05–0.30)
- * logicVersion: string
+ * The scoreboard maths, the document schema and the catalogue live in scoreboard-engine.mjs, which
+ * scoreboard-cli.mjs also runs under Node to validate a JSON export and write its reports.
  */
 
 export default function App() {
@@ -23,79 +134,244 @@ export default function App() {
       {
         endISO: "2025-07-13",
         kpi: { revenue: 31250, orders: 9, active: 86, cac: 590 },
-        channels: { paid: 210, organic: 150, email: 90, referral: 40 },
+        channels: {
+          revenue: { paid: 13400, organic: 10600, email: 3200, referral: 4050 },
+          orders: { paid: 4, organic: 3, email: 1, referral: 1 },
+          sessions: { paid: 210, organic: 150, email: 90, referral: 40 },
+        },
       },
       {
         endISO: "2025-07-20",
         kpi: { revenue: 29800, orders: 8, active: 80, cac: 615 },
-        channels: { paid: 190, organic: 155, email: 85, referral: 44 },
+        channels: {
+          revenue: { paid: 10550, organic: 7400, email: 3350, referral: 8500 },
+          orders: { paid: 3, organic: 2, email: 1, referral: 2 },
+          sessions: { paid: 190, organic: 155, email: 85, referral: 44 },
+        },
       },
       {
         endISO: "2025-07-27",
         kpi: { revenue: 33500, orders: 10, active: 92, cac: 570 },
-        channels: { paid: 220, organic: 165, email: 95, referral: 48 },
+        channels: {
+          revenue: { paid: 12750, organic: 10050, email: 3000, referral: 7700 },
+          orders: { paid: 4, organic: 3, email: 1, referral: 2 },
+          sessions: { paid: 220, organic: 165, email: 95, referral: 48 },
+        },
       },
       {
         endISO: "2025-08-03",
         kpi: { revenue: 34100, orders: 10, active: 94, cac: 560 },
-        channels: { paid: 230, organic: 170, email: 96, referral: 52 },
+        channels: {
+          revenue: { paid: 12950, organic: 10250, email: 3050, referral: 7850 },
+          orders: { paid: 4, organic: 3, email: 1, referral: 2 },
+          sessions: { paid: 230, organic: 170, email: 96, referral: 52 },
+        },
       },
       {
         endISO: "2025-08-10",
         kpi: { revenue: 32900, orders: 9, active: 88, cac: 580 },
-        channels: { paid: 205, organic: 175, email: 92, referral: 49 },
+        channels: {
+          revenue: { paid: 10400, organic: 10900, email: 3250, referral: 8350 },
+          orders: { paid: 3, organic: 3, email: 1, referral: 2 },
+          sessions: { paid: 205, organic: 175, email: 92, referral: 49 },
+        },
       },
       {
         endISO: "2025-08-17",
         kpi: { revenue: 35200, orders: 11, active: 97, cac: 545 },
-        channels: { paid: 235, organic: 182, email: 100, referral: 55 },
+        channels: {
+          revenue: { paid: 12250, organic: 9700, email: 5800, referral: 7450 },
+          orders: { paid: 4, organic: 3, email: 2, referral: 2 },
+          sessions: { paid: 235, organic: 182, email: 100, referral: 55 },
+        },
       },
       {
         endISO: "2025-08-24",
         kpi: { revenue: 37100, orders: 12, active: 103, cac: 530 },
-        channels: { paid: 245, organic: 190, email: 104, referral: 58 },
+        channels: {
+          revenue: { paid: 14850, organic: 9400, email: 5650, referral: 7200 },
+          orders: { paid: 5, organic: 3, email: 2, referral: 2 },
+          sessions: { paid: 245, organic: 190, email: 104, referral: 58 },
+        },
       },
       {
         endISO: "2025-08-31",
         kpi: { revenue: 36250, orders: 11, active: 100, cac: 540 },
-        channels: { paid: 240, organic: 188, email: 101, referral: 60 },
+        channels: {
+          revenue: { paid: 12600, organic: 10000, email: 6000, referral: 7650 },
+          orders: { paid: 4, organic: 3, email: 2, referral: 2 },
+          sessions: { paid: 240, organic: 188, email: 101, referral: 60 },
+        },
       },
     ];
   }, []);
 
-  const [weeks, setWeeks] = useState(defaultWeeks);
-  const [channelMetric, setChannelMetric] = useState("orders");
-  const [alertThreshold, setAlertThreshold] = useState(0.1);
-  const [logicVersion, setLogicVersion] = useState("1.0.0-re");
+  // ---------- Document: restored from the autosave for this docId, else defaults ----------
+  const [docId, setDocId] = useState(ensureDocId());
+  const [saved] = useState(() => loadDoc(docId));
+  const [branches, setBranches] = useState(() => initialBranches(saved, defaultWeeks));
+  const [branchKey, setBranchKey] = useState(() => (saved && saved.activeBranch) || ALL_BRANCHES);
+  const [branchSort, setBranchSort] = useState("anomalies");
+  const [viewWindow, setViewWindow] = useState(() => (saved && saved.viewWindow) || DOC_DEFAULTS.viewWindow);
+  const [basis, setBasis] = useState(() => (saved && saved.comparisonBasis) || DOC_DEFAULTS.comparisonBasis);
+  const [forecastCfg, setForecastCfg] = useState(() => (saved && saved.forecast) || DOC_DEFAULTS.forecast);
+  const [channelMetric, setChannelMetric] = useState(() => (saved && saved.channelMetric) || DOC_DEFAULTS.channelMetric);
+  const [alertThreshold, setAlertThreshold] = useState(() => (saved && saved.alertThreshold) || DOC_DEFAULTS.alertThreshold);
+  const [logicVersion, setLogicVersion] = useState(() => (saved && saved.logicVersion) || DOC_DEFAULTS.logicVersion);
+  const [kpiRegistry, setKpis] = useState(() => (saved && saved.kpis) || DOC_DEFAULTS.kpis);
+  const [channelRegistry, setChannelDefs] = useState(() => (saved && saved.channelDefs) || DOC_DEFAULTS.channelDefs);
+  const [currency, setCurrency] = useState(() => (saved && saved.currency) || DOC_DEFAULTS.currency);
+  const [fx, setFx] = useState(() => (saved && saved.fx) || DOC_DEFAULTS.fx);
+  const [locale, setLocale] = useState(() => (saved && saved.locale) || DOC_DEFAULTS.locale);
   const [present, setPresent] = useState(false);
+  const [deckOpen, setDeckOpen] = useState(false);
+  const [drillKey, setDrillKey] = useState(null); // KPI whose drill-down chart is open
+  const [importOpen, setImportOpen] = useState(false);
+  const [registryOpen, setRegistryOpen] = useState(false);
+  const [channelsOpen, setChannelsOpen] = useState(false);
+  const [driftOpen, setDriftOpen] = useState(false);
+  const [targetsOpen, setTargetsOpen] = useState(false);
+  const [branchesOpen, setBranchesOpen] = useState(false);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [rules, setRules] = useState(() => (saved && saved.rules) || DOC_DEFAULTS.rules);
+  const [gateOverride, setGateOverride] = useState(() => (saved && saved.gateOverride) || null);
+  const [overrideDraft, setOverrideDraft] = useState("");
+  const [narrativeEdit, setNarrativeEdit] = useState(() => (saved && saved.narrative) || null);
+  const [narrativeDraft, setNarrativeDraft] = useState(null); // textarea text while editing
+  const [noteWeek, setNoteWeek] = useState(null); // endISO whose notes row is open in the History Editor
+  const [sel, setSel] = useState(null); // History Editor selection: { anchor: [row, col], focus: [row, col] }, archive rows × editorFields
+  const [history, setHistory] = useState({ undo: [], redo: [] }); // { branch, weeks, tag } before each edit / added week
+  const [focusCell, setFocusCell] = useState(null); // Tests Gate link waiting for the editor to render its cell
+  const [snapshots, setSnapshots] = useState(() => loadSnapshots(docId));
+  const [logOpen, setLogOpen] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [fxOpen, setFxOpen] = useState(false);
+  const [author, setAuthor] = useState(() => loadAuthor());
+  const [editLog, setEditLog] = useState(() => loadEditLog(docId));
+  const [serverOpen, setServerOpen] = useState(false);
+  const [serverUrl, setServerUrl] = useState(() => loadServerUrl());
+  const [sync, setSync] = useState(() => loadSync(docId));
+  const [conflict, setConflict] = useState(null); // { record, base, merge, choices } once the server refuses a save
+
+  const doc = useMemo(
+    () => ({
+      branches,
+      activeBranch: branchKey,
+      viewWindow,
+      comparisonBasis: basis,
+      forecast: forecastCfg,
+      rules,
+      gateOverride,
+      narrative: narrativeEdit,
+      locale,
+      currency,
+      fx,
+      kpis: kpiRegistry,
+      channelDefs: channelRegistry,
+      channelMetric,
+      alertThreshold,
+      logicVersion,
+    }),
+    [branches, branchKey, viewWindow, basis, forecastCfg, rules, gateOverride, narrativeEdit, locale, currency, fx, kpiRegistry, channelRegistry, channelMetric, alertThreshold, logicVersion]
+  );
+
+  // ---------- Branch view: one branch's history, or the roll-up across all of them ----------
+  const isRollup = branchKey === ALL_BRANCHES && branches.length > 1;
+  const branch = branches.find((b) => b.key === branchKey) || branches[0];
+
+  // Formatting and UI text follow the document locale; amounts are in the branch's own currency, or the reporting
+  // currency for the roll-up. Default KPI and channel labels are shown in the document language. Components below
+  // App read the same formatter from FormatContext.
+  const viewCurrency = isRollup ? currency : branch.currency || currency;
+  const format = useMemo(() => formatter(locale, viewCurrency), [locale, viewCurrency]);
+  const { t, tn, localeName, fmtDate, fmtDateTime, fmtKpi, fmtPct, fmtPct1, fmtVariance, fmtChannelValue, fmtCurrency, parseNumber } = format;
+  const kpis = useMemo(() => kpiRegistry.map(format.localizeKpi), [kpiRegistry, format]);
+  const channelDefs = useMemo(() => channelRegistry.map(format.localizeChannel), [channelRegistry, format]);
+  const reportingBranches = useMemo(() => branches.map((b) => convertBranch(b, kpis, currency, fx)), [branches, kpis, currency, fx]);
+
+  const rollup = useMemo(() => rollupBranches(reportingBranches, kpis), [reportingBranches, kpis]);
+  const allWeeks = isRollup ? rollup.weeks : branch.weeks;
+  const targets = isRollup ? rollup.targets : branch.targets;
+  const annotations = isRollup ? rollup.annotations : branch.annotations || {};
+  const viewLabel = isRollup ? t("branch.allCount", { n: branches.length }) : branch.label;
+
+  // Edits land in the selected branch; registry changes (mapBranches) reach every branch
+  const setWeeks = (fn) => setBranches((cur) => cur.map((b) => (b.key === branch.key ? { ...b, weeks: fn(b.weeks) } : b)));
+  const setTargets = (fn) => setBranches((cur) => cur.map((b) => (b.key === branch.key ? { ...b, targets: fn(b.targets) } : b)));
+  const setAnnotations = (fn) => setBranches((cur) => cur.map((b) => (b.key === branch.key ? { ...b, annotations: fn(b.annotations || {}) } : b)));
+  const mapBranches = (fn) => setBranches((cur) => cur.map(fn));
+
+  useEffect(() => {
+    // Autosave the working document on every change
+    saveDoc(docId, doc);
+  }, [docId, doc]);
+
+  useEffect(() => {
+    saveSnapshots(docId, snapshots);
+  }, [docId, snapshots]);
+
+  useEffect(() => {
+    saveEditLog(docId, editLog);
+  }, [docId, editLog]);
+
+  useEffect(() => {
+    saveAuthor(author);
+  }, [author]);
+
+  useEffect(() => {
+    saveServerUrl(serverUrl);
+  }, [serverUrl]);
+
+  useEffect(() => {
+    saveSync(docId, sync);
+  }, [docId, sync]);
+
+  // ---------- Edit log: each change to the hashed inputs is diffed against the last and chained ----------
+  // Handlers name their change in logAction before setting state; anything else is labelled from the paths it touched.
+  // Entries are sealed one at a time (logQueue) so each prevHash is the entry before it.
+  const logAction = useRef(null);
+  const logHead = useRef({ payload: null, log: editLog, queue: Promise.resolve() });
+  useEffect(() => {
+    const payload = plainPayload(doc);
+    const head = logHead.current;
+    const prev = head.payload;
+    const action = logAction.current;
+    logAction.current = null;
+    head.payload = payload;
+    const changes = prev ? logChanges(prev, payload) : [];
+    if (prev ? !changes.length : head.log) return; // first run only starts a log when there is none
+    const ts = new Date().toISOString();
+    head.queue = head.queue.then(async () => {
+      if (logHead.current !== head) return; // another document was opened
+      const next = head.log ? await appendLogEntry(head.log, { ts, author, action: action || logActionFor(changes), changes }, payload) : await startEditLog(payload);
+      head.log = next;
+      setEditLog(next);
+    });
+  }, [doc]);
 
   // ---------- Audit: docId + canonicalized hash; persist baseline/lastRun ----------
-  const [docId, setDocId] = useState(ensureDocId());
   const [hashHex, setHashHex] = useState("");
-  const [baseline, setBaseline] = useState(() => loadBaseline());
+  const [baseline, setBaseline] = useState(() => loadBaseline(docId));
   const [lastRun, setLastRun] = useState(() => loadLastRun());
 
   useEffect(() => {
     // Compute canonicalized hash when inputs change
-    const payload = {
-      weeks: weeks.map(({ endISO, kpi, channels }) => ({ endISO, kpi, channels })),
-      channelMetric,
-      alertThreshold,
-      logicVersion,
-    };
-    canonicalHash(payload).then((hex) => setHashHex(hex));
-  }, [weeks, channelMetric, alertThreshold, logicVersion]);
+    canonicalHash(canonicalPayload(doc)).then((hex) => setHashHex(hex));
+  }, [doc]);
+
+  // Baseline keeps the canonical payload so drift can be diffed field by field
+  const rebaseline = async () => {
+    const payload = canonicalPayload(doc);
+    const b = { docId, hash: await canonicalHash(payload), ts: new Date().toISOString(), payload };
+    setBaseline(b);
+    saveBaseline(docId, b);
+  };
 
   useEffect(() => {
     // Establish baseline if none
-    if (!baseline) {
-      const b = { docId, hash: hashHex, ts: new Date().toISOString() };
-      if (hashHex) {
-        setBaseline(b);
-        saveBaseline(b);
-      }
-    }
-  }, [baseline, docId, hashHex]);
+    if (!baseline) rebaseline();
+  }, [baseline]);
 
   useEffect(() => {
     // Update lastRun each mount
@@ -105,352 +381,1378 @@ export default function App() {
   }, []);
 
   // ---------- Derived metrics ----------
-  const kpiKeys = [
-    { key: "revenue", label: "Revenue", sub: "(Fees)", fmt: fmtCurrency },
-    { key: "orders", label: "Deals", sub: "(Sales/Lets)", fmt: fmtInteger },
-    { key: "active", label: "Active", sub: "(Viewings)", fmt: fmtInteger },
-    { key: "cac", label: "CAC", sub: "(£/Instruction)", fmt: fmtCurrency },
-  ];
+  const channelKeys = useMemo(() => channelDefs.map((c) => c.key), [channelDefs]);
+  const fields = useMemo(() => weekFields(kpis, channelDefs, format), [kpis, channelDefs, format]);
+  const editorFields = useMemo(() => fields.filter((f) => !f.metric || f.metric === channelMetric), [fields, channelMetric]);
+  const kpiErrors = useMemo(() => validateKpis(kpis, channelKeys, format), [kpis, channelKeys, format]);
 
-  const series = useMemo(() => {
-    const rev = weeks.map((w) => w.kpi.revenue);
-    const ord = weeks.map((w) => w.kpi.orders);
-    const act = weeks.map((w) => w.kpi.active);
-    const cac = weeks.map((w) => w.kpi.cac);
-    return { revenue: rev, orders: ord, active: act, cac };
-  }, [weeks]);
-
-  const deltas = useMemo(() => {
-    // WoW deltas across 8 weeks; CAC inverted
-    const mk = (arr, invert = false) =>
-      arr.map((v, i) => {
-        if (i === 0) return null; // first week has no previous
-        const last = arr[i - 1];
-        if (!isFiniteNum(last) || last === 0) return null; // rule: last==0 => null
-        const raw = (v - last) / last; // normal
-        return invert ? -raw : raw;
-      });
-    return {
-      revenue: mk(series.revenue),
-      orders: mk(series.orders),
-      active: mk(series.active),
-      cac: mk(series.cac, true), // invert
-    };
-  }, [series]);
+  // Series, deltas and detectors run over the whole archive, then are cut to the view window, so the first
+  // week shown still has a WoW and trailing/YoY detectors see the history behind it
+  const range = useMemo(() => resolveWindow(allWeeks, viewWindow), [allWeeks, viewWindow]);
+  const weeks = useMemo(() => allWeeks.slice(range.start, range.end), [allWeeks, range]);
+  const allSeries = useMemo(() => kpiSeries(allWeeks, kpis), [allWeeks, kpis]);
+  const series = useMemo(() => sliceSeries(allSeries, range), [allSeries, range]);
+  const deltas = useMemo(() => sliceSeries(wowDeltas(allSeries, kpis), range), [allSeries, kpis, range]);
 
-  const anomalies = useMemo(() => {
-    const obj = {};
-    for (const k of Object.keys(deltas)) {
-      obj[k] = (deltas[k] || []).map((d) => (d == null ? false : Math.abs(d) >= alertThreshold));
-    }
-    return obj;
-  }, [deltas, alertThreshold]);
+  // Card values and deltas on the chosen basis: periods regrouped from the archive, shown where they end in the window
+  const comparison = useMemo(() => comparisonSeries(allWeeks, kpis, basis, range, format), [allWeeks, kpis, basis, range, format]);
+
+  // Forecast from every week up to the end of the window; MAPE backtests one step ahead over the window
+  const forecasts = useMemo(
+    () =>
+      Object.fromEntries(
+        kpis.map(({ key }) => [key, forecastKpi(allSeries[key].slice(0, range.end), forecastCfg.method, forecastCfg.horizon, range.start)])
+      ),
+    [allSeries, kpis, forecastCfg, range]
+  );
+
+  // Per-KPI detector over every week: null or { reason } per point
+  const anomalies = useMemo(() => kpiAnomalies(allWeeks, kpis, allSeries, alertThreshold, range, format), [allWeeks, kpis, allSeries, alertThreshold, range, format]);
+  const anomalyList = useMemo(() => listAnomalies(kpis, anomalies, weeks, series), [kpis, anomalies, weeks, series]);
 
   const latestWeek = weeks[weeks.length - 1];
-  const prevWeek = weeks[weeks.length - 2];
-
-  // Channel table (This vs Last, WoW, Share) using selected channelMetric label
-  const channelRows = useMemo(() => {
-    const thisTotal = sumChannels(latestWeek.channels);
-    const lastTotal = prevWeek ? sumChannels(prevWeek.channels) : 0;
-    return ["paid", "organic", "email", "referral"].map((ch) => {
-      const thisVal = latestWeek.channels[ch] || 0;
-      const lastVal = prevWeek ? prevWeek.channels[ch] || 0 : 0;
-      const wow = lastVal > 0 ? (thisVal - lastVal) / lastVal : null;
-      const share = thisTotal > 0 ? thisVal / thisTotal : 0;
-      return { ch, thisVal, lastVal, wow, share };
-    });
-  }, [latestWeek, prevWeek]);
+
+  // Notes per week for each KPI (week note first), and the flat list the reports print
+  const kpiNotes = useMemo(
+    () => Object.fromEntries(kpis.map((k) => [k.key, weeks.map((w) => notesFor(annotations, w.endISO, `kpi.${k.key}`))])),
+    [kpis, weeks, annotations]
+  );
+  const noteTargets = useMemo(() => annotationFields(kpis, fields, format), [kpis, fields, format]);
+  const noteList = useMemo(() => listAnnotations(annotations, weeks, noteTargets), [annotations, weeks, noteTargets]);
+
+  // Plan vs actual for the latest week plus to-date attainment over every week that has a target
+  const plan = useMemo(() => buildPlan(allWeeks.slice(0, range.end), kpis, channelDefs, targets), [allWeeks, range, kpis, channelDefs, targets]);
+  const targetErrors = useMemo(() => validateTargets(targets, kpis, channelDefs, format), [targets, kpis, channelDefs, format]);
+
+  // Branch comparison: latest value, WoW and anomaly counts per branch (in the reporting currency), ranked by the chosen sort
+  const branchRanking = useMemo(
+    () => rankBranches(reportingBranches.map((b) => branchSummary(b, kpis, alertThreshold, format)), branchSort, kpis),
+    [reportingBranches, kpis, alertThreshold, branchSort, format]
+  );
+
+  // Channel table on the selected channelMetric for the latest week
+  const channelRows = useMemo(() => channelTable(weeks, channelDefs, channelMetric, plan), [weeks, channelDefs, channelMetric, plan]);
+
+  // ---------- Narrative: generated bullets unless edited for this view and week ----------
+  const viewKey = isRollup ? ALL_BRANCHES : branch.key;
+  const generatedNarrative = useMemo(
+    () => buildNarrative({ weeks, kpis, series, deltas, anomalies, channelRows, channelDefs, channelMetric }, format),
+    [weeks, kpis, series, deltas, anomalies, channelRows, channelDefs, channelMetric, format]
+  );
+  const narrativeEdited = narrativeEdit != null && narrativeEdit.branch === viewKey && narrativeEdit.endISO === latestWeek.endISO;
+  const narrative = narrativeEdited ? parseBullets(narrativeEdit.text) : generatedNarrative;
+
+  const saveNarrative = () => {
+    const text = narrativeDraft.trim();
+    setNarrativeEdit(text && text !== generatedNarrative.map((b) => `- ${b}`).join("\n") ? { branch: viewKey, endISO: latestWeek.endISO, text } : null);
+    setNarrativeDraft(null);
+  };
+
+  // ---------- Baseline drift ----------
+  const drift = useMemo(() => (baseline && baseline.payload ? diffPayload(baseline.payload, canonicalPayload(doc), format) : null), [baseline, doc, format]);
+  const driftIndex = useMemo(
+    () => new Map((drift || []).filter((c) => c.branch === branch.key).map((c) => [`${c.endISO}|${c.path}`, c])),
+    [drift, branch.key]
+  );
+
+  const confirmRebaseline = () => {
+    if (window.confirm(t("baseline.confirm"))) rebaseline().then(() => toast(t("baseline.updated")));
+  };
 
   // ---------- Tests Gate ----------
-  const tests = useMemo(() => runTests(weeks, channelMetric, deltas), [weeks, channelMetric, deltas]);
-  const allPass = tests.every((t) => t.pass);
+  const tests = useMemo(
+    () => runTests(weeks, kpis, kpiErrors, series, channelDefs, channelMetric, deltas, targets, targetErrors, branches, rollup, rules, currency, fx, format),
+    [weeks, kpis, kpiErrors, series, channelDefs, channelMetric, deltas, targets, targetErrors, branches, rollup, rules, currency, fx, format]
+  );
+  const gate = gateStatus(tests);
+  const overridden = gate === "blocked" && gateOverride != null && gateOverride.hash === hashHex;
+  const exportBlocked = gate === "blocked" && !overridden;
+  // Offending cells of failing rules, keyed like data-cell in the editor: "<branch>|<archive index>|<path>"
+  const ruleCells = useMemo(() => {
+    const out = new Map();
+    tests.filter((t) => !t.pass && t.cells).forEach((t) => t.cells.forEach((c) => out.set(`${c.branch}|${c.index}|${c.path}`, t)));
+    return out;
+  }, [tests]);
+
+  const recordOverride = () => {
+    if (!overrideDraft.trim()) return;
+    setGateOverride({ reason: overrideDraft.trim(), ts: new Date().toISOString(), hash: hashHex });
+    setOverrideDraft("");
+    toast(t("gate.overrideToast"));
+  };
+
+  // Open the History Editor on a rule's cell: its branch, a window that shows the week, the metric of a channel path
+  const jumpToCell = (c) => {
+    const b = branches.find((x) => x.key === c.branch);
+    if (!b) return;
+    setBranchKey(b.key);
+    const metric = c.path.match(/^channels\.([^.]+)\./);
+    if (metric) setChannelMetric(metric[1]);
+    const r = resolveWindow(b.weeks, viewWindow);
+    if (c.index < r.start || c.index >= r.end) {
+      const n = VIEW_WINDOWS.find((w) => w >= b.weeks.length - c.index);
+      setViewWindow(n ? { weeks: n } : { from: b.weeks[c.index].endISO, to: b.weeks[b.weeks.length - 1].endISO });
+    }
+    setFocusCell(c);
+  };
+
+  useEffect(() => {
+    if (!focusCell) return;
+    const el = document.querySelector(`[data-cell="${focusCell.index}|${focusCell.path}"]`);
+    if (!el) return;
+    el.focus();
+    if (el.scrollIntoView) el.scrollIntoView({ block: "center" });
+    setFocusCell(null);
+  });
+
+  // ---------- Undo/redo: each edit or added week keeps the selected branch's weeks from before it ----------
+  // Keystrokes in one cell share a tag, so typing a number is one step
+  const recordUndo = (tag) =>
+    setHistory((h) => {
+      const top = h.undo[h.undo.length - 1];
+      if (tag && top && top.tag === tag && top.branch === branch.key) return h.redo.length ? { ...h, redo: [] } : h;
+      return { undo: [...h.undo, { branch: branch.key, weeks: branch.weeks, tag }].slice(-UNDO_LIMIT), redo: [] };
+    });
+
+  // Undo pops "undo" and pushes the current weeks onto "redo"; redo is the mirror image
+  const stepHistory = (from, to) => {
+    const entry = history[from][history[from].length - 1];
+    if (!entry) return;
+    const b = branches.find((x) => x.key === entry.branch);
+    setHistory((h) => ({ [from]: h[from].slice(0, -1), [to]: b ? [...h[to], { branch: b.key, weeks: b.weeks, tag: null }] : h[to] }));
+    if (!b) return toast(t("history.branchGone"));
+    logAction.current = from;
+    setBranches((cur) => cur.map((x) => (x.key === entry.branch ? { ...x, weeks: entry.weeks } : x)));
+    if (entry.branch !== branchKey) setBranchKey(entry.branch);
+  };
+  const undo = () => stepHistory("undo", "redo");
+  const redo = () => stepHistory("redo", "undo");
 
   // ---------- Handlers ----------
-  const updateWeekField = (i, path, value) => {
+  // cells: [{ index, path, value }] by archive index; one undo step for the lot
+  const updateWeekCells = (cells, tag = null) => {
+    if (!cells.length) return;
+    recordUndo(tag);
+    logAction.current = "edit";
     setWeeks((cur) => {
       const next = [...cur];
-      const w = { ...next[i], kpi: { ...next[i].kpi }, channels: { ...next[i].channels } };
-      // path: "endISO" | "kpi.revenue" | "channels.paid"
-      const parts = path.split(".");
-      if (parts.length === 1) {
-        w[parts[0]] = value;
-      } else if (parts[0] === "kpi") {
-        w.kpi[parts[1]] = toNum(value);
-      } else if (parts[0] === "channels") {
-        w.channels[parts[1]] = toNum(value);
-      }
-      next[i] = w;
+      cells.forEach(({ index, path, value }) => {
+        if (!cur[index]) return;
+        if (next[index] === cur[index]) next[index] = cloneWeek(cur[index]);
+        // path: "endISO" | "kpi.revenue" | "channels.orders.paid"
+        setPath(next[index], path, path === "endISO" ? value : toNum(value, format));
+      });
       return next;
     });
   };
 
+  const updateWeekField = (i, path, value) => updateWeekCells([{ index: i, path, value }], `${i}|${path}`);
+
+  // Appends to the archive; a "last N weeks" window moves forward with it
   const addWeek = () => {
+    recordUndo(null);
+    logAction.current = "addWeek";
     setWeeks((cur) => {
       const last = cur[cur.length - 1];
       const nextEnd = addDays(new Date(last.endISO + "T00:00:00Z"), 7);
+      if (forecastCfg.prefill) return [...cur, forecastWeek(cur, kpis, channelDefs, forecastCfg.method, toISODate(nextEnd))];
       return [
-        ...cur.slice(1),
+        ...cur,
         {
           endISO: toISODate(nextEnd),
           kpi: { ...last.kpi },
-          channels: { ...last.channels },
+          channels: mapChannelMetrics((m) => Object.fromEntries(channelDefs.map((c) => [c.key, c.retired ? 0 : isFiniteNum(last.channels[m][c.key]) ? last.channels[m][c.key] : null]))), // retired channels stop carrying
         },
       ];
     });
   };
 
+  const drill = kpis.find((k) => k.key === drillKey);
+
+  // Replaying is itself a change, so the log stays append-only
+  const replayTo = (seq) => {
+    if (!window.confirm(t("log.confirmReplay", { seq }))) return;
+    logAction.current = `replay #${seq}`;
+    applyDoc({ ...payloadDocument(replayLog(editLog, seq)), activeBranch: branchKey });
+    toast(t("log.replayed", { seq }));
+  };
+
+  const exportLog = async () => {
+    await navigator.clipboard.writeText(JSON.stringify({ docId, ...editLog }, null, 2));
+    toast(tn("export.logCopied", editLog.entries.length));
+  };
+
   const copyJSON = async () => {
-    const payload = {
-      weeks,
-      channelMetric,
-      alertThreshold,
-      logicVersion,
-      audit: { docId, hashHex },
-    };
+    if (exportBlocked) return toast(t("export.blocked"));
+    const payload = { ...exportPayload(doc, reportData()), editLog }; // the log's chain up to this document; Import verifies it
     await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
-    toast("JSON copied to clipboard");
+    toast(t("export.jsonCopied"));
+  };
+
+  // Replace the working document; fields left undefined keep their current value
+  // Whole-document branches replace every branch; a bare weeks/targets pair goes to the selected one
+  const applyDoc = (d) => {
+    if (d.branches != null) {
+      setBranches(d.branches.map((b) => ({ ...b, weeks: migrateWeeks(b.weeks, d.channelMetric || channelMetric), targets: b.targets || {} })));
+      setBranchKey(d.activeBranch || ALL_BRANCHES);
+    } else if (d.weeks != null) setWeeks(() => migrateWeeks(d.weeks, d.channelMetric || channelMetric));
+    if (d.channelMetric != null) setChannelMetric(d.channelMetric);
+    if (d.alertThreshold != null) setAlertThreshold(d.alertThreshold);
+    if (d.logicVersion != null) setLogicVersion(d.logicVersion);
+    if (d.viewWindow != null) setViewWindow(d.viewWindow);
+    if (d.comparisonBasis != null) setBasis(d.comparisonBasis);
+    if (d.forecast != null) setForecastCfg(d.forecast);
+    if (d.rules != null) setRules(d.rules);
+    if (d.narrative !== undefined) setNarrativeEdit(d.narrative);
+    if (d.locale != null) setLocale(d.locale);
+    if (d.currency != null) setCurrency(d.currency);
+    if (d.fx != null) setFx(d.fx);
+    if (d.kpis != null) setKpis(d.kpis);
+    if (d.channelDefs != null) setChannelDefs(d.channelDefs);
+    if (d.targets != null && d.branches == null) setTargets(() => d.targets);
+  };
+
+  const applyImport = ({ weeks: imported, settings }) => {
+    logAction.current = "import";
+    applyDoc({ ...settings, weeks: imported });
+    setImportOpen(false);
+    if (settings && settings.branches) toast(t("import.branches", { n: settings.branches.length }));
+    else toast(branches.length > 1 ? t("import.weeksInto", { n: imported.length, branch: branch.label }) : t("import.weeks", { n: imported.length }));
+  };
+
+  // ---------- History Editor grid: selection, keys, paste, fill, clear ----------
+  const rect = sel ? gridRect(sel) : null;
+  const multiSel = Boolean(rect && (rect.r1 > rect.r0 || rect.c1 > rect.c0));
+
+  const cellAt = (el) => {
+    const c = el && el.dataset ? el.dataset.cell : null;
+    if (!c) return null;
+    const [row, path] = c.split("|");
+    const col = editorFields.findIndex((f) => f.path === path);
+    return col < 0 ? null : [Number(row), col];
+  };
+
+  const moveTo = ([row, col], extend) => {
+    const r = Math.max(range.start, Math.min(range.end - 1, row));
+    const c = Math.max(0, Math.min(editorFields.length - 1, col));
+    setSel((s) => ({ anchor: extend && s ? s.anchor : [r, c], focus: [r, c] }));
+    const el = document.querySelector(`[data-cell="${r}|${editorFields[c].path}"]`);
+    if (el) {
+      el.focus();
+      el.select();
+    }
+  };
+
+  const onGridFocus = (e) => {
+    const at = cellAt(e.target);
+    if (at) setSel((s) => (s && s.focus[0] === at[0] && s.focus[1] === at[1] ? s : { anchor: at, focus: at }));
+  };
+
+  const onGridMouse = (e) => {
+    const at = cellAt(e.target);
+    if (!at || !sel) return;
+    if (e.type === "mousedown" && e.shiftKey) {
+      e.preventDefault();
+      setSel({ anchor: sel.anchor, focus: at });
+    } else if (e.type === "mouseover" && e.buttons === 1) setSel({ anchor: sel.anchor, focus: at });
+  };
+
+  // Fill copies the first row (column) of the selection over the rest; a single row (column) copies from the one before.
+  // End dates are never filled, so weeks stay distinct.
+  const fillSelection = (dir) => {
+    if (!rect) return;
+    const down = dir === "down";
+    const from = down ? (rect.r1 > rect.r0 ? rect.r0 : rect.r0 - 1) : rect.c1 > rect.c0 ? rect.c0 : rect.c0 - 1;
+    if (down ? from < 0 : from < 1) return;
+    const cells = [];
+    for (let r = down ? from + 1 : rect.r0; r <= rect.r1; r++) {
+      for (let c = Math.max(1, down ? rect.c0 : from + 1); c <= rect.c1; c++) {
+        cells.push({ index: r, path: editorFields[c].path, value: getPath(allWeeks[down ? from : r], editorFields[down ? c : from].path) });
+      }
+    }
+    updateWeekCells(cells);
+  };
+
+  const clearSelection = () => {
+    if (!rect) return;
+    const cells = [];
+    for (let r = rect.r0; r <= rect.r1; r++) for (let c = Math.max(1, rect.c0); c <= rect.c1; c++) cells.push({ index: r, path: editorFields[c].path, value: "" });
+    updateWeekCells(cells);
+  };
+
+  const onGridKey = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    const k = e.key.toLowerCase();
+    if (mod && (k === "z" || k === "y")) {
+      e.preventDefault();
+      return k === "y" || e.shiftKey ? redo() : undo();
+    }
+    const at = cellAt(e.target);
+    if (!at) return;
+    if (mod && (k === "d" || k === "r")) {
+      e.preventDefault();
+      return fillSelection(k === "d" ? "down" : "right");
+    }
+    if ((e.key === "Delete" || e.key === "Backspace") && multiSel) {
+      e.preventDefault();
+      return clearSelection();
+    }
+    const { selectionStart: start, selectionEnd: end, value } = e.target;
+    const whole = start === 0 && end === value.length;
+    const last = editorFields.length - 1;
+    // Left/right only leave the cell once the caret is at that edge; Tab wraps to the next row
+    const to = {
+      ArrowUp: [at[0] - 1, at[1]],
+      ArrowDown: [at[0] + 1, at[1]],
+      ArrowLeft: (whole || end === 0) && [at[0], at[1] - 1],
+      ArrowRight: (whole || start === value.length) && [at[0], at[1] + 1],
+      Enter: [at[0] + (e.shiftKey ? -1 : 1), at[1]],
+      Tab: e.shiftKey ? (at[1] > 0 ? [at[0], at[1] - 1] : [at[0] - 1, last]) : at[1] < last ? [at[0], at[1] + 1] : [at[0] + 1, 1],
+    }[e.key];
+    if (!to) return;
+    e.preventDefault();
+    moveTo(to, e.shiftKey && e.key.startsWith("Arrow"));
+  };
+
+  // A block copied from Excel/Sheets (tabs and newlines) lands from the focused cell; a single value is a normal paste
+  const onGridPaste = (e) => {
+    const at = cellAt(e.target);
+    const text = e.clipboardData ? e.clipboardData.getData("text/plain") : "";
+    if (!at || !/[\t\n]/.test(text.replace(/\r?\n$/, ""))) return;
+    e.preventDefault();
+    const grid = parseGridText(text);
+    const cells = [];
+    let skipped = 0;
+    let invalid = 0;
+    grid.forEach((vals, r) =>
+      vals.forEach((v, c) => {
+        const f = editorFields[at[1] + c];
+        if (at[0] + r >= range.end || !f) skipped++;
+        else if (f.path !== "endISO" && parseNumber(v).error) invalid++;
+        else cells.push({ index: at[0] + r, path: f.path, value: v.trim() });
+      })
+    );
+    updateWeekCells(cells);
+    const width = Math.max(...grid.map((vals) => vals.length));
+    setSel({ anchor: at, focus: [Math.min(at[0] + grid.length, range.end) - 1, Math.min(at[1] + width - 1, editorFields.length - 1)] });
+    toast([tn("paste.cells", cells.length), invalid && t("paste.invalid", { n: invalid }), skipped && t("paste.skipped", { n: skipped })].filter(Boolean).join("; "));
+  };
+
+  // ---------- Annotations ----------
+  // Blank text removes the note, and a week without notes drops out of the map
+  const setAnnotation = (endISO, path, text) => {
+    logAction.current = "annotate";
+    setAnnotations((cur) => {
+      const notes = { ...(cur[endISO] || {}) };
+      if (text.trim()) notes[path] = text;
+      else delete notes[path];
+      const next = { ...cur };
+      if (Object.keys(notes).length) next[endISO] = notes;
+      else delete next[endISO];
+      return next;
+    });
+  };
+
+  // ---------- KPI registry ----------
+  // Stored KPIs own a column in week.kpi: adding one leaves its history missing (null), removing one drops it
+  const addKpi = (meta) => {
+    setKpis((cur) => [...cur, meta]);
+    if (!meta.formula) mapBranches((b) => ({ ...b, weeks: b.weeks.map((w) => ({ ...w, kpi: { ...w.kpi, [meta.key]: null } })) }));
+  };
+
+  const updateKpi = (key, patch) => setKpis((cur) => cur.map((k) => (k.key === key ? { ...k, ...patch } : k)));
+
+  const moveKpi = (key, dir) => {
+    setKpis((cur) => {
+      const i = cur.findIndex((k) => k.key === key);
+      const j = i + dir;
+      if (i < 0 || j < 0 || j >= cur.length) return cur;
+      const next = [...cur];
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  };
+
+  const removeKpi = (meta) => {
+    if (!window.confirm(t(meta.formula ? "kpis.confirmRemove" : "kpis.confirmRemoveStored", { label: meta.label }))) return;
+    setKpis((cur) => cur.filter((k) => k.key !== meta.key));
+    mapBranches((b) => ({
+      ...b,
+      targets: mergeTargetPath(b.targets, `kpi.${meta.key}`, null),
+      weeks: meta.formula
+        ? b.weeks
+        : b.weeks.map((w) => ({ ...w, kpi: Object.fromEntries(Object.entries(w.kpi).filter(([k]) => k !== meta.key)) })),
+    }));
+  };
+
+  // ---------- Channel registry ----------
+  const addChannel = (def) => {
+    setChannelDefs((cur) => [...cur, def]);
+    mapBranches((b) => ({ ...b, weeks: b.weeks.map((w) => ({ ...w, channels: mapChannelMetrics((m) => ({ ...w.channels[m], [def.key]: null })) })) }));
+  };
+
+  const updateChannel = (key, patch) => setChannelDefs((cur) => cur.map((c) => (c.key === key ? { ...c, ...patch } : c)));
+
+  // Fold one channel's history into another week by week (every metric), then drop the source channel
+  const mergeChannel = (fromKey, intoKey) => {
+    const from = channelDefs.find((c) => c.key === fromKey);
+    const into = channelDefs.find((c) => c.key === intoKey);
+    if (!from || !into || fromKey === intoKey) return;
+    if (!window.confirm(t("channels.confirmMerge", { from: from.label, into: into.label }))) return;
+    mapBranches((b) => ({
+      ...b,
+      weeks: b.weeks.map((w) => ({
+        ...w,
+        channels: mapChannelMetrics((m) => {
+          const { [fromKey]: moved, ...rest } = w.channels[m];
+          return { ...rest, [intoKey]: addValues(rest[intoKey], moved) };
+        }),
+      })),
+      targets: CHANNEL_METRICS.reduce((t, m) => mergeTargetPath(t, `channels.${m}.${fromKey}`, `channels.${m}.${intoKey}`), b.targets),
+    }));
+    setChannelDefs((cur) => cur.filter((c) => c.key !== fromKey));
+    toast(t("channels.merged", { from: from.label, into: into.label }));
+  };
+
+  // ---------- Branches ----------
+  // A new branch starts on the selected branch's week dates with every value missing, to be filled in
+  const addBranch = (def) => {
+    const template = branch.weeks.map((w) => blankWeek(w.endISO, kpis, channelDefs));
+    setBranches((cur) => [...cur, { ...def, weeks: template, targets: {} }]);
+    setBranchKey(def.key);
+  };
+
+  const renameBranch = (key, label) => setBranches((cur) => cur.map((b) => (b.key === key ? { ...b, label } : b)));
+
+  // "" keeps the branch in the reporting currency
+  const setBranchCurrency = (key, code) => setBranches((cur) => cur.map((b) => (b.key === key ? { ...b, currency: code || undefined } : b)));
+
+  const removeBranch = (b) => {
+    if (branches.length < 2 || !window.confirm(t("branches.confirmRemove", { label: b.label }))) return;
+    setBranches((cur) => cur.filter((x) => x.key !== b.key));
+    if (branchKey === b.key) setBranchKey(ALL_BRANCHES);
+  };
+
+  // ---------- Currency ----------
+  const setFxRate = (code, rate) =>
+    setFx((cur) => {
+      const next = { ...cur };
+      if (isFiniteNum(rate)) next[code] = rate;
+      else delete next[code];
+      return next;
+    });
+
+  // ---------- Targets ----------
+  const setTarget = (endISO, path, value) => setTargets((cur) => withTargets(cur, [[endISO, path, value]]));
+
+  const spreadTarget = (path, endISOs, value) => {
+    setTargets((cur) => withTargets(cur, endISOs.map((endISO) => [endISO, path, value])));
+    toast(t("targets.spread", { n: endISOs.length }));
+  };
+
+  // ---------- Snapshots ----------
+  const saveSnapshot = async (name) => {
+    const copy = cloneDoc(doc);
+    const hash = await canonicalHash(canonicalPayload(copy));
+    setSnapshots((cur) => [{ id: newSnapshotId(), name, ts: new Date().toISOString(), hash, doc: copy }, ...cur]);
+    toast(t("snapshot.saved", { name }));
+  };
+
+  const restoreSnapshot = async (snap) => {
+    const hash = await canonicalHash(canonicalPayload(snap.doc));
+    logAction.current = "restore";
+    applyDoc(cloneDoc(snap.doc));
+    toast(t(hash === snap.hash ? "snapshot.restored" : "snapshot.restoredMismatch", { name: snap.name }));
+  };
+
+  const duplicateSnapshot = (snap) => {
+    setSnapshots((cur) => [{ ...snap, id: newSnapshotId(), name: t("snapshots.copyName", { name: snap.name }), ts: new Date().toISOString() }, ...cur]);
+  };
+
+  const deleteSnapshot = (snap) => {
+    if (!window.confirm(t("snapshots.confirmDelete", { name: snap.name }))) return;
+    setSnapshots((cur) => cur.filter((s) => s.id !== snap.id));
+  };
+
+  // ---------- Shared document server ----------
+  // sync is the server copy this document was last loaded from or saved as; its hash is the baseHash of the next
+  // save, and its payload the common ancestor when the server refuses that save
+  const synced = sync && sync.url === serverUrl ? sync : null;
+  const serverState = conflict ? "conflict" : !synced ? null : synced.hash === hashHex ? "synced" : "changed";
+  const docPath = (id) => `/api/docs/${encodeURIComponent(id)}`;
+  const syncTo = (record) => setSync({ url: serverUrl, hash: record.hash, payload: plainPayload(record.doc), updatedAt: record.updatedAt, author: record.author });
+
+  const showConflict = (record) => {
+    const base = synced ? synced.payload : plainPayload(record.doc); // never synced: everything local shows as mine
+    setConflict({ record, base, merge: mergePayloads(base, plainPayload(doc), plainPayload(record.doc)), choices: [] });
+  };
+
+  const saveToServer = async (baseHash = synced ? synced.hash : null) => {
+    const sent = cloneDoc(doc);
+    const res = await serverRequest(serverUrl, docPath(docId), format, { method: "PUT", body: { baseHash, doc: sent, author } });
+    if (res.status === 409) {
+      showConflict(res.body.current);
+      return toast(t("server.conflict"));
+    }
+    if (res.body && res.body.code === "invalidDoc") {
+      // The server runs Import's checks; run them here too for reasons in this document's language
+      const check = previewImportJSON(JSON.stringify(sent), sent.kpis, sent.channelDefs, null, format);
+      const rows = check.rows.filter((r) => r.errors.length).map((r) => t("server.invalidRow", { row: r.row, errors: r.errors.join("; ") }));
+      const details = [...check.fileErrors, ...rows];
+      return toast(details.length ? t("server.invalid", { details: details.slice(0, 3).join("; ") }) : res.error);
+    }
+    if (!res.ok) return toast(res.error);
+    syncTo({ ...res.body, doc: sent });
+    setConflict(null);
+    toast(t("server.saved", { docId }));
+  };
+
+  const pullFromServer = async () => {
+    const res = await serverRequest(serverUrl, docPath(docId), format);
+    if (!res.ok) return toast(res.status === 404 ? t("server.notFound", { docId }) : res.error);
+    const record = res.body;
+    if (record.hash === hashHex) {
+      syncTo(record);
+      return toast(t("server.upToDate"));
+    }
+    if (!synced || synced.hash !== hashHex) return showConflict(record);
+    logAction.current = "pull";
+    applyDoc({ ...record.doc, activeBranch: branchKey });
+    syncTo(record);
+    toast(t("server.pulled", { author: record.author }));
+  };
+
+  // Switch this browser to another docId: its snapshots, baseline and log come along, its inputs come from the server
+  const openServerDoc = async (id) => {
+    if (id === docId) return pullFromServer();
+    if (serverState !== "synced" && !window.confirm(t("server.confirmOpen", { docId, id }))) return;
+    const res = await serverRequest(serverUrl, docPath(id), format);
+    if (!res.ok) return toast(res.error);
+    const log = loadEditLog(id);
+    logHead.current = { payload: log && replayLog(log, log.entries.length), log, queue: Promise.resolve() };
+    logAction.current = "open";
+    saveDocId(id);
+    setDocId(id);
+    setSnapshots(loadSnapshots(id));
+    setBaseline(loadBaseline(id));
+    setEditLog(log);
+    setHistory({ undo: [], redo: [] });
+    setConflict(null);
+    applyDoc(res.body.doc);
+    syncTo(res.body);
+    toast(t("server.opened", { docId: id }));
   };
 
+  const applyConflictMerge = () => {
+    const { record, base, merge, choices } = conflict;
+    logAction.current = "merge";
+    applyDoc({ ...payloadDocument(applyMerge(base, merge, choices)), activeBranch: branchKey });
+    syncTo(record); // the merge now builds on the server copy; saving publishes it
+    setConflict(null);
+    toast(t("server.merged"));
+  };
+
+  const takeServerVersion = () => {
+    logAction.current = "pull";
+    applyDoc({ ...conflict.record.doc, activeBranch: branchKey });
+    syncTo(conflict.record);
+    setConflict(null);
+  };
+
+  // Everything the Markdown and HTML reports render, for the selected view and window
+  const reportData = () => ({
+    weeks,
+    kpis,
+    series,
+    deltas,
+    anomalies,
+    comparison: latestComparison(comparison, kpis, basis, format),
+    anomalyList,
+    plan,
+    view: viewLabel,
+    viewLabel: `${viewLabel} · ${windowLabel(weeks, format)}`,
+    branchRanking: branches.length > 1 ? branchRanking : [],
+    channelRows,
+    channelDefs,
+    narrative,
+    kpiNotes,
+    noteList,
+    alertThreshold,
+    channelMetric,
+    docId,
+    hashHex,
+    logicVersion,
+    tests,
+    gate,
+    override: overridden ? gateOverride : null,
+    format,
+  });
+
   const copyMarkdown = async () => {
-    const md = buildMarkdown(weeks, kpiKeys, deltas, alertThreshold, channelMetric, docId, hashHex);
+    if (exportBlocked) return toast(t("export.blocked"));
+    const md = buildMarkdown(reportData());
     await navigator.clipboard.writeText(md);
-    toast("Markdown summary copied to clipboard");
+    toast(t("export.markdownCopied"));
   };
 
   // ---------- UI ----------
   return (
-    <div className={`min-h-screen w-full ${present ? "bg-white" : "bg-slate-50"}`}>
-      <div className="max-w-7xl mx-auto px-4 py-6">
-        {/* Header */}
-        <div className="flex items-start justify-between gap-4">
-          <div>
-            <h1 className="text-2xl font-bold tracking-tight">Pipeline Scoreboard — Real Estate WBR</h1>
-            <p className="text-sm text-slate-600 mt-1">
-              Weekly Branch Review. Tracks lead gen → viewings → offers → deals. CAC inverted for deltas. Channel table labelled by selected metric.
-            </p>
-            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
-              <Badge>docId: {docId}</Badge>
-              <Badge>hash: {hashHex.slice(0, 12)}…</Badge>
-              {baseline && <Badge title={`Baseline @ ${baseline.ts}`}>baseline set</Badge>}
-              {lastRun && <Badge>lastRun: {new Date(lastRun).toLocaleString()}</Badge>}
-              <Badge>logicVersion: {logicVersion}</Badge>
+    <FormatContext.Provider value={format}>
+      <div className={`min-h-screen w-full ${present ? "bg-white" : "bg-slate-50"}`}>
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          {/* Header */}
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold tracking-tight">{t("app.title")}</h1>
+              <p className="text-sm text-slate-600 mt-1">{t("app.tagline")}</p>
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                <Badge>{t("badge.branch", { label: viewLabel })}</Badge>
+                <Badge>docId: {docId}</Badge>
+                <Badge>hash: {hashHex.slice(0, 12)}…</Badge>
+                {baseline && (
+                  <button
+                    onClick={() => setDriftOpen((o) => !o)}
+                    title={t("badge.baselineAt", { ts: fmtDateTime(baseline.ts) })}
+                    className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs border ${
+                      drift && drift.length ? "bg-amber-100 text-amber-800 border-amber-300" : "bg-slate-100 text-slate-700"
+                    }`}
+                  >
+                    {!drift ? t("badge.baselineSet") : drift.length ? tn("badge.drift", drift.length) : t("badge.inSync")}
+                  </button>
+                )}
+                {serverState && (
+                  <button
+                    onClick={() => setServerOpen((o) => !o)}
+                    title={t("badge.serverAt", { ts: fmtDateTime(synced.updatedAt), author: synced.author })}
+                    className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs border ${
+                      serverState === "conflict" ? "bg-rose-100 text-rose-800 border-rose-300" : serverState === "changed" ? "bg-amber-100 text-amber-800 border-amber-300" : "bg-slate-100 text-slate-700"
+                    }`}
+                  >
+                    {t(`badge.server.${serverState}`)}
+                  </button>
+                )}
+                {lastRun && <Badge>{t("badge.lastRun", { ts: fmtDateTime(lastRun) })}</Badge>}
+                <Badge>logicVersion: {logicVersion}</Badge>
+              </div>
             </div>
-          </div>
-          <div className="flex items-center gap-2">
-            <label className="text-sm">Present</label>
-            <Switch checked={present} onChange={setPresent} />
-          </div>
-        </div>
-
-        {/* Controls (hidden in Present) */}
-        {!present && (
-          <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3">
-            <div className="p-3 bg-white rounded-2xl shadow-sm border">
-              <label className="text-xs text-slate-500">Channel Metric</label>
+            <div className="flex items-center gap-2">
               <select
-                className="mt-1 w-full rounded-xl border px-2 py-1 text-sm"
-                value={channelMetric}
-                onChange={(e) => setChannelMetric(e.target.value)}
+                className="rounded-xl border px-2 py-1 text-sm"
+                value={isRollup ? ALL_BRANCHES : branch.key}
+                onChange={(e) => setBranchKey(e.target.value)}
+                aria-label={t("branch.aria")}
               >
-                <option value="revenue">revenue</option>
-                <option value="orders">orders</option>
-                <option value="sessions">sessions</option>
+                {branches.length > 1 && <option value={ALL_BRANCHES}>{t("branch.all")}</option>}
+                {branches.map((b) => (
+                  <option key={b.key} value={b.key}>{b.label}</option>
+                ))}
               </select>
+              <label className="text-sm">{t("present")}</label>
+              <Switch checked={present} onChange={setPresent} />
+              <button className="btn" onClick={() => setDeckOpen(true)} title={t("slides.title")}>{t("slides")}</button>
             </div>
-            <div className="p-3 bg-white rounded-2xl shadow-sm border">
-              <label className="text-xs text-slate-500">Alert Threshold (|WoW| ≥ …)</label>
-              <div className="flex items-center gap-2 mt-1">
+          </div>
+
+          {deckOpen && <SlideDeck report={reportData()} targets={targets} onClose={() => setDeckOpen(false)} />}
+
+          {/* Controls (hidden in Present) */}
+          {!present && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-6 gap-3">
+              <div className="p-3 bg-white rounded-2xl shadow-sm border">
+                <label className="text-xs text-slate-500">{t("ctl.channelMetric")}</label>
+                <select
+                  className="mt-1 w-full rounded-xl border px-2 py-1 text-sm"
+                  value={channelMetric}
+                  onChange={(e) => setChannelMetric(e.target.value)}
+                >
+                  {CHANNEL_METRICS.map((m) => (
+                    <option key={m} value={m}>{t(`metric.${m}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="p-3 bg-white rounded-2xl shadow-sm border">
+                <label className="text-xs text-slate-500">{t("ctl.viewWindow")}</label>
+                <select
+                  className="mt-1 w-full rounded-xl border px-2 py-1 text-sm"
+                  value={viewWindow.weeks ? String(viewWindow.weeks) : "custom"}
+                  onChange={(e) => {
+                    const v = e.target.value;
+                    setViewWindow(v === "custom" ? { from: weeks[0].endISO, to: latestWeek.endISO } : { weeks: Number(v) });
+                  }}
+                >
+                  {VIEW_WINDOWS.map((n) => (
+                    <option key={n} value={n}>{t("ctl.lastWeeks", { n })}</option>
+                  ))}
+                  <option value="custom">{t("ctl.customRange")}</option>
+                </select>
+                {!viewWindow.weeks && (
+                  <div className="mt-1 flex items-center gap-1 text-xs">
+                    <input type="date" className="rounded-md border px-1" value={viewWindow.from} onChange={(e) => setViewWindow({ ...viewWindow, from: e.target.value })} />
+                    →
+                    <input type="date" className="rounded-md border px-1" value={viewWindow.to} onChange={(e) => setViewWindow({ ...viewWindow, to: e.target.value })} />
+                  </div>
+                )}
+                {range.empty && <div className="mt-1 text-xs text-amber-700">{t("ctl.emptyRange", { n: DEFAULT_WINDOW })}</div>}
+                <label className="mt-2 block text-xs text-slate-500">{t("ctl.compare")}</label>
+                <select className="mt-1 w-full rounded-xl border px-2 py-1 text-sm" value={basis} onChange={(e) => setBasis(e.target.value)}>
+                  {COMPARISON_BASES.map((b) => (
+                    <option key={b} value={b}>{t(`basis.${b}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="p-3 bg-white rounded-2xl shadow-sm border">
+                <label className="text-xs text-slate-500" title={t("ctl.alertThreshold.title")}>{t("ctl.alertThreshold")}</label>
+                <div className="flex items-center gap-2 mt-1">
+                  <input
+                    type="range"
+                    min={0.05}
+                    max={0.3}
+                    step={0.01}
+                    value={alertThreshold}
+                    onChange={(e) => setAlertThreshold(parseFloat(e.target.value))}
+                    className="w-full"
+                  />
+                  <span className="text-sm tabular-nums w-12 text-right">{(alertThreshold * 100).toFixed(0)}%</span>
+                </div>
+              </div>
+              <div className="p-3 bg-white rounded-2xl shadow-sm border">
+                <label className="text-xs text-slate-500">{t("ctl.logicVersion")}</label>
                 <input
-                  type="range"
-                  min={0.05}
-                  max={0.3}
-                  step={0.01}
-                  value={alertThreshold}
-                  onChange={(e) => setAlertThreshold(parseFloat(e.target.value))}
-                  className="w-full"
+                  className="mt-1 w-full rounded-xl border px-2 py-1 text-sm"
+                  value={logicVersion}
+                  onChange={(e) => setLogicVersion(e.target.value)}
                 />
-                <span className="text-sm tabular-nums w-12 text-right">{(alertThreshold * 100).toFixed(0)}%</span>
+              </div>
+              <div className="p-3 bg-white rounded-2xl shadow-sm border">
+                <label className="text-xs text-slate-500">{t("ctl.locale")}</label>
+                <select className="mt-1 w-full rounded-xl border px-2 py-1 text-sm" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("ctl.locale")}>
+                  {LOCALES.map((l) => (
+                    <option key={l} value={l}>{localeName(l)}</option>
+                  ))}
+                </select>
+                <label className="mt-2 block text-xs text-slate-500" title={t("ctl.currency.title")}>{t("ctl.currency")}</label>
+                <select className="mt-1 w-full rounded-xl border px-2 py-1 text-sm" value={currency} onChange={(e) => setCurrency(e.target.value)} aria-label={t("ctl.currency")}>
+                  {CURRENCIES.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+                {viewCurrency !== currency && <div className="mt-1 text-xs text-slate-500">{t("ctl.branchCurrency", { currency: viewCurrency })}</div>}
+              </div>
+              <div className="p-3 bg-white rounded-2xl shadow-sm border flex items-end justify-between gap-2">
+                {[
+                  [t("btn.copyMarkdown"), copyMarkdown],
+                  [t("btn.copyJSON"), copyJSON],
+                ].map(([label, onClick]) => (
+                  <button
+                    key={label}
+                    onClick={onClick}
+                    className="btn disabled:opacity-40"
+                    disabled={exportBlocked}
+                    title={exportBlocked ? t("export.blocked") : undefined}
+                  >
+                    {label}
+                  </button>
+                ))}
+                <button onClick={() => setImportOpen((o) => !o)} className="btn" aria-pressed={importOpen}>{t("btn.import")}</button>
+                <button onClick={() => setBranchesOpen((o) => !o)} className="btn" aria-pressed={branchesOpen}>{t("btn.branches")}</button>
+                <button onClick={() => setRegistryOpen((o) => !o)} className="btn" aria-pressed={registryOpen}>{t("btn.kpis")}</button>
+                <button onClick={() => setChannelsOpen((o) => !o)} className="btn" aria-pressed={channelsOpen}>{t("btn.channels")}</button>
+                <button onClick={() => setRulesOpen((o) => !o)} className="btn" aria-pressed={rulesOpen}>{t("btn.rules")}</button>
+                <button onClick={() => setLogOpen((o) => !o)} className="btn" aria-pressed={logOpen}>{t("btn.log")}</button>
+                <button onClick={() => setReportOpen((o) => !o)} className="btn" aria-pressed={reportOpen}>{t("btn.report")}</button>
+                <button onClick={() => setShareOpen((o) => !o)} className="btn" aria-pressed={shareOpen}>{t("btn.share")}</button>
+                <button onClick={() => setFxOpen((o) => !o)} className="btn" aria-pressed={fxOpen}>{t("btn.fx")}</button>
+                <button onClick={() => setServerOpen((o) => !o)} className="btn" aria-pressed={serverOpen}>{t("btn.server")}</button>
+                <button
+                  onClick={() => setTargetsOpen((o) => !o)}
+                  className="btn disabled:opacity-40"
+                  aria-pressed={targetsOpen}
+                  disabled={isRollup}
+                  title={isRollup ? t("targets.rollupTitle") : undefined}
+                >
+                  {t("btn.targets")}
+                </button>
               </div>
             </div>
-            <div className="p-3 bg-white rounded-2xl shadow-sm border">
-              <label className="text-xs text-slate-500">Logic Version</label>
-              <input
-                className="mt-1 w-full rounded-xl border px-2 py-1 text-sm"
-                value={logicVersion}
-                onChange={(e) => setLogicVersion(e.target.value)}
-              />
-            </div>
-            <div className="p-3 bg-white rounded-2xl shadow-sm border flex items-end justify-between gap-2">
-              <button onClick={copyMarkdown} className="btn">Copy Markdown</button>
-              <button onClick={copyJSON} className="btn">Copy JSON</button>
-            </div>
-          </div>
-        )}
+          )}
+
+          {/* Import (hidden in Present) */}
+          {!present && importOpen && (
+            <ImportPanel
+              kpis={kpis}
+              channelDefs={channelDefs}
+              branch={isRollup ? null : branch}
+              onApply={applyImport}
+              onClose={() => setImportOpen(false)}
+            />
+          )}
+
+          {/* KPI Registry (hidden in Present) */}
+          {!present && registryOpen && (
+            <KpiRegistryPanel
+              kpis={kpiRegistry}
+              channelKeys={channelKeys}
+              alertThreshold={alertThreshold}
+              errors={kpiErrors}
+              onAdd={addKpi}
+              onUpdate={updateKpi}
+              onMove={moveKpi}
+              onRemove={removeKpi}
+              onClose={() => setRegistryOpen(false)}
+            />
+          )}
+
+          {/* Channel Registry (hidden in Present) */}
+          {!present && channelsOpen && (
+            <ChannelRegistryPanel
+              channelDefs={channelRegistry}
+              kpiKeys={kpis.map((k) => k.key)}
+              onAdd={addChannel}
+              onUpdate={updateChannel}
+              onMerge={mergeChannel}
+              onClose={() => setChannelsOpen(false)}
+            />
+          )}
+
+          {/* Tests Gate rules (hidden in Present) */}
+          {!present && rulesOpen && (
+            <RulesPanel
+              rules={rules}
+              kpis={kpis}
+              channelDefs={channelDefs}
+              onAdd={(r) => setRules((cur) => [...cur, r])}
+              onRemove={(id) => setRules((cur) => cur.filter((r) => r.id !== id))}
+              onClose={() => setRulesOpen(false)}
+            />
+          )}
+
+          {/* Report (hidden in Present) */}
+          {!present && reportOpen && (
+            <ReportPanel
+              build={(paper) => buildReportHTML(reportData(), paper)}
+              fileName={`wbr-${docId}-${latestWeek.endISO}.html`}
+              blocked={exportBlocked}
+              onClose={() => setReportOpen(false)}
+            />
+          )}
+
+          {/* Share to chat/email (hidden in Present) */}
+          {!present && shareOpen && <SharePanel key={docId} docId={docId} build={(shareFormat) => SHARE_FORMATS[shareFormat].build(reportData())} blocked={exportBlocked} onClose={() => setShareOpen(false)} />}
+
+          {/* Shared document server (hidden in Present) */}
+          {!present && serverOpen && (
+            <ServerPanel
+              url={serverUrl}
+              docId={docId}
+              synced={synced}
+              state={serverState}
+              onUrl={setServerUrl}
+              onSave={() => saveToServer()}
+              onPull={pullFromServer}
+              onOpen={openServerDoc}
+              onClose={() => setServerOpen(false)}
+            />
+          )}
+
+          {/* Save conflict: the server copy moved on since this one was loaded (hidden in Present) */}
+          {!present && conflict && (
+            <ConflictPanel
+              conflict={conflict}
+              onChoose={(i, side) => setConflict((c) => ({ ...c, choices: Object.assign([...c.choices], { [i]: side }) }))}
+              onMerge={applyConflictMerge}
+              onKeepMine={() => saveToServer(conflict.record.hash)}
+              onTakeTheirs={takeServerVersion}
+              onClose={() => setConflict(null)}
+            />
+          )}
 
-        {/* Tests Gate */}
-        {!present && (
-          <div className={`mt-4 p-4 rounded-2xl border ${allPass ? "bg-emerald-50 border-emerald-200" : "bg-amber-50 border-amber-200"}`}>
-            <div className="flex items-center justify-between">
-              <div className="font-semibold">Tests Gate</div>
-              <div className={`text-xs px-2 py-1 rounded-full ${allPass ? "bg-emerald-600 text-white" : "bg-amber-600 text-white"}`}>
-                {allPass ? "PASS" : "CHECK"}
+          {/* Edit log (hidden in Present) */}
+          {!present && logOpen && editLog && (
+            <EditLogPanel log={editLog} author={author} onAuthor={setAuthor} onReplay={replayTo} onExport={exportLog} onClose={() => setLogOpen(false)} />
+          )}
+
+          {/* Branches (hidden in Present) */}
+          {!present && branchesOpen && (
+            <BranchPanel
+              branches={branches}
+              currency={currency}
+              onAdd={addBranch}
+              onRename={renameBranch}
+              onCurrency={setBranchCurrency}
+              onRemove={removeBranch}
+              onClose={() => setBranchesOpen(false)}
+            />
+          )}
+
+          {/* FX rates (hidden in Present) */}
+          {!present && fxOpen && <FxPanel branches={branches} currency={currency} fx={fx} onSet={setFxRate} onClose={() => setFxOpen(false)} />}
+
+          {/* Targets (hidden in Present) */}
+          {!present && targetsOpen && !isRollup && (
+            <TargetsPanel
+              weeks={weeks}
+              kpis={kpis}
+              channelDefs={channelDefs}
+              channelMetric={channelMetric}
+              targets={targets}
+              onSet={setTarget}
+              onSpread={spreadTarget}
+              onClose={() => setTargetsOpen(false)}
+            />
+          )}
+
+          {/* Drift (hidden in Present) */}
+          {!present && driftOpen && baseline && (
+            <DriftPanel
+              baseline={baseline}
+              drift={drift}
+              showBranch={branches.length > 1}
+              onRebaseline={confirmRebaseline}
+              onClose={() => setDriftOpen(false)}
+            />
+          )}
+
+          {/* Tests Gate */}
+          {!present && (
+            <div className={`mt-4 p-4 rounded-2xl border ${GATE_STATUS[gate].box}`}>
+              <div className="flex items-center justify-between">
+                <div className="font-semibold">{t("gate.title")}</div>
+                <div className={`text-xs px-2 py-1 rounded-full text-white ${GATE_STATUS[gate].pill}`}>
+                  {t(`gate.${gate}`)}
+                  {overridden && ` · ${t("gate.overridden")}`}
+                </div>
               </div>
+              <ul className="mt-2 grid md:grid-cols-2 gap-1 text-sm">
+                {tests.map((test, i) => (
+                  <li key={i} className="flex items-start gap-2">
+                    <span className={`mt-1 inline-block h-2 w-2 shrink-0 rounded-full ${test.pass ? "bg-emerald-600" : SEVERITIES[test.severity].dot}`} title={t(`severity.${test.severity}`)} />
+                    <span>
+                      <span className="font-medium">{test.name}:</span> {test.message}
+                      {!test.pass && test.cells && test.cells.length > 0 && (
+                        <span className="ml-1 inline-flex flex-wrap gap-1">
+                          {test.cells.slice(0, RULE_CELL_LINKS).map((c, j) => (
+                            <button key={j} className="text-xs underline text-slate-600 hover:text-slate-900" onClick={() => jumpToCell(c)}>
+                              {c.label}
+                            </button>
+                          ))}
+                          {test.cells.length > RULE_CELL_LINKS && <span className="text-xs text-slate-500">{t("gate.more", { n: test.cells.length - RULE_CELL_LINKS })}</span>}
+                        </span>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {gate === "blocked" && (
+                <div className="mt-3 text-sm">
+                  {overridden ? (
+                    <div className="flex items-center gap-2">
+                      <span>
+                        {t("gate.overrideRecorded", { ts: fmtDateTime(gateOverride.ts) })} <span className="italic">{gateOverride.reason}</span>
+                      </span>
+                      <button className="btn" onClick={() => setGateOverride(null)}>{t("gate.withdraw")}</button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <span className="text-rose-800">{t("gate.blocksExport")}</span>
+                      <input
+                        className="flex-1 rounded-xl border px-2 py-1 text-sm"
+                        placeholder={t("gate.overridePlaceholder")}
+                        value={overrideDraft}
+                        onChange={(e) => setOverrideDraft(e.target.value)}
+                      />
+                      <button className="btn disabled:opacity-40" disabled={!overrideDraft.trim()} onClick={recordOverride}>{t("gate.recordOverride")}</button>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
-            <ul className="mt-2 grid md:grid-cols-2 gap-1 text-sm">
-              {tests.map((t, i) => (
-                <li key={i} className="flex items-start gap-2">
-                  <span className={`mt-1 inline-block h-2 w-2 rounded-full ${t.pass ? "bg-emerald-600" : "bg-amber-600"}`} />
-                  <span>
-                    <span className="font-medium">{t.name}:</span> {t.message}
-                  </span>
-                </li>
-              ))}
-            </ul>
-          </div>
-        )}
+          )}
 
-        {/* KPI Cards */}
-        <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-          {kpiKeys.map((meta) => {
-            const key = meta.key;
-            const latest = latestWeek.kpi[key];
-            const prev = prevWeek ? prevWeek.kpi[key] : undefined;
-            const delta = prevWeek ? deltas[key][deltas[key].length - 1] : null;
-            const isAnom = prevWeek ? anomalies[key][anomalies[key].length - 1] : false;
-            return (
-              <div key={key} className={`p-4 rounded-2xl border bg-white shadow-sm ${isAnom ? "ring-2 ring-rose-400" : ""}`}>
-                <div className="flex items-center justify-between">
-                  <div>
-                    <div className="text-xs text-slate-500">{meta.label} <span className="text-slate-400">{meta.sub}</span></div>
-                    <div className="text-2xl font-bold tabular-nums">{meta.fmt(latest)}</div>
+          {/* Forecast controls (hidden in Present) */}
+          {!present && (
+            <div className="mt-6 flex flex-wrap items-center gap-2 text-sm text-slate-600">
+              <span className="font-semibold text-slate-900">{t("forecast.title")}</span>
+              <select
+                className="rounded-xl border px-2 py-1 text-sm"
+                aria-label={t("forecast.method")}
+                value={forecastCfg.method}
+                onChange={(e) => setForecastCfg((f) => ({ ...f, method: e.target.value }))}
+              >
+                {FORECAST_METHODS.map((m) => (
+                  <option key={m} value={m}>{t(`forecast.${m}`)}</option>
+                ))}
+              </select>
+              <select
+                className="rounded-xl border px-2 py-1 text-sm"
+                aria-label={t("forecast.horizon")}
+                value={forecastCfg.horizon}
+                onChange={(e) => setForecastCfg((f) => ({ ...f, horizon: Number(e.target.value) }))}
+              >
+                {[1, 2, 3, 4].map((h) => (
+                  <option key={h} value={h}>{tn("forecast.ahead", h)}</option>
+                ))}
+              </select>
+              <span className="text-xs text-slate-500">
+                {basis === "wow" ? t("forecast.help") : t("forecast.helpPeriods")}
+              </span>
+            </div>
+          )}
+
+          {/* KPI Cards */}
+          <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {kpis.map((meta) => {
+              const key = meta.key;
+              const latest = comparison.values[key][comparison.values[key].length - 1];
+              const delta = comparison.deltas[key][comparison.deltas[key].length - 1];
+              const period = comparison.periods[comparison.periods.length - 1];
+              const anom = anomalies[key][anomalies[key].length - 1];
+              const p = plan.kpis[key];
+              const fc = forecasts[key];
+              const notes = kpiNotes[key][kpiNotes[key].length - 1];
+              return (
+                <div
+                  key={key}
+                  className={`p-4 rounded-2xl border bg-white shadow-sm cursor-pointer hover:border-slate-400 ${anom ? "ring-2 ring-rose-400" : ""} ${
+                    drillKey === key ? "border-slate-900" : ""
+                  }`}
+                  title={[anom && anom.reason, ...notes.map((n) => t("note.prefix", { text: n }))].filter(Boolean).join("\n") || t("card.openChart")}
+                  onClick={() => setDrillKey((k) => (k === key ? null : key))}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="text-xs text-slate-500" title={meta.formula ? `= ${meta.formula}` : undefined}>
+                        {meta.label} <span className="text-slate-400">{meta.sub}</span>
+                      </div>
+                      <div className="text-2xl font-bold tabular-nums">{fmtKpi(meta, latest)}</div>
+                      {!isFiniteNum(latest) && <div className="text-xs text-slate-500">{meta.formula ? t("card.notComputable") : t("card.missing")}</div>}
+                      {basis !== "wow" && (
+                        <div className="text-xs text-slate-500">
+                          {period.label}
+                          {period.prevLabel ? ` ${t("vs")} ${period.prevLabel}` : ""}
+                        </div>
+                      )}
+                    </div>
+                    <DeltaPill delta={delta} invert={meta.polarity === "down"} basis={t(`basis.${basis}.short`)} />
+                  </div>
+                  <div className="mt-3">
+                    <Sparkline
+                      values={comparison.values[key]}
+                      height={36}
+                      markers={comparison.weekly ? anomalies[key].map(Boolean) : []}
+                      notes={comparison.weekly ? kpiNotes[key].map((n) => n.length > 0) : []}
+                      forecast={basis === "wow" && fc ? fc.points : []}
+                    />
                   </div>
-                  <DeltaPill delta={delta} invert={key === "cac"} />
+                  {fc && (
+                    <div
+                      className="mt-1 text-xs text-slate-500"
+                      title={fc.points.map((f, i) => t("card.forecastAt", { n: i + 1, value: fmtKpi(meta, f.point), lo: fmtKpi(meta, f.lo), hi: fmtKpi(meta, f.hi) })).join("\n")}
+                    >
+                      {t("card.nextWeek", { value: fmtKpi(meta, fc.points[0].point), lo: fmtKpi(meta, fc.points[0].lo), hi: fmtKpi(meta, fc.points[0].hi) })} · MAPE{" "}
+                      {fmtPct1(fc.mape)}
+                    </div>
+                  )}
+                  {(p.target != null || p.toDate) && (
+                    <div className="mt-2 flex items-center justify-between gap-2 text-xs text-slate-600">
+                      <span className="inline-flex items-center gap-1">
+                        <RagDot status={p.rag} /> {t("card.target", { value: p.target == null ? "—" : fmtKpi(meta, p.target) })} · {fmtVariance(p.variance)}
+                      </span>
+                      {p.toDate && (
+                        <span
+                          className="inline-flex items-center gap-1"
+                          title={tn("card.toDateTitle", p.toDate.weeks, { actual: fmtKpi(meta, p.toDate.actual), target: fmtKpi(meta, p.toDate.target) })}
+                        >
+                          <RagDot status={p.toDate.rag} /> {t("card.toDate", { pct: fmtPct(p.toDate.attainment) })}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {anom && <div className="mt-1 text-xs text-rose-700">{anom.reason}</div>}
+                  {notes.length > 0 && <div className="mt-1 text-xs text-sky-700 truncate">{t("note.prefix", { text: notes.join(" · ") })}</div>}
                 </div>
-                <div className="mt-3">
-                  <Sparkline values={series[key]} height={36} />
+              );
+            })}
+          </div>
+
+          {/* What changed (shown in Present; edits override the generated bullets for this week) */}
+          <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+            <div className="px-4 py-3 flex items-center justify-between gap-2">
+              <div className="font-semibold">
+                {t("narrative.title", { date: fmtDate(latestWeek.endISO) })}
+                {narrativeEdited && <span className="ml-2 text-xs font-normal text-slate-500">{t("narrative.edited")}</span>}
+              </div>
+              {!present && narrativeDraft == null && (
+                <div className="flex items-center gap-2">
+                  {narrativeEdited && <button className="btn" onClick={() => setNarrativeEdit(null)}>{t("narrative.reset")}</button>}
+                  <button className="btn" onClick={() => setNarrativeDraft(narrative.map((b) => `- ${b}`).join("\n"))}>{t("btn.edit")}</button>
+                </div>
+              )}
+            </div>
+            {narrativeDraft != null ? (
+              <div className="px-4 pb-3">
+                <textarea
+                  className="w-full h-32 rounded-xl border p-2 text-sm"
+                  value={narrativeDraft}
+                  onChange={(e) => setNarrativeDraft(e.target.value)}
+                  aria-label={t("narrative.aria")}
+                />
+                <div className="mt-2 flex items-center gap-2">
+                  <button className="btn" onClick={saveNarrative}>{t("btn.save")}</button>
+                  <button className="btn" onClick={() => setNarrativeDraft(null)}>{t("btn.cancel")}</button>
+                  <span className="text-xs text-slate-500">{t("narrative.help")}</span>
                 </div>
               </div>
-            );
-          })}
-        </div>
-
-        {/* Channel Table */}
-        <div className="mt-6 bg-white border rounded-2xl shadow-sm overflow-hidden">
-          <div className="px-4 py-3 flex items-center justify-between">
-            <div className="font-semibold">Channel Mix — {channelMetric}</div>
-            <div className="text-xs text-slate-500">Week ending {latestWeek.endISO}</div>
-          </div>
-          <div className="overflow-x-auto">
-            <table className="min-w-full text-sm">
-              <thead className="bg-slate-50 text-slate-600">
-                <tr>
-                  <th className="text-left px-4 py-2">Channel</th>
-                  <th className="text-right px-4 py-2">This</th>
-                  <th className="text-right px-4 py-2">Last</th>
-                  <th className="text-right px-4 py-2">WoW</th>
-                  <th className="text-right px-4 py-2">Share</th>
-                </tr>
-              </thead>
-              <tbody>
-                {channelRows.map((r) => (
-                  <tr key={r.ch} className="border-t">
-                    <td className="px-4 py-2 capitalize">{r.ch}</td>
-                    <td className="px-4 py-2 text-right tabular-nums">{fmtInteger(r.thisVal)}</td>
-                    <td className="px-4 py-2 text-right tabular-nums text-slate-500">{fmtInteger(r.lastVal)}</td>
-                    <td className="px-4 py-2 text-right tabular-nums">
-                      <DeltaInline delta={r.wow} />
-                    </td>
-                    <td className="px-4 py-2 text-right tabular-nums">{fmtPct(r.share)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+            ) : (
+              <ul className={`px-4 pb-3 list-disc pl-8 space-y-1 ${present ? "text-base" : "text-sm"}`}>
+                {narrative.length ? narrative.map((b, i) => <li key={i}>{b}</li>) : <li className="text-slate-500">{t("narrative.none")}</li>}
+              </ul>
+            )}
           </div>
-        </div>
 
-        {/* History Editor (hidden in Present) */}
-        {!present && (
+          {/* KPI drill-down */}
+          {drill && (
+            <KpiChart
+              meta={drill}
+              endISOs={weeks.map((w) => w.endISO)}
+              values={series[drill.key]}
+              deltas={deltas[drill.key]}
+              anomalies={anomalies[drill.key]}
+              targets={weeks.map((w) => (targets[w.endISO] || {})[`kpi.${drill.key}`])}
+              notes={kpiNotes[drill.key]}
+              onClose={() => setDrillKey(null)}
+            />
+          )}
+
+          {/* Channel Table */}
           <div className="mt-6 bg-white border rounded-2xl shadow-sm overflow-hidden">
             <div className="px-4 py-3 flex items-center justify-between">
-              <div className="font-semibold">History Editor — 8 Weeks</div>
-              <div className="flex items-center gap-2">
-                <button className="btn" onClick={addWeek} title="Roll forward one week">+ Add Next Week (roll)</button>
-              </div>
+              <div className="font-semibold">{t("mix.title", { metric: t(`metric.${channelMetric}`) })}</div>
+              <div className="text-xs text-slate-500">{t("weekEnding", { date: fmtDate(latestWeek.endISO) })}</div>
             </div>
             <div className="overflow-x-auto">
-              <table className="min-w-full text-xs md:text-sm">
+              <table className="min-w-full text-sm">
                 <thead className="bg-slate-50 text-slate-600">
                   <tr>
-                    <th className="px-2 py-2 text-left">End (ISO)</th>
-                    <th className="px-2 py-2 text-right">Revenue</th>
-                    <th className="px-2 py-2 text-right">Deals</th>
-                    <th className="px-2 py-2 text-right">Active/Viewings</th>
-                    <th className="px-2 py-2 text-right">CAC</th>
-                    <th className="px-2 py-2 text-right">Paid</th>
-                    <th className="px-2 py-2 text-right">Organic</th>
-                    <th className="px-2 py-2 text-right">Email</th>
-                    <th className="px-2 py-2 text-right">Referral</th>
+                    {CHANNEL_COLUMNS.map((c, i) => (
+                      <th key={c} className={`${i ? "text-right" : "text-left"} px-4 py-2`}>{t(`col.${c}`)}</th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
-                  {weeks.map((w, i) => (
-                    <tr key={i} className="border-t">
-                      <td className="px-2 py-1">
-                        <input
-                          value={w.endISO}
-                          onChange={(e) => updateWeekField(i, "endISO", e.target.value)}
-                          className="w-32 rounded-md border px-2 py-1"
-                        />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.kpi.revenue} onChange={(v) => updateWeekField(i, "kpi.revenue", v)} />
+                  {channelRows.map((r) => (
+                    <tr key={r.ch} className="border-t">
+                      <td className="px-4 py-2">
+                        {r.label} {r.retired && <span className="text-xs text-slate-400">{t("channel.retired")}</span>}
                       </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.kpi.orders} onChange={(v) => updateWeekField(i, "kpi.orders", v)} />
+                      <td className="px-4 py-2 text-right tabular-nums">{fmtChannelValue(channelMetric, r.thisVal)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums text-slate-500">{fmtChannelValue(channelMetric, r.lastVal)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">
+                        <DeltaInline delta={r.wow} />
                       </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.kpi.active} onChange={(v) => updateWeekField(i, "kpi.active", v)} />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.kpi.cac} onChange={(v) => updateWeekField(i, "kpi.cac", v)} />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.channels.paid} onChange={(v) => updateWeekField(i, "channels.paid", v)} />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.channels.organic} onChange={(v) => updateWeekField(i, "channels.organic", v)} />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.channels.email} onChange={(v) => updateWeekField(i, "channels.email", v)} />
-                      </td>
-                      <td className="px-2 py-1 text-right">
-                        <NumInput value={w.channels.referral} onChange={(v) => updateWeekField(i, "channels.referral", v)} />
+                      <td className="px-4 py-2 text-right tabular-nums">{fmtPct(r.share)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums text-slate-500">{r.target == null ? "—" : fmtChannelValue(channelMetric, r.target)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums whitespace-nowrap">
+                        {r.target != null && <RagDot status={r.rag} />} {fmtVariance(r.variance)}
                       </td>
+                      <td className="px-4 py-2 text-right tabular-nums">{r.revPerOrder == null ? "—" : fmtCurrency(r.revPerOrder)}</td>
+                      <td className="px-4 py-2 text-right tabular-nums">{fmtPct1(r.conversion)}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
+            <ChannelMixChart weeks={weeks} channelDefs={channelDefs} metric={channelMetric} />
           </div>
-        )}
 
-        {/* Footer */}
-        <div className="h-8" />
-      </div>
+          {/* Branch comparison */}
+          {branches.length > 1 && (
+            <BranchComparison
+              ranking={branchRanking}
+              kpis={kpis}
+              sortBy={branchSort}
+              onSort={setBranchSort}
+              selected={isRollup ? ALL_BRANCHES : branch.key}
+              onPick={setBranchKey}
+            />
+          )}
 
-      {/* Toast container */}
-      <div id="toast-root" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50" />
+          {/* History Editor (hidden in Present) */}
+          {!present && isRollup && (
+            <div className="mt-6 p-4 bg-white border rounded-2xl shadow-sm text-sm text-slate-600">
+              <span className="font-semibold text-slate-900">{t("editor.title")}</span> — {t("editor.rollup")}
+            </div>
+          )}
+          {!present && !isRollup && (
+            <div className="mt-6 bg-white border rounded-2xl shadow-sm overflow-hidden">
+              <div className="px-4 py-3 flex items-center justify-between">
+                <div>
+                  <div className="font-semibold">
+                    {t("editor.heading", { n: weeks.length, total: allWeeks.length })}
+                    {branches.length > 1 ? ` · ${branch.label}` : ""}
+                  </div>
+                  <div className="text-xs text-slate-500">{t("editor.help", { metric: t(`metric.${channelMetric}`) })}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button className="btn disabled:opacity-40" disabled={!history.undo.length} onClick={undo} title={t("editor.undo.title")}>{t("editor.undo")}</button>
+                  <button className="btn disabled:opacity-40" disabled={!history.redo.length} onClick={redo} title={t("editor.redo.title")}>{t("editor.redo")}</button>
+                  <button className="btn disabled:opacity-40" disabled={!rect} onClick={() => fillSelection("down")} title={t("editor.fillDown.title")}>{t("editor.fillDown")}</button>
+                  <button className="btn disabled:opacity-40" disabled={!rect} onClick={() => fillSelection("right")} title={t("editor.fillRight.title")}>{t("editor.fillRight")}</button>
+                  <button className="btn disabled:opacity-40" disabled={!multiSel} onClick={clearSelection} title={t("editor.clear.title")}>{t("editor.clear")}</button>
+                  <span className="text-xs text-slate-600">{t("editor.prefill")}</span>
+                  <Switch checked={forecastCfg.prefill} onChange={(v) => setForecastCfg((f) => ({ ...f, prefill: v }))} />
+                  <button
+                    className="btn"
+                    onClick={addWeek}
+                    title={forecastCfg.prefill ? t("editor.addWeek.forecast", { method: t(`forecast.${forecastCfg.method}`).toLowerCase() }) : t("editor.addWeek.copy")}
+                  >
+                    {t("editor.addWeek")}
+                  </button>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table
+                  className="min-w-full text-xs md:text-sm"
+                  onKeyDown={onGridKey}
+                  onPaste={onGridPaste}
+                  onFocus={onGridFocus}
+                  onMouseDown={onGridMouse}
+                  onMouseOver={onGridMouse}
+                >
+                  <thead className="bg-slate-50 text-slate-600">
+                    <tr>
+                      {editorFields.map((f) => (
+                        <th
+                          key={f.path}
+                          className={`px-2 py-2 ${f.path === "endISO" ? "text-left" : "text-right"} ${f.retired ? "text-slate-400" : ""}`}
+                          title={f.retired ? t("editor.retired.title") : undefined}
+                        >
+                          {f.label}
+                          {f.retired && ` ${t("channel.retired")}`}
+                        </th>
+                      ))}
+                      <th className="px-2 py-2 text-left">{t("col.notes")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {weeks.map((w, i) => (
+                      <React.Fragment key={range.start + i}>
+                        <tr className={`border-t ${driftIndex.has(`${w.endISO}|week`) ? "bg-amber-50" : ""}`}>
+                          <td className={`px-2 py-1 ${inRect(rect, range.start + i, 0) ? "bg-sky-100" : ""}`}>
+                            <input
+                              value={w.endISO}
+                              onChange={(e) => updateWeekField(range.start + i, "endISO", e.target.value)}
+                              className={`w-32 rounded-md border px-2 py-1 ${ruleCells.has(`${branch.key}|${range.start + i}|endISO`) ? "border-rose-400 bg-rose-50" : ""}`}
+                              title={ruleCells.has(`${branch.key}|${range.start + i}|endISO`) ? ruleCells.get(`${branch.key}|${range.start + i}|endISO`).name : undefined}
+                              data-cell={`${range.start + i}|endISO`}
+                            />
+                          </td>
+                          {editorFields.slice(1).map((f, j) => {
+                            const changed = driftIndex.get(`${w.endISO}|${f.path}`);
+                            const anom = f.path.startsWith("kpi.") && anomalies[f.path.slice(4)] ? anomalies[f.path.slice(4)][i] : null;
+                            const rule = ruleCells.get(`${branch.key}|${range.start + i}|${f.path}`);
+                            const note = (annotations[w.endISO] || {})[f.path];
+                            const title = [
+                              changed && t("editor.cell.baseline", { value: fmtDriftValue(changed.old, format) }),
+                              anom && t("editor.cell.anomaly", { reason: anom.reason }),
+                              rule && t("editor.cell.rule", { name: rule.name }),
+                              note && t("note.prefix", { text: note }),
+                            ]
+                              .filter(Boolean)
+                              .join("\n");
+                            return (
+                              <td
+                                key={f.path}
+                                className={`relative px-2 py-1 text-right ${inRect(rect, range.start + i, j + 1) ? "bg-sky-100" : changed ? "bg-amber-100" : ""}`}
+                                title={title || undefined}
+                              >
+                                <NumInput
+                                  value={getPath(w, f.path)}
+                                  onChange={(v) => updateWeekField(range.start + i, f.path, v)}
+                                  flagged={Boolean(anom || rule)}
+                                  cell={`${range.start + i}|${f.path}`}
+                                />
+                                {note && <span className="absolute right-2 top-1 h-0 w-0 border-l-[6px] border-t-[6px] border-l-transparent border-t-sky-500" />}
+                              </td>
+                            );
+                          })}
+                          <td className="px-2 py-1">
+                            <button
+                              className={`text-xs underline ${annotations[w.endISO] ? "text-sky-700" : "text-slate-400"}`}
+                              title={Object.values(annotations[w.endISO] || {}).join("\n") || t("editor.note.title")}
+                              onClick={() => setNoteWeek((e) => (e === w.endISO ? null : w.endISO))}
+                            >
+                              {annotations[w.endISO] ? tn("editor.notes", Object.keys(annotations[w.endISO]).length) : t("editor.note.add")}
+                            </button>
+                          </td>
+                        </tr>
+                        {noteWeek === w.endISO && (
+                          <tr className="bg-sky-50">
+                            <td colSpan={editorFields.length + 1} className="px-2 py-2">
+                              <AnnotationRow
+                                endISO={w.endISO}
+                                notes={annotations[w.endISO] || {}}
+                                targets={noteTargets}
+                                onChange={(path, text) => setAnnotation(w.endISO, path, text)}
+                                onClose={() => setNoteWeek(null)}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
 
-      {/* Styles for buttons/badges/switch */}
-      <style>{`
-        .btn { @apply rounded-xl border px-3 py-1.5 text-sm shadow-sm hover:bg-slate-50 active:scale-[0.99]; }
-      `}</style>
-    </div>
+          {/* Snapshots (hidden in Present) */}
+          {!present && (
+            <SnapshotPanel
+              docId={docId}
+              snapshots={snapshots}
+              currentHash={hashHex}
+              defaultName={`WBR ${latestWeek.endISO}`}
+              onSave={saveSnapshot}
+              onRestore={restoreSnapshot}
+              onDuplicate={duplicateSnapshot}
+              onDelete={deleteSnapshot}
+            />
+          )}
+
+          {/* Footer */}
+          <div className="h-8" />
+        </div>
+
+        {/* Toast container */}
+        <div id="toast-root" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50" />
+
+        {/* Styles for buttons/badges/switch */}
+        <style>{`
+          .btn { @apply rounded-xl border px-3 py-1.5 text-sm shadow-sm hover:bg-slate-50 active:scale-[0.99]; }
+        `}</style>
+      </div>
+    </FormatContext.Provider>
   );
 }
 
 // ---------- Components ----------
+// The formatter App renders with (document locale, view currency); components take t() and fmt* from it
+const FormatContext = createContext(formatter());
+
+// Labels: severity.<key>, gate.<key> and rag.<key>
+const SEVERITIES = {
+  error: { dot: "bg-rose-600" },
+  warn: { dot: "bg-amber-600" },
+  info: { dot: "bg-sky-600" },
+};
+const GATE_STATUS = {
+  pass: { box: "bg-emerald-50 border-emerald-200", pill: "bg-emerald-600" },
+  check: { box: "bg-amber-50 border-amber-200", pill: "bg-amber-600" },
+  blocked: { box: "bg-rose-50 border-rose-200", pill: "bg-rose-600" },
+};
+const RAG_CLASSES = { green: "bg-emerald-500", amber: "bg-amber-500", red: "bg-rose-500" };
+
 function Badge({ children, title }) {
   return (
     <span title={title} className="inline-flex items-center gap-1 rounded-full bg-slate-100 text-slate-700 px-2 py-0.5 text-xs border">
@@ -475,8 +1777,10 @@ function Switch({ checked, onChange }) {
   );
 }
 
-function DeltaPill({ delta, invert }) {
-  if (delta == null) return <span className="text-xs text-slate-400">—</span>;
+function DeltaPill({ delta, invert, basis: label }) {
+  const { t, fmtPct } = useContext(FormatContext);
+  const basis = label || t("basis.wow.short");
+  if (delta == null) return <span className="text-xs text-slate-400" title={t("delta.none", { basis })}>— {basis}</span>;
   const up = delta >= 0;
   const good = invert ? !up : up;
   return (
@@ -485,108 +1789,1904 @@ function DeltaPill({ delta, invert }) {
         good ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700"
       }`}
     >
-      {fmtPct(delta)}
+      {fmtPct(delta)} <span className="opacity-70">{basis}</span>
     </span>
   );
 }
 
 function DeltaInline({ delta }) {
+  const { fmtPct } = useContext(FormatContext);
   if (delta == null) return <span className="text-slate-400">—</span>;
   const up = delta >= 0;
   return <span className={`font-medium ${up ? "text-emerald-700" : "text-rose-700"}`}>{fmtPct(delta)}</span>;
 }
 
-function Sparkline({ values, width = 220, height = 40, strokeWidth = 2 }) {
-  const min = Math.min(...values);
-  const max = Math.max(...values);
-  const norm = values.map((v) => (max - min === 0 ? 0.5 : (v - min) / (max - min)));
-  const pts = norm.map((n, i) => {
-    const x = (i / (values.length - 1)) * (width - 8) + 4;
+function RagDot({ status }) {
+  const { t } = useContext(FormatContext);
+  return <span className={`inline-block h-2 w-2 rounded-full ${RAG_CLASSES[status] || "bg-slate-300"}`} title={status ? t(`rag.${status}`) : t("rag.none")} />;
+}
+
+function Sparkline({ values, width = 220, height = 40, strokeWidth = 2, markers = [], notes = [], forecast = [] }) {
+  // Non-finite values (e.g. a derived KPI dividing by zero) are skipped; forecast points extend the x axis
+  const finite = [...values, ...forecast.flatMap((f) => [f.lo, f.hi])].filter(isFiniteNum);
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const span = values.length + forecast.length;
+  const at = (v, i) => {
+    const n = max - min === 0 ? 0.5 : (v - min) / (max - min);
+    const x = (i / Math.max(span - 1, 1)) * (width - 8) + 4;
     const y = height - 4 - n * (height - 8);
-    return `${x},${y}`;
-  });
+    return [x, y];
+  };
+  const xy = values.map((v, i) => (isFiniteNum(v) ? at(v, i) : null));
+  const pts = xy.filter(Boolean).map(([x, y]) => `${x},${y}`);
+  // The forecast starts from the last actual point so the dashed line continues the solid one
+  const anchor = xy[xy.length - 1];
+  const ahead = (pick) => forecast.map((f, i) => at(pick(f), values.length + i));
+  const line = anchor ? [anchor, ...ahead((f) => f.point)] : [];
+  const band = anchor ? [anchor, ...ahead((f) => f.hi), ...ahead((f) => f.lo).reverse()] : [];
   return (
     <svg width={width} height={height} className="overflow-visible">
+      {forecast.length > 0 && anchor && <polygon points={band.map((p) => p.join(",")).join(" ")} className="fill-sky-100" />}
       <polyline points={pts.join(" ")} fill="none" strokeWidth={strokeWidth} stroke="currentColor" className="text-slate-700" />
+      {forecast.length > 0 && anchor && (
+        <polyline
+          points={line.map((p) => p.join(",")).join(" ")}
+          fill="none"
+          strokeWidth={strokeWidth}
+          strokeDasharray="4 3"
+          stroke="currentColor"
+          className="text-sky-600"
+        />
+      )}
+      {xy.map((p, i) => p && notes[i] && <path key={`n${i}`} d={`M${p[0] - 3},${height} h6 l-3,-5 z`} className="fill-sky-500" />)}
+      {xy.map((p, i) => p && markers[i] && <circle key={i} cx={p[0]} cy={p[1]} r={3} className="fill-rose-500" />)}
     </svg>
   );
 }
 
-function NumInput({ value, onChange }) {
+// Drill-down and channel mix charts share one frame: y ticks on the left, endISO ticks along the bottom
+const CHART = { width: 720, height: 240, left: 72, right: 16, top: 12, bottom: 28 };
+const CHART_X_TICKS = 8; // at most this many endISO labels
+const MIX_FILLS = ["fill-sky-400", "fill-emerald-400", "fill-amber-400", "fill-violet-400", "fill-rose-400", "fill-teal-400", "fill-slate-400"];
+
+function chartFrame(n, min, max) {
+  const plotW = CHART.width - CHART.left - CHART.right;
+  const plotH = CHART.height - CHART.top - CHART.bottom;
+  return {
+    x: (i) => CHART.left + (n > 1 ? (i / (n - 1)) * plotW : plotW / 2),
+    y: (v) => CHART.top + plotH - (max - min === 0 ? 0.5 : (v - min) / (max - min)) * plotH,
+    step: n > 1 ? plotW / (n - 1) : plotW,
+    yTicks: [0, 1, 2, 3, 4].map((t) => min + ((max - min) * t) / 4),
+    xTicks: Array.from({ length: n }, (_, i) => i).filter((i) => i % Math.ceil(n / CHART_X_TICKS) === 0 || i === n - 1),
+  };
+}
+
+function ChartAxes({ frame, endISOs, fmt }) {
+  const { fmtDate } = useContext(FormatContext);
+  const bottom = CHART.height - CHART.bottom;
+  return (
+    <g className="text-slate-400">
+      {frame.yTicks.map((tick, i) => (
+        <g key={i}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={frame.y(tick)} y2={frame.y(tick)} stroke="currentColor" strokeOpacity={0.25} />
+          <text x={CHART.left - 6} y={frame.y(tick) + 4} textAnchor="end" fontSize={11} fill="currentColor">
+            {fmt(tick)}
+          </text>
+        </g>
+      ))}
+      <line x1={CHART.left} x2={CHART.left} y1={CHART.top} y2={bottom} stroke="currentColor" />
+      {frame.xTicks.map((i) => (
+        <text key={i} x={frame.x(i)} y={bottom + 16} textAnchor="middle" fontSize={11} fill="currentColor">
+          {fmtDate(endISOs[i])}
+        </text>
+      ))}
+    </g>
+  );
+}
+
+// One transparent column per week sets the hovered index
+function HoverColumns({ frame, n, onHover }) {
+  return Array.from({ length: n }, (_, i) => (
+    <rect
+      key={i}
+      x={frame.x(i) - frame.step / 2}
+      y={CHART.top}
+      width={frame.step}
+      height={CHART.height - CHART.top - CHART.bottom}
+      fill="transparent"
+      onMouseEnter={() => onHover(i)}
+    />
+  ));
+}
+
+function ChartTooltip({ frame, index, children }) {
+  const left = (frame.x(index) / CHART.width) * 100;
+  return (
+    <div
+      className="pointer-events-none absolute top-2 rounded-lg border bg-white px-2 py-1 text-xs shadow-sm"
+      style={left > 60 ? { right: `${100 - left}%` } : { left: `${left}%` }}
+    >
+      {children}
+    </div>
+  );
+}
+
+function KpiChart({ meta, endISOs, values, deltas, anomalies, targets, notes = [], onClose }) {
+  const { t, fmtDate, fmtKpi } = useContext(FormatContext);
+  const [hover, setHover] = useState(null);
+  const hasTarget = targets.some(isFiniteNum);
+  const [showTarget, setShowTarget] = useState(true);
+  const finite = [...values, ...(showTarget ? targets : [])].filter(isFiniteNum);
+  const frame = chartFrame(values.length, Math.min(0, ...finite), Math.max(...finite, 0));
+  const line = (vs) =>
+    vs
+      .map((v, i) => (isFiniteNum(v) ? `${frame.x(i)},${frame.y(v)}` : null))
+      .filter(Boolean)
+      .join(" ");
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">
+            {meta.label} <span className="text-slate-400 font-normal">{meta.sub}</span>
+          </div>
+          <div className="text-xs text-slate-500">
+            {t("chart.range", { from: fmtDate(endISOs[0]), to: fmtDate(endISOs[endISOs.length - 1]) })}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {hasTarget && (
+            <>
+              <span className="text-xs text-slate-600">{t("chart.targetLine")}</span>
+              <Switch checked={showTarget} onChange={setShowTarget} />
+            </>
+          )}
+          {onClose && <button className="btn" onClick={onClose}>{t("btn.close")}</button>}
+        </div>
+      </div>
+      <div className="relative px-4 pb-4" onMouseLeave={() => setHover(null)}>
+        <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto">
+          <ChartAxes frame={frame} endISOs={endISOs} fmt={(v) => fmtKpi(meta, v)} />
+          {hasTarget && showTarget && (
+            <polyline points={line(targets)} fill="none" strokeWidth={1.5} strokeDasharray="6 4" stroke="currentColor" className="text-amber-500" />
+          )}
+          <polyline points={line(values)} fill="none" strokeWidth={2} stroke="currentColor" className="text-slate-700" />
+          {values.map((v, i) =>
+            isFiniteNum(v) ? (
+              <circle key={i} cx={frame.x(i)} cy={frame.y(v)} r={anomalies[i] ? 5 : hover === i ? 4 : 2.5} className={anomalies[i] ? "fill-rose-500" : "fill-slate-700"} />
+            ) : null
+          )}
+          {notes.map((n, i) => n && n.length > 0 && <path key={i} d={`M${frame.x(i) - 5},${CHART.top} h10 l-5,7 z`} className="fill-sky-500" />)}
+          {hover != null && (
+            <line x1={frame.x(hover)} x2={frame.x(hover)} y1={CHART.top} y2={CHART.height - CHART.bottom} stroke="currentColor" className="text-slate-300" />
+          )}
+          <HoverColumns frame={frame} n={values.length} onHover={setHover} />
+        </svg>
+        {hover != null && (
+          <ChartTooltip frame={frame} index={hover}>
+            <div className="font-semibold">{fmtDate(endISOs[hover])}</div>
+            <div className="tabular-nums">
+              {fmtKpi(meta, values[hover])} · {t("basis.wow.short")} <DeltaInline delta={deltas[hover]} />
+            </div>
+            {isFiniteNum(targets[hover]) && <div className="text-slate-500">{t("card.target", { value: fmtKpi(meta, targets[hover]) })}</div>}
+            {anomalies[hover] && <div className="text-rose-700">{anomalies[hover].reason}</div>}
+            {(notes[hover] || []).map((n, j) => (
+              <div key={j} className="text-sky-700">{t("note.prefix", { text: n })}</div>
+            ))}
+          </ChartTooltip>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Stacked area of the channel metric per week; "share" normalises each week to 100%
+function ChannelMixChart({ weeks, channelDefs, metric }) {
+  const { t, fmtDate, fmtChannelValue, fmtPct } = useContext(FormatContext);
+  const [mode, setMode] = useState("stack");
+  const [hover, setHover] = useState(null);
+  // Retired channels only take a layer while they still have values in the window
+  const layers = channelDefs.filter((c) => !c.retired || weeks.some((w) => w.channels[metric][c.key]));
+  const totals = weeks.map((w) => sumChannels(w.channels[metric], layers.map((c) => c.key)));
+  const val = (w, c, i) => {
+    const v = isFiniteNum(w.channels[metric][c.key]) ? w.channels[metric][c.key] : 0;
+    return mode === "share" ? (totals[i] ? v / totals[i] : 0) : v;
+  };
+  const frame = chartFrame(weeks.length, 0, mode === "share" ? 1 : Math.max(...totals, 0));
+  // Cumulative tops per layer, bottom layer first
+  const tops = [];
+  layers.forEach((c, l) => tops.push(weeks.map((w, i) => (l ? tops[l - 1][i] : 0) + val(w, c, i))));
+  const area = (l) => {
+    const upper = tops[l].map((v, i) => `${frame.x(i)},${frame.y(v)}`);
+    const lower = weeks.map((_, i) => `${frame.x(i)},${frame.y(l ? tops[l - 1][i] : 0)}`).reverse();
+    return [...upper, ...lower].join(" ");
+  };
+  const fmt = (v) => (mode === "share" ? fmtPct(v) : fmtChannelValue(metric, v));
+  return (
+    <div className="border-t">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div className="text-sm font-semibold">{t("mixChart.title")}</div>
+        <div className="flex items-center gap-2">
+          {[
+            ["stack", t("mixChart.stacked")],
+            ["share", "100%"],
+          ].map(([m, label]) => (
+            <button key={m} className={`btn ${mode === m ? "ring-2 ring-slate-400" : ""}`} aria-pressed={mode === m} onClick={() => setMode(m)}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="relative px-4" onMouseLeave={() => setHover(null)}>
+        <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto">
+          <ChartAxes frame={frame} endISOs={weeks.map((w) => w.endISO)} fmt={fmt} />
+          {layers.map((c, l) => (
+            <polygon key={c.key} points={area(l)} className={`${MIX_FILLS[l % MIX_FILLS.length]} opacity-80`} />
+          ))}
+          {hover != null && (
+            <line x1={frame.x(hover)} x2={frame.x(hover)} y1={CHART.top} y2={CHART.height - CHART.bottom} stroke="currentColor" className="text-slate-700" />
+          )}
+          <HoverColumns frame={frame} n={weeks.length} onHover={setHover} />
+        </svg>
+        {hover != null && (
+          <ChartTooltip frame={frame} index={hover}>
+            <div className="font-semibold">{fmtDate(weeks[hover].endISO)}</div>
+            {layers
+              .slice()
+              .reverse()
+              .map((c) => (
+                <div key={c.key} className="tabular-nums">
+                  {c.label}: {fmtChannelValue(metric, weeks[hover].channels[metric][c.key])}
+                  {totals[hover] && isFiniteNum(weeks[hover].channels[metric][c.key]) ? ` (${fmtPct(weeks[hover].channels[metric][c.key] / totals[hover])})` : ""}
+                </div>
+              ))}
+            <div className="text-slate-500 tabular-nums">{t("mixChart.total", { value: fmtChannelValue(metric, totals[hover]) })}</div>
+          </ChartTooltip>
+        )}
+      </div>
+      <div className="px-4 pb-3 flex flex-wrap gap-3 text-xs text-slate-600">
+        {layers.map((c, l) => (
+          <span key={c.key} className="inline-flex items-center gap-1">
+            <svg width={10} height={10}>
+              <rect width={10} height={10} rx={2} className={MIX_FILLS[l % MIX_FILLS.length]} />
+            </svg>
+            {c.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Fullscreen deck over the page. Keys: →/PageDown/Space next, ←/PageUp back, Home/End, Esc (or leaving fullscreen) closes.
+// Speaker notes open in a second window that this component writes into, so it follows the deck and its timer.
+function SlideDeck({ report, targets, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, fmtDate, fmtKpi, fmtChannelValue, fmtPct } = format;
+  const slides = deckSlides(report);
+  const [index, setIndex] = useState(0);
+  const [elapsed, setElapsed] = useState(0); // seconds
+  const [running, setRunning] = useState(true);
+  const [notesOpen, setNotesOpen] = useState(false);
+  const root = useRef(null);
+  const notesWin = useRef(null);
+  const at = Math.min(index, slides.length - 1);
+  const slide = slides[at];
+  const go = (i) => setIndex(Math.max(0, Math.min(slides.length - 1, i)));
+
+  // Listeners are attached once (here and in the notes window) and call through this ref
+  const onKey = useRef(null);
+  onKey.current = (e) => {
+    const step = { ArrowRight: 1, PageDown: 1, " ": 1, ArrowLeft: -1, PageUp: -1 }[e.key];
+    if (step) go(at + step);
+    else if (e.key === "Home") go(0);
+    else if (e.key === "End") go(slides.length - 1);
+    else if (e.key === "Escape") onClose();
+    else return;
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const handler = (e) => onKey.current(e);
+    window.addEventListener("keydown", handler);
+    const el = root.current;
+    let entered = false;
+    const onFullscreen = () => {
+      if (document.fullscreenElement === el) entered = true;
+      else if (entered) onClose();
+    };
+    document.addEventListener("fullscreenchange", onFullscreen);
+    if (el.requestFullscreen) el.requestFullscreen().catch(() => {});
+    return () => {
+      window.removeEventListener("keydown", handler);
+      document.removeEventListener("fullscreenchange", onFullscreen);
+      if (document.fullscreenElement === el) document.exitFullscreen().catch(() => {});
+      if (notesWin.current && !notesWin.current.closed) notesWin.current.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => setElapsed((s) => s + 1), 1000);
+    return () => clearInterval(id);
+  }, [running]);
+
+  const openNotes = () => {
+    const w = window.open("", "wbr-speaker-notes", "width=640,height=720");
+    if (!w) return toast(t("deck.popupBlocked"));
+    w.document.open();
+    w.document.write(notesShell(format));
+    w.document.close();
+    w.addEventListener("keydown", (e) => onKey.current(e));
+    w.addEventListener("click", (e) => {
+      const nav = e.target.closest && e.target.closest("[data-nav]");
+      if (nav) onKey.current({ key: nav.dataset.nav, preventDefault() {} });
+    });
+    notesWin.current = w;
+    setNotesOpen(true);
+  };
+
+  useEffect(() => {
+    const w = notesWin.current;
+    if (!notesOpen || !w || w.closed) return;
+    w.document.getElementById("notes").innerHTML = notesHTML(slides, at, format);
+  }, [notesOpen, at, report]);
+
+  useEffect(() => {
+    const w = notesWin.current;
+    if (!notesOpen || !w || w.closed) return;
+    w.document.getElementById("timer").textContent = `${fmtClock(elapsed)}${running ? "" : ` ${t("deck.paused")}`}`;
+  }, [notesOpen, elapsed, running]);
+
+  const { weeks, kpis, series, deltas, anomalies, plan } = report;
+  const endISOs = weeks.map((w) => w.endISO);
+  const last = (arr) => arr[arr.length - 1];
+  return (
+    <div ref={root} className="fixed inset-0 z-50 bg-white flex flex-col">
+      <div className="px-6 py-3 flex items-center justify-between gap-4 border-b text-sm">
+        <div className="text-slate-500">
+          {report.viewLabel} · {t("weekEnding", { date: fmtDate(last(endISOs)) })}
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="tabular-nums font-semibold" aria-label={t("deck.timer")}>{fmtClock(elapsed)}</span>
+          <button className="btn" onClick={() => setRunning((r) => !r)}>{running ? t("deck.pause") : t("deck.resume")}</button>
+          <button className="btn" onClick={() => setElapsed(0)}>{t("deck.reset")}</button>
+          <button className="btn" onClick={openNotes}>{t("deck.speakerNotes")}</button>
+          <button className="btn" onClick={onClose}>{t("deck.exit")}</button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto px-10 py-6">
+        <h2 className="text-3xl font-bold tracking-tight">{slide.title}</h2>
+        {slide.kind === "overview" && (
+          <>
+            <div className="mt-6 grid grid-cols-2 lg:grid-cols-4 gap-4">
+              {kpis.map((meta) => (
+                <div key={meta.key} className="p-4 rounded-2xl border">
+                  <div className="text-slate-500">{meta.label}</div>
+                  <div className="mt-1 text-4xl font-bold tabular-nums">{fmtKpi(meta, last(series[meta.key]))}</div>
+                  <div className="mt-2 flex items-center gap-2">
+                    <DeltaPill delta={last(deltas[meta.key])} invert={meta.polarity === "down"} />
+                    {plan.kpis[meta.key].target != null && <RagDot status={plan.kpis[meta.key].rag} />}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <ul className="mt-8 list-disc pl-6 space-y-2 text-xl">
+              {report.narrative.map((b, i) => (
+                <li key={i}>{b}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        {slide.kind === "kpi" && (
+          <KpiChart
+            meta={slide.meta}
+            endISOs={endISOs}
+            values={series[slide.meta.key]}
+            deltas={deltas[slide.meta.key]}
+            anomalies={anomalies[slide.meta.key]}
+            targets={endISOs.map((e) => (targets[e] || {})[`kpi.${slide.meta.key}`])}
+            notes={report.kpiNotes[slide.meta.key]}
+          />
+        )}
+        {slide.kind === "channels" && (
+          <div className="mt-4 grid lg:grid-cols-3 gap-6">
+            <table className="text-lg self-start">
+              <tbody>
+                {report.channelRows.map((r) => (
+                  <tr key={r.ch} className="border-b">
+                    <td className="py-2 pr-6">{r.label}</td>
+                    <td className="py-2 pr-6 text-right tabular-nums">{fmtChannelValue(report.channelMetric, r.thisVal)}</td>
+                    <td className="py-2 pr-6 text-right tabular-nums">{fmtPct(r.share)}</td>
+                    <td className="py-2 text-right">
+                      <DeltaInline delta={r.wow} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="lg:col-span-2 border rounded-2xl overflow-hidden">
+              <ChannelMixChart weeks={weeks} channelDefs={report.channelDefs} metric={report.channelMetric} />
+            </div>
+          </div>
+        )}
+        {slide.kind === "actions" && (
+          <div className="mt-6 grid lg:grid-cols-2 gap-8 text-lg">
+            <div>
+              <div className="font-semibold">{t("deck.anomalies")}</div>
+              <ul className="mt-2 space-y-1">
+                {report.anomalyList.length ? (
+                  report.anomalyList.map((a, i) => (
+                    <li key={i}>
+                      <span className="tabular-nums text-slate-500">{fmtDate(a.endISO)}</span> {a.label} — {a.reason}
+                    </li>
+                  ))
+                ) : (
+                  <li className="text-slate-500">{t("md.noAnomalies")}</li>
+                )}
+              </ul>
+            </div>
+            <div>
+              <div className="font-semibold">{t("deck.actions")}</div>
+              <ul className="mt-2 list-disc pl-6 space-y-1">
+                {slide.actions.length ? slide.actions.map((a, i) => <li key={i}>{a}</li>) : <li className="text-slate-500">{t("deck.nothing")}</li>}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
+      <div className="px-6 py-3 flex items-center justify-between border-t text-sm">
+        <button className="btn disabled:opacity-40" disabled={at === 0} onClick={() => go(at - 1)}>{t("deck.prev")}</button>
+        <div className="flex items-center gap-1">
+          {slides.map((sl, i) => (
+            <button key={i} title={sl.title} aria-label={t("deck.slide", { n: i + 1, title: sl.title })} onClick={() => go(i)} className={`h-2 w-2 rounded-full ${i === at ? "bg-slate-900" : "bg-slate-300"}`} />
+          ))}
+          <span className="ml-2 text-slate-500 tabular-nums">
+            {at + 1} / {slides.length}
+          </span>
+        </div>
+        <button className="btn disabled:opacity-40" disabled={at === slides.length - 1} onClick={() => go(at + 1)}>{t("deck.nextButton")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Notes of one week in the History Editor: the week itself plus any KPI or channel cell
+function AnnotationRow({ endISO, notes, targets, onChange, onClose }) {
+  const { t, fmtDate } = useContext(FormatContext);
+  const [path, setPath] = useState(ANNOTATION_WEEK);
+  const [text, setText] = useState("");
+  const label = (p) => (targets.find((f) => f.path === p) || { label: p }).label;
+  const add = () => {
+    onChange(path, notes[path] ? `${notes[path]}; ${text.trim()}` : text.trim());
+    setText("");
+  };
+  return (
+    <div className="text-xs">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">{t("notes.title", { date: fmtDate(endISO) })}</span>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <ul className="mt-2 space-y-1">
+        {Object.entries(notes).map(([p, n]) => (
+          <li key={p} className="flex items-center gap-2">
+            <span className="w-40 shrink-0 text-slate-600">{label(p)}</span>
+            <input className="flex-1 rounded-md border px-2 py-1" value={n} onChange={(e) => onChange(p, e.target.value)} aria-label={t("notes.on", { label: label(p) })} />
+            <button className="underline text-slate-600" onClick={() => onChange(p, "")}>{t("btn.remove")}</button>
+          </li>
+        ))}
+      </ul>
+      <div className="mt-2 flex items-center gap-2">
+        <select className="rounded-md border px-2 py-1" value={path} onChange={(e) => setPath(e.target.value)} aria-label={t("notes.target")}>
+          {targets.map((f) => (
+            <option key={f.path} value={f.path}>{f.label}</option>
+          ))}
+        </select>
+        <input
+          className="flex-1 rounded-md border px-2 py-1"
+          placeholder={t("notes.placeholder")}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && text.trim() && add()}
+          aria-label={t("notes.new")}
+        />
+        <button className="btn disabled:opacity-40" disabled={!text.trim()} onClick={add}>{t("notes.add")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Typed text is parsed per locale on every keystroke; blank is a missing value (null). Text that does not parse
+// stays in the cell, marked, and is not applied; Esc puts the stored value back.
+function NumInput({ value, onChange, flagged = false, cell }) {
+  const { t, parseNumber } = useContext(FormatContext);
+  const [draft, setDraft] = useState(null); // text being typed; null shows value
+  const error = draft == null ? null : parseNumber(draft).error;
+
+  useEffect(() => {
+    // Paste, fill and undo replace the value under a finished draft
+    if (draft != null && !error && parseNumber(draft).value !== value) setDraft(null);
+  }, [value]);
+
+  const missing = draft == null && value == null;
   return (
     <input
-      value={value}
-      onChange={(e) => onChange(toNum(e.target.value))}
-      className="w-24 rounded-md border px-2 py-1 text-right tabular-nums"
+      value={draft != null ? draft : missing ? "" : value}
+      data-cell={cell}
+      onChange={(e) => {
+        const parsed = parseNumber(e.target.value);
+        setDraft(e.target.value);
+        if (!parsed.error) onChange(parsed.value);
+      }}
+      onBlur={() => !error && setDraft(null)}
+      onKeyDown={(e) => e.key === "Escape" && setDraft(null)}
+      placeholder="—"
+      title={error || (missing ? t("input.missing") : undefined)}
+      aria-invalid={Boolean(error)}
+      className={`w-24 rounded-md border px-2 py-1 text-right tabular-nums ${
+        error ? "border-rose-600 bg-rose-100 ring-1 ring-rose-500" : flagged ? "border-rose-400 bg-rose-50" : missing ? "bg-slate-100" : ""
+      }`}
       inputMode="decimal"
     />
   );
 }
 
-// ---------- Tests ----------
-function runTests(weeks, channelMetric, deltas) {
-  const tests = [];
-  // Test 1: All week.kpi finite
-  const allFinite = weeks.every((w) => isFiniteNum(w.kpi.revenue) && isFiniteNum(w.kpi.orders) && isFiniteNum(w.kpi.active) && isFiniteNum(w.kpi.cac));
-  tests.push({ name: "KPI finiteness", pass: allFinite, message: allFinite ? "All KPI values are finite across 8 weeks." : "Found non-finite KPI values." });
+function KpiRegistryPanel({ kpis, channelKeys, alertThreshold, errors, onAdd, onUpdate, onMove, onRemove, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const storedKeys = kpis.filter((k) => !k.formula).map((k) => k.key);
+  const blank = { key: "", label: "", sub: "", format: "integer", polarity: "up", formula: "" };
+  const [draft, setDraft] = useState(blank);
+  const draftMeta = { ...draft, key: draft.key.trim(), label: draft.label.trim() || draft.key.trim(), formula: draft.formula.trim() || undefined };
+  const draftErrors = draft.key.trim() ? validateKpis([...kpis, draftMeta], channelKeys, format).filter((e) => !errors.includes(e)) : [];
+  const add = () => {
+    if (!draftMeta.key || draftErrors.length) return;
+    onAdd(draftMeta);
+    setDraft(blank);
+  };
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("panel.kpis")}</div>
+          <div className="text-xs text-slate-500">{t("kpis.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      {errors.length > 0 && (
+        <ul className="px-4 pb-2 text-sm text-rose-700 list-disc pl-8">
+          {errors.map((e, i) => (
+            <li key={i}>{e}</li>
+          ))}
+        </ul>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-left px-3 py-2">{t("col.key")}</th>
+              <th className="text-left px-3 py-2">{t("col.label")}</th>
+              <th className="text-left px-3 py-2">{t("col.subLabel")}</th>
+              <th className="text-left px-3 py-2">{t("col.format")}</th>
+              <th className="text-left px-3 py-2">{t("col.polarity")}</th>
+              <th className="text-left px-3 py-2">{t("col.formula")}</th>
+              <th className="text-left px-3 py-2">{t("col.detector")}</th>
+              <th className="text-left px-3 py-2" title={t("col.rollup.title")}>{t("col.rollup")}</th>
+              <th className="text-right px-3 py-2">{t("col.actions")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {kpis.map((k, i) => (
+              <tr key={k.key} className="border-t">
+                <td className="px-3 py-1 font-mono text-xs">{k.key}</td>
+                <td className="px-3 py-1">
+                  <input className={`${cell} w-32`} value={k.label} onChange={(e) => onUpdate(k.key, { label: e.target.value })} />
+                </td>
+                <td className="px-3 py-1">
+                  <input className={`${cell} w-36`} value={k.sub} onChange={(e) => onUpdate(k.key, { sub: e.target.value })} />
+                </td>
+                <td className="px-3 py-1">
+                  <select className={cell} value={k.format} onChange={(e) => onUpdate(k.key, { format: e.target.value })}>
+                    {Object.keys(KPI_FORMATS).map((f) => (
+                      <option key={f} value={f}>{t(`kpis.format.${f}`)}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-3 py-1">
+                  <select className={cell} value={k.polarity} onChange={(e) => onUpdate(k.key, { polarity: e.target.value })}>
+                    <option value="up">{t("kpis.polarity.up")}</option>
+                    <option value="down">{t("kpis.polarity.down")}</option>
+                  </select>
+                </td>
+                <td className="px-3 py-1">
+                  {k.formula ? (
+                    <input className={`${cell} w-44 font-mono`} value={k.formula} onChange={(e) => onUpdate(k.key, { formula: e.target.value })} />
+                  ) : (
+                    <span className="text-xs text-slate-400">{t("kpis.stored")}</span>
+                  )}
+                </td>
+                <td className="px-3 py-1 whitespace-nowrap">
+                  <select
+                    className={cell}
+                    value={k.detector ? k.detector.method : ""}
+                    onChange={(e) => {
+                      const method = e.target.value;
+                      onUpdate(k.key, { detector: method ? { method, sensitivity: DETECTORS[method].sensitivity } : undefined });
+                    }}
+                  >
+                    <option value="">{t("kpis.globalDetector")}</option>
+                    {Object.keys(DETECTORS).map((m) => (
+                      <option key={m} value={m}>{t(`detector.${m}`)}</option>
+                    ))}
+                  </select>{" "}
+                  <input
+                    type="number"
+                    className={`${cell} w-20 tabular-nums disabled:text-slate-400`}
+                    step={k.detector ? DETECTORS[k.detector.method].step : 0.01}
+                    min={0}
+                    disabled={!k.detector}
+                    value={k.detector ? k.detector.sensitivity : alertThreshold}
+                    title={t(k.detector ? `detector.${k.detector.method}.hint` : "kpis.globalDetector.title")}
+                    onChange={(e) => onUpdate(k.key, { detector: { ...k.detector, sensitivity: parseFloat(e.target.value) } })}
+                  />
+                </td>
+                <td className="px-3 py-1">
+                  {k.formula ? (
+                    <span className="text-xs text-slate-400">{t("kpis.recomputed")}</span>
+                  ) : (
+                    <select
+                      className={cell}
+                      value={k.rollup === "weighted" ? `weighted:${k.weight}` : kpiRollup(k)}
+                      onChange={(e) => {
+                        const v = e.target.value;
+                        onUpdate(k.key, v.startsWith("weighted:") ? { rollup: "weighted", weight: v.slice(9) } : { rollup: v, weight: undefined });
+                      }}
+                    >
+                      <option value="sum">{t("kpis.rollup.sum")}</option>
+                      <option value="mean">{t("kpis.rollup.mean")}</option>
+                      {storedKeys
+                        .filter((w) => w !== k.key)
+                        .map((w) => (
+                          <option key={w} value={`weighted:${w}`}>{t("kpis.rollup.weighted", { key: w })}</option>
+                        ))}
+                    </select>
+                  )}
+                </td>
+                <td className="px-3 py-1 text-right whitespace-nowrap space-x-1">
+                  <button className="btn" disabled={i === 0} onClick={() => onMove(k.key, -1)} title={t("kpis.moveUp")}>↑</button>
+                  <button className="btn" disabled={i === kpis.length - 1} onClick={() => onMove(k.key, 1)} title={t("kpis.moveDown")}>↓</button>
+                  <button className="btn" onClick={() => onRemove(k)}>{t("btn.remove")}</button>
+                </td>
+              </tr>
+            ))}
+            <tr className="border-t bg-slate-50/50">
+              <td className="px-3 py-1">
+                <input className={`${cell} w-28 font-mono`} placeholder="conversion" value={draft.key} onChange={(e) => setDraft({ ...draft, key: e.target.value })} />
+              </td>
+              <td className="px-3 py-1">
+                <input className={`${cell} w-32`} placeholder={t("kpis.labelPlaceholder")} value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+              </td>
+              <td className="px-3 py-1">
+                <input className={`${cell} w-36`} placeholder={t("kpis.subPlaceholder")} value={draft.sub} onChange={(e) => setDraft({ ...draft, sub: e.target.value })} />
+              </td>
+              <td className="px-3 py-1">
+                <select className={cell} value={draft.format} onChange={(e) => setDraft({ ...draft, format: e.target.value })}>
+                  {Object.keys(KPI_FORMATS).map((f) => (
+                    <option key={f} value={f}>{t(`kpis.format.${f}`)}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="px-3 py-1">
+                <select className={cell} value={draft.polarity} onChange={(e) => setDraft({ ...draft, polarity: e.target.value })}>
+                  <option value="up">{t("kpis.polarity.up")}</option>
+                  <option value="down">{t("kpis.polarity.down")}</option>
+                </select>
+              </td>
+              <td className="px-3 py-1">
+                <input
+                  className={`${cell} w-44 font-mono`}
+                  placeholder={t("kpis.formulaPlaceholder")}
+                  value={draft.formula}
+                  onChange={(e) => setDraft({ ...draft, formula: e.target.value })}
+                />
+              </td>
+              <td className="px-3 py-1 text-xs text-slate-500">{t("kpis.globalDetector")}</td>
+              <td className="px-3 py-1 text-xs text-slate-500">{t("kpis.rollup.default")}</td>
+              <td className="px-3 py-1 text-right">
+                <button className="btn disabled:opacity-40" disabled={!draftMeta.key || draftErrors.length > 0} onClick={add}>{t("kpis.add")}</button>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {draftErrors.length > 0 && <div className="px-4 py-2 text-xs text-rose-700">{draftErrors.join("; ")}</div>}
+    </div>
+  );
+}
 
-  // Test 2: channelMetric provided
-  const metricProvided = Boolean(channelMetric);
-  tests.push({ name: "Channel metric set", pass: metricProvided, message: metricProvided ? `metric=${channelMetric}` : "channelMetric missing" });
+function ChannelRegistryPanel({ channelDefs, kpiKeys, onAdd, onUpdate, onMerge, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const [draft, setDraft] = useState({ key: "", label: "" });
+  const [mergeTargets, setMergeTargets] = useState({});
+  const draftDef = { key: draft.key.trim(), label: draft.label.trim() || draft.key.trim() };
+  const draftErrors = draftDef.key ? validateChannels([...channelDefs, draftDef], kpiKeys, format) : [];
+  const add = () => {
+    if (!draftDef.key || draftErrors.length) return;
+    onAdd(draftDef);
+    setDraft({ key: "", label: "" });
+  };
+  const activeCount = channelDefs.filter((c) => !c.retired).length;
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("panel.channels")}</div>
+          <div className="text-xs text-slate-500">{t("channels.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead className="bg-slate-50 text-slate-600">
+          <tr>
+            <th className="text-left px-3 py-2">{t("col.key")}</th>
+            <th className="text-left px-3 py-2">{t("col.label")}</th>
+            <th className="text-left px-3 py-2">{t("col.status")}</th>
+            <th className="text-right px-3 py-2">{t("col.actions")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {channelDefs.map((c) => {
+            const others = channelDefs.filter((o) => o.key !== c.key);
+            const target = mergeTargets[c.key] || (others[0] && others[0].key) || "";
+            return (
+              <tr key={c.key} className="border-t">
+                <td className="px-3 py-1 font-mono text-xs">{c.key}</td>
+                <td className="px-3 py-1">
+                  <input className={`${cell} w-44`} value={c.label} onChange={(e) => onUpdate(c.key, { label: e.target.value })} />
+                </td>
+                <td className="px-3 py-1">{c.retired ? <span className="text-slate-400">{t("channels.retired")}</span> : t("channels.active")}</td>
+                <td className="px-3 py-1 text-right whitespace-nowrap space-x-1">
+                  <button
+                    className="btn disabled:opacity-40"
+                    disabled={!c.retired && activeCount === 1}
+                    onClick={() => onUpdate(c.key, { retired: !c.retired || undefined })}
+                  >
+                    {t(c.retired ? "channels.reinstate" : "channels.retire")}
+                  </button>
+                  <select className={cell} value={target} onChange={(e) => setMergeTargets({ ...mergeTargets, [c.key]: e.target.value })}>
+                    {others.map((o) => (
+                      <option key={o.key} value={o.key}>{o.label}</option>
+                    ))}
+                  </select>
+                  <button className="btn disabled:opacity-40" disabled={!target} onClick={() => onMerge(c.key, target)}>{t("channels.mergeInto")}</button>
+                </td>
+              </tr>
+            );
+          })}
+          <tr className="border-t bg-slate-50/50">
+            <td className="px-3 py-1">
+              <input className={`${cell} w-32 font-mono`} placeholder="rightmove" value={draft.key} onChange={(e) => setDraft({ ...draft, key: e.target.value })} />
+            </td>
+            <td className="px-3 py-1">
+              <input className={`${cell} w-44`} placeholder="Rightmove" value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+            </td>
+            <td className="px-3 py-1 text-xs text-slate-500">{t("channels.newHistory")}</td>
+            <td className="px-3 py-1 text-right">
+              <button className="btn disabled:opacity-40" disabled={!draftDef.key || draftErrors.length > 0} onClick={add}>{t("channels.add")}</button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      {draftErrors.length > 0 && <div className="px-4 py-2 text-xs text-rose-700">{draftErrors.join("; ")}</div>}
+    </div>
+  );
+}
 
-  // Test 3: channel values finite; sum(channels) > 0 for each week
-  const channelsOk = weeks.every((w) => {
-    const vals = Object.values(w.channels);
-    return vals.every(isFiniteNum) && vals.reduce((a, b) => a + b, 0) > 0;
-  });
-  tests.push({ name: "Channel data", pass: channelsOk, message: channelsOk ? "All channel rows valid." : "Channel values must be finite and sum > 0." });
+function BranchPanel({ branches, currency, onAdd, onRename, onCurrency, onRemove, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const [draft, setDraft] = useState({ key: "", label: "" });
+  const draftDef = { key: draft.key.trim(), label: draft.label.trim() || draft.key.trim() };
+  const draftErrors = draftDef.key ? validateBranchDefs([...branches, draftDef], format) : [];
+  const add = () => {
+    if (!draftDef.key || draftErrors.length) return;
+    onAdd(draftDef);
+    setDraft({ key: "", label: "" });
+  };
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("branches.title")}</div>
+          <div className="text-xs text-slate-500">{t("branches.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead className="bg-slate-50 text-slate-600">
+          <tr>
+            <th className="text-left px-3 py-2">{t("col.key")}</th>
+            <th className="text-left px-3 py-2">{t("col.label")}</th>
+            <th className="text-left px-3 py-2">{t("col.currency")}</th>
+            <th className="text-right px-3 py-2">{t("col.weeks")}</th>
+            <th className="text-right px-3 py-2">{t("col.actions")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {branches.map((b) => (
+            <tr key={b.key} className="border-t">
+              <td className="px-3 py-1 font-mono text-xs">{b.key}</td>
+              <td className="px-3 py-1">
+                <input className={`${cell} w-48`} value={b.label} onChange={(e) => onRename(b.key, e.target.value)} />
+              </td>
+              <td className="px-3 py-1">
+                <select className={cell} value={b.currency || ""} onChange={(e) => onCurrency(b.key, e.target.value)} aria-label={t("branches.currencyOf", { label: b.label })}>
+                  <option value="">{t("branches.reportingCurrency", { currency })}</option>
+                  {CURRENCIES.filter((c) => c !== currency).map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="px-3 py-1 text-right tabular-nums">{b.weeks.length}</td>
+              <td className="px-3 py-1 text-right">
+                <button className="btn disabled:opacity-40" disabled={branches.length < 2} onClick={() => onRemove(b)}>{t("btn.remove")}</button>
+              </td>
+            </tr>
+          ))}
+          <tr className="border-t bg-slate-50/50">
+            <td className="px-3 py-1">
+              <input className={`${cell} w-28 font-mono`} placeholder="leeds" value={draft.key} onChange={(e) => setDraft({ ...draft, key: e.target.value })} />
+            </td>
+            <td className="px-3 py-1">
+              <input className={`${cell} w-48`} placeholder="Leeds" value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} />
+            </td>
+            <td />
+            <td />
+            <td className="px-3 py-1 text-right">
+              <button className="btn disabled:opacity-40" disabled={!draftDef.key || draftErrors.length > 0} onClick={add}>{t("branches.add")}</button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      {draftErrors.length > 0 && <div className="px-4 py-2 text-xs text-rose-700">{draftErrors.join("; ")}</div>}
+    </div>
+  );
+}
 
-  // Test 4: WoW math finite where last>0; last==0 => null (implicit in logic)
-  const wowOk = Object.values(deltas).every((arr) => arr.slice(1).every((d) => d == null || isFiniteNum(d)));
-  tests.push({ name: "WoW computation", pass: wowOk, message: wowOk ? "WoW finite or null per rule." : "WoW contains invalid numbers." });
+// One rate per currency a branch reports in (and any rate already entered) into the reporting currency
+function FxPanel({ branches, currency, fx, onSet, onClose }) {
+  const { t } = useContext(FormatContext);
+  const codes = [...new Set([...branches.map((b) => b.currency), ...Object.keys(fx)])].filter((c) => c && c !== currency).sort();
+  const usedBy = (c) => branches.filter((b) => b.currency === c).map((b) => b.label);
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("fx.title", { currency })}</div>
+          <div className="text-xs text-slate-500">{t("fx.help", { currency })}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      {codes.length === 0 ? (
+        <div className="px-4 pb-3 text-sm text-slate-500">{t("fx.none", { currency })}</div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-left px-3 py-2">{t("col.currency")}</th>
+              <th className="text-left px-3 py-2">{t("col.rate")}</th>
+              <th className="text-left px-3 py-2">{t("fx.usedBy")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map((c) => (
+              <tr key={c} className="border-t">
+                <td className="px-3 py-1 font-mono">{c}</td>
+                <td className="px-3 py-1 whitespace-nowrap">
+                  1 {c} = <NumInput value={isFiniteNum(fx[c]) ? fx[c] : null} onChange={(v) => onSet(c, v)} flagged={fxRate(fx, c, currency) == null} /> {currency}
+                </td>
+                <td className="px-3 py-1 text-slate-600">{usedBy(c).join(", ") || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
 
-  return tests;
+function ReportPanel({ build, fileName, blocked, onClose }) {
+  const { t } = useContext(FormatContext);
+  const [paper, setPaper] = useState("a4");
+  const frame = useRef(null);
+  const html = build(paper);
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("panel.report")}</div>
+          <div className="text-xs text-slate-500">
+            {blocked ? t("export.blocked") : t("report.help")}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <select className="rounded-xl border px-2 py-1 text-sm" value={paper} onChange={(e) => setPaper(e.target.value)} aria-label={t("report.paper")}>
+            {Object.entries(REPORT_PAPER).map(([k, { label }]) => (
+              <option key={k} value={k}>{label}</option>
+            ))}
+          </select>
+          <button className="btn disabled:opacity-40" disabled={blocked} onClick={download}>{t("report.download")}</button>
+          <button className="btn disabled:opacity-40" disabled={blocked} onClick={() => frame.current.contentWindow.print()}>{t("report.print")}</button>
+          <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+        </div>
+      </div>
+      <iframe ref={frame} title={t("report.preview")} srcDoc={html} className="w-full h-[36rem] border-t" />
+    </div>
+  );
 }
 
-// ---------- Utils ----------
-function isFiniteNum(x) {
-  return typeof x === "number" && Number.isFinite(x);
+function SharePanel({ docId, build, blocked, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const [shareFormat, setShareFormat] = useState("slack");
+  const [hooks, setHooks] = useState(() => loadWebhooks(docId));
+  const [result, setResult] = useState(null); // null | { dryRun, request } | postWebhook result
+  const [sending, setSending] = useState(false);
+  const payload = build(shareFormat);
+  const url = hooks[shareFormat] || "";
+  const urlError = url ? webhookUrlError(url, format) : t("share.noUrl");
+  const body = JSON.stringify(payload, null, 2);
+
+  useEffect(() => {
+    saveWebhooks(docId, hooks);
+  }, [docId, hooks]);
+
+  const send = async () => {
+    setSending(true);
+    setResult(await postWebhook(url, payload, format));
+    setSending(false);
+  };
+
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("panel.share")}</div>
+          <div className="text-xs text-slate-500">{t("share.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <div className="px-4 pb-3 flex flex-wrap items-center gap-2 text-sm">
+        <select
+          className="rounded-xl border px-2 py-1 text-sm"
+          value={shareFormat}
+          onChange={(e) => {
+            setShareFormat(e.target.value);
+            setResult(null);
+          }}
+          aria-label={t("share.format")}
+        >
+          {Object.keys(SHARE_FORMATS).map((k) => (
+            <option key={k} value={k}>{t(`share.format.${k}`)}</option>
+          ))}
+        </select>
+        <input
+          className="flex-1 min-w-[16rem] rounded-xl border px-2 py-1 text-sm font-mono"
+          placeholder={t(`share.placeholder.${shareFormat}`)}
+          value={url}
+          onChange={(e) => setHooks((cur) => ({ ...cur, [shareFormat]: e.target.value.trim() }))}
+          aria-label={t("share.webhookUrl")}
+        />
+        <button
+          className="btn disabled:opacity-40"
+          disabled={blocked}
+          title={blocked ? t("export.blocked") : undefined}
+          onClick={() => navigator.clipboard.writeText(body).then(() => toast(t("share.copied", { format: t(`share.format.${shareFormat}`) })))}
+        >
+          {t("share.copy")}
+        </button>
+        <button className="btn disabled:opacity-40" disabled={Boolean(urlError)} onClick={() => setResult({ dryRun: true, request: webhookRequest(url, payload) })}>
+          {t("share.dryRun")}
+        </button>
+        <button
+          className="btn disabled:opacity-40"
+          disabled={Boolean(urlError) || blocked || sending}
+          title={blocked ? t("export.blocked") : urlError || undefined}
+          onClick={send}
+        >
+          {t(sending ? "share.sending" : "share.send")}
+        </button>
+      </div>
+      {url && urlError && <div className="px-4 pb-2 text-xs text-rose-700">{urlError}</div>}
+      {result && result.dryRun && (
+        <div className="px-4 pb-3 text-xs">
+          <div className="font-medium text-slate-700">{t("share.dryRunNote")}</div>
+          <pre className="mt-1 max-h-24 overflow-auto rounded-lg bg-slate-50 p-2">
+            {`${result.request.method} ${result.request.url}\n${Object.entries(result.request.headers)
+              .map(([k, v]) => `${k}: ${v}`)
+              .join("\n")}\n\n${t("share.bytes", { n: result.request.body.length })}`}
+          </pre>
+        </div>
+      )}
+      {result && !result.dryRun && (
+        <div className={`px-4 pb-3 text-xs ${result.ok ? "text-emerald-700" : "text-rose-700"}`}>
+          <div className="font-medium">
+            {t(result.ok ? "share.sent" : "share.failed")}
+            {result.status ? ` — HTTP ${result.status} ${result.statusText}` : ""} · {result.ms} ms
+          </div>
+          {result.error && <div>{result.error}</div>}
+          {result.response && <pre className="mt-1 max-h-24 overflow-auto rounded-lg bg-slate-50 p-2 text-slate-700">{result.response}</pre>}
+        </div>
+      )}
+      <div className="border-t">
+        {shareFormat === "email" ? (
+          <iframe title={t("share.emailPreview")} srcDoc={payload.html} className="w-full h-96" />
+        ) : (
+          <pre className="max-h-96 overflow-auto p-4 text-xs">{body}</pre>
+        )}
+      </div>
+    </div>
+  );
 }
 
-function toNum(v) {
-  const n = typeof v === "string" ? parseFloat(v.replace(/[^\d.\-]/g, "")) : v;
-  return Number.isFinite(n) ? n : 0;
+function ServerPanel({ url, docId, synced, state, onUrl, onSave, onPull, onOpen, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, fmtDate, fmtDateTime } = format;
+  const [docs, setDocs] = useState(null); // server listing, null until loaded
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fn) => {
+    setBusy(true);
+    await fn();
+    setBusy(false);
+  };
+
+  const refresh = () =>
+    run(async () => {
+      const res = await serverRequest(url, "/api/docs", format);
+      setError(res.ok ? "" : res.error);
+      setDocs(res.ok ? res.body : null);
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("panel.server")}</div>
+          <div className="text-xs text-slate-500">{t("server.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <div className="px-4 pb-3 flex flex-wrap items-center gap-2 text-sm">
+        <input
+          className="flex-1 min-w-[16rem] rounded-xl border px-2 py-1 text-sm font-mono"
+          placeholder={DEFAULT_SERVER_URL}
+          value={url}
+          onChange={(e) => onUrl(e.target.value.trim())}
+          aria-label={t("server.url")}
+        />
+        <button className="btn disabled:opacity-40" disabled={busy} onClick={refresh}>{t("server.refresh")}</button>
+        <button className="btn disabled:opacity-40" disabled={busy || state === "synced"} onClick={() => run(onSave).then(refresh)}>
+          {t("server.save")}
+        </button>
+        <button className="btn disabled:opacity-40" disabled={busy} onClick={() => run(onPull)}>{t("server.pull")}</button>
+      </div>
+      <div className="px-4 pb-2 text-xs text-slate-600">
+        {synced
+          ? t("server.synced", { docId, ts: fmtDateTime(synced.updatedAt), author: synced.author, hash: synced.hash.slice(0, 12), state: t(`badge.server.${state}`) })
+          : t("server.neverSynced", { docId })}
+      </div>
+      {error && <div className="px-4 pb-2 text-xs text-rose-700">{error}</div>}
+      {docs && (
+        <div className="overflow-x-auto max-h-72 border-t">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="text-left px-3 py-2">docId</th>
+                <th className="text-left px-3 py-2">{t("col.branches")}</th>
+                <th className="text-left px-3 py-2">{t("col.latestWeek")}</th>
+                <th className="text-left px-3 py-2">{t("col.saved")}</th>
+                <th className="text-left px-3 py-2">{t("col.hash")}</th>
+                <th className="text-right px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {docs.map((d) => (
+                <tr key={d.docId} className="border-t">
+                  <td className="px-3 py-1 font-mono">
+                    {d.docId}
+                    {d.docId === docId && <span className="ml-2 text-slate-500">{t("server.thisDocument")}</span>}
+                  </td>
+                  <td className="px-3 py-1">{d.branches.join(", ")}</td>
+                  <td className="px-3 py-1">{fmtDate(d.latest)}</td>
+                  <td className="px-3 py-1 whitespace-nowrap">{fmtDateTime(d.updatedAt)} · {d.author}</td>
+                  <td className="px-3 py-1 font-mono">{d.hash.slice(0, 10)}…</td>
+                  <td className="px-3 py-1 text-right">
+                    <button className="btn disabled:opacity-40" disabled={busy} onClick={() => run(() => onOpen(d.docId))}>
+                      {d.docId === docId ? t("server.pull") : t("server.open")}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!docs.length && (
+                <tr>
+                  <td colSpan={6} className="px-3 py-2 text-slate-500">{t("server.empty")}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
 }
 
-function fmtCurrency(n) {
-  return new Intl.NumberFormat(undefined, { style: "currency", currency: "GBP", maximumFractionDigits: 0 }).format(n || 0);
+const MERGE_ROWS = 200; // changes listed per side before "+n more"
+
+function ConflictPanel({ conflict, onChoose, onMerge, onKeepMine, onTakeTheirs, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, tn, fmtDateTime } = format;
+  const { record, merge, choices } = conflict;
+  const change = (c, i) => (
+    <div key={i}>
+      <span className="font-mono">{c.at}</span>: {fmtLogValue(c.old, format)} → {fmtLogValue(c.new, format)}
+    </div>
+  );
+  return (
+    <div className="mt-4 bg-white border border-rose-300 rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("panel.conflict")}</div>
+          <div className="text-xs text-slate-500">
+            {t("conflict.help", { ts: fmtDateTime(record.updatedAt), author: record.author, hash: record.hash.slice(0, 12) })} ·{" "}
+            {tn("conflict.clean", merge.clean.length)}, {tn("conflict.count", merge.conflicts.length)}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button className="btn" onClick={onMerge} title={t("conflict.merge.title")}>{t("conflict.merge")}</button>
+          <button className="btn" onClick={onKeepMine} title={t("conflict.keepMine.title")}>{t("conflict.keepMine")}</button>
+          <button className="btn" onClick={onTakeTheirs} title={t("conflict.takeTheirs.title")}>{t("conflict.takeTheirs")}</button>
+          <button className="btn" onClick={onClose}>{t("btn.cancel")}</button>
+        </div>
+      </div>
+      {merge.conflicts.length > 0 && (
+        <div className="overflow-x-auto border-t">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="text-left px-3 py-2">{t("col.mine")}</th>
+                <th className="text-left px-3 py-2">{t("col.server")}</th>
+                <th className="text-left px-3 py-2">{t("col.keep")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {merge.conflicts.map((g, i) => (
+                <tr key={i} className="border-t align-top">
+                  <td className="px-3 py-1">{g.mine.slice(0, MERGE_ROWS).map(change)}</td>
+                  <td className="px-3 py-1">{g.theirs.slice(0, MERGE_ROWS).map(change)}</td>
+                  <td className="px-3 py-1">
+                    <select className="rounded-xl border px-2 py-1 text-xs" value={choices[i] || "mine"} onChange={(e) => onChoose(i, e.target.value)} aria-label={t("col.keep")}>
+                      <option value="mine">{t("conflict.side.mine")}</option>
+                      <option value="theirs">{t("conflict.side.theirs")}</option>
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {merge.clean.length > 0 && (
+        <div className="overflow-x-auto max-h-72 border-t">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="text-left px-3 py-2">{t("col.from")}</th>
+                <th className="text-left px-3 py-2">{t("col.mergedChange")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {merge.clean.slice(0, MERGE_ROWS).map((c, i) => (
+                <tr key={i} className="border-t">
+                  <td className="px-3 py-1">{t(`conflict.side.${c.side}`)}</td>
+                  <td className="px-3 py-1">{change(c, i)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {merge.clean.length > MERGE_ROWS && <div className="px-3 py-1 text-xs text-slate-500">{t("conflict.more", { n: merge.clean.length - MERGE_ROWS })}</div>}
+        </div>
+      )}
+    </div>
+  );
 }
 
-function fmtInteger(n) {
-  return new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 }).format(n || 0);
+const LOG_ROWS = 200; // newest entries rendered after filtering
+
+function EditLogPanel({ log, author, onAuthor, onReplay, onExport, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, tn, fmtDateTime } = format;
+  const [action, setAction] = useState("");
+  const [query, setQuery] = useState("");
+  const [check, setCheck] = useState(null);
+  const actions = [...new Set(log.entries.map((e) => e.action))];
+  const q = query.trim().toLowerCase();
+  const rows = log.entries
+    .filter((e) => !action || e.action === action)
+    .filter((e) => !q || e.author.toLowerCase().includes(q) || e.changes.some((c) => c.at.toLowerCase().includes(q)))
+    .reverse();
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{tn("panel.log", log.entries.length)}</div>
+          <div className="text-xs text-slate-500">{t("log.help", { hash: log.genesisHash.slice(0, 12) })}</div>
+        </div>
+        <div className="flex items-center gap-2">
+          <input className={`${cell} w-36`} placeholder={t("log.authorPlaceholder")} value={author} onChange={(e) => onAuthor(e.target.value)} aria-label={t("col.author")} />
+          <button className="btn" onClick={() => verifyLog(log).then(setCheck)}>{t("log.verify")}</button>
+          <button className="btn" onClick={onExport}>{t("log.export")}</button>
+          <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+        </div>
+      </div>
+      {check && (
+        <div className={`px-4 pb-2 text-xs ${check.ok ? "text-emerald-700" : "text-rose-700"}`}>
+          {check.ok ? tn("log.intact", check.entries) : t("log.brokenAt", { seq: check.seq, reason: t(`log.broken.${check.reason}`) })}
+        </div>
+      )}
+      <div className="px-4 pb-2 flex items-center gap-2 text-sm">
+        <select className={cell} value={action} onChange={(e) => setAction(e.target.value)} aria-label={t("col.action")}>
+          <option value="">{t("log.allActions")}</option>
+          {actions.map((a) => (
+            <option key={a} value={a}>{a}</option>
+          ))}
+        </select>
+        <input className={`${cell} w-64`} placeholder={t("log.filter")} value={query} onChange={(e) => setQuery(e.target.value)} />
+        <span className="text-xs text-slate-500">{rows.length > LOG_ROWS ? t("log.shownNewest", { n: rows.length, max: LOG_ROWS }) : t("log.shown", { n: rows.length })}</span>
+      </div>
+      <div className="overflow-x-auto max-h-96">
+        <table className="min-w-full text-xs">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-right px-3 py-2">#</th>
+              <th className="text-left px-3 py-2">{t("col.when")}</th>
+              <th className="text-left px-3 py-2">{t("col.author")}</th>
+              <th className="text-left px-3 py-2">{t("col.action")}</th>
+              <th className="text-left px-3 py-2">{t("col.change")}</th>
+              <th className="text-left px-3 py-2">{t("col.hash")}</th>
+              <th className="text-right px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, LOG_ROWS).map((e) => (
+              <tr key={e.seq} className="border-t align-top">
+                <td className="px-3 py-1 text-right tabular-nums">{e.seq}</td>
+                <td className="px-3 py-1 whitespace-nowrap">{fmtDateTime(e.ts)}</td>
+                <td className="px-3 py-1">{e.author}</td>
+                <td className="px-3 py-1">{e.action}</td>
+                <td className="px-3 py-1">
+                  {e.changes.slice(0, 3).map((c, i) => (
+                    <div key={i}>
+                      <span className="font-mono">{c.at}</span>: {fmtLogValue(c.old, format)} → {fmtLogValue(c.new, format)}
+                    </div>
+                  ))}
+                  {e.changes.length > 3 && <div className="text-slate-500">{t("log.more", { n: e.changes.length - 3 })}</div>}
+                </td>
+                <td className="px-3 py-1 font-mono" title={`prev ${e.prevHash}\ndoc ${e.docHash}\nentry ${e.hash}`}>
+                  {e.hash.slice(0, 10)}…
+                </td>
+                <td className="px-3 py-1 text-right">
+                  <button className="btn" onClick={() => onReplay(e.seq)}>{t("log.replay")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
 }
 
-function fmtPct(x) {
-  return x == null ? "—" : `${(x * 100).toFixed(0)}%`;
+function RulesPanel({ rules, kpis, channelDefs, onAdd, onRemove, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const paths = [
+    ...kpis.map((k) => ({ path: `kpi.${k.key}`, label: k.formula ? t("rules.derived", { label: k.label }) : k.label })),
+    ...valuePaths([], channelDefs, format),
+  ];
+  const blank = { name: "", path: paths[0].path, op: ">", value: "", severity: "warn" };
+  const [draft, setDraft] = useState(blank);
+  const valid = draft.value.trim() !== "" && isFiniteNum(Number(draft.value));
+  const add = () => {
+    if (!valid) return;
+    onAdd({ ...draft, id: `rule-${Date.now().toString(36)}`, name: draft.name.trim(), value: Number(draft.value) });
+    setDraft(blank);
+  };
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("panel.rules")}</div>
+          <div className="text-xs text-slate-500">{t("rules.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead className="bg-slate-50 text-slate-600">
+          <tr>
+            <th className="text-left px-3 py-2">{t("col.name")}</th>
+            <th className="text-left px-3 py-2">{t("col.flagWhen")}</th>
+            <th className="text-left px-3 py-2">{t("col.severity")}</th>
+            <th className="text-right px-3 py-2">{t("col.actions")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((r) => (
+            <tr key={r.id} className="border-t">
+              <td className="px-3 py-1">{r.name || "—"}</td>
+              <td className="px-3 py-1 font-mono text-xs">
+                {r.path} {r.op} {r.value}
+              </td>
+              <td className="px-3 py-1">{t(`severity.${r.severity}`)}</td>
+              <td className="px-3 py-1 text-right">
+                <button className="btn" onClick={() => onRemove(r.id)}>{t("btn.remove")}</button>
+              </td>
+            </tr>
+          ))}
+          <tr className="border-t bg-slate-50/50">
+            <td className="px-3 py-1">
+              <input className={`${cell} w-48`} placeholder={t("rules.namePlaceholder")} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            </td>
+            <td className="px-3 py-1">
+              <div className="flex items-center gap-1">
+                <select className={cell} value={draft.path} onChange={(e) => setDraft({ ...draft, path: e.target.value })}>
+                  {paths.map((f) => (
+                    <option key={f.path} value={f.path}>{f.label}</option>
+                  ))}
+                </select>
+                <select className={cell} value={draft.op} onChange={(e) => setDraft({ ...draft, op: e.target.value })}>
+                  {Object.keys(RULE_OPS).map((op) => (
+                    <option key={op} value={op}>{op}</option>
+                  ))}
+                </select>
+                <input className={`${cell} w-24 text-right`} inputMode="decimal" placeholder="0" value={draft.value} onChange={(e) => setDraft({ ...draft, value: e.target.value })} />
+              </div>
+            </td>
+            <td className="px-3 py-1">
+              <select className={cell} value={draft.severity} onChange={(e) => setDraft({ ...draft, severity: e.target.value })}>
+                {Object.keys(SEVERITIES).map((k) => (
+                  <option key={k} value={k}>{t(`severity.${k}`)}</option>
+                ))}
+              </select>
+            </td>
+            <td className="px-3 py-1 text-right">
+              <button className="btn disabled:opacity-40" disabled={!valid} onClick={add}>{t("rules.add")}</button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function BranchComparison({ ranking, kpis, sortBy, onSort, selected, onPick }) {
+  const { t, fmtDate, fmtKpi } = useContext(FormatContext);
+  return (
+    <div className="mt-6 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div className="font-semibold">{t("ranking.title")}</div>
+        <label className="text-xs text-slate-500 flex items-center gap-2">
+          {t("ranking.sortBy")}
+          <select className="rounded-xl border px-2 py-1 text-sm" value={sortBy} onChange={(e) => onSort(e.target.value)}>
+            <option value="anomalies">{t("ranking.byAnomalies")}</option>
+            {kpis.map((k) => (
+              <option key={k.key} value={`wow:${k.key}`}>{t("basis.wow.short")} — {k.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-right px-4 py-2">#</th>
+              <th className="text-left px-4 py-2">{t("col.branch")}</th>
+              {kpis.map((k) => (
+                <th key={k.key} className="text-right px-4 py-2">{k.label}</th>
+              ))}
+              <th className="text-right px-4 py-2" title={t("ranking.anomalies.title")}>{t("col.anomalies")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranking.map((b) => (
+              <tr key={b.key} className={`border-t cursor-pointer hover:bg-slate-50 ${selected === b.key ? "bg-slate-100" : ""}`} onClick={() => onPick(b.key)}>
+                <td className="px-4 py-2 text-right tabular-nums text-slate-500">{b.rank}</td>
+                <td className="px-4 py-2">
+                  {b.label} <span className="text-xs text-slate-400">{fmtDate(b.endISO)}</span>
+                </td>
+                {kpis.map((k) => (
+                  <td key={k.key} className="px-4 py-2 text-right tabular-nums whitespace-nowrap">
+                    {fmtKpi(k, b.latest[k.key])} <span className="text-xs"><DeltaInline delta={b.wow[k.key]} /></span>
+                  </td>
+                ))}
+                <td className={`px-4 py-2 text-right tabular-nums ${b.latestAnomalies ? "text-rose-700 font-medium" : ""}`}>
+                  {b.latestAnomalies} / {b.anomalies}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Rows are week-ending dates (actuals plus any planned ahead); columns are every KPI and the selected metric's channels
+function TargetsPanel({ weeks, kpis, channelDefs, channelMetric, targets, onSet, onSpread, onClose }) {
+  const format = useContext(FormatContext);
+  const { t } = format;
+  const active = channelDefs.filter((c) => !c.retired);
+  const columns = [
+    ...kpis.map((k) => ({ path: `kpi.${k.key}`, label: k.label, additive: kpiRollup(k) === "sum" })),
+    ...active.map((c) => ({ path: `channels.${channelMetric}.${c.key}`, label: `${c.label} (${t(`metric.${channelMetric}`)})`, additive: true })),
+  ];
+  const spreadFields = [
+    ...columns.filter((c) => c.path.startsWith("kpi.")),
+    ...CHANNEL_METRICS.flatMap((m) => active.map((c) => ({ path: `channels.${m}.${c.key}`, label: `${c.label} (${t(`metric.${m}`)})`, additive: true }))),
+  ];
+  const actualEnds = new Set(weeks.map((w) => w.endISO));
+  const rows = [...new Set([...actualEnds, ...Object.keys(targets)])].sort();
+  const latestISO = weeks[weeks.length - 1].endISO;
+  const [spread, setSpread] = useState({ path: spreadFields[0].path, period: latestISO.slice(0, 7), amount: "", mode: "split" });
+  const [spreadError, setSpreadError] = useState("");
+  const pickField = (path) => {
+    const f = spreadFields.find((x) => x.path === path);
+    setSpread({ ...spread, path, mode: f && f.additive ? "split" : "same" });
+  };
+  const applySpread = () => {
+    const period = parsePlanPeriod(spread.period.trim());
+    const amount = parseImportNumber(spread.amount, format);
+    if (!period) return setSpreadError(t("targets.badPeriod"));
+    if (amount == null) return setSpreadError(t("targets.badAmount"));
+    const ends = weekEndsInPeriod(latestISO, period);
+    if (!ends.length) return setSpreadError(t("targets.noWeeks"));
+    setSpreadError("");
+    onSpread(spread.path, ends, spread.mode === "split" ? amount / ends.length : amount);
+  };
+  const cell = "rounded-xl border px-2 py-1 text-sm";
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">{t("panel.targets")}</div>
+          <div className="text-xs text-slate-500">{t("targets.help")}</div>
+        </div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <div className="px-4 pb-3 flex flex-wrap items-end gap-2 text-sm">
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("col.field")}
+          <select className={cell} value={spread.path} onChange={(e) => pickField(e.target.value)}>
+            {spreadFields.map((f) => (
+              <option key={f.path} value={f.path}>{f.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("targets.period")}
+          <input className={`${cell} w-28`} placeholder="2025-09 / 2025-Q4" value={spread.period} onChange={(e) => setSpread({ ...spread, period: e.target.value })} />
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("targets.amount")}
+          <input className={`${cell} w-28 text-right tabular-nums`} value={spread.amount} onChange={(e) => setSpread({ ...spread, amount: e.target.value })} />
+        </label>
+        <label className="flex flex-col text-xs text-slate-500">
+          {t("targets.spreadMode")}
+          <select className={cell} value={spread.mode} onChange={(e) => setSpread({ ...spread, mode: e.target.value })}>
+            <option value="split">{t("targets.split")}</option>
+            <option value="same">{t("targets.same")}</option>
+          </select>
+        </label>
+        <button className="btn" onClick={applySpread}>{t("targets.applySpread")}</button>
+        {spreadError && <span className="text-xs text-rose-700">{spreadError}</span>}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-left px-2 py-2">{t("col.weekEnding")}</th>
+              {columns.map((c) => (
+                <th key={c.path} className="text-right px-2 py-2">{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((endISO) => (
+              <tr key={endISO} className="border-t">
+                <td className="px-2 py-1 whitespace-nowrap">
+                  {endISO} {!actualEnds.has(endISO) && <span className="text-xs text-slate-400">{t("targets.planOnly")}</span>}
+                </td>
+                {columns.map((c) => (
+                  <td key={c.path} className="px-2 py-1 text-right">
+                    <NumInput value={targets[endISO] ? targets[endISO][c.path] : null} onChange={(v) => onSet(endISO, c.path, v)} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function DriftPanel({ baseline, drift, showBranch, onRebaseline, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, fmtDateTime, fmtInteger } = format;
+  return (
+    <div className="mt-4 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("panel.drift")}</div>
+          <div className="text-xs text-slate-500">{t("drift.help", { ts: fmtDateTime(baseline.ts), hash: baseline.hash.slice(0, 12) })}</div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button className="btn" onClick={onRebaseline}>{t("drift.rebaseline")}</button>
+          <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+        </div>
+      </div>
+      {!drift ? (
+        <div className="px-4 pb-3 text-sm text-slate-500">{t("drift.noPayload")}</div>
+      ) : drift.length === 0 ? (
+        <div className="px-4 pb-3 text-sm text-emerald-700">{t("drift.none")}</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                {showBranch && <th className="text-left px-4 py-2">{t("col.branch")}</th>}
+                <th className="text-left px-4 py-2">{t("col.weekEnding")}</th>
+                <th className="text-left px-4 py-2">{t("col.field")}</th>
+                <th className="text-right px-4 py-2">{t("col.baseline")}</th>
+                <th className="text-right px-4 py-2">{t("col.current")}</th>
+                <th className="text-right px-4 py-2">Δ</th>
+                <th className="text-right px-4 py-2">Δ%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drift.map((c, i) => (
+                <tr key={i} className="border-t">
+                  {showBranch && <td className="px-4 py-2">{c.branch || "—"}</td>}
+                  <td className="px-4 py-2">{c.endISO || "—"}</td>
+                  <td className="px-4 py-2 font-mono text-xs">{c.path}</td>
+                  <td className="px-4 py-2 text-right tabular-nums text-slate-500">{fmtDriftValue(c.old, format)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{fmtDriftValue(c.new, format)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{c.abs == null ? "—" : `${c.abs > 0 ? "+" : ""}${fmtInteger(c.abs)}`}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    <DeltaInline delta={c.pct} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SnapshotPanel({ docId, snapshots, currentHash, defaultName, onSave, onRestore, onDuplicate, onDelete }) {
+  const { t, fmtDateTime } = useContext(FormatContext);
+  const [name, setName] = useState("");
+  const save = () => {
+    onSave(name.trim() || defaultName);
+    setName("");
+  };
+  return (
+    <div className="mt-6 bg-white border rounded-2xl shadow-sm overflow-hidden">
+      <div className="px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold">{t("snapshots.title")}</div>
+          <div className="text-xs text-slate-500">{t("snapshots.help", { docId })}</div>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && save()}
+            placeholder={t("snapshots.placeholder", { name: defaultName })}
+            className="w-56 rounded-xl border px-2 py-1 text-sm"
+          />
+          <button className="btn" onClick={save}>{t("snapshots.save")}</button>
+        </div>
+      </div>
+      {snapshots.length === 0 ? (
+        <div className="px-4 pb-3 text-sm text-slate-500">{t("snapshots.none")}</div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-slate-600">
+            <tr>
+              <th className="text-left px-4 py-2">{t("col.name")}</th>
+              <th className="text-left px-4 py-2">{t("col.saved")}</th>
+              <th className="text-left px-4 py-2">{t("col.hash")}</th>
+              <th className="text-right px-4 py-2">{t("col.actions")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map((snap) => (
+              <tr key={snap.id} className="border-t">
+                <td className="px-4 py-2">
+                  {snap.name} {snap.hash === currentHash && <Badge title={t("snapshots.current.title")}>{t("snapshots.current")}</Badge>}
+                </td>
+                <td className="px-4 py-2 text-slate-500">{fmtDateTime(snap.ts)}</td>
+                <td className="px-4 py-2 font-mono text-xs" title={snap.hash}>{snap.hash.slice(0, 12)}…</td>
+                <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                  <button className="btn" onClick={() => onRestore(snap)}>{t("snapshots.restore")}</button>
+                  <button className="btn" onClick={() => onDuplicate(snap)}>{t("snapshots.duplicate")}</button>
+                  <button className="btn" onClick={() => onDelete(snap)}>{t("btn.delete")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const IMPORT_FORMAT_LABELS = { json: "JSON", "\t": "TSV", ",": "CSV", ";": "CSV (;)" };
+
+// branch: the branch receiving the weeks, or null in the roll-up view (only whole multi-branch exports apply there)
+function ImportPanel({ kpis, channelDefs, branch, onApply, onClose }) {
+  const format = useContext(FormatContext);
+  const { t, tn } = format;
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [hashCheck, setHashCheck] = useState(null); // null | "verified" | "mismatch" | "missing"
+  const [chainCheck, setChainCheck] = useState(null); // null | verifyLog result for an embedded or bare edit log
+
+  const fields = useMemo(() => weekFields(kpis, channelDefs, format), [kpis, channelDefs, format]);
+  const fileFormat = useMemo(() => detectImportFormat(text, fileName), [text, fileName]);
+  const table = useMemo(() => (fileFormat && fileFormat !== "json" ? parseDelimited(text, fileFormat) : null), [text, fileFormat]);
+  const columns = useMemo(() => {
+    if (!table || !table.length) return [];
+    return table[0].map((cell, c) => (hasHeader && cell.trim()) || t("import.column", { n: c + 1 }));
+  }, [table, hasHeader, t]);
+
+  useEffect(() => {
+    // Re-guess the column mapping whenever the header row changes
+    setMapping(hasHeader ? guessImportMapping(columns, fields) : columns.map((_, c) => (fields[c] && fields[c].path) || ""));
+  }, [columns.join("\u0000"), hasHeader, fields]);
+
+  const preview = useMemo(() => {
+    if (!fileFormat) return null;
+    const p = fileFormat === "json" ? previewImportJSON(text, kpis, channelDefs, branch && branch.key, format) : previewImportTable(hasHeader ? table.slice(1) : table, mapping, fields, format);
+    if (branch || (p.settings && p.settings.branches)) return p;
+    return { ...p, fileErrors: [...p.fileErrors, t("import.rollup")], ok: false };
+  }, [fileFormat, text, table, hasHeader, mapping, fields, kpis, channelDefs, branch, format]);
+
+  useEffect(() => {
+    // Recompute the canonical hash of an exported document and compare with its embedded audit hash
+    setHashCheck(null);
+    if (!preview || !preview.source || !preview.ok) return;
+    const expected = preview.source.audit && preview.source.audit.hashHex;
+    if (!expected) {
+      setHashCheck("missing");
+      return;
+    }
+    let live = true;
+    canonicalHash(canonicalPayload(preview.source)).then((hex) => live && setHashCheck(hex === expected ? "verified" : "mismatch"));
+    return () => {
+      live = false;
+    };
+  }, [preview]);
+
+  useEffect(() => {
+    // An exported edit log (inside Copy JSON or on its own) is replayed and re-hashed entry by entry
+    setChainCheck(null);
+    if (fileFormat !== "json") return;
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch {
+      return;
+    }
+    const log = obj && obj.editLog ? obj.editLog : obj && obj.genesis && obj.entries ? obj : null;
+    if (!log) return;
+    let live = true;
+    verifyLog(log, obj.editLog && obj.audit ? obj.audit.hashHex : null).then((r) => live && setChainCheck(r));
+    return () => {
+      live = false;
+    };
+  }, [fileFormat, text]);
+
+  const onFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setText(await file.text());
+  };
+
+  const rowErrorCount = preview ? preview.rows.filter((r) => r.errors.length).length : 0;
+  const canApply = preview && preview.ok;
+
+  return (
+    <div className="mt-4 p-4 bg-white rounded-2xl shadow-sm border">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">{t("panel.import")}</div>
+        <button className="btn" onClick={onClose}>{t("btn.close")}</button>
+      </div>
+      <p className="text-xs text-slate-500 mt-1">{branch ? t("import.helpBranch", { branch: branch.label }) : t("import.help")}</p>
+      <div className="mt-3 grid md:grid-cols-3 gap-3">
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setFileName("");
+          }}
+          placeholder={"endISO,revenue,orders,active,cac,paid,organic,email,referral\n2025-09-07,36000,11,99,545,238,190,100,61"}
+          className="md:col-span-2 h-32 rounded-xl border px-2 py-1 text-xs font-mono"
+        />
+        <div className="space-y-2 text-sm">
+          <input type="file" accept=".csv,.tsv,.txt,.json" onChange={onFile} className="text-xs" />
+          <div className="flex flex-wrap items-center gap-2">
+            <Badge>{t("import.format", { format: fileFormat ? IMPORT_FORMAT_LABELS[fileFormat] : "—" })}</Badge>
+            {fileName && <Badge>{fileName}</Badge>}
+            {hashCheck === "verified" && <Badge title={t("import.hashVerified.title")}>{t("import.hashVerified")}</Badge>}
+            {hashCheck === "mismatch" && <span className="text-xs px-2 py-0.5 rounded-full bg-rose-100 text-rose-700">{t("import.hashMismatch")}</span>}
+            {hashCheck === "missing" && <Badge>{t("import.noHash")}</Badge>}
+            {chainCheck && chainCheck.ok && <Badge title={t("import.logVerified.title")}>{tn("import.logVerified", chainCheck.entries)}</Badge>}
+            {chainCheck && !chainCheck.ok && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-rose-100 text-rose-700">
+                {chainCheck.seq != null
+                  ? t("import.logTamperedAt", { seq: chainCheck.seq, reason: t(`log.broken.${chainCheck.reason}`) })
+                  : t("import.logTampered", { reason: t(`log.broken.${chainCheck.reason}`) })}
+              </span>
+            )}
+          </div>
+          {fileFormat && fileFormat !== "json" && (
+            <label className="flex items-center gap-2 text-xs">
+              <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+              {t("import.header")}
+            </label>
+          )}
+        </div>
+      </div>
+
+      {fileFormat && fileFormat !== "json" && columns.length > 0 && (
+        <div className="mt-3">
+          <div className="text-xs text-slate-500">{t("import.mapping")}</div>
+          <div className="mt-1 grid grid-cols-2 md:grid-cols-5 gap-2">
+            {columns.map((name, c) => (
+              <label key={c} className="text-xs">
+                <span className="block truncate text-slate-600" title={name}>{name}</span>
+                <select
+                  className="mt-0.5 w-full rounded-xl border px-2 py-1 text-xs"
+                  value={mapping[c] || ""}
+                  onChange={(e) => setMapping((cur) => cur.map((m, j) => (j === c ? e.target.value : m)))}
+                >
+                  <option value="">{t("import.ignore")}</option>
+                  {fields.map((f) => (
+                    <option key={f.path} value={f.path}>{f.path}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {preview && preview.notes.length > 0 && (
+        <ul className="mt-3 text-xs text-slate-600 list-disc pl-5">
+          {preview.notes.map((msg, i) => (
+            <li key={i}>{msg}</li>
+          ))}
+        </ul>
+      )}
+
+      {preview && preview.fileErrors.length > 0 && (
+        <ul className="mt-3 text-sm text-rose-700 list-disc pl-5">
+          {preview.fileErrors.map((msg, i) => (
+            <li key={i}>{msg}</li>
+          ))}
+        </ul>
+      )}
+
+      {preview && preview.rows.length > 0 && (
+        <div className="mt-3 overflow-x-auto border rounded-xl">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 text-slate-600">
+              <tr>
+                <th className="px-2 py-1 text-left">{t("col.row")}</th>
+                {preview.fields.map((f) => (
+                  <th key={f.path} className={`px-2 py-1 ${f.path === "endISO" ? "text-left" : "text-right"}`}>{f.label}</th>
+                ))}
+                <th className="px-2 py-1 text-left">{t("col.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((r, i) => (
+                <tr key={i} className={`border-t ${r.errors.length ? "bg-rose-50" : ""}`}>
+                  <td className="px-2 py-1 text-slate-500">{r.row}</td>
+                  {preview.fields.map((f) => (
+                    <td key={f.path} className={`px-2 py-1 tabular-nums ${f.path === "endISO" ? "" : "text-right"}`}>
+                      {fmtImportCell(getPath(r.week, f.path))}
+                    </td>
+                  ))}
+                  <td className="px-2 py-1">
+                    {r.errors.length ? <span className="text-rose-700">{r.errors.join("; ")}</span> : <span className="text-emerald-700">{t("import.ok")}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-3 flex items-center justify-between gap-2">
+        <div className="text-xs text-slate-500">
+          {preview ? t("import.summary", { n: preview.rows.length, errors: rowErrorCount }) : t("import.waiting")}
+        </div>
+        <button
+          className="btn disabled:opacity-40"
+          disabled={!canApply}
+          onClick={() => onApply({ weeks: preview.rows.map((r) => r.week), settings: preview.settings })}
+        >
+          {t("import.replace", { n: preview ? preview.rows.length : 0 })}
+        </button>
+      </div>
+    </div>
+  );
 }
 
-function sumChannels(ch) {
-  return (ch.paid || 0) + (ch.organic || 0) + (ch.email || 0) + (ch.referral || 0);
+// ---------- Grid editing ----------
+const UNDO_LIMIT = 100;
+
+// Selection corners to an inclusive { r0, r1, c0, c1 }
+function gridRect({ anchor, focus }) {
+  return {
+    r0: Math.min(anchor[0], focus[0]),
+    r1: Math.max(anchor[0], focus[0]),
+    c0: Math.min(anchor[1], focus[1]),
+    c1: Math.max(anchor[1], focus[1]),
+  };
 }
 
-function addDays(date, days) {
-  const d = new Date(date);
-  d.setUTCDate(d.getUTCDate() + days);
-  return d;
+function inRect(rect, row, col) {
+  return Boolean(rect) && row >= rect.r0 && row <= rect.r1 && col >= rect.c0 && col <= rect.c1;
 }
 
-function toISODate(d) {
-  const y = d.getUTCFullYear();
-  const m = `${d.getUTCMonth() + 1}`.padStart(2, "0");
-  const day = `${d.getUTCDate()}`.padStart(2, "0");
-  return `${y}-${m}-${day}`;
+// Clipboard text from a spreadsheet: rows by newline, cells by tab; the trailing newline Excel adds is dropped
+function parseGridText(text) {
+  return text
+    .replace(/\r?\n$/, "")
+    .split(/\r?\n/)
+    .map((line) => line.split("\t"));
 }
 
+// ---------- Storage ----------
 function ensureDocId() {
   const key = "wbr_doc_id";
   let id = localStorage.getItem(key);
@@ -597,47 +3697,156 @@ function ensureDocId() {
   return id;
 }
 
-function loadBaseline() {
+function saveDocId(id) {
+  try {
+    localStorage.setItem("wbr_doc_id", id);
+  } catch {}
+}
+
+// Per docId; a baseline saved under the old single "wbr_baseline" key still counts for the document it names
+function loadBaseline(docId) {
+  try {
+    const raw = localStorage.getItem(`wbr_baseline:${docId}`);
+    if (raw) return JSON.parse(raw);
+    const legacy = JSON.parse(localStorage.getItem("wbr_baseline"));
+    return legacy && legacy.docId === docId ? legacy : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveBaseline(docId, b) {
+  try {
+    localStorage.setItem(`wbr_baseline:${docId}`, JSON.stringify(b));
+  } catch {}
+}
+
+function loadDoc(docId) {
   try {
-    const raw = localStorage.getItem("wbr_baseline");
+    const raw = localStorage.getItem(`wbr_doc:${docId}`);
     return raw ? JSON.parse(raw) : null;
   } catch {
     return null;
   }
 }
 
-function saveBaseline(b) {
+function saveDoc(docId, doc) {
   try {
-    localStorage.setItem("wbr_baseline", JSON.stringify(b));
+    localStorage.setItem(`wbr_doc:${docId}`, JSON.stringify({ ...doc, savedAt: new Date().toISOString() }));
   } catch {}
 }
 
-function loadLastRun() {
+function loadSnapshots(docId) {
   try {
-    return localStorage.getItem("wbr_last_run");
+    const raw = localStorage.getItem(`wbr_snapshots:${docId}`);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSnapshots(docId, list) {
+  try {
+    localStorage.setItem(`wbr_snapshots:${docId}`, JSON.stringify(list));
+  } catch {}
+}
+
+function newSnapshotId() {
+  return `snap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function cloneDoc(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+function loadEditLog(docId) {
+  try {
+    const raw = localStorage.getItem(`wbr_log:${docId}`);
+    return raw ? JSON.parse(raw) : null;
   } catch {
     return null;
   }
 }
 
-function saveLastRun(ts) {
+function saveEditLog(docId, log) {
+  if (!log) return;
   try {
-    localStorage.setItem("wbr_last_run", ts);
+    localStorage.setItem(`wbr_log:${docId}`, JSON.stringify(log));
   } catch {}
 }
 
-async function canonicalHash(obj) {
-  const canonical = canonicalize(obj);
-  const enc = new TextEncoder().encode(canonical);
-  const buf = await crypto.subtle.digest("SHA-256", enc);
-  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+function loadAuthor() {
+  try {
+    return localStorage.getItem("wbr_author") || "";
+  } catch {
+    return "";
+  }
+}
+
+function saveAuthor(name) {
+  try {
+    localStorage.setItem("wbr_author", name);
+  } catch {}
 }
 
-function canonicalize(x) {
-  if (x === null || typeof x !== "object") return JSON.stringify(x);
-  if (Array.isArray(x)) return `[${x.map((v) => canonicalize(v)).join(",")}]`;
-  const keys = Object.keys(x).sort();
-  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(x[k])}`).join(",")}}`;
+function loadWebhooks(docId) {
+  try {
+    const raw = localStorage.getItem(`wbr_webhooks:${docId}`);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveWebhooks(docId, hooks) {
+  try {
+    localStorage.setItem(`wbr_webhooks:${docId}`, JSON.stringify(hooks));
+  } catch {}
+}
+
+function loadServerUrl() {
+  try {
+    return localStorage.getItem("wbr_server") || DEFAULT_SERVER_URL;
+  } catch {
+    return DEFAULT_SERVER_URL;
+  }
+}
+
+function saveServerUrl(url) {
+  try {
+    localStorage.setItem("wbr_server", url);
+  } catch {}
+}
+
+// The server version this browser's copy was last loaded from or saved as: { url, hash, payload, updatedAt, author }
+function loadSync(docId) {
+  try {
+    const raw = localStorage.getItem(`wbr_sync:${docId}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveSync(docId, sync) {
+  try {
+    if (sync) localStorage.setItem(`wbr_sync:${docId}`, JSON.stringify(sync));
+    else localStorage.removeItem(`wbr_sync:${docId}`);
+  } catch {}
+}
+
+function loadLastRun() {
+  try {
+    return localStorage.getItem("wbr_last_run");
+  } catch {
+    return null;
+  }
+}
+
+function saveLastRun(ts) {
+  try {
+    localStorage.setItem("wbr_last_run", ts);
+  } catch {}
 }
 
 function toast(msg) {
@@ -655,28 +3864,430 @@ function toast(msg) {
   }, 1200);
 }
 
-function buildMarkdown(weeks, kpiKeys, deltas, alertThreshold, channelMetric, docId, hashHex) {
+// ---------- Slide deck ----------
+// Slides and their speaker notes from the report data: overview, one per KPI, channel mix, anomalies & actions.
+// Actions are the KPIs and channels off target and the Tests Gate checks still failing.
+function deckSlides(report) {
+  const { kpis, series, deltas, anomalies, plan, narrative, channelRows, channelMetric, anomalyList, tests, format } = report;
+  const { t, tn, fmtKpi, fmtPct, fmtVariance, fmtChannelValue } = format;
+  const last = (arr) => arr[arr.length - 1];
+  const latestISO = last(report.weeks).endISO;
+  const offTarget = (p) => p.target != null && p.rag && p.rag !== "green";
+  const actions = [
+    ...kpis.filter((k) => offTarget(plan.kpis[k.key])).map((k) => t("deck.action.kpi", { label: k.label, pct: fmtVariance(plan.kpis[k.key].variance) })),
+    ...channelRows.filter((r) => offTarget(r)).map((r) => t("deck.action.channel", { label: r.label, metric: t(`metric.${channelMetric}`), pct: fmtVariance(r.variance) })),
+    ...tests.filter((test) => !test.pass && test.severity !== "info").map((test) => t("deck.action.data", { name: test.name, message: testMessage(test, format) })),
+  ];
+  return [
+    { kind: "overview", title: t("deck.overview"), notes: narrative.length ? narrative : [t("deck.noPrior")] },
+    ...kpis.map((meta) => {
+      const p = plan.kpis[meta.key];
+      const anom = last(anomalies[meta.key]);
+      const said = narrative.find((b) => b.startsWith(`${meta.label} `));
+      return {
+        kind: "kpi",
+        meta,
+        title: `${meta.label} ${meta.sub || ""}`.trim(),
+        notes: [
+          said || `${meta.label} ${fmtKpi(meta, last(series[meta.key]))}, ${t("basis.wow.short")} ${fmtPct(last(deltas[meta.key]))}`,
+          p.target != null && `${t("card.target", { value: fmtKpi(meta, p.target) })} (${fmtVariance(p.variance)}, ${t(`rag.${p.rag}`)})`,
+          p.toDate && tn("deck.toDate", p.toDate.weeks, { pct: fmtPct(p.toDate.attainment) }),
+          anom && t("deck.anomaly", { reason: anom.reason }),
+        ].filter(Boolean),
+      };
+    }),
+    {
+      kind: "channels",
+      title: t("mix.title", { metric: t(`metric.${channelMetric}`) }),
+      notes: [
+        ...narrative.filter((b) => b.startsWith(t("narrative.movers", { metric: t(`metric.${channelMetric}`), list: "" }))),
+        ...channelRows.map((r) => `${r.label}: ${fmtChannelValue(channelMetric, r.thisVal)}, ${t("share.share", { pct: fmtPct(r.share) })}, ${t("basis.wow.short")} ${fmtPct(r.wow)}`),
+      ],
+    },
+    {
+      kind: "actions",
+      title: t("deck.actions.title"),
+      actions,
+      notes: [
+        t("deck.anomalyCount", { n: anomalyList.filter((a) => a.endISO === latestISO).length, total: anomalyList.length }),
+        actions.length ? t("deck.agreeOwners") : t("deck.noActions"),
+      ],
+    },
+  ];
+}
+
+function fmtClock(seconds) {
+  const m = Math.floor(seconds / 60);
+  return `${m}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function notesShell(format) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${esc(format.t("deck.speakerNotes"))} — Pipeline Scoreboard</title>
+<style>body{font:16px/1.5 system-ui,sans-serif;margin:24px;color:#0f172a}#timer{font-size:32px;font-weight:700;font-variant-numeric:tabular-nums}
+h1{font-size:22px;margin:16px 0 8px}li{margin:6px 0}.muted{color:#64748b}button{font:inherit;padding:4px 12px;margin-right:8px;border:1px solid #cbd5e1;border-radius:8px;background:#fff}</style>
+</head><body><div id="timer"></div><div id="notes"></div></body></html>`;
+}
+
+function notesHTML(slides, at, format) {
+  const { t } = format;
+  const slide = slides[at];
+  const next = slides[at + 1];
+  return `<div class="muted">${esc(t("deck.slideOf", { n: at + 1, total: slides.length }))}</div>
+<h1>${esc(slide.title)}</h1>
+<ul>${slide.notes.map((n) => `<li>${esc(n)}</li>`).join("")}</ul>
+<p class="muted">${esc(t("deck.next", { title: next ? next.title : t("deck.end") }))}</p>
+<p><button data-nav="ArrowLeft">${esc(t("deck.prev"))}</button><button data-nav="ArrowRight">${esc(t("deck.nextButton"))}</button></p>`;
+}
+
+// ---------- HTML report ----------
+// One self-contained file: inline CSS and SVG, no scripts or external assets, so it opens, mails and prints anywhere.
+// The print stylesheet sets the page size; sections avoid breaking across pages.
+const REPORT_PAPER = { a4: { label: "A4", size: "A4" }, letter: { label: "Letter", size: "letter" } };
+const REPORT_MIX_COLORS = ["#38bdf8", "#34d399", "#fbbf24", "#a78bfa", "#fb7185", "#2dd4bf", "#94a3b8"]; // MIX_FILLS as hex
+const REPORT_RAG_COLORS = { green: "#10b981", amber: "#f59e0b", red: "#f43f5e" };
+
+function esc(x) {
+  return String(x).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function svgSparkline(values, markers, width = 200, height = 44) {
+  const finite = values.filter(isFiniteNum);
+  if (!finite.length) return "";
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const xy = values.map((v, i) =>
+    isFiniteNum(v)
+      ? [(i / Math.max(values.length - 1, 1)) * (width - 8) + 4, height - 4 - (max - min === 0 ? 0.5 : (v - min) / (max - min)) * (height - 8)]
+      : null
+  );
+  const pts = xy.filter(Boolean).map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`);
+  const dots = xy.map((p, i) => (p && markers[i] ? `<circle cx="${p[0].toFixed(1)}" cy="${p[1].toFixed(1)}" r="3" fill="#f43f5e"/>` : "")).join("");
+  return `<svg width="100%" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${pts.join(" ")}" fill="none" stroke="#334155" stroke-width="2"/>${dots}</svg>`;
+}
+
+// Stacked columns of the channel metric per week
+function svgChannelMix(weeks, channelDefs, metric, format, width = 640, height = 180) {
+  const layers = channelDefs.filter((c) => !c.retired || weeks.some((w) => w.channels[metric][c.key]));
+  const totals = weeks.map((w) => sumChannels(w.channels[metric], layers.map((c) => c.key)));
+  const max = Math.max(...totals, 1);
+  const left = 8;
+  const bottom = height - 18;
+  const slot = (width - left) / Math.max(weeks.length, 1);
+  const bars = weeks
+    .map((w, i) => {
+      let y = bottom;
+      const rects = layers.map((c, l) => {
+        const v = isFiniteNum(w.channels[metric][c.key]) ? Math.max(0, w.channels[metric][c.key]) : 0;
+        const h = (v / max) * (bottom - 8);
+        y -= h;
+        return `<rect x="${(left + i * slot + slot * 0.15).toFixed(1)}" y="${y.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${h.toFixed(1)}" fill="${REPORT_MIX_COLORS[l % REPORT_MIX_COLORS.length]}"><title>${esc(`${w.endISO} ${c.label}: ${format.fmtChannelValue(metric, v)}`)}</title></rect>`;
+      });
+      const label = `<text x="${(left + i * slot + slot / 2).toFixed(1)}" y="${height - 4}" font-size="9" text-anchor="middle" fill="#64748b">${esc(w.endISO.slice(5))}</text>`;
+      return rects.join("") + label;
+    })
+    .join("");
+  const legend = layers
+    .map((c, l) => `<span class="key"><i style="background:${REPORT_MIX_COLORS[l % REPORT_MIX_COLORS.length]}"></i>${esc(c.label)}</span>`)
+    .join("");
+  return `<svg width="100%" viewBox="0 0 ${width} ${height}">${bars}</svg><div class="legend">${legend}</div>`;
+}
+
+// Cells are HTML already; numeric[i] right-aligns column i (default: every column after the first)
+function htmlTable(head, rows, numeric = head.map((_, i) => i > 0)) {
+  const cls = (i) => (numeric[i] ? ' class="num"' : "");
+  const th = head.map((h, i) => `<th${cls(i)}>${esc(h)}</th>`).join("");
+  const tr = rows.map((r) => `<tr>${r.map((c, i) => `<td${cls(i)}>${c}</td>`).join("")}</tr>`).join("");
+  return `<table><thead><tr>${th}</tr></thead><tbody>${tr}</tbody></table>`;
+}
+
+function buildReportHTML(report, paper = "a4") {
+  const { weeks, kpis, series, deltas, anomalies, comparison, anomalyList, plan, viewLabel, branchRanking, channelRows, channelDefs } = report;
+  const { channelMetric, docId, hashHex, logicVersion, tests, gate, override, format } = report;
+  const { t, fmtDate, fmtDateTime, fmtKpi, fmtPct, fmtPct1, fmtVariance, fmtCurrency, fmtChannelValue } = format;
   const latest = weeks[weeks.length - 1];
-  const prev = weeks[weeks.length - 2];
-  const lines = [];
-  lines.push(`# Pipeline Scoreboard — Real Estate WBR`);
-  lines.push("");
-  lines.push(`**Week ending ${latest.endISO}**  `);
-  lines.push(`docId: ${docId}  `);
-  lines.push(`hash: ${hashHex}`);
-  lines.push("");
-  lines.push(`Alert threshold: ${(alertThreshold * 100).toFixed(0)}%  `);
-  lines.push(`Channel metric: ${channelMetric}`);
-  lines.push("");
-  lines.push(`## KPIs`);
-  lines.push("\n| KPI | This | WoW |\n|---|---:|---:|");
-  kpiKeys.forEach((meta) => {
-    const thisVal = latest.kpi[meta.key];
-    const d = prev ? deltas[meta.key][deltas[meta.key].length - 1] : null;
-    lines.push(`| ${meta.label} ${meta.sub} | ${meta.fmt(thisVal)} | ${d == null ? "—" : fmtPct(d)} |`);
-  });
-  lines.push("");
-  lines.push(`_WoW rule: if last==0 → delta=null (render “—”); CAC inverted._`);
-  return lines.join("\n");
+  const last = (arr) => arr[arr.length - 1];
+  const pct = (d) => (d == null ? "—" : `<span class="${d >= 0 ? "up" : "down"}">${fmtPct(d)}</span>`);
+  const rag = (status) => `<i class="dot" style="background:${REPORT_RAG_COLORS[status] || "#cbd5e1"}"></i>`;
+  const byPeriod = comparison.basis !== "wow";
+
+  const cards = kpis
+    .map((k) => {
+      const p = plan.kpis[k.key];
+      const anom = last(anomalies[k.key]);
+      return `<div class="card${anom ? " flagged" : ""}">
+  <div class="muted">${esc(k.label)} ${esc(k.sub || "")}</div>
+  <div class="value">${esc(fmtKpi(k, last(series[k.key])))} <small>${t("basis.wow.short")} ${pct(weeks.length > 1 ? last(deltas[k.key]) : null)}</small></div>
+  ${byPeriod ? `<div class="muted">${esc(comparison.period)}: ${esc(fmtKpi(k, comparison.values[k.key]))} · ${esc(comparison.short)} ${pct(comparison.deltas[k.key])}</div>` : ""}
+  ${svgSparkline(series[k.key], anomalies[k.key].map(Boolean))}
+  ${p.target != null ? `<div class="muted">${rag(p.rag)} ${esc(t("card.target", { value: fmtKpi(k, p.target) }))} · ${esc(fmtVariance(p.variance))}${p.toDate ? ` · ${esc(t("report.toDate", { pct: fmtPct(p.toDate.attainment) }))}` : ""}</div>` : ""}
+  ${anom ? `<div class="down">${esc(anom.reason)}</div>` : ""}
+</div>`;
+    })
+    .join("");
+
+  const channelTable = htmlTable(
+    CHANNEL_COLUMNS.map((c) => t(`col.${c}`)),
+    channelRows.map((r) => [
+      esc(`${r.label}${r.retired ? ` ${t("channel.retired")}` : ""}`),
+      esc(fmtChannelValue(channelMetric, r.thisVal)),
+      esc(fmtChannelValue(channelMetric, r.lastVal)),
+      pct(r.wow),
+      esc(fmtPct(r.share)),
+      r.target == null ? "—" : esc(fmtChannelValue(channelMetric, r.target)),
+      `${r.target != null ? rag(r.rag) : ""}${esc(fmtVariance(r.variance))}`,
+      r.revPerOrder == null ? "—" : esc(fmtCurrency(r.revPerOrder)),
+      esc(fmtPct1(r.conversion)),
+    ])
+  );
+
+  const history = htmlTable(
+    [t("col.weekEnding"), ...kpis.map((k) => k.label)],
+    weeks.map((w, i) => [esc(fmtDate(w.endISO)), ...kpis.map((k) => `<span class="${anomalies[k.key][i] ? "flag" : ""}">${esc(fmtKpi(k, series[k.key][i]))}</span>`)])
+  );
+
+  const byKey = new Map(kpis.map((k) => [k.key, k]));
+  const anomalyTable = anomalyList.length
+    ? htmlTable(
+        [t("col.weekEnding"), t("col.kpi"), t("col.value"), t("col.reason")],
+        anomalyList.map((a) => [esc(fmtDate(a.endISO)), esc(a.label), esc(fmtKpi(byKey.get(a.key), a.value)), esc(a.reason)]),
+        [false, false, true, false]
+      )
+    : `<p class="muted">${esc(t("md.noAnomalies"))}</p>`;
+
+  const branchTable = branchRanking.length
+    ? `<section><h2>${esc(t("md.branches"))}</h2>${htmlTable(
+        ["#", t("col.branch"), ...kpis.map((k) => `${k.label} (${t("basis.wow.short")})`), t("col.anomalies")],
+        branchRanking.map((b) => [
+          String(b.rank),
+          esc(b.label),
+          ...kpis.map((k) => `${esc(fmtKpi(k, b.latest[k.key]))} (${pct(b.wow[k.key])})`),
+          `${b.latestAnomalies} / ${b.anomalies}`,
+        ]),
+        [true, false, ...kpis.map(() => true), true]
+      )}</section>`
+    : "";
+
+  const testList = tests
+    .map((test) => `<li class="${test.pass ? "pass" : test.severity}"><b>${esc(test.name)}</b>: ${esc(testMessage(test, format))}</li>`)
+    .join("");
+
+  return `<!doctype html>
+<html lang="${format.lang}">
+<head>
+<meta charset="utf-8">
+<title>${esc(`WBR ${fmtDate(latest.endISO)} — ${viewLabel}`)}</title>
+<style>
+  body { font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 24px auto; max-width: 960px; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; } h2 { font-size: 15px; margin: 20px 0 8px; }
+  .muted { color: #64748b; font-size: 11px; } .up { color: #047857; } .down { color: #be123c; } .flag { color: #be123c; font-weight: 600; }
+  .gate { display: inline-block; padding: 1px 8px; border-radius: 999px; color: #fff; font-size: 11px; }
+  .gate.pass { background: #059669; } .gate.check { background: #d97706; } .gate.blocked { background: #e11d48; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+  .card { border: 1px solid #e2e8f0; border-radius: 12px; padding: 10px; } .card.flagged { border-color: #fb7185; }
+  .value { font-size: 20px; font-weight: 700; } .value small { font-size: 11px; font-weight: 400; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #e2e8f0; text-align: left; } th { background: #f8fafc; color: #475569; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 4px; }
+  .legend { display: flex; gap: 12px; font-size: 11px; color: #475569; } .key i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  ul.tests { columns: 2; padding-left: 18px; } ul.tests li { break-inside: avoid; }
+  li.pass::marker { color: #059669; } li.error::marker { color: #e11d48; } li.warn::marker { color: #d97706; } li.info::marker { color: #0284c7; }
+  footer { margin-top: 24px; padding-top: 8px; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 10px; word-break: break-all; }
+  @page { size: ${REPORT_PAPER[paper].size}; margin: 12mm; }
+  @media print {
+    body { margin: 0; max-width: none; padding: 0; font-size: 11px; }
+    section, .card, tr { break-inside: avoid; }
+    .cards { grid-template-columns: repeat(4, 1fr); }
+  }
+</style>
+</head>
+<body>
+<header>
+  <h1>${esc(t("app.title"))}</h1>
+  <div><b>${esc(t("weekEnding", { date: fmtDate(latest.endISO) }))}</b> · ${esc(viewLabel)} · ${esc(t("gate.title"))} <span class="gate ${gate}">${t(`gate.${gate}`)}</span></div>
+  ${override ? `<div class="down">${esc(t("md.overridden"))} ${esc(fmtDateTime(override.ts))}: ${esc(override.reason)}</div>` : ""}
+</header>
+<section><h2>${esc(t("md.kpis"))}</h2><div class="cards">${cards}</div>
+${byPeriod ? `<p class="muted">${esc(t("md.basis", { basis: comparison.label, period: comparison.period }))}${comparison.prevPeriod ? ` ${esc(t("vs"))} ${esc(comparison.prevPeriod)}` : ""}.</p>` : ""}</section>
+<section><h2>${esc(t("mix.title", { metric: t(`metric.${channelMetric}`) }))}</h2>${channelTable}<div style="margin-top:8px">${svgChannelMix(weeks, channelDefs, channelMetric, format)}</div></section>
+${branchTable}
+<section><h2>${esc(t("col.anomalies"))}</h2>${anomalyTable}</section>
+<section><h2>${esc(t("md.history", { n: weeks.length }))}</h2>${history}<p class="muted">${esc(t("report.legend"))}</p></section>
+<section><h2>${esc(t("gate.title"))} — ${t(`gate.${gate}`)}</h2><ul class="tests">${testList}</ul></section>
+<footer>${esc(t("report.footer", { docId, hash: hashHex, logicVersion, ts: fmtDateTime(new Date().toISOString()) }))}</footer>
+</body>
+</html>
+`;
 }
 
+// ---------- Share: chat and email payloads ----------
+// Built from reportData like the Markdown, trimmed to what reads in a chat: KPIs, channel mix, anomalies, failing
+// tests and the audit footer. Email goes to a relay webhook as { subject, html }. Labels: share.format.<key> and
+// share.placeholder.<key>.
+const SHARE_FORMATS = {
+  slack: { build: buildSlackPayload },
+  teams: { build: buildTeamsPayload },
+  email: { build: buildEmailPayload },
+};
+const SLACK_FIELDS_PER_SECTION = 10; // Block Kit limit
+const RAG_EMOJI = { green: "🟢", amber: "🟠", red: "🔴" };
+
+// Plain-text lines shared by the chat formats
+function shareLines(report) {
+  const { weeks, kpis, series, deltas, plan, anomalyList, channelRows, channelMetric, tests, gate, override, docId, hashHex, logicVersion, format } = report;
+  const { t, fmtDate, fmtKpi, fmtPct, fmtVariance, fmtChannelValue } = format;
+  const last = (arr) => arr[arr.length - 1];
+  return {
+    title: `${t("app.title")} — ${t("weekEnding", { date: fmtDate(last(weeks).endISO) })}`,
+    context: `${report.viewLabel} · ${t("gate.title")} ${t(`gate.${gate}`)}${override ? ` (${t("share.overridden", { reason: override.reason })})` : ""}`,
+    kpis: kpis.map((k) => {
+      const p = plan.kpis[k.key];
+      const target = p.target != null ? ` · ${RAG_EMOJI[p.rag] || ""} ${t("share.vsTarget", { pct: fmtVariance(p.variance) })}` : "";
+      return { label: k.label, value: `${fmtKpi(k, last(series[k.key]))} · ${t("basis.wow.short")} ${weeks.length > 1 ? fmtPct(last(deltas[k.key])) : "—"}${target}` };
+    }),
+    channels: channelRows.map((r) => ({ label: r.label, value: `${fmtChannelValue(channelMetric, r.thisVal)} · ${t("share.share", { pct: fmtPct(r.share) })} · ${t("basis.wow.short")} ${fmtPct(r.wow)}` })),
+    channelTitle: t("mix.title", { metric: t(`metric.${channelMetric}`) }),
+    anomalies: anomalyList.filter((a) => a.endISO === last(weeks).endISO).map((a) => `${a.label}: ${a.reason}`),
+    anomaliesTitle: t("share.anomaliesThisWeek"),
+    failing: tests.filter((test) => !test.pass).map((test) => `${t(`severity.${test.severity}.short`).toUpperCase()} ${test.name}: ${testMessage(test, format)}`),
+    failingTitle: t("gate.title"),
+    subject: t("share.emailSubject", { date: fmtDate(last(weeks).endISO) }),
+    footer: `docId ${docId} · hash ${hashHex.slice(0, 12)}… · logicVersion ${logicVersion}`,
+  };
+}
+
+function buildSlackPayload(report) {
+  const l = shareLines(report);
+  const fields = (rows) => rows.map((r) => ({ type: "mrkdwn", text: `*${r.label}*\n${r.value}` }));
+  const chunks = (xs) => Array.from({ length: Math.ceil(xs.length / SLACK_FIELDS_PER_SECTION) }, (_, i) => xs.slice(i * SLACK_FIELDS_PER_SECTION, (i + 1) * SLACK_FIELDS_PER_SECTION));
+  const list = (title, items) => ({ type: "section", text: { type: "mrkdwn", text: `*${title}*\n${items.map((x) => `• ${x}`).join("\n")}` } });
+  return {
+    text: `${l.title} — ${l.context}`, // notification fallback
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: l.title } },
+      { type: "context", elements: [{ type: "mrkdwn", text: l.context }] },
+      ...chunks(fields(l.kpis)).map((f) => ({ type: "section", fields: f })),
+      { type: "divider" },
+      { type: "section", text: { type: "mrkdwn", text: `*${l.channelTitle}*` } },
+      ...chunks(fields(l.channels)).map((f) => ({ type: "section", fields: f })),
+      ...(l.anomalies.length ? [list(l.anomaliesTitle, l.anomalies)] : []),
+      ...(l.failing.length ? [list(l.failingTitle, l.failing)] : []),
+      { type: "context", elements: [{ type: "mrkdwn", text: l.footer }] },
+    ],
+  };
+}
+
+// Message envelope accepted by Teams incoming webhooks and Workflows
+function buildTeamsPayload(report) {
+  const l = shareLines(report);
+  const facts = (rows) => ({ type: "FactSet", facts: rows.map((r) => ({ title: r.label, value: r.value })) });
+  const list = (title, items) => [
+    { type: "TextBlock", text: title, weight: "Bolder", spacing: "Medium" },
+    { type: "TextBlock", text: items.map((x) => `- ${x}`).join("\n"), wrap: true },
+  ];
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            { type: "TextBlock", text: l.title, weight: "Bolder", size: "Medium", wrap: true },
+            { type: "TextBlock", text: l.context, isSubtle: true, spacing: "None", wrap: true },
+            facts(l.kpis),
+            { type: "TextBlock", text: l.channelTitle, weight: "Bolder", spacing: "Medium" },
+            facts(l.channels),
+            ...(l.anomalies.length ? list(l.anomaliesTitle, l.anomalies) : []),
+            ...(l.failing.length ? list(l.failingTitle, l.failing) : []),
+            { type: "TextBlock", text: l.footer, isSubtle: true, size: "Small", wrap: true },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+// Mail clients drop <style>, so every element carries its own
+function buildEmailPayload(report) {
+  const l = shareLines(report);
+  const td = 'style="padding:4px 8px;border-bottom:1px solid #e2e8f0"';
+  const rows = (items) => items.map((r) => `<tr><td ${td}><b>${esc(r.label)}</b></td><td ${td}>${esc(r.value)}</td></tr>`).join("");
+  const table = (items) => `<table cellpadding="0" cellspacing="0" style="border-collapse:collapse;font-size:13px;margin:4px 0 12px">${rows(items)}</table>`;
+  const list = (title, items) =>
+    `<h3 style="font-size:14px;margin:12px 0 4px">${esc(title)}</h3><ul style="margin:0;padding-left:18px">${items.map((x) => `<li>${esc(x)}</li>`).join("")}</ul>`;
+  const html = `<div style="font-family:Arial,Helvetica,sans-serif;color:#0f172a;max-width:640px">
+<h2 style="font-size:18px;margin:0 0 4px">${esc(l.title)}</h2>
+<div style="color:#64748b;font-size:12px;margin-bottom:12px">${esc(l.context)}</div>
+${table(l.kpis)}
+<h3 style="font-size:14px;margin:12px 0 4px">${esc(l.channelTitle)}</h3>
+${table(l.channels)}
+${l.anomalies.length ? list(l.anomaliesTitle, l.anomalies) : ""}
+${l.failing.length ? list(l.failingTitle, l.failing) : ""}
+<div style="color:#64748b;font-size:11px;margin-top:16px;border-top:1px solid #e2e8f0;padding-top:6px">${esc(l.footer)}</div>
+</div>`;
+  return { subject: l.subject, html };
+}
+
+function webhookUrlError(url, { t }) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "https:" || u.protocol === "http:" ? "" : t("share.badScheme");
+  } catch {
+    return t("share.badUrl");
+  }
+}
+
+function webhookRequest(url, payload) {
+  return { method: "POST", url, headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) };
+}
+
+// { ok, status, statusText, response, error, ms }; never throws
+async function postWebhook(url, payload, { t }) {
+  const req = webhookRequest(url, payload);
+  const started = Date.now();
+  try {
+    const res = await fetch(req.url, { method: req.method, headers: req.headers, body: req.body });
+    const response = await res.text().catch(() => "");
+    return {
+      ok: res.ok,
+      status: res.status,
+      statusText: res.statusText,
+      response: response.slice(0, 2000),
+      error: res.ok ? "" : t(response ? "share.rejectedReply" : "share.rejected"),
+      ms: Date.now() - started,
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      status: 0,
+      statusText: "",
+      response: "",
+      error: t("share.networkError", { message: e.message }),
+      ms: Date.now() - started,
+    };
+  }
+}
+
+// ---------- Shared document server ----------
+// REST client for scoreboard-server.mjs: GET/PUT /api/docs/:docId with { baseHash, doc, author }
+const DEFAULT_SERVER_URL = "http://localhost:8787";
+
+// { ok, status, body, error }; never throws
+async function serverRequest(base, path, { t }, { method = "GET", body } = {}) {
+  try {
+    const res = await fetch(`${base.replace(/\/+$/, "")}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => null);
+    // The server's error text is English; its code picks ours
+    const reason = data && data.code ? t(`server.error.${data.code}`) : data && data.error ? data.error : res.statusText;
+    return { ok: res.ok, status: res.status, body: data, error: res.ok ? "" : t("server.replied", { status: res.status, reason }) };
+  } catch (e) {
+    return { ok: false, status: 0, body: null, error: t("server.networkError", { message: e.message, url: base }) };
+  }
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Pipeline Scoreboard CLI — checks a scoreboard JSON file (the app's Copy JSON export) with the same engine the
+ * dashboard runs, so a data pipeline can validate the weekly file before anyone opens it.
+ * Validates the file as Import does, prints the canonical hash and the Tests Gate for the document's saved view, and
+ * writes the Markdown report (--md) and the Copy JSON payload (--json). As in the app, errors block the reports unless
+ * the file records an override for its current hash.
+ * Exit codes: 0 gate passed (or only warnings, or overridden), 1 gate blocked, 2 usage error, invalid file, a file that
+ * cannot be read or written, or any other failure.
+ */
+import { webcrypto } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  ALL_BRANCHES,
+  DEFAULT_CHANNELS,
+  DEFAULT_KPIS,
+  LOCALES,
+  buildMarkdown,
+  canonicalHash,
+  canonicalPayload,
+  exportPayload,
+  formatter,
+  previewDocument,
+  previewImportJSON,
+  scoreboardReport,
+  testMessage,
+} from "./scoreboard-engine.mjs";
+
+if (!globalThis.crypto) globalThis.crypto = webcrypto; // Node 18: canonicalHash needs crypto.subtle
+
+const USAGE = `Usage: node scoreboard-cli.mjs <scoreboard.json> [options]
+
+  --md <file>       write the Markdown report
+  --json <file>     write the JSON export (document, derived data and audit block)
+  --branch <key>    report on this branch, or "*" for the roll-up (default: the file's active branch)
+  --locale <tag>    number/date formats and report language: ${LOCALES.filter(Boolean).join(", ")}
+  --doc-id <id>     docId for the reports (default: the file's audit.docId, else the file name)
+  -h, --help        show this help`;
+
+const OPTIONS = { "--md": "md", "--json": "json", "--branch": "branch", "--locale": "locale", "--doc-id": "docId" };
+
+function parseArgs(argv) {
+  const opts = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (OPTIONS[arg]) {
+      if (argv[i + 1] == null) throw new Error(`${arg} needs a value`);
+      opts[OPTIONS[arg]] = argv[++i];
+    } else if (arg.startsWith("-")) throw new Error(`unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  if (!opts.help && opts.files.length !== 1) throw new Error("expected one scoreboard JSON file");
+  return opts;
+}
+
+// true once written; a failure is reported, not thrown
+async function writeReport(file, text) {
+  try {
+    await writeFile(file, text);
+  } catch (e) {
+    console.error(`Cannot write ${file}: ${e.message}`);
+    return false;
+  }
+  console.log(`Wrote ${file}`);
+  return true;
+}
+
+function printImportErrors(file, preview) {
+  console.error(`${file}: not a valid scoreboard export`);
+  preview.fileErrors.forEach((e) => console.error(`  ${e}`));
+  preview.rows.filter((r) => r.errors.length).forEach((r) => console.error(`  row ${r.row} (${r.week.endISO || "no endISO"}): ${r.errors.join("; ")}`));
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const file = opts.files[0];
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (e) {
+    console.error(`Cannot read ${file}: ${e.message}`);
+    return 2;
+  }
+  const preview = previewImportJSON(text, DEFAULT_KPIS, DEFAULT_CHANNELS, null, formatter());
+  if (!preview.ok) {
+    printImportErrors(file, preview);
+    return 2;
+  }
+
+  const doc = previewDocument(preview);
+  if (opts.branch != null) {
+    if (opts.branch !== ALL_BRANCHES && !doc.branches.some((b) => b.key === opts.branch)) {
+      console.error(`No branch "${opts.branch}"; the file has ${doc.branches.map((b) => b.key).join(", ")}`);
+      return 2;
+    }
+    doc.activeBranch = opts.branch;
+  }
+  if (opts.locale != null) {
+    if (!LOCALES.includes(opts.locale)) {
+      console.error(`--locale must be one of ${LOCALES.filter(Boolean).join(", ")}`);
+      return 2;
+    }
+    doc.locale = opts.locale;
+  }
+
+  const { audit, editLog } = preview.source;
+  const docId = opts.docId || (audit && audit.docId) || path.basename(file, path.extname(file));
+  const hashHex = await canonicalHash(canonicalPayload(doc));
+  const report = scoreboardReport(doc, { docId, hashHex });
+  const { t } = report.format;
+
+  console.log(`${file} · ${report.viewLabel}`);
+  console.log(`hash ${hashHex}`);
+  if (audit && audit.hashHex && audit.hashHex !== hashHex) console.log(`  exported with hash ${audit.hashHex}; the hashed data has changed since`);
+  console.log(`${t("gate.title")} — ${t(`gate.${report.gate}`)}${report.override ? ` (${t("gate.overridden")}: ${report.override.reason})` : ""}`);
+  report.tests.forEach((test) => console.log(`  ${test.pass ? "✓" : `✗ ${t(`severity.${test.severity}.short`)}`} ${test.name}: ${testMessage(test, report.format)}`));
+
+  const blocked = report.gate === "blocked" && !report.override;
+  if (blocked && (opts.md || opts.json)) console.error(t("export.blocked"));
+  else {
+    if (opts.md && !(await writeReport(opts.md, `${buildMarkdown(report)}\n`))) return 2;
+    if (opts.json && !(await writeReport(opts.json, `${JSON.stringify({ ...exportPayload(doc, report), editLog }, null, 2)}\n`))) return 2;
+  }
+  return blocked ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    console.error(`Unexpected error: ${e.stack || e.message}`); // exit 1 is reserved for a blocked gate
+    process.exitCode = 2;
+  }
+);
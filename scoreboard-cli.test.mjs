@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("./scoreboard-cli.mjs", import.meta.url));
+const dir = mkdtempSync(path.join(tmpdir(), "scoreboard-cli-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function week(endISO, revenue) {
+  const only = (v) => ({ paid: v, organic: 0, email: 0, referral: 0 });
+  return {
+    endISO,
+    kpi: { revenue, orders: 2, active: 50, cac: 500 },
+    channels: { revenue: only(revenue), orders: only(2), sessions: { paid: 100, organic: 50, email: 20, referral: 10 } },
+  };
+}
+
+function file(name, contents) {
+  const target = path.join(dir, name);
+  writeFileSync(target, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return target;
+}
+
+function cli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 30000 });
+}
+
+const valid = file("valid.json", { weeks: [week("2025-08-03", 1000), week("2025-08-10", 1100)] });
+const blocked = file("blocked.json", { weeks: [week("2025-08-03", 1000), week("2025-08-10", -5)] });
+
+describe("scoreboard CLI exit codes", () => {
+  test("0 when the gate passes, writing the report", () => {
+    const md = path.join(dir, "report.md");
+    const run = cli(valid, "--md", md);
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /^hash [0-9a-f]{64}$/m);
+    assert.match(readFileSync(md, "utf8"), /^# /);
+  });
+
+  test("1 when the gate is blocked, without writing reports", () => {
+    const md = path.join(dir, "blocked.md");
+    const run = cli(blocked, "--md", md);
+    assert.equal(run.status, 1, run.stderr);
+    assert.throws(() => readFileSync(md));
+  });
+
+  test("2 for a file that cannot be read", () => {
+    const run = cli(path.join(dir, "missing.json"));
+    assert.equal(run.status, 2);
+    assert.match(run.stderr, /^Cannot read /);
+  });
+
+  test("2 for a file that is not a scoreboard", () => {
+    assert.equal(cli(file("broken.json", "{ not json")).status, 2);
+  });
+
+  test("2 for a usage error", () => {
+    assert.equal(cli(valid, "--bogus").status, 2);
+    assert.equal(cli(valid, "--locale", "xx-XX").status, 2);
+    assert.equal(cli(valid, "--md").status, 2);
+  });
+
+  test("2 when a report cannot be written", () => {
+    const run = cli(valid, "--md", path.join(dir, "no-such-dir", "report.md"));
+    assert.equal(run.status, 2);
+    assert.match(run.stderr, /^Cannot write /m);
+  });
+});
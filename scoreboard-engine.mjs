@@ -0,0 +1,3553 @@
+/**
+ * Pipeline Scoreboard engine — the scoreboard's maths without React or a browser, for the app and for Node.
+ * Document defaults and import parsing, KPI formulas, series and deltas, comparison bases, anomaly detectors,
+ * forecasts, targets, branch roll-ups with FX, the Tests Gate, drift, the hashed edit log, three-way merge, canonical
+ * hashing, the "what changed" narrative, the Markdown report and the translation catalogue.
+ * scoreboardReport(doc) computes the report for a document's saved view, as App does for what it shows. Text and
+ * numbers come from formatter(locale, currency), passed to whatever labels or formats them.
+ *
+ * Inputs schema (the document):
+ * branches: Array<{ key, label, currency?, weeks, targets }>   // one history per branch; roll-up view key "*"; currency defaults to the document's
+ * activeBranch: branch key | "*"   // view setting, not hashed
+ * viewWindow: { weeks: 4|8|13|26|52 } | { from: ISO, to: ISO }   // view setting, not hashed
+ * comparisonBasis: "wow"|"r4"|"mom"|"qoq"|"yoy"   // view setting, not hashed
+ * forecast: { method: "linear"|"ses"|"seasonal", horizon: 1–4, prefill: boolean }   // view setting, not hashed
+ * rules: Array<{ id, name, path, op, value, severity }>   // user Tests Gate rules: flag weeks where path op value; not hashed
+ * gateOverride: { reason, ts, hash } | null   // lets an errored Tests Gate export; lapses once the hash changes
+ * narrative: { branch, endISO, text } | null   // edited "what changed" bullets; used only for that view and week; not hashed
+ * weeks[] (per branch, the full archive): {
+ *   endISO: string,
+ *   kpi: Record<stored kpi key, number | null>,   // defaults: revenue, orders, active, cac; null = missing
+ *   channels: Record<"revenue"|"orders"|"sessions", Record<channel key, number | null>>   // defaults: paid, organic, email, referral
+ * }
+ * channelDefs: Array<{ key, label, retired? }>   // channel registry; renames change the label only, so history is kept
+ * kpis: Array<{ key, label, sub, format: "currency"|"integer"|"decimal"|"percent", polarity: "up"|"down", formula?,
+ *   detector?: { method: "wow"|"zscore"|"mad"|"yoy", sensitivity: number },
+ *   rollup?: "sum"|"mean"|"weighted", weight?: stored kpi key }>   // how weeks combine; default sum for currency/integer
+ *   // registry; KPIs with a formula are derived per week, the rest are stored in week.kpi;
+ *   // no detector = WoW against the global alertThreshold
+ * targets (per branch): Record<endISO, Record<"kpi.<key>"|"channels.<metric>.<channel>", number>>   // plan; may run ahead of weeks
+ * annotations (per branch, optional): Record<endISO, Record<"week"|"kpi.<key>"|"channels.<metric>.<channel>", string>>   // notes; hashed
+ * channelMetric: "revenue"|"orders"|"sessions"   // which channel breakdown the Channel Mix table and editor show
+ * alertThreshold: number (0.05–0.30)
+ * logicVersion: string
+ * currency: "GBP"|"EUR"|"USD"   // reporting currency; hashed unless GBP
+ * fx: Record<currency, number>   // reporting-currency units per 1 unit of each branch currency; hashed
+ * locale: BCP 47 tag | ""   // number/date formats and catalogue language; "" follows the browser; view setting, not hashed
+ */
+
+// ---------- Schema ----------
+export const DEFAULT_KPIS = [
+  { key: "revenue", label: "Revenue", sub: "(Fees)", format: "currency", polarity: "up" },
+  { key: "orders", label: "Deals", sub: "(Sales/Lets)", format: "integer", polarity: "up" },
+  { key: "active", label: "Active", sub: "(Viewings)", format: "integer", polarity: "up" },
+  { key: "cac", label: "CAC", sub: "(£/Instruction)", format: "currency", polarity: "down", rollup: "weighted", weight: "orders" },
+];
+
+export const KPI_FORMATS = { currency: "fmtCurrency", integer: "fmtInteger", decimal: "fmtDecimal", percent: "fmtPct" }; // formatter() method per format
+export const DEFAULT_CHANNELS = [
+  { key: "paid", label: "Paid" },
+  { key: "organic", label: "Organic" },
+  { key: "email", label: "Email" },
+  { key: "referral", label: "Referral" },
+];
+
+// Extra normalised header names recognised on import, beyond the field key and label
+const IMPORT_ALIASES = {
+  endISO: ["end", "endiso", "weekending", "weekend", "week", "date"],
+  revenue: ["fees"],
+  orders: ["deals"],
+  active: ["viewings", "activeviewings"],
+  referral: ["referrals"],
+};
+
+// ---------- Document ----------
+// Editable fields of a week in History Editor column order: endISO, stored KPIs, channels (retired ones too)
+export function weekFields(kpis, channelDefs, format) {
+  const { t } = format;
+  const norm = (x) => x.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const field = (path, key, label) => ({ path, label, aliases: [norm(key), norm(label), ...(IMPORT_ALIASES[key] || [])] });
+  return [
+    field("endISO", "endISO", t("field.endISO")),
+    ...kpis.filter((k) => !k.formula).map((k) => field(`kpi.${k.key}`, k.key, k.label)),
+    ...CHANNEL_METRICS.flatMap((m) =>
+      channelDefs.map((c) => ({
+        path: `channels.${m}.${c.key}`,
+        label: `${c.label} (${t(`metric.${m}`)})`,
+        aliases: [
+          norm(`${c.key}${m}`),
+          norm(`${m}${c.key}`),
+          norm(`${c.label}${m}`),
+          norm(`${m}${c.label}`),
+          ...(m === "orders" ? [norm(c.key), norm(c.label)] : []), // bare channel headers mean orders, as in formulas
+        ],
+        metric: m,
+        retired: Boolean(c.retired),
+      }))
+    ),
+  ];
+}
+
+export function mapChannelMetrics(fn) {
+  return Object.fromEntries(CHANNEL_METRICS.map((m) => [m, fn(m)]));
+}
+
+export function cloneWeek(w) {
+  return { ...w, kpi: { ...w.kpi }, channels: mapChannelMetrics((m) => ({ ...w.channels[m] })) };
+}
+
+// A week with every stored KPI and channel cell missing (null), ready to be filled in
+export function blankWeek(endISO, kpis, channelDefs) {
+  return {
+    endISO,
+    kpi: Object.fromEntries(kpis.filter((k) => !k.formula).map((k) => [k.key, null])),
+    channels: mapChannelMetrics(() => Object.fromEntries(channelDefs.map((c) => [c.key, null]))),
+  };
+}
+
+export const ALL_BRANCHES = "*"; // view key for the roll-up; never a valid branch key
+const DEFAULT_BRANCH = { key: "main", label: "Main branch" };
+
+// Autosaves from before branches hold a single weeks/targets pair: that becomes the default branch
+export function initialBranches(saved, defaultWeeks) {
+  if (saved && Array.isArray(saved.branches)) {
+    return saved.branches.map((b) => ({ ...b, weeks: migrateWeeks(b.weeks, saved.channelMetric), targets: b.targets || {} }));
+  }
+  const weeks = saved && saved.weeks ? migrateWeeks(saved.weeks, saved.channelMetric) : defaultWeeks;
+  return [{ ...DEFAULT_BRANCH, weeks, targets: (saved && saved.targets) || {} }];
+}
+
+export function validateBranchDefs(list, format) {
+  const { t } = format;
+  const errors = [];
+  const keys = new Set();
+  for (const b of list) {
+    if (!b || typeof b.key !== "string" || !/^[A-Za-z0-9_-]+$/.test(b.key)) errors.push(t("registry.branchKey", { key: b && b.key }));
+    else if (keys.has(b.key)) errors.push(t("registry.duplicateBranch", { key: b.key }));
+    else keys.add(b.key);
+  }
+  return errors;
+}
+
+// Weeks saved before per-metric channel data held one flat Record<channel, number>, labelled by the
+// then-selected channelMetric. That breakdown moves under its metric; the other metrics have no data, so are missing.
+export function migrateWeeks(weeks, legacyMetric = "orders") {
+  return weeks.map((w) => {
+    const values = Object.values(w.channels || {});
+    if (!values.length || values.some((v) => typeof v === "object")) return w;
+    const missing = Object.fromEntries(Object.keys(w.channels).map((k) => [k, null]));
+    return { ...w, channels: mapChannelMetrics((m) => ({ ...(m === legacyMetric ? w.channels : missing) })) };
+  });
+}
+
+export function validateChannels(channelDefs, kpiKeys, format) {
+  const { t } = format;
+  const errors = [];
+  const keys = new Set();
+  for (const c of channelDefs) {
+    if (!/^[A-Za-z_]\w*$/.test(c.key)) errors.push(t("registry.badKey", { key: c.key }));
+    else if (keys.has(c.key)) errors.push(t("registry.duplicateChannel", { key: c.key }));
+    else if (kpiKeys.includes(c.key)) errors.push(t("registry.channelClash", { key: c.key }));
+    keys.add(c.key);
+    if (!String(c.label || "").trim()) errors.push(t("registry.emptyLabel", { key: c.key }));
+  }
+  if (!channelDefs.some((c) => !c.retired)) errors.push(t("registry.noActiveChannel"));
+  return errors;
+}
+
+export const CHANNEL_METRICS = ["revenue", "orders", "sessions"];
+export const CHANNEL_COLUMNS = ["channel", "this", "last", "wow", "share", "target", "vsTarget", "revPerOrder", "conversion"]; // Channel Mix table and Markdown
+const RECONCILE_TOLERANCE = 0.02; // channel revenue/orders may differ from kpi totals by up to 2%
+
+// ---------- Tests ----------
+// Every result: { name, severity: "error"|"warn"|"info", pass, message, cells? }. Data rules run over each branch's
+// full archive and carry the cells they found, so the gate can jump to them. Names and messages come from the catalogue.
+export function runTests(weeks, kpis, kpiErrors, series, channelDefs, channelMetric, deltas, targets, targetErrors, branches, rollup, rules, currency, fx, format) {
+  const { t, fmtPct, fmtDate } = format;
+  const tests = [];
+  // Test 1: All stored week.kpi finite or missing (null); missing ones are a data rule warning
+  const stored = kpis.filter((k) => !k.formula);
+  const allFinite = weeks.every((w) => stored.every((k) => isValueOrMissing(w.kpi[k.key])));
+  tests.push({ name: t("test.finite"), severity: "error", pass: allFinite, message: allFinite ? t("test.finite.ok", { n: weeks.length }) : t("test.finite.fail") });
+
+  // Test 1b: registry valid and every derived KPI computable (e.g. no division by zero)
+  tests.push({ name: t("test.registry"), severity: "error", pass: kpiErrors.length === 0, message: kpiErrors.length ? kpiErrors.join("; ") : t("test.registry.ok", { n: kpis.length }) });
+  const derivedBad = kpis.filter((k) => k.formula && !series[k.key].every(isFiniteNum)).map((k) => k.label);
+  tests.push({
+    name: t("test.derived"),
+    severity: "warn",
+    pass: derivedBad.length === 0,
+    message: derivedBad.length ? t("test.derived.fail", { kpis: derivedBad.join(", ") }) : t("test.derived.ok"),
+  });
+
+  // Test 2: channelMetric provided
+  const metricProvided = Boolean(channelMetric);
+  tests.push({
+    name: t("test.metric"),
+    severity: "error",
+    pass: metricProvided,
+    message: metricProvided ? t("test.metric.pass", { metric: t(`metric.${channelMetric}`) }) : t("test.metric.fail"),
+  });
+
+  // Test 3: every registered channel finite or missing in every metric; sum(channels) > 0 for the selected metric
+  // unless the whole week is missing
+  const keys = channelDefs.map((c) => c.key);
+  const channelsOk = weeks.every((w) => {
+    const total = sumChannels(w.channels[channelMetric], keys);
+    return CHANNEL_METRICS.every((m) => keys.every((k) => isValueOrMissing(w.channels[m][k]))) && (total == null || total > 0);
+  });
+  tests.push({
+    name: t("test.channels"),
+    severity: "error",
+    pass: channelsOk,
+    message: channelsOk ? t("test.channels.ok", { n: keys.length }) : t("test.channels.fail", { metric: t(`metric.${channelMetric}`) }),
+  });
+
+  // Test 3b: channel revenue/orders reconcile with the KPI totals they break down (skipped where a side is missing)
+  const reconcile = ["revenue", "orders"].filter((m) => kpis.some((k) => k.key === m && !k.formula));
+  const offWeeks = weeks.filter((w) =>
+    reconcile.some((m) => {
+      const total = w.kpi[m];
+      if (!isFiniteNum(total) || !keys.every((k) => isFiniteNum(w.channels[m][k]))) return false;
+      const diff = Math.abs(sumChannels(w.channels[m], keys) - total);
+      return total === 0 ? diff > 0 : diff / Math.abs(total) > RECONCILE_TOLERANCE;
+    })
+  );
+  const reconciled = { metrics: reconcile.map((m) => t(`metric.${m}`)).join("/"), pct: fmtPct(RECONCILE_TOLERANCE) };
+  tests.push({
+    name: t("test.reconcile"),
+    severity: "warn",
+    pass: offWeeks.length === 0,
+    message: !reconcile.length
+      ? t("test.reconcile.none")
+      : offWeeks.length
+      ? t("test.reconcile.fail", { ...reconciled, weeks: offWeeks.map((w) => fmtDate(w.endISO)).join(", ") })
+      : t("test.reconcile.ok", reconciled),
+  });
+
+  // Test 4: WoW math finite where last>0; last==0 => null (implicit in logic)
+  const wowOk = Object.values(deltas).every((arr) => arr.slice(1).every((d) => d == null || isFiniteNum(d)));
+  tests.push({ name: t("test.wow"), severity: "error", pass: wowOk, message: wowOk ? t("test.wow.ok") : t("test.wow.fail") });
+
+  // Test 5: targets are finite and point at a registered KPI or channel
+  const planned = Object.keys(targets).length;
+  tests.push({
+    name: t("test.targets"),
+    severity: "error",
+    pass: targetErrors.length === 0,
+    message: targetErrors.length ? targetErrors.join("; ") : planned ? t("test.targets.ok", { n: planned }) : t("test.targets.none"),
+  });
+
+  // Test 6: data rules over every branch's archive (dates, duplicates, negatives, typos, ratios without a base)
+  tests.push(...dataRules(branches, kpis, channelDefs, format));
+
+  // Test 7: with several branches, every roll-up week has data from each of them
+  if (branches.length > 1) {
+    const partial = Object.keys(rollup.coverage).filter((endISO) => rollup.coverage[endISO] < branches.length);
+    tests.push({
+      name: t("test.coverage"),
+      severity: "warn",
+      pass: partial.length === 0,
+      message: partial.length ? t("test.coverage.fail", { weeks: partial.map(fmtDate).join(", ") }) : t("test.coverage.ok", { n: branches.length }),
+    });
+  }
+
+  // Test 8: user rules
+  tests.push(...rules.map((r) => userRuleResult(r, branches, kpis, format)));
+
+  // Test 9: with several branches, each one kept in another currency has a rate into the reporting currency
+  const foreign = [...new Set(branches.map((b) => b.currency).filter((c) => c && c !== currency))];
+  if (branches.length > 1 && foreign.length) {
+    const noRate = foreign.filter((c) => fxRate(fx, c, currency) == null);
+    tests.push({
+      name: t("test.fx"),
+      severity: "error",
+      pass: noRate.length === 0,
+      message: noRate.length
+        ? t("test.fx.fail", { codes: noRate.join(", "), currency })
+        : t("test.fx.ok", { rates: foreign.map((c) => `1 ${c} = ${fx[c]} ${currency}`).join(", ") }),
+    });
+  }
+
+  return tests;
+}
+
+// ---------- Validation rules ----------
+export const RULE_OPS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+const TYPO_FACTOR = 8; // ≥8× or ≤⅛ of the trailing median reads as an extra or a missing zero
+const TYPO_HISTORY = 4; // trailing weeks behind the median
+export const RULE_CELL_LINKS = 6; // cell links shown per result
+
+// Failing errors block export; failing warnings only ask for a check
+export function gateStatus(tests) {
+  const failing = tests.filter((t) => !t.pass);
+  if (failing.some((t) => t.severity === "error")) return "blocked";
+  return failing.some((t) => t.severity === "warn") ? "check" : "pass";
+}
+
+// Result from the cells a rule found; where names the branch once there are several
+function ruleResult(name, severity, cells, ok, describe) {
+  return { name, severity, pass: cells.length === 0, message: cells.length ? describe(cells) : ok, cells };
+}
+
+function cellRef(branch, multi, index, path, what, format) {
+  const { t, fmtDate } = format;
+  const endISO = branch.weeks[index].endISO;
+  return { branch: branch.key, index, path, label: `${multi ? `${branch.label} ` : ""}${endISO ? fmtDate(endISO) : t("rule.row", { n: index + 1 })}${what ? ` · ${what}` : ""}` };
+}
+
+// Stored KPIs and every channel of every metric, with their editor labels
+export function valuePaths(kpis, channelDefs, format) {
+  return weekFields(kpis, channelDefs, format).filter((f) => f.path !== "endISO");
+}
+
+function dataRules(branches, kpis, channelDefs, format) {
+  const { t, fmtInteger } = format;
+  const multi = branches.length > 1;
+  const paths = valuePaths(kpis, channelDefs, format);
+  const dates = [];
+  const dupes = [];
+  const negatives = [];
+  const typos = [];
+  const noBase = [];
+  const missing = [];
+  branches.forEach((b) => {
+    const seen = new Set();
+    b.weeks.forEach((w, i) => {
+      const prev = b.weeks[i - 1];
+      if (!isISODate(w.endISO)) dates.push({ ...cellRef(b, multi, i, "endISO", t("rule.dates.invalid"), format), issue: "invalid" });
+      else if (prev && isISODate(prev.endISO) && w.endISO <= prev.endISO && !seen.has(w.endISO)) dates.push({ ...cellRef(b, multi, i, "endISO", t("rule.dates.order"), format), issue: "order" });
+      else if (prev && isISODate(prev.endISO) && daysBetween(prev.endISO, w.endISO) !== 7 && !seen.has(w.endISO)) {
+        const days = daysBetween(prev.endISO, w.endISO);
+        const what = days % 7 === 0 ? t("rule.dates.gap", { n: days / 7 - 1 }) : t("rule.dates.cadence", { n: days });
+        dates.push({ ...cellRef(b, multi, i, "endISO", what, format), issue: "cadence" });
+      }
+      if (seen.has(w.endISO)) dupes.push(cellRef(b, multi, i, "endISO", null, format));
+      seen.add(w.endISO);
+      paths.forEach((f) => {
+        const v = getPath(w, f.path);
+        if (isFiniteNum(v) && v < 0) negatives.push(cellRef(b, multi, i, f.path, f.label, format));
+        if (v == null) missing.push(cellRef(b, multi, i, f.path, f.label, format));
+      });
+      kpis
+        .filter((k) => k.weight && !k.formula)
+        .forEach((k) => {
+          if (isFiniteNum(w.kpi[k.key]) && w.kpi[k.key] !== 0 && w.kpi[k.weight] === 0) noBase.push(cellRef(b, multi, i, `kpi.${k.key}`, k.label, format));
+        });
+    });
+    paths.forEach((f) => {
+      const vs = b.weeks.map((w) => getPath(w, f.path));
+      vs.forEach((v, i) => {
+        const prior = vs.slice(Math.max(0, i - TYPO_HISTORY), i).filter(isFiniteNum);
+        if (prior.length < TYPO_HISTORY || !isFiniteNum(v) || v <= 0) return;
+        const m = median(prior);
+        if (m > 0 && (v / m >= TYPO_FACTOR || v / m <= 1 / TYPO_FACTOR)) typos.push(cellRef(b, multi, i, f.path, `${f.label} ${fmtInteger(v)} vs ~${fmtInteger(m)}`, format));
+      });
+    });
+  });
+  const weighted = kpis.filter((k) => k.weight && !k.formula);
+  const baseLabel = (k) => (kpis.find((x) => x.key === k.weight) || { label: k.weight }).label;
+  const typo = { factor: TYPO_FACTOR, n: TYPO_HISTORY };
+  return [
+    ruleResult(t("rule.dates"), "error", dates, t("rule.dates.ok", { weeks: branches.map((b) => b.weeks.length).join("/") }), (cells) => {
+      const count = (issue) => cells.filter((c) => c.issue === issue).length;
+      return [
+        count("invalid") && `${count("invalid")} ${t("rule.dates.invalid")}`,
+        count("order") && `${count("order")} ${t("rule.dates.order")}`,
+        count("cadence") && t("rule.dates.cadenceCount", { n: count("cadence") }),
+      ]
+        .filter(Boolean)
+        .join("; ");
+    }),
+    ruleResult(t("rule.dupes"), "error", dupes, t("rule.dupes.ok"), (cells) => t("rule.dupes.fail", { n: cells.length })),
+    ruleResult(t("rule.negative"), "error", negatives, t("rule.negative.ok"), (cells) => t("rule.negative.fail", { n: cells.length })),
+    ruleResult(t("rule.missing"), "warn", missing, t("rule.missing.ok"), (cells) => t("rule.missing.fail", { n: cells.length })),
+    ruleResult(t("rule.typos"), "warn", typos, t("rule.typos.ok", typo), (cells) => t("rule.typos.fail", { ...typo, count: cells.length })),
+    ...(weighted.length
+      ? [
+          ruleResult(
+            weighted.map((k) => t("rule.noBase", { kpi: k.label, base: baseLabel(k) })).join(", "),
+            "error",
+            noBase,
+            `${weighted.map((k) => t("rule.noBase.ok", { kpi: k.label, base: baseLabel(k) })).join("; ")}.`,
+            (cells) => t("rule.noBase.fail", { n: cells.length, base: [...new Set(weighted.map(baseLabel))].join("/") })
+          ),
+        ]
+      : []),
+  ];
+}
+
+// User rule: flag every week where the value at path satisfies op against value; derived KPIs are evaluated
+function userRuleResult(rule, branches, kpis, format) {
+  const { t, tn, fmtInteger } = format;
+  const multi = branches.length > 1;
+  const cmp = RULE_OPS[rule.op];
+  const key = rule.path.startsWith("kpi.") ? rule.path.slice(4) : null;
+  const derived = key && kpis.some((k) => k.key === key && k.formula);
+  const cells = [];
+  branches.forEach((b) =>
+    b.weeks.forEach((w, i) => {
+      const v = derived ? evalKpis(w, kpis)[key] : getPath(w, rule.path);
+      // Derived values have no editor cell; their link opens the week
+      if (cmp && isFiniteNum(v) && cmp(v, rule.value)) cells.push(cellRef(b, multi, i, derived ? "endISO" : rule.path, fmtInteger(v), format));
+    })
+  );
+  const cond = `${rule.path} ${rule.op} ${rule.value}`;
+  return ruleResult(rule.name || cond, rule.severity, cells, t("rule.user.ok", { cond }), (found) => tn("rule.user.fail", found.length, { cond }));
+}
+
+// ---------- Import ----------
+// Returns "json" or the delimiter character; null when there is nothing to parse
+export function detectImportFormat(text, fileName = "") {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  if (/\.json$/i.test(fileName) || trimmed[0] === "{") return "json";
+  if (/\.tsv$/i.test(fileName)) return "\t";
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  const count = (d) => firstLine.split(d).length - 1;
+  return ["\t", ";", ","].reduce((best, d) => (count(d) > count(best) ? d : best), ",");
+}
+
+// RFC 4180-style parser: quoted cells, doubled quotes, CRLF; blank lines dropped
+export function parseDelimited(text, delim) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+export function guessImportMapping(columns, fields) {
+  const norm = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const used = new Set();
+  return columns.map((name) => {
+    const n = norm(name);
+    const field = fields.find((f) => !used.has(f.path) && (norm(f.path) === n || f.aliases.includes(n)));
+    if (!field) return "";
+    used.add(field.path);
+    return field.path;
+  });
+}
+
+// endISO and stored KPIs must be mapped; channel breakdowns missing from the file import as missing (with a note)
+export function previewImportTable(dataRows, mapping, fields, format) {
+  const { t } = format;
+  const fileErrors = [];
+  const missing = fields.filter((f) => !mapping.includes(f.path));
+  const required = missing.filter((f) => !f.metric).map((f) => f.path);
+  const defaulted = missing.filter((f) => f.metric).map((f) => f.path);
+  if (required.length) fileErrors.push(t("import.error.unmapped", { fields: required.join(", ") }));
+  const notes = defaulted.length ? [t("import.note.defaulted", { fields: defaulted.join(", ") })] : [];
+  const dupes = mapping.filter((m, i) => m && mapping.indexOf(m) !== i);
+  if (dupes.length) fileErrors.push(t("import.error.mappedTwice", { fields: [...new Set(dupes)].join(", ") }));
+  const rows = dataRows.map((cells, r) => {
+    const week = emptyImportWeek(fields);
+    const errors = [];
+    mapping.forEach((path, c) => {
+      if (!path) return;
+      const raw = (cells[c] || "").trim();
+      if (path === "endISO") {
+        week.endISO = raw;
+        if (!isISODate(raw)) errors.push(t("import.error.endISO", { raw }));
+        return;
+      }
+      const { value, error } = format.parseNumber(raw);
+      setPath(week, path, value); // blank imports as missing
+      if (error) errors.push(t("import.error.field", { path, error }));
+    });
+    return { row: r + 1, week, errors };
+  });
+  return finalizeImportPreview({ rows, fileErrors, notes, fields, settings: null, source: null }, format);
+}
+
+// An export that carries its own KPI or channel registry is validated against (and imports) that registry
+// A multi-branch export replaces every branch: the preview shows currentBranchKey (or the first) and the other
+// branches are validated the same way, their errors summarised per branch.
+export function previewImportJSON(text, currentKpis, currentChannelDefs, currentBranchKey, format) {
+  const { t, tn } = format;
+  const fail = (msg) => ({ rows: [], fileErrors: [msg], notes: [], fields: weekFields(currentKpis, currentChannelDefs, format), settings: null, source: null, ok: false });
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    return fail(t("import.error.json", { message: e.message }));
+  }
+  const fileErrors = [];
+  if (!obj || typeof obj !== "object" || !(Array.isArray(obj.weeks) || Array.isArray(obj.branches))) {
+    return fail(t("import.error.shape"));
+  }
+  const multi = Array.isArray(obj.branches);
+  if (multi) {
+    const branchErrors = validateBranchDefs(obj.branches, format);
+    obj.branches.forEach((b) => b && !Array.isArray(b.weeks) && branchErrors.push(t("import.error.weeksArray", { branch: b.key })));
+    if (!obj.branches.length) branchErrors.push(t("import.error.noBranches"));
+    if (branchErrors.length) return fail(t("import.error.branches", { errors: branchErrors.join("; ") }));
+  }
+  const isDefList = (list) => Array.isArray(list) && list.every((d) => d && typeof d.key === "string");
+  const kpis = obj.kpis != null ? obj.kpis : currentKpis;
+  const channelDefs = obj.channelDefs != null ? obj.channelDefs : currentChannelDefs;
+  if (!isDefList(kpis)) return fail(t("import.error.kpisList"));
+  if (!isDefList(channelDefs)) return fail(t("import.error.channelDefsList"));
+  const channelErrors = validateChannels(channelDefs, kpis.map((k) => k.key), format);
+  if (channelErrors.length) return fail(t("import.error.channelRegistry", { errors: channelErrors.join("; ") }));
+  const kpiErrors = validateKpis(kpis, channelDefs.map((c) => c.key), format);
+  if (kpiErrors.length) return fail(t("import.error.kpiRegistry", { errors: kpiErrors.join("; ") }));
+  const fields = weekFields(kpis, channelDefs, format);
+  if (obj.channelMetric != null && !CHANNEL_METRICS.includes(obj.channelMetric)) {
+    fileErrors.push(t("import.error.channelMetric", { values: CHANNEL_METRICS.join("/") }));
+  }
+  if (obj.alertThreshold != null && !(isFiniteNum(obj.alertThreshold) && obj.alertThreshold >= 0.05 && obj.alertThreshold <= 0.3)) {
+    fileErrors.push(t("import.error.alertThreshold"));
+  }
+  if (obj.logicVersion != null && typeof obj.logicVersion !== "string") fileErrors.push(t("import.error.logicVersion"));
+  if (obj.locale != null && !LOCALES.includes(obj.locale)) fileErrors.push(t("import.error.locale", { values: LOCALES.filter(Boolean).join("/") }));
+  if (obj.currency != null && !CURRENCIES.includes(obj.currency)) fileErrors.push(t("import.error.currency", { values: CURRENCIES.join("/") }));
+  if (obj.fx != null) {
+    const fxOk = typeof obj.fx === "object" && Object.entries(obj.fx).every(([c, r]) => CURRENCIES.includes(c) && isFiniteNum(r) && r > 0);
+    if (!fxOk) fileErrors.push(t("import.error.fx", { values: CURRENCIES.join("/") }));
+  }
+  if (multi) {
+    obj.branches.forEach((b) => b.currency != null && !CURRENCIES.includes(b.currency) && fileErrors.push(t("import.error.branchCurrency", { branch: b.key, values: CURRENCIES.join("/") })));
+  }
+  if (!multi && obj.targets != null) fileErrors.push(...validateTargets(obj.targets, kpis, channelDefs, format).map((e) => t("import.error.targets", { error: e })));
+  if (multi) {
+    obj.branches.forEach((b) => b.targets != null && fileErrors.push(...validateTargets(b.targets, kpis, channelDefs, format).map((e) => t("import.error.branchTargets", { branch: b.key, error: e }))));
+  }
+  const legacyMetric = CHANNEL_METRICS.includes(obj.channelMetric) ? obj.channelMetric : "orders";
+  let migrated = 0;
+  const toRows = (list) => list.map((raw, r) => {
+    const week = emptyImportWeek(fields);
+    const errors = [];
+    if (!raw || typeof raw !== "object") return { row: r + 1, week, errors: [t("import.error.notObject")] };
+    const w = migrateWeeks([raw], legacyMetric)[0];
+    if (w !== raw) migrated++;
+    week.endISO = w.endISO;
+    if (!isISODate(w.endISO)) errors.push(t("import.error.endISODate"));
+    fields.forEach(({ path }) => {
+      if (path === "endISO") return;
+      const v = getPath(w, path);
+      setPath(week, path, isFiniteNum(v) ? v : null);
+      if (!isValueOrMissing(v === undefined ? null : v)) errors.push(t("import.error.notValue", { path }));
+    });
+    return { row: r + 1, week, errors };
+  });
+  const shown = multi ? obj.branches.find((b) => b.key === currentBranchKey) || obj.branches[0] : null;
+  const rows = toRows(multi ? shown.weeks : obj.weeks);
+  const otherRows = {};
+  if (multi) {
+    obj.branches.forEach((b) => {
+      if (b === shown) return;
+      const other = finalizeImportPreview({ rows: toRows(b.weeks), fileErrors: [] }, format);
+      const bad = other.rows.filter((r) => r.errors.length).length;
+      if (bad) fileErrors.push(tn("import.error.branchRows", bad, { branch: b.key }));
+      other.fileErrors.forEach((e) => fileErrors.push(t("import.error.branch", { branch: b.key, error: e })));
+      otherRows[b.key] = other.rows;
+    });
+  }
+  const settings = {
+    kpis: obj.kpis,
+    channelDefs: obj.channelDefs,
+    targets: obj.targets,
+    channelMetric: obj.channelMetric,
+    alertThreshold: obj.alertThreshold,
+    logicVersion: obj.logicVersion,
+    locale: obj.locale,
+    currency: obj.currency,
+    fx: obj.fx,
+  };
+  const notes = migrated ? [tn("import.note.migrated", migrated, { metric: legacyMetric })] : [];
+  if (multi) notes.push(t("import.note.multi", { n: obj.branches.length, branch: shown.label || shown.key }));
+  const preview = finalizeImportPreview({ rows, fileErrors, notes, fields, settings, source: obj }, format);
+  if (multi) {
+    settings.branches = obj.branches.map((b) => ({
+      key: b.key,
+      label: b.label || b.key,
+      currency: b.currency,
+      weeks: (b === shown ? preview.rows : otherRows[b.key]).map((r) => r.week),
+      targets: b.targets || {},
+      annotations: b.annotations,
+    }));
+    settings.activeBranch = obj.activeBranch === ALL_BRANCHES ? ALL_BRANCHES : shown.key;
+  }
+  return preview;
+}
+
+// Sort by endISO, flag duplicates and decide whether the preview may replace the weeks
+function finalizeImportPreview(preview, format) {
+  const { t } = format;
+  const rows = [...preview.rows].sort((a, b) => String(a.week.endISO).localeCompare(String(b.week.endISO)));
+  rows.forEach((r, i) => {
+    if (i > 0 && r.week.endISO === rows[i - 1].week.endISO) r.errors.push(t("import.error.duplicate", { row: rows[i - 1].row }));
+  });
+  const fileErrors = [...preview.fileErrors];
+  if (rows.length < 2) fileErrors.push(t("import.error.tooFew"));
+  const ok = fileErrors.length === 0 && rows.every((r) => r.errors.length === 0);
+  return { ...preview, rows, fileErrors, ok };
+}
+
+function emptyImportWeek(fields) {
+  const week = { endISO: "", kpi: {}, channels: {} };
+  fields.forEach(({ path }) => path !== "endISO" && setPath(week, path, null));
+  return week;
+}
+
+// A number or null (blank or unparseable), for fields where either reads as "no value"
+export function parseImportNumber(raw, format) {
+  return format.parseNumber(raw).value;
+}
+
+export function fmtImportCell(v) {
+  return v == null || v === "" ? "—" : String(v);
+}
+
+export function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export function setPath(obj, path, value) {
+  const parts = path.split(".");
+  const last = parts.pop();
+  parts.reduce((o, k) => (o[k] = o[k] || {}), obj)[last] = value;
+}
+
+function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && toISODate(new Date(s + "T00:00:00Z")) === s;
+}
+
+// ---------- KPI formulas ----------
+// Grammar: expr = term (("+"|"-") term)*; term = factor (("*"|"/") factor)*; factor = number | ident | "(" expr ")" | "-" factor.
+// Identifiers are KPI keys (stored or derived), metric.channel (e.g. sessions.paid) or a bare channel key, which
+// reads that channel's orders. Division by zero or a missing operand yields null.
+const formulaCache = new Map();
+
+function compileFormula(src) {
+  if (formulaCache.has(src)) return formulaCache.get(src);
+  const tokens = src.match(/\d+\.?\d*|\.\d+|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?|[-+*/()]|\S/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expr = () => {
+    let node = term();
+    while (peek() === "+" || peek() === "-") node = { op: next(), a: node, b: term() };
+    return node;
+  };
+  const term = () => {
+    let node = factor();
+    while (peek() === "*" || peek() === "/") node = { op: next(), a: node, b: factor() };
+    return node;
+  };
+  const factor = () => {
+    const t = next();
+    if (t === undefined) throw new Error("unexpected end of formula");
+    if (t === "-") return { op: "neg", a: factor() };
+    if (t === "(") {
+      const node = expr();
+      if (next() !== ")") throw new Error("missing )");
+      return node;
+    }
+    if (/^[\d.]/.test(t)) return { num: parseFloat(t) };
+    if (/^[A-Za-z_]/.test(t)) return { ref: t };
+    throw new Error(`unexpected "${t}"`);
+  };
+  const ast = expr();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos]}"`);
+  formulaCache.set(src, ast);
+  return ast;
+}
+
+function formulaRefs(ast, out = new Set()) {
+  if (ast.ref) out.add(ast.ref);
+  if (ast.a) formulaRefs(ast.a, out);
+  if (ast.b) formulaRefs(ast.b, out);
+  return out;
+}
+
+function evalFormula(ast, lookup) {
+  if ("num" in ast) return ast.num;
+  if (ast.ref) return lookup(ast.ref);
+  const a = evalFormula(ast.a, lookup);
+  if (!isFiniteNum(a)) return null;
+  if (ast.op === "neg") return -a;
+  const b = evalFormula(ast.b, lookup);
+  if (!isFiniteNum(b)) return null;
+  if (ast.op === "+") return a + b;
+  if (ast.op === "-") return a - b;
+  if (ast.op === "*") return a * b;
+  return b === 0 ? null : a / b;
+}
+
+// All registry values for one week: stored KPIs as-is, derived KPIs evaluated on demand (cycles yield null)
+function evalKpis(week, kpis) {
+  const byKey = new Map(kpis.map((k) => [k.key, k]));
+  const out = {};
+  const visiting = new Set();
+  const get = (key) => {
+    if (key in out) return out[key];
+    const meta = byKey.get(key);
+    if (!meta) {
+      const v = getPath(week.channels, key.includes(".") ? key : `orders.${key}`);
+      return isFiniteNum(v) ? v : null;
+    }
+    if (!meta.formula) return (out[key] = week.kpi[key]);
+    if (visiting.has(key)) return null;
+    visiting.add(key);
+    let v = null;
+    try {
+      v = evalFormula(compileFormula(meta.formula), get);
+    } catch {
+      v = null;
+    }
+    visiting.delete(key);
+    return (out[key] = v);
+  };
+  kpis.forEach((k) => get(k.key));
+  return out;
+}
+
+export function validateKpis(kpis, channelKeys, format) {
+  const { t } = format;
+  const errors = [];
+  const keys = new Set();
+  for (const k of kpis) {
+    if (!/^[A-Za-z_]\w*$/.test(k.key)) errors.push(t("registry.badKey", { key: k.key }));
+    else if (keys.has(k.key)) errors.push(t("registry.duplicateKpi", { key: k.key }));
+    else if (channelKeys.includes(k.key)) errors.push(t("registry.kpiClash", { key: k.key }));
+    keys.add(k.key);
+    if (!KPI_FORMATS[k.format]) errors.push(t("registry.format", { key: k.key, format: k.format }));
+    if (k.polarity !== "up" && k.polarity !== "down") errors.push(t("registry.polarity", { key: k.key }));
+    if (k.detector && !DETECTORS[k.detector.method]) errors.push(t("registry.detector", { key: k.key, method: k.detector.method }));
+    else if (k.detector && !(isFiniteNum(k.detector.sensitivity) && k.detector.sensitivity > 0)) errors.push(t("registry.sensitivity", { key: k.key }));
+    if (k.rollup != null && !["sum", "mean", "weighted"].includes(k.rollup)) errors.push(t("registry.rollup", { key: k.key }));
+    else if (k.rollup === "weighted" && !kpis.some((o) => o.key === k.weight && o.key !== k.key && !o.formula)) {
+      errors.push(t("registry.weight", { key: k.key }));
+    }
+  }
+  const deps = new Map();
+  for (const k of kpis.filter((x) => x.formula)) {
+    try {
+      const refs = [...formulaRefs(compileFormula(k.formula))];
+      const isChannelRef = (r) => {
+        const [a, b] = r.split(".");
+        return b === undefined ? channelKeys.includes(a) : CHANNEL_METRICS.includes(a) && channelKeys.includes(b);
+      };
+      const unknown = refs.filter((r) => !keys.has(r) && !isChannelRef(r));
+      if (unknown.length) errors.push(t("registry.unknownField", { key: k.key, fields: unknown.join(", ") }));
+      deps.set(k.key, refs.filter((r) => keys.has(r)));
+    } catch (e) {
+      errors.push(`${k.key}: ${e.message}`);
+    }
+  }
+  const state = new Map(); // key -> "visiting" | "done"
+  const visit = (key, trail) => {
+    if (state.get(key) === "done") return;
+    if (state.get(key) === "visiting") {
+      errors.push(t("registry.circular", { trail: [...trail, key].join(" → ") }));
+      return;
+    }
+    state.set(key, "visiting");
+    (deps.get(key) || []).forEach((d) => visit(d, [...trail, key]));
+    state.set(key, "done");
+  };
+  deps.forEach((_, key) => visit(key, []));
+  return errors;
+}
+
+// ---------- Series ----------
+// Stored and derived KPI values per week, keyed by registry key
+export function kpiSeries(weeks, kpis) {
+  const rows = weeks.map((w) => evalKpis(w, kpis));
+  return Object.fromEntries(kpis.map(({ key }) => [key, rows.map((r) => r[key])]));
+}
+
+// WoW deltas across the window; polarity "down" KPIs (e.g. CAC) inverted
+export function wowDeltas(series, kpis) {
+  const mk = (arr, invert = false) => arr.map((v, i) => (i === 0 ? null : changeRatio(v, arr[i - 1], invert))); // first week has no previous
+  return Object.fromEntries(kpis.map(({ key, polarity }) => [key, mk(series[key], polarity === "down")]));
+}
+
+function changeRatio(v, last, invert = false) {
+  if (!isFiniteNum(last) || last === 0 || !isFiniteNum(v)) return null; // rule: last==0 => null
+  const raw = (v - last) / last; // normal
+  return invert ? -raw : raw;
+}
+
+// ---------- Comparison basis ----------
+// Each basis regroups the archive into periods: one week (WoW, YoY), the trailing 4 weeks (rolling, averaged per
+// week and compared with the 4 before), or the calendar month/quarter each endISO falls in (MoM, QoQ). Periods are
+// rolled up like branches (aggregateWeeks): additive KPIs summed, ratio KPIs recomputed from the summed inputs.
+export const COMPARISON_BASES = ["wow", "r4", "mom", "qoq", "yoy"]; // labels: basis.<key> and basis.<key>.short
+const ROLLING_WEEKS = 4;
+
+// [{ label, endIndex, weeks, prevWeeks|null, prevLabel?, partial? }], endIndex = archive index of the period's last week
+function buildPeriods(weeks, basis, format) {
+  const { t, fmtDate } = format;
+  if (basis === "wow") return weeks.map((w, i) => ({ label: fmtDate(w.endISO), endIndex: i, weeks: [w], prevWeeks: i > 0 ? [weeks[i - 1]] : null }));
+  if (basis === "yoy") {
+    const byEnd = new Map(weeks.map((w) => [w.endISO, w]));
+    return weeks.map((w, i) => {
+      const prior = byEnd.get(toISODate(addDays(new Date(w.endISO + "T00:00:00Z"), -364)));
+      return { label: fmtDate(w.endISO), endIndex: i, weeks: [w], prevWeeks: prior ? [prior] : null, prevLabel: prior && fmtDate(prior.endISO) };
+    });
+  }
+  if (basis === "r4") {
+    return weeks.map((w, i) => {
+      const from = Math.max(0, i - ROLLING_WEEKS + 1);
+      const prevWeeks = i - ROLLING_WEEKS >= 0 ? weeks.slice(Math.max(0, i - 2 * ROLLING_WEEKS + 1), i - ROLLING_WEEKS + 1) : null;
+      const upTo = (list) => t("period.rolling", { n: list.length, date: fmtDate(list[list.length - 1].endISO) });
+      return { label: upTo(weeks.slice(from, i + 1)), endIndex: i, weeks: weeks.slice(from, i + 1), prevWeeks, prevLabel: prevWeeks && upTo(prevWeeks) };
+    });
+  }
+  const groups = [];
+  weeks.forEach((w, i) => {
+    const key = calendarPeriodKey(w.endISO, basis);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.weeks.push(w);
+      last.endIndex = i;
+    } else groups.push({ key, endIndex: i, weeks: [w] });
+  });
+  return groups.map((g, j) => {
+    const expected = weekEndsInPeriod(g.weeks[0].endISO, parsePlanPeriod(g.key)).length;
+    const partial = g.weeks.length < expected;
+    const prev = groups[j - 1];
+    // A period still filling up is compared with the same number of weeks from the start of the previous one
+    const prevWeeks = prev && prev.weeks.length >= g.weeks.length ? (partial ? prev.weeks.slice(0, g.weeks.length) : prev.weeks) : null;
+    return {
+      label: partial ? t("period.partial", { period: g.key, n: g.weeks.length, total: expected }) : g.key,
+      endIndex: g.endIndex,
+      weeks: g.weeks,
+      prevWeeks,
+      prevLabel: prevWeeks && (partial ? t("period.first", { period: prev.key, n: prevWeeks.length }) : prev.key),
+      partial,
+    };
+  });
+}
+
+// "2025-08" for MoM, "2025-Q3" for QoQ (parsePlanPeriod reads both back)
+function calendarPeriodKey(endISO, basis) {
+  return basis === "qoq" ? `${endISO.slice(0, 4)}-Q${Math.floor((Number(endISO.slice(5, 7)) - 1) / 3) + 1}` : endISO.slice(0, 7);
+}
+
+// KPI values for a period; perWeek turns summed KPIs and channels into weekly averages before formulas run
+function periodKpis(weeks, kpis, perWeek) {
+  const agg = aggregateWeeks(weeks, kpis);
+  if (perWeek) {
+    kpis.forEach((k) => {
+      if (kpiRollup(k) === "sum" && isFiniteNum(agg.kpi[k.key])) agg.kpi[k.key] /= weeks.length;
+    });
+    agg.channels = mapChannelMetrics((m) => Object.fromEntries(Object.entries(agg.channels[m]).map(([ch, v]) => [ch, isFiniteNum(v) ? v / weeks.length : v])));
+  }
+  return evalKpis(agg, kpis);
+}
+
+// Periods ending inside the view window with per-KPI values and polarity-adjusted deltas against their prevWeeks
+export function comparisonSeries(weeks, kpis, basis, range, format) {
+  const periods = buildPeriods(weeks, basis, format).filter((p) => p.endIndex >= range.start && p.endIndex < range.end);
+  const perWeek = basis === "r4";
+  const cur = periods.map((p) => periodKpis(p.weeks, kpis, perWeek));
+  const prev = periods.map((p) => (p.prevWeeks ? periodKpis(p.prevWeeks, kpis, perWeek) : null));
+  const values = {};
+  const deltas = {};
+  kpis.forEach(({ key, polarity }) => {
+    values[key] = cur.map((r) => r[key]);
+    deltas[key] = cur.map((r, i) => (prev[i] ? changeRatio(r[key], prev[i][key], polarity === "down") : null));
+  });
+  return { periods, values, deltas, weekly: basis === "wow" || basis === "yoy" || basis === "r4" };
+}
+
+// Latest period only, as exported and written to Markdown
+export function latestComparison(comparison, kpis, basis, format) {
+  const { t } = format;
+  const i = comparison.periods.length - 1;
+  const p = comparison.periods[i];
+  return {
+    basis,
+    label: t(`basis.${basis}`),
+    short: t(`basis.${basis}.short`),
+    period: p.label,
+    prevPeriod: p.prevLabel || null,
+    values: Object.fromEntries(kpis.map(({ key }) => [key, comparison.values[key][i]])),
+    deltas: Object.fromEntries(kpis.map(({ key }) => [key, comparison.deltas[key][i]])),
+  };
+}
+
+export const VIEW_WINDOWS = [4, 8, 13, 26, 52];
+export const DEFAULT_WINDOW = 8;
+
+// [start, end) indices of the archive shown; an empty custom range falls back to the latest DEFAULT_WINDOW weeks
+export function resolveWindow(weeks, viewWindow) {
+  const latest = (n) => ({ start: Math.max(0, weeks.length - n), end: weeks.length, empty: false });
+  if (viewWindow.weeks) return latest(viewWindow.weeks);
+  const inRange = weeks.map((w, i) => i).filter((i) => weeks[i].endISO >= viewWindow.from && weeks[i].endISO <= viewWindow.to);
+  if (!inRange.length) return { ...latest(DEFAULT_WINDOW), empty: true };
+  return { start: inRange[0], end: inRange[inRange.length - 1] + 1, empty: false };
+}
+
+export function sliceSeries(byKey, { start, end }) {
+  return Object.fromEntries(Object.entries(byKey).map(([k, arr]) => [k, arr.slice(start, end)]));
+}
+
+export function windowLabel(weeks, format) {
+  const { t, fmtDate } = format;
+  return t("window.label", { n: weeks.length, from: fmtDate(weeks[0].endISO), to: fmtDate(weeks[weeks.length - 1].endISO) });
+}
+
+function daysBetween(fromISO, toISO) {
+  return Math.round((new Date(toISO + "T00:00:00Z") - new Date(fromISO + "T00:00:00Z")) / 86400000);
+}
+
+// ---------- Anomalies ----------
+// Sensitivity is the flag threshold in each method's own unit: |WoW| and |YoY| as fractions, |z| in standard
+// deviations, |robust z| in MAD-scaled units (0.6745·(x − median) / MAD). Labels: detector.<key> and detector.<key>.hint.
+export const DETECTORS = {
+  wow: { sensitivity: 0.1, step: 0.01 },
+  zscore: { sensitivity: 2, step: 0.1 },
+  mad: { sensitivity: 3.5, step: 0.1 },
+  yoy: { sensitivity: 0.2, step: 0.01 },
+};
+const ANOMALY_WINDOW = 8; // trailing weeks for z-score and MAD
+const ANOMALY_MIN_HISTORY = 4; // fewer prior points than this: no statistical flag
+
+function kpiDetector(meta, alertThreshold) {
+  return meta.detector || { method: "wow", sensitivity: alertThreshold };
+}
+
+function detectAnomalies(values, endISOs, { method, sensitivity }, format) {
+  const { t, fmtPct, fmtDate, fmtDecimal1 } = format;
+  return values.map((v, i) => {
+    if (!isFiniteNum(v)) return null;
+    if (method === "wow") {
+      const last = values[i - 1];
+      if (!isFiniteNum(last) || last === 0) return null;
+      const d = (v - last) / last;
+      return Math.abs(d) >= sensitivity ? { reason: t("anomaly.wow", { pct: fmtPct(d), threshold: fmtPct(sensitivity) }) } : null;
+    }
+    if (method === "yoy") {
+      const priorISO = toISODate(addDays(new Date(endISOs[i] + "T00:00:00Z"), -364));
+      const j = endISOs.indexOf(priorISO);
+      const prior = values[j];
+      if (j < 0 || !isFiniteNum(prior) || prior === 0) return null;
+      const d = (v - prior) / Math.abs(prior);
+      return Math.abs(d) >= sensitivity ? { reason: t("anomaly.yoy", { pct: fmtPct(d), date: fmtDate(priorISO) }) } : null;
+    }
+    const hist = values.slice(Math.max(0, i - ANOMALY_WINDOW), i).filter(isFiniteNum);
+    if (hist.length < ANOMALY_MIN_HISTORY) return null;
+    if (method === "zscore") {
+      const m = mean(hist);
+      const sd = Math.sqrt(mean(hist.map((x) => (x - m) ** 2)));
+      if (sd === 0) return null;
+      const z = (v - m) / sd;
+      return Math.abs(z) >= sensitivity ? { reason: t("anomaly.zscore", { z: fmtDecimal1(z), n: hist.length }) } : null;
+    }
+    if (method === "mad") {
+      const med = median(hist);
+      const mad = median(hist.map((x) => Math.abs(x - med)));
+      if (mad === 0) return null;
+      const rz = (0.6745 * (v - med)) / mad;
+      return Math.abs(rz) >= sensitivity ? { reason: t("anomaly.mad", { z: fmtDecimal1(rz), n: hist.length }) } : null;
+    }
+    return null;
+  });
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// ---------- Forecast ----------
+// Point forecasts from the finite history; the band widens with √h around the backtest RMSE, and MAPE is the mean
+// absolute one-step-ahead error over the view window (weeks with a zero actual skipped).
+export const FORECAST_METHODS = ["linear", "ses", "seasonal"]; // labels: forecast.<method>
+const FORECAST_MIN_HISTORY = 3;
+const FORECAST_FIT_WEEKS = 13; // linear trend fits the trailing quarter
+const SES_ALPHA = 0.5;
+const FORECAST_Z = 1.28; // ≈80% band
+
+// horizon point forecasts, or null when there is too little history
+function forecastPoints(values, method, horizon) {
+  const xs = values.filter(isFiniteNum);
+  if (xs.length < FORECAST_MIN_HISTORY) return null;
+  const steps = Array.from({ length: horizon }, (_, h) => h + 1);
+  if (method === "ses") {
+    const level = xs.slice(1).reduce((l, x) => SES_ALPHA * x + (1 - SES_ALPHA) * l, xs[0]);
+    return steps.map(() => level);
+  }
+  if (method === "seasonal") {
+    const season = xs.length >= 52 ? 52 : 4; // same week last year once there is a year, else same week last month
+    if (xs.length < season) return null;
+    return steps.map((h) => xs[xs.length - season + ((h - 1) % season)]);
+  }
+  const ys = xs.slice(-FORECAST_FIT_WEEKS);
+  const mx = (ys.length - 1) / 2;
+  const my = mean(ys);
+  const sxx = ys.reduce((a, _, i) => a + (i - mx) ** 2, 0);
+  const slope = ys.reduce((a, y, i) => a + (i - mx) * (y - my), 0) / sxx;
+  return steps.map((h) => my + slope * (ys.length - 1 + h - mx));
+}
+
+// One-step-ahead forecasts for values[from..]: { mape, rmse } over the points that could be forecast
+function backtest(values, method, from) {
+  const errors = [];
+  const pct = [];
+  for (let i = Math.max(from, 1); i < values.length; i++) {
+    const f = forecastPoints(values.slice(0, i), method, 1);
+    if (!f || !isFiniteNum(values[i])) continue;
+    errors.push(values[i] - f[0]);
+    if (values[i] !== 0) pct.push(Math.abs((values[i] - f[0]) / values[i]));
+  }
+  return {
+    mape: pct.length ? mean(pct) : null,
+    rmse: errors.length ? Math.sqrt(mean(errors.map((e) => e * e))) : null,
+  };
+}
+
+// { points: [{ point, lo, hi }], mape } or null
+export function forecastKpi(values, method, horizon, from) {
+  const pts = forecastPoints(values, method, horizon);
+  if (!pts) return null;
+  const { mape, rmse } = backtest(values, method, from);
+  const points = pts.map((point, i) => {
+    const w = rmse == null ? 0 : FORECAST_Z * rmse * Math.sqrt(i + 1);
+    return { point, lo: point - w, hi: point + w };
+  });
+  return { points, mape };
+}
+
+// Next week prefilled from the forecast: stored KPIs and live channels, whole numbers, never negative.
+// Channel metrics that reconcile to a KPI are rescaled so they sum to that KPI's forecast.
+export function forecastWeek(weeks, kpis, channelDefs, method, endISO) {
+  const last = weeks[weeks.length - 1];
+  const next = (values, fallback) => {
+    const f = forecastPoints(values, method, 1);
+    return f ? Math.max(0, f[0]) : fallback;
+  };
+  const kpi = {};
+  kpis
+    .filter((k) => !k.formula)
+    .forEach((k) => {
+      const v = next(weeks.map((w) => w.kpi[k.key]), last.kpi[k.key]);
+      kpi[k.key] = isFiniteNum(v) && (k.format === "currency" || k.format === "integer") ? Math.round(v) : isFiniteNum(v) ? v : null;
+    });
+  const live = channelDefs.filter((c) => !c.retired);
+  const channels = mapChannelMetrics((m) => {
+    const raw = Object.fromEntries(live.map((c) => [c.key, next(weeks.map((w) => w.channels[m][c.key]), last.channels[m][c.key] || 0)]));
+    const sum = Object.values(raw).reduce((a, v) => a + v, 0);
+    const out = isFiniteNum(kpi[m]) && sum > 0 ? apportion(raw, kpi[m] / sum) : mapValues(raw, Math.round);
+    return Object.fromEntries(channelDefs.map((c) => [c.key, c.retired ? 0 : out[c.key]]));
+  });
+  return { endISO, kpi, channels };
+}
+
+// Scale then round by largest remainder, so whole-number shares still add up to the scaled total
+function apportion(values, scale) {
+  const scaled = mapValues(values, (v) => v * scale);
+  const out = mapValues(scaled, Math.floor);
+  let left = Math.round(Object.values(scaled).reduce((a, v) => a + v, 0)) - Object.values(out).reduce((a, v) => a + v, 0);
+  Object.keys(scaled)
+    .sort((x, y) => scaled[y] - out[y] - (scaled[x] - out[x]))
+    .forEach((k) => {
+      if (left-- > 0) out[k] += 1;
+    });
+  return out;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+// ---------- Targets ----------
+// Targets live beside the weeks, keyed by endISO then field path, so plan can be entered or spread ahead of actuals.
+// Variance is (actual − target) / |target|; RAG reads it through polarity, so CAC under target is green.
+const RAG_AMBER_BAND = 0.05; // up to 5% on the wrong side of target
+
+function targetVariance(actual, target) {
+  return isFiniteNum(actual) && isFiniteNum(target) && target !== 0 ? (actual - target) / Math.abs(target) : null;
+}
+
+function ragStatus(variance, polarity) {
+  if (variance == null) return null;
+  const good = polarity === "down" ? -variance : variance;
+  return good >= 0 ? "green" : good >= -RAG_AMBER_BAND ? "amber" : "red";
+}
+
+// Stored KPIs: sum (default for currency/integer), mean, or mean weighted by another stored KPI (CAC by deals)
+export function kpiRollup(meta) {
+  if (meta.formula) return "derived";
+  return meta.rollup || (meta.format === "currency" || meta.format === "integer" ? "sum" : "mean");
+}
+
+function rollupValues(method, values, weights = []) {
+  const idx = values.map((_, i) => i).filter((i) => isFiniteNum(values[i]));
+  if (!idx.length) return null;
+  const total = idx.reduce((a, i) => a + values[i], 0);
+  if (method === "sum") return total;
+  if (method === "weighted") {
+    const wSum = idx.reduce((a, i) => a + (isFiniteNum(weights[i]) ? weights[i] : 0), 0);
+    if (wSum > 0) return idx.reduce((a, i) => a + values[i] * (isFiniteNum(weights[i]) ? weights[i] : 0), 0) / wSum;
+  }
+  return total / idx.length;
+}
+
+// One synthetic week standing for several: stored KPIs rolled up per registry, channels summed. Derived KPIs are
+// then evaluated on it (evalKpis), so a ratio formula is Σnumerator / Σdenominator rather than a mean of ratios.
+function aggregateWeeks(weeks, kpis) {
+  const kpi = {};
+  kpis
+    .filter((k) => !k.formula)
+    .forEach((k) => {
+      const weights = k.weight ? weeks.map((w) => w.kpi[k.weight]) : [];
+      kpi[k.key] = rollupValues(kpiRollup(k), weeks.map((w) => w.kpi[k.key]), weights);
+    });
+  const channels = mapChannelMetrics((m) => {
+    const out = {};
+    weeks.forEach((w) => Object.entries(w.channels[m]).forEach(([ch, v]) => (out[ch] = addValues(out[ch], v))));
+    return out;
+  });
+  return { endISO: weeks.length ? weeks[weeks.length - 1].endISO : "", kpi, channels };
+}
+
+export function buildPlan(weeks, kpis, channelDefs, targets) {
+  const latest = weeks[weeks.length - 1];
+  const t = targets[latest.endISO] || {};
+  const targetAt = (endISO, path) => (targets[endISO] && isFiniteNum(targets[endISO][path]) ? targets[endISO][path] : null);
+  const actual = evalKpis(latest, kpis);
+  const kpiPlan = kpis.map((meta) => {
+    const path = `kpi.${meta.key}`;
+    const target = isFiniteNum(t[path]) ? t[path] : null;
+    const variance = targetVariance(actual[meta.key], target);
+    const planned = weeks.filter((w) => targetAt(w.endISO, path) != null);
+    let toDate = null;
+    if (planned.length) {
+      const method = kpiRollup(meta);
+      const weights = meta.weight ? planned.map((w) => w.kpi[meta.weight]) : [];
+      const a = evalKpis(aggregateWeeks(planned, kpis), kpis)[meta.key];
+      const tt = rollupValues(method === "derived" ? "mean" : method, planned.map((w) => targetAt(w.endISO, path)), weights);
+      const v = targetVariance(a, tt);
+      toDate = { weeks: planned.length, actual: a, target: tt, attainment: isFiniteNum(a) && tt ? a / tt : null, variance: v, rag: ragStatus(v, meta.polarity) };
+    }
+    return [meta.key, { target, variance, rag: ragStatus(variance, meta.polarity), toDate }];
+  });
+  const channels = mapChannelMetrics((m) =>
+    Object.fromEntries(
+      channelDefs.map(({ key }) => {
+        const target = targetAt(latest.endISO, `channels.${m}.${key}`);
+        const variance = targetVariance(latest.channels[m][key], target);
+        return [key, { target, variance, rag: ragStatus(variance, "up") }];
+      })
+    )
+  );
+  return { endISO: latest.endISO, kpis: Object.fromEntries(kpiPlan), channels };
+}
+
+function targetPaths(kpis, channelDefs) {
+  return [...kpis.map((k) => `kpi.${k.key}`), ...CHANNEL_METRICS.flatMap((m) => channelDefs.map((c) => `channels.${m}.${c.key}`))];
+}
+
+export function validateTargets(targets, kpis, channelDefs, format) {
+  const { t } = format;
+  if (!targets || typeof targets !== "object" || Array.isArray(targets)) return [t("targets.error.object")];
+  const known = new Set(targetPaths(kpis, channelDefs));
+  const errors = [];
+  for (const [endISO, row] of Object.entries(targets)) {
+    if (!isISODate(endISO)) errors.push(t("targets.error.date", { endISO }));
+    if (!row || typeof row !== "object") {
+      errors.push(t("targets.error.row", { endISO }));
+      continue;
+    }
+    for (const [path, v] of Object.entries(row)) {
+      if (!known.has(path)) errors.push(t("targets.error.field", { endISO, path }));
+      else if (!isFiniteNum(v)) errors.push(t("targets.error.number", { endISO, path }));
+    }
+  }
+  return errors;
+}
+
+// entries: [endISO, path, value | null]; null clears. Weeks left without targets are dropped.
+export function withTargets(targets, entries) {
+  const next = { ...targets };
+  for (const [endISO, path, value] of entries) {
+    const row = { ...(next[endISO] || {}) };
+    if (value == null) delete row[path];
+    else row[path] = value;
+    if (Object.keys(row).length) next[endISO] = row;
+    else delete next[endISO];
+  }
+  return next;
+}
+
+// Move (and add) one field's targets onto another, or drop them when intoPath is null
+export function mergeTargetPath(targets, fromPath, intoPath) {
+  const entries = [];
+  for (const [endISO, row] of Object.entries(targets)) {
+    if (!(fromPath in row)) continue;
+    entries.push([endISO, fromPath, null]);
+    if (intoPath) entries.push([endISO, intoPath, (row[intoPath] || 0) + row[fromPath]]);
+  }
+  return withTargets(targets, entries);
+}
+
+// "2025-08" (month) or "2025-Q3" (quarter) → inclusive ISO date range; null when malformed
+export function parsePlanPeriod(s) {
+  const month = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(s);
+  const quarter = /^(\d{4})-Q([1-4])$/i.exec(s);
+  if (!month && !quarter) return null;
+  const y = Number((month || quarter)[1]);
+  const firstMonth = month ? Number(month[2]) - 1 : (Number(quarter[2]) - 1) * 3;
+  const span = month ? 1 : 3;
+  return { start: toISODate(new Date(Date.UTC(y, firstMonth, 1))), end: toISODate(new Date(Date.UTC(y, firstMonth + span, 0))) };
+}
+
+// Week-ending dates on the same weekday as anchorISO whose end date falls inside the period
+export function weekEndsInPeriod(anchorISO, period) {
+  const anchor = new Date(anchorISO + "T00:00:00Z");
+  const startMs = new Date(period.start + "T00:00:00Z").getTime();
+  const offset = Math.ceil((startMs - anchor.getTime()) / (7 * 86400000));
+  const out = [];
+  for (let d = addDays(anchor, offset * 7); toISODate(d) <= period.end; d = addDays(d, 7)) out.push(toISODate(d));
+  return out;
+}
+
+// ---------- Branches ----------
+// The roll-up has one week per endISO any branch reports: additive KPIs and channels summed, ratio KPIs weighted
+// (aggregateWeeks). Targets roll up the same way, but only where every branch has one, so a partial plan is never
+// read as the network plan.
+export function rollupBranches(branches, kpis) {
+  const byEnd = new Map();
+  branches.forEach((b) => b.weeks.forEach((w) => byEnd.set(w.endISO, [...(byEnd.get(w.endISO) || []), w])));
+  const ends = [...byEnd.keys()].sort();
+  const weeks = ends.map((endISO) => ({ ...aggregateWeeks(byEnd.get(endISO), kpis), endISO }));
+  const coverage = Object.fromEntries(ends.map((endISO) => [endISO, byEnd.get(endISO).length]));
+  const targets = {};
+  for (const endISO of new Set(branches.flatMap((b) => Object.keys(b.targets)))) {
+    const rows = branches.map((b) => b.targets[endISO] || {});
+    for (const path of new Set(rows.flatMap((r) => Object.keys(r)))) {
+      const values = rows.map((r) => r[path]);
+      if (!values.every(isFiniteNum)) continue;
+      const meta = kpis.find((k) => `kpi.${k.key}` === path);
+      const method = meta ? kpiRollup(meta) : "sum";
+      // Weight by each branch's planned weight where it has one, else its actual
+      const weights =
+        meta && meta.weight
+          ? branches.map((b, i) => {
+              const planned = rows[i][`kpi.${meta.weight}`];
+              const actual = b.weeks.find((w) => w.endISO === endISO);
+              return isFiniteNum(planned) ? planned : actual ? actual.kpi[meta.weight] : null;
+            })
+          : [];
+      targets[endISO] = { ...targets[endISO], [path]: rollupValues(method === "derived" ? "mean" : method, values, weights) };
+    }
+  }
+  // Notes are kept per branch, prefixed with its label
+  const annotations = {};
+  branches.forEach((b) =>
+    Object.entries(b.annotations || {}).forEach(([endISO, notes]) =>
+      Object.entries(notes).forEach(([path, text]) => {
+        const at = (annotations[endISO] = annotations[endISO] || {});
+        at[path] = at[path] ? `${at[path]}; ${b.label}: ${text}` : `${b.label}: ${text}`;
+      })
+    )
+  );
+  return { weeks, targets, coverage, annotations };
+}
+
+export function branchSummary(branch, kpis, alertThreshold, format) {
+  const series = kpiSeries(branch.weeks, kpis);
+  const deltas = wowDeltas(series, kpis);
+  const ends = branch.weeks.map((w) => w.endISO);
+  const last = (arr) => arr[arr.length - 1];
+  let anomalies = 0;
+  let latestAnomalies = 0;
+  kpis.forEach((k) => {
+    const flags = detectAnomalies(series[k.key], ends, kpiDetector(k, alertThreshold), format);
+    anomalies += flags.filter(Boolean).length;
+    if (last(flags)) latestAnomalies++;
+  });
+  return {
+    key: branch.key,
+    label: branch.label,
+    endISO: last(ends),
+    latest: Object.fromEntries(kpis.map(({ key }) => [key, last(series[key])])),
+    wow: Object.fromEntries(kpis.map(({ key }) => [key, last(deltas[key])])),
+    anomalies,
+    latestAnomalies,
+  };
+}
+
+// sortBy "anomalies" (latest week, then all weeks) or "wow:<kpi key>" (polarity-adjusted WoW, best first)
+export function rankBranches(stats, sortBy, kpis) {
+  const wowKey = sortBy.startsWith("wow:") && kpis.some((k) => k.key === sortBy.slice(4)) ? sortBy.slice(4) : null;
+  const score = (s) => (wowKey ? (isFiniteNum(s.wow[wowKey]) ? s.wow[wowKey] : -Infinity) : s.latestAnomalies * 1e6 + s.anomalies);
+  return [...stats].sort((a, b) => score(b) - score(a) || a.label.localeCompare(b.label)).map((s, i) => ({ ...s, rank: i + 1 }));
+}
+
+// ---------- Drift ----------
+// Cell-level diff of two canonical payloads. Weeks are matched on endISO; a week present on one side only
+// is reported once with path "week". Document settings have no endISO.
+export function diffPayload(base, cur, format) {
+  const { t } = format;
+  const changes = [];
+  for (const key of ["channelMetric", "alertThreshold", "logicVersion", "currency", "fx"]) {
+    if (canonicalize(base[key]) !== canonicalize(cur[key])) changes.push(driftChange(null, key, base[key], cur[key]));
+  }
+  for (const key of ["kpis", "channelDefs"]) {
+    const describe = (list) => (list ? list.map((d) => (d.retired ? `${d.key} ${t("channel.retired")}` : d.key)).join(", ") : t("drift.default"));
+    if (canonicalize(base[key]) !== canonicalize(cur[key])) changes.push(driftChange(null, key, describe(base[key]), describe(cur[key])));
+  }
+  const baseBranches = payloadBranches(base);
+  const curBranches = payloadBranches(cur);
+  const baseByKey = new Map(baseBranches.map((b) => [b.key, b]));
+  const curKeys = new Set(curBranches.map((b) => b.key));
+  for (const b of curBranches) {
+    const old = baseByKey.get(b.key);
+    if (!old) changes.push({ ...driftChange(null, "branch", t("drift.absent"), t("drift.added")), branch: b.key });
+    else {
+      if (old.label !== b.label) changes.push({ ...driftChange(null, "branch.label", old.label, b.label), branch: b.key });
+      if (old.currency !== b.currency) changes.push({ ...driftChange(null, "branch.currency", old.currency, b.currency), branch: b.key });
+      diffBranch(old, b, format).forEach((c) => changes.push({ ...c, branch: b.key }));
+    }
+  }
+  for (const b of baseBranches) {
+    if (!curKeys.has(b.key)) changes.push({ ...driftChange(null, "branch", t("drift.present"), t("drift.removed")), branch: b.key });
+  }
+  return changes.sort((a, b) => String(a.endISO || "").localeCompare(String(b.endISO || "")));
+}
+
+// Payloads hashed before branches carry one top-level weeks/targets pair: treat it as the default branch
+function payloadBranches(p) {
+  return p.branches || [{ ...DEFAULT_BRANCH, weeks: p.weeks, targets: p.targets }];
+}
+
+function diffBranch(base, cur, format) {
+  const { t } = format;
+  const changes = [];
+  const baseByEnd = new Map(base.weeks.map((w) => [w.endISO, w]));
+  const curEnds = new Set(cur.weeks.map((w) => w.endISO));
+  for (const w of cur.weeks) {
+    const b = baseByEnd.get(w.endISO);
+    if (!b) {
+      changes.push(driftChange(w.endISO, "week", t("drift.absent"), t("drift.added")));
+      continue;
+    }
+    const before = flattenCells(b);
+    const after = flattenCells(w);
+    for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[path] !== after[path]) changes.push(driftChange(w.endISO, path, before[path], after[path]));
+    }
+  }
+  for (const b of base.weeks) {
+    if (!curEnds.has(b.endISO)) changes.push(driftChange(b.endISO, "week", t("drift.present"), t("drift.removed")));
+  }
+  const baseTargets = base.targets || {};
+  const curTargets = cur.targets || {};
+  for (const endISO of new Set([...Object.keys(baseTargets), ...Object.keys(curTargets)])) {
+    const before = baseTargets[endISO] || {};
+    const after = curTargets[endISO] || {};
+    for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[path] !== after[path]) changes.push(driftChange(endISO, `target.${path}`, before[path], after[path]));
+    }
+  }
+  const baseNotes = base.annotations || {};
+  const curNotes = cur.annotations || {};
+  for (const endISO of new Set([...Object.keys(baseNotes), ...Object.keys(curNotes)])) {
+    const before = baseNotes[endISO] || {};
+    const after = curNotes[endISO] || {};
+    for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[path] !== after[path]) changes.push(driftChange(endISO, `note.${path}`, before[path], after[path]));
+    }
+  }
+  return changes;
+}
+
+// { "kpi.revenue": 31250, "channels.orders.paid": 4, … } for one week (endISO excluded)
+function flattenCells(week, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(week)) {
+    if (!prefix && k === "endISO") continue;
+    if (v && typeof v === "object") flattenCells(v, `${prefix}${k}.`, out);
+    else out[`${prefix}${k}`] = v;
+  }
+  return out;
+}
+
+function driftChange(endISO, path, oldVal, newVal) {
+  const abs = isFiniteNum(oldVal) && isFiniteNum(newVal) ? newVal - oldVal : null;
+  const pct = abs != null && oldVal !== 0 ? abs / Math.abs(oldVal) : null;
+  return { endISO, path, old: oldVal, new: newVal, abs, pct };
+}
+
+export function fmtDriftValue(v, format) {
+  return isFiniteNum(v) ? format.fmtInteger(v) : v == null ? "—" : String(v);
+}
+
+// ---------- Edit log ----------
+// { genesis, genesisHash, entries }. genesis is the canonical payload when the log started; each entry is
+// { seq, ts, author, action, changes: [{ path, at, old?, new? }], prevHash, docHash, hash }: path is a key array into the
+// payload (a missing old/new means added/removed), docHash the canonical hash after the change, and hash covers every
+// other field, so editing, dropping or reordering an entry breaks the chain.
+
+// Canonical payload without undefined fields, as it exports and replays
+export function plainPayload(doc) {
+  return JSON.parse(JSON.stringify(canonicalPayload(doc)));
+}
+
+export async function startEditLog(payload) {
+  return { genesis: payload, genesisHash: await canonicalHash(payload), entries: [] };
+}
+
+export async function appendLogEntry(log, { ts, author, action, changes }, payload) {
+  const last = log.entries[log.entries.length - 1];
+  const entry = {
+    seq: log.entries.length + 1,
+    ts,
+    author: author || "anonymous",
+    action,
+    changes,
+    prevHash: last ? last.hash : log.genesisHash,
+    docHash: await canonicalHash(payload),
+  };
+  return { ...log, entries: [...log.entries, { ...entry, hash: await canonicalHash(entry) }] };
+}
+
+// Leaf changes from a to b; arrays compare index by index, removals last-first so they replay with splice
+function diffJSON(a, b, path = [], out = []) {
+  const isObj = (x) => x !== null && typeof x === "object";
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) diffJSON(a[i], b[i], [...path, i], out);
+    for (let i = a.length; i < b.length; i++) out.push({ path: [...path, i], new: b[i] });
+    for (let i = a.length - 1; i >= b.length; i--) out.push({ path: [...path, i], old: a[i] });
+  } else if (isObj(a) && isObj(b) && !Array.isArray(a) && !Array.isArray(b)) {
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach((k) => {
+      if (!(k in b)) out.push({ path: [...path, k], old: a[k] });
+      else if (!(k in a)) out.push({ path: [...path, k], new: b[k] });
+      else diffJSON(a[k], b[k], [...path, k], out);
+    });
+  } else if (canonicalize(a) !== canonicalize(b)) out.push({ path, old: a, new: b });
+  return out;
+}
+
+// Diff labelled for the log: "main · 2025-08-03 · kpi.revenue" for week cells, the joined path for everything else
+export function logChanges(prev, next) {
+  const at = (path) => {
+    if (path[0] !== "branches" || path.length < 2) return path.join(".");
+    const b = next.branches[path[1]] || prev.branches[path[1]];
+    if (path[2] !== "weeks" || path.length < 4) return [b.key, path.slice(2).join(".")].filter(Boolean).join(" · ");
+    const w = b.weeks[path[3]] || (prev.branches[path[1]] || b).weeks[path[3]] || {};
+    return [b.key, w.endISO || `week ${path[3] + 1}`, path.slice(4).join(".")].filter(Boolean).join(" · ");
+  };
+  return diffJSON(prev, next).map((c) => ({ ...c, at: at(c.path) }));
+}
+
+// Label for changes no handler named, from the first path they touch
+export function logActionFor(changes) {
+  const [head, , sub] = changes[0].path;
+  if (head === "kpis" || head === "channelDefs") return "registry";
+  if (head === "branches") return sub === "targets" ? "target" : sub === "weeks" ? "edit" : "branch";
+  return "setting";
+}
+
+function applyChanges(payload, changes) {
+  changes.forEach(({ path, new: value }) => {
+    const parent = path.slice(0, -1).reduce((o, k) => o[k], payload);
+    const key = path[path.length - 1];
+    if (value !== undefined) parent[key] = JSON.parse(JSON.stringify(value));
+    else if (Array.isArray(parent)) parent.splice(key, 1);
+    else delete parent[key];
+  });
+  return payload;
+}
+
+// Canonical payload as it stood after entry seq (0 = genesis)
+export function replayLog(log, seq) {
+  const state = JSON.parse(JSON.stringify(log.genesis));
+  log.entries.filter((e) => e.seq <= seq).forEach((e) => applyChanges(state, e.changes));
+  return state;
+}
+
+// Re-hash every entry, check each links to the one before and replays to its docHash; headHash, when given,
+// must be the last docHash (the exported document's own audit hash). A failure's reason is a catalogue key under log.broken.
+export async function verifyLog(log, headHash) {
+  if (!log || !log.genesis || !Array.isArray(log.entries)) return { ok: false, seq: null, reason: "notLog", entries: 0 };
+  if ((await canonicalHash(log.genesis)) !== log.genesisHash) return { ok: false, seq: 0, reason: "genesis", entries: log.entries.length };
+  const state = JSON.parse(JSON.stringify(log.genesis));
+  let prevHash = log.genesisHash;
+  for (const [i, e] of log.entries.entries()) {
+    const { hash, ...body } = e;
+    const fail = (reason) => ({ ok: false, seq: e.seq, reason, entries: log.entries.length });
+    if (e.seq !== i + 1) return fail("order");
+    if (e.prevHash !== prevHash) return fail("link");
+    if ((await canonicalHash(body)) !== hash) return fail("altered");
+    try {
+      applyChanges(state, e.changes);
+    } catch {
+      return fail("replay");
+    }
+    if ((await canonicalHash(state)) !== e.docHash) return fail("docHash");
+    prevHash = hash;
+  }
+  const last = log.entries[log.entries.length - 1];
+  if (headHash && (last ? last.docHash : log.genesisHash) !== headHash) return { ok: false, seq: null, reason: "head", entries: log.entries.length };
+  return { ok: true, seq: null, reason: "", entries: log.entries.length };
+}
+
+export function fmtLogValue(v, format) {
+  if (v === undefined) return "∅";
+  if (Array.isArray(v)) return `[${v.length} items]`;
+  if (v && typeof v === "object") return v.endISO ? `week ${v.endISO}` : v.key ? `{${v.key}}` : `{${Object.keys(v).length} fields}`;
+  return isFiniteNum(v) && !Number.isInteger(v) ? String(v) : fmtDriftValue(v, format); // thresholds are fractions
+}
+
+// ---------- Merge ----------
+// Three-way merge of canonical payloads for the shared document server: mine and theirs are each diffed against the
+// payload both started from. Changes to the same value, one inside the other, or that both resize the same array
+// conflict unless both sides made the same edit; the rest merge. A conflict is kept whole and resolved to one side.
+
+// The array an added or removed item resizes (diffJSON adds and removes at the tail), else null
+function resizedArray(c) {
+  const last = c.path[c.path.length - 1];
+  return typeof last === "number" && (c.old === undefined || c.new === undefined) ? canonicalize(c.path.slice(0, -1)) : null;
+}
+
+function sameEdit(a, b) {
+  return canonicalize(a.path) === canonicalize(b.path) && canonicalize(a.new) === canonicalize(b.new);
+}
+
+function changesClash(a, b) {
+  const resized = resizedArray(a);
+  if (resized && resized === resizedArray(b)) return true;
+  const n = Math.min(a.path.length, b.path.length);
+  return a.path.slice(0, n).every((k, i) => k === b.path[i]);
+}
+
+// { clean, conflicts: [{ mine, theirs }] }: labelled changes (logChanges) to apply to base; clean ones carry the side
+// they came from ("mine"|"theirs")
+export function mergePayloads(base, mine, theirs) {
+  const ours = logChanges(base, mine);
+  const other = logChanges(base, theirs);
+  const shared = other.filter((b) => ours.some((a) => sameEdit(a, b))); // made on both sides: merges once, as mine
+  let conflicts = [];
+  ours.forEach((a) => {
+    if (shared.some((b) => sameEdit(a, b))) return;
+    const clashing = other.filter((b) => !shared.includes(b) && changesClash(a, b));
+    if (!clashing.length) return;
+    const joined = conflicts.filter((g) => g.theirs.some((b) => clashing.includes(b)));
+    const group = { mine: [...joined.flatMap((g) => g.mine), a], theirs: [...new Set([...joined.flatMap((g) => g.theirs), ...clashing])] };
+    conflicts = [...conflicts.filter((g) => !joined.includes(g)), group];
+  });
+  // Each side's changes replay in their own order (array removals run last-first)
+  conflicts.forEach((g) => {
+    g.mine.sort((x, y) => ours.indexOf(x) - ours.indexOf(y));
+    g.theirs.sort((x, y) => other.indexOf(x) - other.indexOf(y));
+  });
+  const held = new Set(conflicts.flatMap((g) => [...g.mine, ...g.theirs]));
+  const clean = ours.filter((a) => !held.has(a)).map((a) => ({ ...a, side: "mine" }));
+  other.filter((b) => !held.has(b) && !shared.includes(b)).forEach((b) => clean.push({ ...b, side: "theirs" }));
+  return { clean, conflicts };
+}
+
+// Base plus the clean changes and, per conflict, the side in choices[i] ("mine" unless set)
+export function applyMerge(base, { clean, conflicts }, choices = []) {
+  const picked = conflicts.flatMap((g, i) => g[choices[i] || "mine"]);
+  return applyChanges(JSON.parse(JSON.stringify(base)), [...clean, ...picked]);
+}
+
+// Document fields a canonical payload stands for, with the defaults it leaves out when hashing
+export function payloadDocument(payload) {
+  return { ...payload, currency: payload.currency || DEFAULT_CURRENCY, fx: payload.fx || {} };
+}
+
+// ---------- Locale and currency ----------
+// The document has a reporting currency and a display locale. A branch may keep its books in another currency
+// (branch.currency); the roll-up and branch comparison convert it with fx, the reporting-currency units one unit of
+// it buys. Text and numbers go through a formatter for one locale and currency: App makes one for the view it shows,
+// scoreboardReport makes its own, and engine functions that label or format take it as their last argument.
+const DEFAULT_CURRENCY = "GBP";
+export const CURRENCIES = ["GBP", "EUR", "USD"];
+export const LOCALES = ["", "en-GB", "en-IE", "en-US", "nl-NL"]; // "" follows the browser
+
+// Catalogue language of a locale ("nl-NL" → "nl"); unknown languages read English
+function messageLang(locale) {
+  const lang = (locale || new Intl.NumberFormat().resolvedOptions().locale).slice(0, 2).toLowerCase();
+  return MESSAGES[lang] ? lang : "en";
+}
+
+// t(), tn() and the fmt* formatters for a locale ("" follows the browser) with amounts in currency
+export function formatter(locale = "", currency = DEFAULT_CURRENCY) {
+  const tag = locale || undefined;
+  const lang = messageLang(locale);
+  const number = (options) => new Intl.NumberFormat(tag, options);
+
+  // Catalogue text in the locale's language, else English, else the key; {name} is replaced by vars.name
+  const t = (key, vars) => {
+    const own = MESSAGES[lang][key];
+    const text = own != null ? own : MESSAGES.en[key] != null ? MESSAGES.en[key] : key;
+    return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? vars[name] : m)) : text;
+  };
+  // key.one for a count of 1, key.other otherwise; {n} is the count
+  const tn = (key, n, vars) => t(`${key}.${n === 1 ? "one" : "other"}`, { ...vars, n });
+
+  const currencySymbol = () => {
+    const part = number({ style: "currency", currency }).formatToParts(0).find((p) => p.type === "currency");
+    return part ? part.value : currency;
+  };
+  const fmtCurrency = (n) => number({ style: "currency", currency, maximumFractionDigits: 0 }).format(n || 0);
+  const fmtInteger = (n) => number({ maximumFractionDigits: 0 }).format(n || 0);
+  const fmtDecimal = (n) => number({ minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(n || 0);
+  const fmtDecimal1 = (n) => number({ minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(n);
+  const fmtPct = (x) => (x == null ? "—" : number({ style: "percent", maximumFractionDigits: 0 }).format(x));
+  const fmtPct1 = (x) => (x == null ? "—" : number({ style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(x));
+  const byFormat = { fmtCurrency, fmtInteger, fmtDecimal, fmtPct };
+
+  return {
+    locale,
+    currency,
+    lang,
+    t,
+    tn,
+    localeName: (l) => (l ? t(`locale.${l}`) : t("locale.browser")),
+    // endISO as the locale writes it ("13 Jul 2025", "13 jul 2025"); anything else is shown as is
+    fmtDate: (iso) =>
+      isISODate(iso)
+        ? new Intl.DateTimeFormat(tag, { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" }).format(new Date(iso + "T00:00:00Z"))
+        : iso == null
+        ? "—"
+        : String(iso),
+    fmtDateTime: (ts) => new Date(ts).toLocaleString(tag),
+    fmtCurrency,
+    fmtInteger,
+    fmtDecimal,
+    fmtDecimal1,
+    fmtPct,
+    fmtPct1,
+    fmtKpi: (meta, v) => (isFiniteNum(v) ? (byFormat[KPI_FORMATS[meta.format]] || fmtInteger)(v) : "—"),
+    fmtChannelValue: (metric, n) => (!isFiniteNum(n) ? "—" : metric === "revenue" ? fmtCurrency(n) : fmtInteger(n)),
+    fmtVariance: (x) => (x == null ? "—" : `${x > 0 ? "+" : ""}${fmtPct1(x)}`),
+    parseNumber: (raw) => parseLocaleNumber(raw, tag, t),
+    // Registry entries still carrying a default label or sub show the catalogue text; renamed ones are left alone
+    localizeKpi: (meta) => {
+      const def = DEFAULT_KPIS.find((k) => k.key === meta.key);
+      if (!def) return meta;
+      return {
+        ...meta,
+        label: meta.label === def.label ? t(`kpi.${def.key}`) : meta.label,
+        sub: meta.sub === def.sub ? t(`kpi.${def.key}.sub`, { currency: currencySymbol() }) : meta.sub,
+      };
+    },
+    localizeChannel: (def) => {
+      const base = DEFAULT_CHANNELS.find((c) => c.key === def.key);
+      return base && def.label === base.label ? { ...def, label: t(`channel.${def.key}`) } : def;
+    },
+  };
+}
+
+// Reporting-currency units per unit of from; null without a usable rate
+export function fxRate(fx, from, to) {
+  if (from === to) return 1;
+  const rate = (fx || {})[from];
+  return isFiniteNum(rate) && rate > 0 ? rate : null;
+}
+
+// Branch in the reporting currency: stored currency KPIs, channel revenue and their targets times the rate; with no
+// rate they are missing, and the FX rates check fails
+export function convertBranch(branch, kpis, currency, fx) {
+  const from = branch.currency || currency;
+  if (from === currency) return branch;
+  const rate = fxRate(fx, from, currency);
+  const conv = (v) => (isFiniteNum(v) ? (rate == null ? null : v * rate) : v);
+  const money = kpis.filter((k) => !k.formula && k.format === "currency").map((k) => k.key);
+  const isMoney = (path) => path.startsWith("channels.revenue.") || money.some((k) => path === `kpi.${k}`);
+  return {
+    ...branch,
+    currency,
+    weeks: branch.weeks.map((w) => ({
+      ...w,
+      kpi: { ...w.kpi, ...Object.fromEntries(money.filter((k) => k in w.kpi).map((k) => [k, conv(w.kpi[k])])) },
+      channels: { ...w.channels, revenue: mapValues(w.channels.revenue, conv) },
+    })),
+    targets: mapValues(branch.targets, (row) => Object.fromEntries(Object.entries(row).map(([path, v]) => [path, isMoney(path) ? conv(v) : v]))),
+  };
+}
+
+// ---------- Utils ----------
+export function isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function isValueOrMissing(x) {
+  return x === null || isFiniteNum(x);
+}
+
+// Number, or null for missing and unparseable input (see parseLocaleNumber)
+export function toNum(v, format) {
+  return format.parseNumber(v).value;
+}
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, bn: 1e9 };
+
+// Typed or pasted text → { value, error }; blank is missing ({ value: null, error: null }), never 0.
+// Accepts currency symbols and codes, spaces/apostrophes between digits, k/m/bn suffixes, a leading minus or
+// accounting parentheses. One separator kind: the locale's decimal mark (once) is decimal; otherwise groups of
+// exactly three digits are thousands ("1,500" → 1500) and anything else is decimal ("1,5" → 1.5). Both kinds:
+// the last one is decimal ("1.234,5" → 1234.5). Errors are worded by t; see formatter().parseNumber.
+function parseLocaleNumber(raw, locale, t) {
+  if (raw == null) return { value: null, error: null };
+  if (typeof raw === "number") return Number.isFinite(raw) ? { value: raw, error: null } : { value: null, error: t("parse.notFinite") };
+  const bad = { value: null, error: t("parse.notNumber", { raw }) };
+  let s = String(raw).replace(/[\s\u00a0\u202f']/g, "").replace(/\u2212/g, "-");
+  if (!s) return { value: null, error: null };
+  let sign = 1;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  const currency = /^(?:[£$€]|GBP|EUR|USD)|(?:[£$€]|GBP|EUR|USD)$/gi;
+  s = s.replace(currency, "");
+  if (s.startsWith("-")) {
+    sign = -sign;
+    s = s.slice(1).replace(currency, "");
+  }
+  const suffix = s.match(/(k|m|bn)$/i);
+  if (suffix) s = s.slice(0, -suffix[1].length);
+  if (!/^(\d[\d.,]*|[.,]\d+)$/.test(s)) return bad;
+  const seps = [...new Set(s.replace(/\d/g, ""))];
+  let decimal = null;
+  if (seps.length === 2) decimal = s[Math.max(s.lastIndexOf(","), s.lastIndexOf("."))];
+  else if (seps.length === 1) {
+    const parts = s.split(seps[0]);
+    const grouped = parts[0].length >= 1 && parts[0].length <= 3 && parts.slice(1).every((g) => g.length === 3);
+    if (parts.length === 2 && (seps[0] === numberSeparators(locale).decimal || !grouped)) decimal = seps[0];
+    else if (!grouped) return bad;
+  }
+  const at = decimal ? s.lastIndexOf(decimal) : s.length;
+  const n = parseFloat(`${s.slice(0, at).replace(/[.,]/g, "") || "0"}.${s.slice(at + 1) || "0"}`);
+  const value = sign * n * (suffix ? NUMBER_SUFFIXES[suffix[1].toLowerCase()] : 1);
+  return Number.isFinite(value) ? { value: Number(value.toPrecision(15)), error: null } : bad;
+}
+
+// { group, decimal } marks of a locale, e.g. { group: ".", decimal: "," } for de-DE
+function numberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const mark = (type, fallback) => (parts.find((p) => p.type === type) || { value: fallback }).value;
+  return { group: mark("group", ","), decimal: mark("decimal", ".") };
+}
+
+// Sum of the channels that have a value; null when every one is missing
+export function sumChannels(ch, keys) {
+  return keys.length ? keys.reduce((a, k) => addValues(a, ch[k]), null) : 0;
+}
+
+// Missing + missing stays missing; otherwise missing counts for nothing
+export function addValues(a, b) {
+  if (!isFiniteNum(b)) return isFiniteNum(a) ? a : null;
+  return (isFiniteNum(a) ? a : 0) + b;
+}
+
+export function addDays(date, days) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+export function toISODate(d) {
+  const y = d.getUTCFullYear();
+  const m = `${d.getUTCMonth() + 1}`.padStart(2, "0");
+  const day = `${d.getUTCDate()}`.padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+// The hashed subset of the document; UI-only state and the audit block are excluded
+// Documents from before branches (top-level weeks/targets) hash exactly as they did
+export function canonicalPayload({ branches, weeks, targets, kpis, channelDefs, channelMetric, alertThreshold, logicVersion, currency, fx }) {
+  const cleanWeeks = (list) => list.map(({ endISO, kpi, channels }) => ({ endISO, kpi, channels }));
+  const cleanTargets = (t) => (t && Object.keys(t).length ? t : undefined); // no targets hashes like a doc without the field
+  return {
+    branches: branches
+      ? branches.map((b) => ({
+          key: b.key,
+          label: b.label,
+          currency: b.currency || undefined,
+          weeks: cleanWeeks(b.weeks),
+          targets: cleanTargets(b.targets),
+          annotations: cleanTargets(b.annotations),
+        }))
+      : undefined,
+    weeks: branches ? undefined : cleanWeeks(weeks),
+    kpis,
+    channelDefs,
+    targets: branches ? undefined : cleanTargets(targets),
+    channelMetric,
+    alertThreshold,
+    logicVersion,
+    currency: currency && currency !== DEFAULT_CURRENCY ? currency : undefined, // GBP docs hash as they did before currencies
+    fx: cleanTargets(fx),
+  };
+}
+
+export async function canonicalHash(obj) {
+  const canonical = canonicalize(obj);
+  const enc = new TextEncoder().encode(canonical);
+  const buf = await crypto.subtle.digest("SHA-256", enc);
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function canonicalize(x) {
+  if (x === null || typeof x !== "object") return JSON.stringify(x);
+  if (Array.isArray(x)) return `[${x.map((v) => canonicalize(v)).join(",")}]`;
+  const keys = Object.keys(x)
+    .filter((k) => x[k] !== undefined) // as JSON.stringify: absent and undefined hash the same
+    .sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(x[k])}`).join(",")}}`;
+}
+
+// ---------- Annotations ----------
+export const ANNOTATION_WEEK = "week"; // note on the whole week rather than one cell
+
+// What a note can attach to: the week, any KPI (derived ones too) and every channel cell
+export function annotationFields(kpis, fields, format) {
+  return [
+    { path: ANNOTATION_WEEK, label: format.t("notes.week") },
+    ...kpis.map((k) => ({ path: `kpi.${k.key}`, label: k.label })),
+    ...fields.filter((f) => f.path.startsWith("channels.")),
+  ];
+}
+
+// Week note then the cell's own
+export function notesFor(annotations, endISO, path) {
+  const notes = annotations[endISO] || {};
+  return [notes[ANNOTATION_WEEK], notes[path]].filter(Boolean);
+}
+
+// Notes in the window, oldest first, in field order within a week
+export function listAnnotations(annotations, weeks, fields) {
+  return weeks.flatMap((w) =>
+    fields
+      .filter((f) => annotations[w.endISO] && annotations[w.endISO][f.path])
+      .map((f) => ({ endISO: w.endISO, path: f.path, label: f.label, text: annotations[w.endISO][f.path] }))
+  );
+}
+
+// ---------- Narrative ----------
+// Rule-based "what changed" bullets for the latest week: each KPI's WoW with the channels behind it, the top channel
+// movers on the selected metric, then this week's anomalies. Channel attribution applies to KPIs that channels break
+// down (revenue, orders): each channel's change as a share of last week's total, so the contributions add up to the WoW.
+const NARRATIVE_FLAT = 0.005; // |WoW| below this reads as flat
+const NARRATIVE_TOP_MOVERS = 2;
+
+export function buildNarrative({ weeks, kpis, series, deltas, anomalies, channelRows, channelDefs, channelMetric }, format) {
+  const { t, fmtKpi, fmtPct, fmtChannelValue } = format;
+  const cur = weeks[weeks.length - 1];
+  const prev = weeks[weeks.length - 2];
+  if (!prev) return [];
+  const at = (arr) => arr[arr.length - 1];
+  const signed = (s, x) => (x > 0 ? `+${s}` : s);
+  const bullets = [];
+
+  kpis.forEach((meta) => {
+    const d = at(deltas[meta.key]);
+    const v = at(series[meta.key]);
+    const before = series[meta.key][series[meta.key].length - 2];
+    if (d == null || !isFiniteNum(v)) return;
+    const raw = meta.polarity === "down" ? -d : d; // deltas are inverted for "down" KPIs
+    const parts = { label: meta.label, value: fmtKpi(meta, v), pct: signed(fmtPct(raw), raw) };
+    let text;
+    if (Math.abs(raw) < NARRATIVE_FLAT) text = t("narrative.flat", parts);
+    else if (meta.polarity === "down")
+      text = t(d > 0 ? "narrative.improved" : "narrative.worsened", { ...parts, by: fmtKpi(meta, Math.abs(v - (isFiniteNum(before) ? before : v))) });
+    else text = t("narrative.change", parts);
+    if (!meta.formula && ["revenue", "orders"].includes(meta.key) && Math.abs(raw) >= NARRATIVE_FLAT) {
+      const contributions = channelContributions(cur, prev, meta.key, channelDefs);
+      const same = contributions.filter((c) => Math.sign(c.change) === Math.sign(raw)).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+      const against = contributions.filter((c) => Math.sign(c.change) === -Math.sign(raw)).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+      const pts = (c) => `${c.label} (${signed(fmtPct(c.contribution), c.contribution)})`;
+      if (same.length) text += t("narrative.drivenBy", { channels: same.slice(0, 2).map(pts).join(t("narrative.and")) });
+      if (against.length) text += t(against[0].change > 0 ? "narrative.whileGrew" : "narrative.whileFell", { label: against[0].label, pct: fmtPct(Math.abs(against[0].contribution)) });
+    }
+    bullets.push(text);
+  });
+
+  const movers = channelRows
+    .filter((r) => r.thisVal != null && r.lastVal != null)
+    .map((r) => ({ ...r, change: r.thisVal - r.lastVal }))
+    .filter((r) => r.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, NARRATIVE_TOP_MOVERS);
+  if (movers.length)
+    bullets.push(
+      t("narrative.movers", {
+        metric: t(`metric.${channelMetric}`),
+        list: movers.map((r) => `${r.label} ${signed(fmtChannelValue(channelMetric, r.change), r.change)}${r.wow != null ? ` (${signed(fmtPct(r.wow), r.wow)})` : ""}`).join(", "),
+      })
+    );
+
+  const flagged = kpis.map((k) => at(anomalies[k.key]) && `${k.label} — ${at(anomalies[k.key]).reason}`).filter(Boolean);
+  if (flagged.length) bullets.push(t("narrative.flagged", { list: flagged.join("; ") }));
+  return bullets;
+}
+
+// Each channel's change on one metric and its share of last week's total; channels missing either week are left out
+function channelContributions(cur, prev, metric, channelDefs) {
+  const keys = channelDefs.map((c) => c.key);
+  const lastTotal = sumChannels(prev.channels[metric], keys);
+  return channelDefs
+    .filter(({ key }) => isFiniteNum(cur.channels[metric][key]) && isFiniteNum(prev.channels[metric][key]))
+    .map(({ key, label }) => {
+      const change = cur.channels[metric][key] - prev.channels[metric][key];
+      return { key, label, change, contribution: lastTotal > 0 ? change / lastTotal : 0 };
+    })
+    .filter((c) => c.change !== 0);
+}
+
+// Edited narrative text back to bullets: one per non-empty line, list markers dropped
+export function parseBullets(text) {
+  return text
+    .split("\n")
+    .map((l) => l.replace(/^\s*[-*•]\s*/, "").trim())
+    .filter(Boolean);
+}
+
+export function buildMarkdown(report) {
+  const { weeks, kpis, series, deltas, anomalies, comparison, anomalyList, plan, viewLabel, branchRanking, channelRows, narrative, noteList } = report;
+  const { alertThreshold, channelMetric, docId, hashHex, logicVersion, tests, gate, override, format } = report;
+  const { t, fmtDate, fmtDateTime, fmtKpi, fmtPct, fmtPct1, fmtVariance, fmtCurrency, fmtChannelValue } = format;
+  const latest = weeks[weeks.length - 1];
+  const prev = weeks[weeks.length - 2];
+  const metric = t(`metric.${channelMetric}`);
+  const lines = [];
+  lines.push(`# ${t("app.title")}`);
+  lines.push("");
+  lines.push(`**${t("weekEnding", { date: fmtDate(latest.endISO) })}**  `);
+  lines.push(`${t("md.view", { view: viewLabel })}  `);
+  lines.push(`docId: ${docId}  `);
+  lines.push(`hash: ${hashHex}`);
+  if (override) lines.push(`\n> **${t("md.overridden")}** (${fmtDateTime(override.ts)}): ${override.reason}`);
+  lines.push("");
+  lines.push(`${t("md.alertThreshold", { pct: fmtPct(alertThreshold) })}  `);
+  lines.push(t("md.channelMetric", { metric }));
+  lines.push("");
+  if (narrative.length) {
+    lines.push(`## ${t("md.whatChanged")}`);
+    lines.push("");
+    narrative.forEach((b) => lines.push(`- ${b}`));
+    lines.push("");
+  }
+  lines.push(`## ${t("md.kpis")}`);
+  // Non-weekly bases add the period value and its change next to the weekly columns
+  const byPeriod = comparison.basis !== "wow";
+  const periodCols = byPeriod ? [comparison.period, comparison.short] : [];
+  const kpiHead = [t("col.kpi"), t("col.this"), t("col.wow"), ...periodCols, t("col.target"), t("col.vsTarget"), t("col.toDate"), t("col.rag")];
+  lines.push(`\n| ${kpiHead.join(" | ")} |\n|---|---:|---:|${byPeriod ? "---:|---:|" : ""}---:|---:|---:|---|`);
+  kpis.forEach((meta) => {
+    const thisVal = series[meta.key][series[meta.key].length - 1];
+    const d = prev ? deltas[meta.key][deltas[meta.key].length - 1] : null;
+    const p = plan.kpis[meta.key];
+    const cells = [
+      [meta.label, meta.sub].filter(Boolean).join(" "),
+      fmtKpi(meta, thisVal),
+      d == null ? "—" : fmtPct(d),
+      ...(byPeriod ? [fmtKpi(meta, comparison.values[meta.key]), fmtPct(comparison.deltas[meta.key])] : []),
+      p.target == null ? "—" : fmtKpi(meta, p.target),
+      fmtVariance(p.variance),
+      p.toDate ? `${fmtPct(p.toDate.attainment)} (${t("md.weeksShort", { n: p.toDate.weeks })})` : "—",
+      p.rag ? t(`rag.${p.rag}`) : "—",
+    ];
+    lines.push(`| ${cells.join(" | ")} |`);
+  });
+  const inverted = kpis.filter((k) => k.polarity === "down").map((k) => k.label);
+  const derived = kpis.filter((k) => k.formula);
+  lines.push("");
+  lines.push(`_${t("md.wowRule")}${inverted.length ? `; ${t("md.inverted", { kpis: inverted.join(", ") })}` : ""}._`);
+  if (byPeriod) {
+    const vs = comparison.prevPeriod ? ` ${t("vs")} ${comparison.prevPeriod}` : ` ${t("md.noEarlierPeriod")}`;
+    const how = comparison.basis === "r4" ? t("md.basis.weekly") : t("md.basis.summed");
+    lines.push(`_${t("md.basis", { basis: comparison.label, period: comparison.period })}${vs}; ${how}._`);
+  }
+  if (derived.length) lines.push(`_${t("md.derived", { list: derived.map((k) => `${k.label} = ${k.formula}`).join("; ") })}._`);
+  lines.push(`_${t("md.rag", { pct: fmtPct(RAG_AMBER_BAND) })}_`);
+  lines.push("");
+  lines.push(`## ${t("mix.title", { metric })}`);
+  lines.push(`\n| ${CHANNEL_COLUMNS.map((c) => t(`col.${c}`)).join(" | ")} |\n|---|---:|---:|---:|---:|---:|---:|---:|---:|`);
+  channelRows.forEach((r) => {
+    const cells = [
+      `${r.label}${r.retired ? ` ${t("channel.retired")}` : ""}`,
+      fmtChannelValue(channelMetric, r.thisVal),
+      fmtChannelValue(channelMetric, r.lastVal),
+      fmtPct(r.wow),
+      fmtPct(r.share),
+      r.target == null ? "—" : fmtChannelValue(channelMetric, r.target),
+      fmtVariance(r.variance),
+      r.revPerOrder == null ? "—" : fmtCurrency(r.revPerOrder),
+      fmtPct1(r.conversion),
+    ];
+    lines.push(`| ${cells.join(" | ")} |`);
+  });
+  if (branchRanking.length) {
+    lines.push("");
+    lines.push(`## ${t("md.branches")}`);
+    lines.push(`\n| # | ${t("col.branch")} | ${kpis.map((k) => `${k.label} (${t("col.wow")})`).join(" | ")} | ${t("md.anomalyCounts")} |`);
+    lines.push(`|---:|---|${kpis.map(() => "---:|").join("")}---:|`);
+    branchRanking.forEach((b) => {
+      const cells = kpis.map((k) => `${fmtKpi(k, b.latest[k.key])} (${fmtPct(b.wow[k.key])})`);
+      lines.push(`| ${b.rank} | ${b.label} | ${cells.join(" | ")} | ${b.latestAnomalies} / ${b.anomalies} |`);
+    });
+  }
+  lines.push("");
+  lines.push(`## ${t("col.anomalies")}`);
+  if (!anomalyList.length) lines.push(`\n${t("md.noAnomalies")}`);
+  else {
+    lines.push(`\n| ${t("col.weekEnding")} | ${t("col.kpi")} | ${t("col.value")} | ${t("col.reason")} |\n|---|---|---:|---|`);
+    const byKey = new Map(kpis.map((k) => [k.key, k]));
+    anomalyList.forEach((a) => lines.push(`| ${fmtDate(a.endISO)} | ${a.label} | ${fmtKpi(byKey.get(a.key), a.value)} | ${a.reason} |`));
+  }
+  lines.push("");
+  if (noteList.length) {
+    lines.push(`## ${t("col.notes")}`);
+    lines.push("");
+    noteList.forEach((n) => lines.push(`- ${fmtDate(n.endISO)} · ${n.label}: ${n.text}`));
+    lines.push("");
+  }
+  lines.push(`## ${t("md.history", { n: weeks.length })}`);
+  lines.push(`\n| ${t("col.weekEnding")} | ${kpis.map((k) => k.label).join(" | ")} |\n|---|${kpis.map(() => "---:|").join("")}`);
+  weeks.forEach((w, i) => {
+    const cells = kpis.map((k) => `${fmtKpi(k, series[k.key][i])}${anomalies[k.key][i] ? " ⚠" : ""}`);
+    lines.push(`| ${fmtDate(w.endISO)} | ${cells.join(" | ")} |`);
+  });
+  lines.push(`\n_${t("md.legend")}_`);
+  lines.push("");
+  lines.push(`## ${t("gate.title")} — ${t(`gate.${gate}`)}`);
+  lines.push("");
+  tests.forEach((test) => lines.push(`- ${test.pass ? "✓" : `✗ **${t(`severity.${test.severity}.short`)}**`} ${test.name}: ${testMessage(test, format)}`));
+  lines.push("");
+  lines.push("---");
+  lines.push(`_docId ${docId} · hash ${hashHex} · logicVersion ${logicVersion}_`);
+  return lines.join("\n");
+}
+
+// Message plus the first offending cells, for exports that can't link to them
+export function testMessage(test, format) {
+  if (test.pass || !test.cells || !test.cells.length) return test.message;
+  const more = test.cells.length > RULE_CELL_LINKS ? ` ${format.t("gate.more", { n: test.cells.length - RULE_CELL_LINKS })}` : "";
+  return `${test.message} ${test.cells.slice(0, RULE_CELL_LINKS).map((c) => c.label).join(", ")}${more}`;
+}
+
+// ---------- Scoreboard ----------
+// A document computed the way App computes what it shows: the saved branch (or roll-up), window and basis, in the
+// document's locale. App memoizes the same steps one by one; the CLI takes the whole report at once.
+export const DOC_DEFAULTS = {
+  viewWindow: { weeks: DEFAULT_WINDOW },
+  comparisonBasis: "wow",
+  forecast: { method: "linear", horizon: 2, prefill: false },
+  rules: [],
+  gateOverride: null,
+  narrative: null,
+  locale: "",
+  currency: DEFAULT_CURRENCY,
+  fx: {},
+  kpis: DEFAULT_KPIS,
+  channelDefs: DEFAULT_CHANNELS,
+  channelMetric: "orders",
+  alertThreshold: 0.1,
+  logicVersion: "1.0.0-re",
+};
+
+// Per-KPI detector over every week of the archive, cut to the window: null or { reason } per point
+export function kpiAnomalies(allWeeks, kpis, allSeries, alertThreshold, range, format) {
+  const ends = allWeeks.map((w) => w.endISO);
+  const flags = Object.fromEntries(kpis.map((k) => [k.key, detectAnomalies(allSeries[k.key], ends, kpiDetector(k, alertThreshold), format)]));
+  return sliceSeries(flags, range);
+}
+
+// Flagged points in the window, newest first
+export function listAnomalies(kpis, anomalies, weeks, series) {
+  return kpis
+    .flatMap((k) => anomalies[k.key].map((a, i) => a && { endISO: weeks[i].endISO, key: k.key, label: k.label, value: series[k.key][i], reason: a.reason }))
+    .filter(Boolean)
+    .sort((a, b) => b.endISO.localeCompare(a.endISO));
+}
+
+// Channel table (This vs Last, WoW, Share) on channelMetric, plus per-channel revenue/order and conversion
+// (orders/sessions) for the latest week. Totals span every registered channel; retired channels are listed only
+// while they still carry values.
+export function channelTable(weeks, channelDefs, channelMetric, plan) {
+  const cur = weeks[weeks.length - 1].channels;
+  const prev = weeks.length > 1 ? weeks[weeks.length - 2].channels : null;
+  const thisTotal = sumChannels(cur[channelMetric], channelDefs.map((c) => c.key));
+  return channelDefs
+    .map(({ key, label, retired }) => {
+      const thisVal = isFiniteNum(cur[channelMetric][key]) ? cur[channelMetric][key] : null;
+      const lastVal = prev && isFiniteNum(prev[channelMetric][key]) ? prev[channelMetric][key] : null;
+      const wow = lastVal > 0 ? changeRatio(thisVal, lastVal) : null;
+      const share = thisTotal > 0 && thisVal != null ? thisVal / thisTotal : null;
+      const revPerOrder = cur.orders[key] > 0 && isFiniteNum(cur.revenue[key]) ? cur.revenue[key] / cur.orders[key] : null;
+      const conversion = cur.sessions[key] > 0 && isFiniteNum(cur.orders[key]) ? cur.orders[key] / cur.sessions[key] : null;
+      const { target, variance, rag } = plan.channels[channelMetric][key];
+      return { ch: key, label, retired, thisVal, lastVal, wow, share, revPerOrder, conversion, target, variance, rag };
+    })
+    .filter((r) => !r.retired || r.thisVal || r.lastVal);
+}
+
+// The document a valid JSON import preview describes, viewed as it was exported; settings the file leaves out take
+// their defaults
+export function previewDocument({ rows, settings, source }) {
+  const branches = settings.branches || [{ ...DEFAULT_BRANCH, weeks: rows.map((r) => r.week), targets: settings.targets || {} }];
+  const known = source.activeBranch === ALL_BRANCHES || branches.some((b) => b.key === source.activeBranch);
+  const given = Object.fromEntries(Object.keys(DOC_DEFAULTS).filter((k) => source[k] != null).map((k) => [k, source[k]]));
+  return { branches, activeBranch: known ? source.activeBranch : branches[0].key, ...DOC_DEFAULTS, ...given };
+}
+
+// Everything the Markdown and HTML reports render (App's reportData), for the document's own view, with the
+// formatter it was worded in (report.format). hashHex is canonicalHash(canonicalPayload(doc)); an override counts
+// only while it matches.
+export function scoreboardReport(doc, { docId, hashHex }) {
+  const { branches, currency, fx, channelMetric, alertThreshold, rules, gateOverride, narrative: narrativeEdit } = doc;
+  const isRollup = doc.activeBranch === ALL_BRANCHES && branches.length > 1;
+  const branch = branches.find((b) => b.key === doc.activeBranch) || branches[0];
+  const format = formatter(doc.locale, isRollup ? currency : branch.currency || currency);
+  const { t } = format;
+  const kpis = doc.kpis.map(format.localizeKpi);
+  const channelDefs = doc.channelDefs.map(format.localizeChannel);
+  const reportingBranches = branches.map((b) => convertBranch(b, kpis, currency, fx));
+  const rollup = rollupBranches(reportingBranches, kpis);
+  const allWeeks = isRollup ? rollup.weeks : branch.weeks;
+  const targets = isRollup ? rollup.targets : branch.targets;
+  const annotations = isRollup ? rollup.annotations : branch.annotations || {};
+  const view = isRollup ? t("branch.allCount", { n: branches.length }) : branch.label;
+
+  const range = resolveWindow(allWeeks, doc.viewWindow);
+  const weeks = allWeeks.slice(range.start, range.end);
+  const allSeries = kpiSeries(allWeeks, kpis);
+  const series = sliceSeries(allSeries, range);
+  const deltas = sliceSeries(wowDeltas(allSeries, kpis), range);
+  const anomalies = kpiAnomalies(allWeeks, kpis, allSeries, alertThreshold, range, format);
+  const plan = buildPlan(allWeeks.slice(0, range.end), kpis, channelDefs, targets);
+  const channelRows = channelTable(weeks, channelDefs, channelMetric, plan);
+  const kpiErrors = validateKpis(kpis, channelDefs.map((c) => c.key), format);
+  const targetErrors = validateTargets(targets, kpis, channelDefs, format);
+  const tests = runTests(weeks, kpis, kpiErrors, series, channelDefs, channelMetric, deltas, targets, targetErrors, branches, rollup, rules, currency, fx, format);
+  const gate = gateStatus(tests);
+
+  const latest = weeks[weeks.length - 1];
+  const edited = narrativeEdit != null && narrativeEdit.branch === (isRollup ? ALL_BRANCHES : branch.key) && narrativeEdit.endISO === latest.endISO;
+  const noteTargets = annotationFields(kpis, weekFields(kpis, channelDefs, format), format);
+  return {
+    weeks,
+    kpis,
+    series,
+    deltas,
+    anomalies,
+    comparison: latestComparison(comparisonSeries(allWeeks, kpis, doc.comparisonBasis, range, format), kpis, doc.comparisonBasis, format),
+    anomalyList: listAnomalies(kpis, anomalies, weeks, series),
+    plan,
+    view,
+    viewLabel: `${view} · ${windowLabel(weeks, format)}`,
+    branchRanking: branches.length > 1 ? rankBranches(reportingBranches.map((b) => branchSummary(b, kpis, alertThreshold, format)), "anomalies", kpis) : [],
+    channelRows,
+    channelDefs,
+    narrative: edited ? parseBullets(narrativeEdit.text) : buildNarrative({ weeks, kpis, series, deltas, anomalies, channelRows, channelDefs, channelMetric }, format),
+    kpiNotes: Object.fromEntries(kpis.map((k) => [k.key, weeks.map((w) => notesFor(annotations, w.endISO, `kpi.${k.key}`))])),
+    noteList: listAnnotations(annotations, weeks, noteTargets),
+    alertThreshold,
+    channelMetric,
+    docId,
+    hashHex,
+    logicVersion: doc.logicVersion,
+    tests,
+    gate,
+    override: gate === "blocked" && gateOverride != null && gateOverride.hash === hashHex ? gateOverride : null,
+    format,
+  };
+}
+
+// Copy JSON: the document plus what the report derived from it (not hashed) and the audit block
+export function exportPayload(doc, report) {
+  const { docId, hashHex, gate, override } = report;
+  return {
+    ...doc,
+    anomalies: report.anomalyList.map(({ endISO, key, value, reason }) => ({ endISO, kpi: key, value, reason })),
+    plan: report.plan,
+    view: report.view,
+    window: windowLabel(report.weeks, report.format),
+    comparison: report.comparison,
+    branchRanking: report.branchRanking.length ? report.branchRanking : undefined,
+    audit: { docId, hashHex, gate, override: override || undefined },
+  };
+}
+
+// ---------- Messages ----------
+// UI text, Tests Gate messages and report/Markdown output per language. t() falls back to English for a missing
+// key, so a new string only has to be added to en; plurals are key.one / key.other (see tn).
+const MESSAGES = {
+  en: {
+    "app.title": "Pipeline Scoreboard — Real Estate WBR",
+    "app.tagline": "Weekly Branch Review. Tracks lead gen → viewings → offers → deals. Lower-is-better KPIs inverted for deltas. Channel table shows the selected metric.",
+    "badge.branch": "branch: {label}",
+    "badge.baselineAt": "Baseline @ {ts}",
+    "badge.baselineSet": "baseline set",
+    "badge.drift.one": "drift: 1 change",
+    "badge.drift.other": "drift: {n} changes",
+    "badge.inSync": "baseline: in sync",
+    "badge.lastRun": "lastRun: {ts}",
+    "badge.server.synced": "server: in sync",
+    "badge.server.changed": "server: unsaved changes",
+    "badge.server.conflict": "server: conflict",
+    "badge.serverAt": "Server copy saved {ts} by {author}",
+    "branch.aria": "Branch",
+    "branch.all": "All branches",
+    "branch.allCount": "All branches ({n})",
+    present: "Present",
+    slides: "Slides",
+    "slides.title": "Fullscreen slides; arrow keys to move, Esc to leave",
+    vs: "vs",
+    weekEnding: "Week ending {date}",
+
+    "locale.browser": "Browser default",
+    "locale.en-GB": "English (UK)",
+    "locale.en-IE": "English (Ireland)",
+    "locale.en-US": "English (US)",
+    "locale.nl-NL": "Nederlands (Nederland)",
+
+    "ctl.channelMetric": "Channel Metric",
+    "ctl.viewWindow": "View Window",
+    "ctl.lastWeeks": "last {n} weeks",
+    "ctl.customRange": "custom range…",
+    "ctl.emptyRange": "No weeks in that range; showing the latest {n}.",
+    "ctl.compare": "Compare",
+    "ctl.alertThreshold": "Alert Threshold (|WoW| ≥ …)",
+    "ctl.alertThreshold.title": "Used by KPIs without their own detector",
+    "ctl.logicVersion": "Logic Version",
+    "ctl.locale": "Locale",
+    "ctl.currency": "Reporting Currency",
+    "ctl.currency.title": "All branches and the branch comparison are converted into this currency",
+    "ctl.branchCurrency": "This branch reports in {currency}",
+
+    "metric.revenue": "revenue",
+    "metric.orders": "orders",
+    "metric.sessions": "sessions",
+    "basis.wow": "Week over week",
+    "basis.wow.short": "WoW",
+    "basis.r4": "4-week rolling average",
+    "basis.r4.short": "vs prior 4w",
+    "basis.mom": "Month over month",
+    "basis.mom.short": "MoM",
+    "basis.qoq": "Quarter over quarter",
+    "basis.qoq.short": "QoQ",
+    "basis.yoy": "Year over year (same week)",
+    "basis.yoy.short": "YoY",
+    "period.rolling": "{n} wks to {date}",
+    "period.partial": "{period} ({n} of {total} wks)",
+    "period.first": "{period} first {n} wks",
+    "window.label": "{n} weeks, {from} → {to}",
+
+    "kpi.revenue": "Revenue",
+    "kpi.revenue.sub": "(Fees)",
+    "kpi.orders": "Deals",
+    "kpi.orders.sub": "(Sales/Lets)",
+    "kpi.active": "Active",
+    "kpi.active.sub": "(Viewings)",
+    "kpi.cac": "CAC",
+    "kpi.cac.sub": "({currency}/Instruction)",
+    "channel.paid": "Paid",
+    "channel.organic": "Organic",
+    "channel.email": "Email",
+    "channel.referral": "Referral",
+    "channel.retired": "(retired)",
+
+    "btn.copyMarkdown": "Copy Markdown",
+    "btn.copyJSON": "Copy JSON",
+    "btn.import": "Import…",
+    "btn.branches": "Branches…",
+    "btn.kpis": "KPIs…",
+    "btn.channels": "Channels…",
+    "btn.rules": "Rules…",
+    "btn.log": "Log…",
+    "btn.report": "Report…",
+    "btn.share": "Share…",
+    "btn.fx": "FX rates…",
+    "btn.server": "Server…",
+    "btn.targets": "Targets…",
+    "btn.close": "Close",
+    "btn.edit": "Edit",
+    "btn.save": "Save",
+    "btn.cancel": "Cancel",
+    "btn.remove": "Remove",
+    "btn.delete": "Delete",
+
+    "baseline.confirm": "Replace the baseline with the current inputs?",
+    "baseline.updated": "Baseline updated",
+    "history.branchGone": "That branch was removed; nothing to restore",
+    "export.blocked": "Tests Gate has errors; record an override reason to export",
+    "export.jsonCopied": "JSON copied to clipboard",
+    "export.markdownCopied": "Markdown summary copied to clipboard",
+    "export.logCopied.one": "Edit log copied (1 entry)",
+    "export.logCopied.other": "Edit log copied ({n} entries)",
+    "import.branches": "Imported {n} branches",
+    "import.weeks": "Imported {n} weeks",
+    "import.weeksInto": "Imported {n} weeks into {branch}",
+    "paste.cells.one": "Pasted 1 cell",
+    "paste.cells.other": "Pasted {n} cells",
+    "paste.invalid": "{n} not a number, left as they were",
+    "paste.skipped": "{n} past the last week or column skipped",
+    "parse.notFinite": "Not a finite number",
+    "parse.notNumber": '"{raw}" is not a number',
+    "input.missing": "Missing — blank is not zero",
+    "targets.rollupTitle": "Roll-up targets are the sum of branch targets; pick a branch to edit",
+    "targets.spread": "Target spread over {n} weeks",
+    "targets.help": "Weekly plan per KPI and channel. Blank = no target. A week belongs to the month or quarter its end date falls in.",
+    "targets.period": "Month or quarter",
+    "targets.amount": "Amount",
+    "targets.spreadMode": "Spread",
+    "targets.split": "split evenly across weeks",
+    "targets.same": "same value every week",
+    "targets.applySpread": "Spread",
+    "targets.planOnly": "(plan only)",
+    "targets.badPeriod": "Period must be YYYY-MM or YYYY-Qn",
+    "targets.badAmount": "Amount must be a number",
+    "targets.noWeeks": "No week-ending dates fall in that period",
+    "targets.error.object": "must be an object keyed by endISO",
+    "targets.error.date": '"{endISO}" is not a YYYY-MM-DD date',
+    "targets.error.row": "{endISO}: expected an object of field → number",
+    "targets.error.field": "{endISO}: unknown field {path}",
+    "targets.error.number": "{endISO}: {path} must be a finite number",
+    "registry.badKey": '"{key}" is not a valid key',
+    "registry.duplicateKpi": 'duplicate key "{key}"',
+    "registry.kpiClash": '"{key}" clashes with a channel name',
+    "registry.format": '{key}: unknown format "{format}"',
+    "registry.polarity": "{key}: polarity must be up or down",
+    "registry.detector": '{key}: unknown detector "{method}"',
+    "registry.sensitivity": "{key}: detector sensitivity must be > 0",
+    "registry.rollup": "{key}: roll-up must be sum, mean or weighted",
+    "registry.weight": "{key}: weighted roll-up needs another stored KPI as its weight",
+    "registry.unknownField": "{key}: unknown field {fields}",
+    "registry.circular": "circular formula: {trail}",
+    "registry.duplicateChannel": 'duplicate channel "{key}"',
+    "registry.channelClash": '"{key}" clashes with a KPI key',
+    "registry.emptyLabel": "{key}: label is empty",
+    "registry.noActiveChannel": "at least one active channel is required",
+    "registry.branchKey": '"{key}" is not a valid branch key',
+    "registry.duplicateBranch": 'duplicate branch "{key}"',
+    "snapshot.saved": "Snapshot saved: {name}",
+    "snapshot.restored": "Restored {name}",
+    "snapshot.restoredMismatch": "Restored {name} — hash mismatch, snapshot was altered",
+    "server.save": "Save to server",
+    "server.pull": "Get server version",
+    "server.saved": "Saved {docId} to the server",
+    "server.conflict": "The server copy has changed since you loaded it — merge before saving",
+    "server.notFound": "{docId} is not on the server yet; Save to server to publish it",
+    "server.upToDate": "Already up to date with the server",
+    "server.pulled": "Loaded the server version (saved by {author})",
+    "server.confirmOpen": "{docId} has changes that are not on the server. Open {id} anyway? They stay in this browser's autosave but are not shown.",
+    "server.opened": "Opened {docId} from the server",
+    "server.merged": "Merged with the server version; save to server to publish",
+    "conflict.merge": "Apply merge",
+    "conflict.keepMine": "Overwrite server with mine",
+    "conflict.takeTheirs": "Take server version",
+    "server.help": "One shared copy per docId (node scoreboard-server.mjs). A save is refused if the server copy changed since this one was loaded; you then merge.",
+    "server.url": "Server URL",
+    "server.refresh": "Refresh list",
+    "server.synced": "{docId}: server copy saved {ts} by {author} · hash {hash}… · {state}",
+    "server.neverSynced": "{docId} has not been saved to or loaded from this server yet.",
+    "server.thisDocument": "(this document)",
+    "server.open": "Open",
+    "server.empty": "No documents on this server yet.",
+    "server.replied": "Server replied {status}: {reason}",
+    "server.networkError": "Network error: {message}. Is the document server running at {url}?",
+    "server.invalid": "The server refused this document: {details}",
+    "server.invalidRow": "row {row}: {errors}",
+    "server.error.methodNotAllowed": "request method not supported",
+    "server.error.notFound": "not found",
+    "server.error.badDocId": "docId must be 1–64 letters, digits, - or _",
+    "server.error.tooLarge": "document too large",
+    "server.error.badJson": "request is not valid JSON",
+    "server.error.badRequest": "request is missing the document",
+    "server.error.invalidDoc": "not a valid scoreboard document",
+    "server.error.conflict": "the server copy has changed since it was loaded",
+    "server.error.internal": "internal server error",
+    "conflict.help": "Server copy saved {ts} by {author} · hash {hash}…",
+    "conflict.clean.one": "1 change merges cleanly",
+    "conflict.clean.other": "{n} changes merge cleanly",
+    "conflict.count.one": "1 conflict",
+    "conflict.count.other": "{n} conflicts",
+    "conflict.merge.title": "Apply the merge here; save again to publish it",
+    "conflict.keepMine.title": "Replace the server copy with this one",
+    "conflict.takeTheirs.title": "Replace this copy with the server's",
+    "conflict.side.mine": "mine",
+    "conflict.side.theirs": "server",
+    "conflict.more": "+{n} more",
+
+    "gate.title": "Tests Gate",
+    "gate.pass": "PASS",
+    "gate.check": "CHECK",
+    "gate.blocked": "BLOCKED",
+    "gate.overridden": "overridden",
+    "gate.more": "+{n} more",
+    "gate.overrideToast": "Override recorded",
+    "gate.overrideRecorded": "Override recorded {ts}:",
+    "gate.withdraw": "Withdraw",
+    "gate.blocksExport": "Errors block Copy Markdown/JSON.",
+    "gate.overridePlaceholder": "Override reason (kept in exports until the data changes)",
+    "gate.recordOverride": "Record override",
+    "severity.error": "Error — blocks export",
+    "severity.error.short": "error",
+    "severity.warn": "Warning",
+    "severity.warn.short": "warn",
+    "severity.info": "Info",
+    "severity.info.short": "info",
+
+    "forecast.title": "Forecast",
+    "forecast.method": "Forecast method",
+    "forecast.horizon": "Forecast horizon",
+    "forecast.linear": "Linear trend",
+    "forecast.ses": "Exponential smoothing",
+    "forecast.seasonal": "Seasonal naive",
+    "forecast.ahead.one": "1 wk ahead",
+    "forecast.ahead.other": "{n} wks ahead",
+    "forecast.help": "Dashed on sparklines, band = ±1.28σ of backtest errors (≈80%).",
+    "forecast.helpPeriods": "Sparklines show periods; switch Compare to week over week to draw it.",
+
+    "card.openChart": "Open chart",
+    "card.notComputable": "not computable",
+    "card.missing": "missing",
+    "card.forecastAt": "+{n} wk: {value} ({lo}–{hi})",
+    "card.nextWeek": "Next wk {value} ({lo}–{hi})",
+    "card.target": "Target {value}",
+    "card.toDate": "To date {pct}",
+    "card.toDateTitle.one": "1 planned week: {actual} vs {target}",
+    "card.toDateTitle.other": "{n} planned weeks: {actual} vs {target}",
+    "note.prefix": "Note: {text}",
+    "delta.none": "No {basis} comparison",
+    "rag.green": "green",
+    "rag.amber": "amber",
+    "rag.red": "red",
+    "rag.none": "no target",
+
+    "narrative.title": "What changed — week ending {date}",
+    "narrative.edited": "edited",
+    "narrative.reset": "Reset to generated",
+    "narrative.aria": "Narrative",
+    "narrative.help": "One bullet per line. Kept for this week only; exports use it as written.",
+    "narrative.none": "No prior week to compare against.",
+    "narrative.flat": "{label} flat WoW at {value}",
+    "narrative.improved": "{label} improved {by} ({pct} WoW) to {value}",
+    "narrative.worsened": "{label} worsened {by} ({pct} WoW) to {value}",
+    "narrative.change": "{label} {pct} WoW to {value}",
+    "narrative.drivenBy": ", driven by {channels}",
+    "narrative.and": " and ",
+    "narrative.whileGrew": " while {label} grew {pct}",
+    "narrative.whileFell": " while {label} fell {pct}",
+    "narrative.movers": "Top movers ({metric}): {list}",
+    "narrative.flagged": "Flagged: {list}",
+
+    "mix.title": "Channel Mix — {metric}",
+    "mixChart.title": "Mix across the window",
+    "mixChart.stacked": "Stacked",
+    "mixChart.total": "Total {value}",
+    "chart.range": "{from} → {to} · hover a week for its value and WoW",
+    "chart.targetLine": "Target line",
+
+    "col.channel": "Channel",
+    "col.this": "This",
+    "col.last": "Last",
+    "col.wow": "WoW",
+    "col.share": "Share",
+    "col.target": "Target",
+    "col.vsTarget": "vs Target",
+    "col.revPerOrder": "Rev/Order",
+    "col.conversion": "Conversion",
+    "col.kpi": "KPI",
+    "col.toDate": "To date",
+    "col.rag": "RAG",
+    "col.branch": "Branch",
+    "col.anomalies": "Anomalies",
+    "col.weekEnding": "Week ending",
+    "col.value": "Value",
+    "col.reason": "Reason",
+    "col.notes": "Notes",
+    "col.key": "Key",
+    "col.label": "Label",
+    "col.currency": "Currency",
+    "col.rate": "Rate",
+    "col.weeks": "Weeks",
+    "col.actions": "Actions",
+    "col.name": "Name",
+    "col.saved": "Saved",
+    "col.subLabel": "Sub-label",
+    "col.format": "Format",
+    "col.polarity": "Polarity",
+    "col.formula": "Formula",
+    "col.detector": "Anomaly detector",
+    "col.rollup": "Roll-up",
+    "col.rollup.title": "How weeks combine for to-date and roll-up figures",
+    "col.status": "Status",
+    "col.flagWhen": "Flag when",
+    "col.severity": "Severity",
+    "col.field": "Field",
+    "col.baseline": "Baseline",
+    "col.current": "Current",
+    "col.when": "When",
+    "col.author": "Author",
+    "col.action": "Action",
+    "col.change": "Change",
+    "col.hash": "Hash",
+    "col.row": "Row",
+    "col.branches": "Branches",
+    "col.latestWeek": "Latest week",
+    "col.mine": "Mine",
+    "col.server": "Server",
+    "col.keep": "Keep",
+    "col.from": "From",
+    "col.mergedChange": "Merged change",
+    "field.endISO": "End (ISO)",
+
+    "editor.title": "History Editor",
+    "editor.rollup": "All branches is a roll-up; pick a branch to edit its weeks.",
+    "editor.heading": "History Editor — {n} of {total} Weeks",
+    "editor.help": "Channel columns show {metric}; switch Channel Metric to edit the others. Arrows/Enter/Tab move, Shift+arrows select, paste blocks from a spreadsheet.",
+    "editor.undo": "Undo",
+    "editor.undo.title": "Undo (Ctrl+Z)",
+    "editor.redo": "Redo",
+    "editor.redo.title": "Redo (Ctrl+Shift+Z)",
+    "editor.fillDown": "Fill ↓",
+    "editor.fillDown.title": "Fill down (Ctrl+D)",
+    "editor.fillRight": "Fill →",
+    "editor.fillRight.title": "Fill right (Ctrl+R)",
+    "editor.clear": "Clear",
+    "editor.clear.title": "Clear the selected cells (Delete)",
+    "editor.prefill": "Prefill from forecast",
+    "editor.addWeek": "+ Add Next Week",
+    "editor.addWeek.forecast": "Append the week after the latest, prefilled from the {method} forecast; older weeks stay in the archive",
+    "editor.addWeek.copy": "Append the week after the latest, copying its values; older weeks stay in the archive",
+    "editor.retired.title": "Retired channel — history kept, new weeks default to 0",
+    "editor.cell.baseline": "Baseline: {value}",
+    "editor.cell.anomaly": "Anomaly: {reason}",
+    "editor.cell.rule": "Tests Gate: {name}",
+    "editor.note.title": "Add a note to this week or one of its cells",
+    "editor.note.add": "+ note",
+    "editor.notes.one": "1 note",
+    "editor.notes.other": "{n} notes",
+    "notes.title": "Notes — week ending {date}",
+    "notes.week": "Whole week",
+    "notes.on": "Note on {label}",
+    "notes.target": "Note on",
+    "notes.placeholder": "e.g. bank holiday, portal outage",
+    "notes.new": "New note",
+    "notes.add": "Add note",
+
+    "deck.overview": "Overview",
+    "deck.noPrior": "No prior week to compare against.",
+    "deck.toDate.one": "To date {pct} of plan over 1 week",
+    "deck.toDate.other": "To date {pct} of plan over {n} weeks",
+    "deck.anomaly": "Anomaly this week: {reason}",
+    "deck.actions.title": "Anomalies & actions",
+    "deck.action.kpi": "{label} {pct} vs target — agree a recovery owner",
+    "deck.action.channel": "{label} {metric} {pct} vs target",
+    "deck.action.data": "Fix data: {name} — {message}",
+    "deck.anomalyCount": "{n} anomalies this week, {total} in the window",
+    "deck.agreeOwners": "Agree an owner and a date for each action",
+    "deck.noActions": "No actions: nothing off target, no failing checks",
+    "deck.popupBlocked": "Pop-up blocked; allow pop-ups to open speaker notes",
+    "deck.timer": "Meeting timer",
+    "deck.pause": "Pause",
+    "deck.paused": "(paused)",
+    "deck.resume": "Resume",
+    "deck.reset": "Reset",
+    "deck.speakerNotes": "Speaker notes",
+    "deck.exit": "Exit",
+    "deck.anomalies": "Anomalies in the window",
+    "deck.actions": "Actions",
+    "deck.nothing": "Nothing off target or failing.",
+    "deck.prev": "← Prev",
+    "deck.nextButton": "Next →",
+    "deck.slide": "Slide {n}: {title}",
+    "deck.slideOf": "Slide {n} / {total}",
+    "deck.next": "Next: {title}",
+    "deck.end": "end of deck",
+
+    "panel.kpis": "KPI Registry",
+    "panel.channels": "Channels",
+    "panel.report": "WBR report",
+    "panel.share": "Share",
+    "panel.server": "Document server",
+    "panel.conflict": "Save conflict — merge with the server copy",
+    "panel.rules": "Tests Gate rules",
+    "panel.targets": "Targets",
+    "panel.drift": "Drift vs Baseline",
+    "panel.import": "Import",
+    "panel.log.one": "Edit log — 1 entry",
+    "panel.log.other": "Edit log — {n} entries",
+    "branches.title": "Branches",
+    "branches.help": "Each branch keeps its own weeks and targets. A new branch starts on the current week dates with every value missing.",
+    "branches.add": "Add branch",
+    "branches.currencyOf": "Currency of {label}",
+    "branches.reportingCurrency": "{currency} (reporting)",
+    "branches.confirmRemove": 'Remove branch "{label}" and its whole history?',
+    "fx.title": "FX rates into {currency}",
+    "fx.help": "Branches kept in another currency are converted at these rates for All branches and the branch comparison.",
+    "fx.none": "Every branch reports in {currency}; no rates needed.",
+    "fx.usedBy": "Used by",
+    "ranking.title": "Branch comparison",
+    "ranking.sortBy": "Rank by",
+    "ranking.byAnomalies": "anomaly count",
+    "ranking.anomalies.title": "Flags in the latest week / across all weeks",
+    "snapshots.title": "Snapshots",
+    "snapshots.help": "Working document autosaved under {docId}",
+    "snapshots.placeholder": "{name} final",
+    "snapshots.save": "Save snapshot",
+    "snapshots.none": "No snapshots yet.",
+    "snapshots.current": "current",
+    "snapshots.current.title": "Current inputs match this snapshot",
+    "snapshots.restore": "Restore",
+    "snapshots.duplicate": "Duplicate",
+    "snapshots.copyName": "{name} (copy)",
+    "snapshots.confirmDelete": 'Delete snapshot "{name}"?',
+
+    "kpis.help": "Order here drives the cards, tests and exports. Formulas use + − × ÷ and brackets over KPI keys and channel names.",
+    "kpis.format.currency": "currency",
+    "kpis.format.integer": "integer",
+    "kpis.format.decimal": "decimal",
+    "kpis.format.percent": "percent",
+    "kpis.polarity.up": "higher is better",
+    "kpis.polarity.down": "lower is better",
+    "kpis.stored": "stored",
+    "kpis.recomputed": "recomputed",
+    "kpis.globalDetector": "WoW (global)",
+    "kpis.globalDetector.title": "Global Alert Threshold",
+    "kpis.rollup.sum": "sum",
+    "kpis.rollup.mean": "mean",
+    "kpis.rollup.weighted": "mean weighted by {key}",
+    "kpis.rollup.default": "default",
+    "kpis.moveUp": "Move up",
+    "kpis.moveDown": "Move down",
+    "kpis.labelPlaceholder": "Conversion",
+    "kpis.subPlaceholder": "(Deals/Viewing)",
+    "kpis.formulaPlaceholder": "orders / active (blank = stored)",
+    "kpis.add": "Add KPI",
+    "kpis.confirmRemove": 'Remove KPI "{label}"?',
+    "kpis.confirmRemoveStored": 'Remove KPI "{label}" and its values in every week?',
+    "detector.wow": "WoW threshold",
+    "detector.wow.hint": "Flag when |WoW| ≥ this fraction",
+    "detector.zscore": "z-score (trailing)",
+    "detector.zscore.hint": "Flag when |z| vs the trailing window ≥ this",
+    "detector.mad": "Rolling median/MAD",
+    "detector.mad.hint": "Flag when |robust z| vs the trailing window ≥ this",
+    "detector.yoy": "Same week last year",
+    "detector.yoy.hint": "Flag when |change vs 52 weeks earlier| ≥ this fraction",
+    "channels.help": "Renaming changes the label only, so history stays attached. Retired channels keep their history but stop rolling forward.",
+    "channels.active": "active",
+    "channels.retired": "retired",
+    "channels.retire": "Retire",
+    "channels.reinstate": "Reinstate",
+    "channels.mergeInto": "Merge into",
+    "channels.newHistory": "history left missing",
+    "channels.add": "Add channel",
+    "channels.confirmMerge": 'Merge "{from}" into "{into}"? Every week\'s {from} value is added to {into}.',
+    "channels.merged": "Merged {from} into {into}",
+    "rules.help": "Each rule flags every week, in every branch, where the field meets the condition. Errors block export; warnings and info don't.",
+    "rules.derived": "{label} (derived)",
+    "rules.namePlaceholder": "Viewings floor",
+    "rules.add": "Add rule",
+    "drift.help": "Baseline @ {ts} · hash {hash}…",
+    "drift.rebaseline": "Re-baseline",
+    "drift.noPayload": "This baseline predates drift tracking and has no payload. Re-baseline to start diffing.",
+    "drift.none": "No changes — current inputs match the baseline.",
+    "drift.absent": "(absent)",
+    "drift.added": "(added)",
+    "drift.present": "(present)",
+    "drift.removed": "(removed)",
+    "drift.default": "(default)",
+    "log.help": "Append-only; each entry hashes the one before it and the document it produced. Genesis {hash}…",
+    "log.authorPlaceholder": "Your name",
+    "log.verify": "Verify",
+    "log.export": "Export chain",
+    "log.intact.one": "Chain intact: 1 entry replays to its hashes.",
+    "log.intact.other": "Chain intact: {n} entries replay to their hashes.",
+    "log.brokenAt": "Broken at #{seq}: {reason}",
+    "log.broken.notLog": "not an edit log",
+    "log.broken.genesis": "genesis does not match its hash",
+    "log.broken.order": "entries missing or out of order",
+    "log.broken.link": "does not link to the entry before",
+    "log.broken.altered": "entry altered after it was logged",
+    "log.broken.replay": "changes do not replay",
+    "log.broken.docHash": "replay does not reach the logged document hash",
+    "log.broken.head": "document changed after the last entry",
+    "log.allActions": "all actions",
+    "log.filter": "Filter by author, branch, week or field",
+    "log.shown": "{n} shown",
+    "log.shownNewest": "{n} shown, newest {max} listed",
+    "log.more": "+{n} more",
+    "log.replay": "Replay to here",
+    "log.confirmReplay": "Replay the document to entry #{seq}? Later entries stay in the log and the replay is logged.",
+    "log.replayed": "Replayed to entry #{seq}",
+    "share.help": "Same data as Copy Markdown. Webhook URLs stay in this browser and are never exported.",
+    "share.format": "Format",
+    "share.format.slack": "Slack (Block Kit)",
+    "share.format.teams": "Teams (Adaptive Card)",
+    "share.format.email": "Email (HTML)",
+    "share.webhookUrl": "Webhook URL",
+    "share.placeholder.slack": "https://hooks.slack.com/services/…",
+    "share.placeholder.teams": "https://….webhook.office.com/… or a Workflows URL",
+    "share.placeholder.email": "https://your-mail-relay/hook",
+    "share.noUrl": "No webhook URL configured.",
+    "share.badScheme": "Webhook URL must be http(s).",
+    "share.badUrl": "Not a valid URL.",
+    "share.copy": "Copy payload",
+    "share.copied": "{format} payload copied",
+    "share.dryRun": "Dry run",
+    "share.dryRunNote": "Dry run — nothing sent. This request would be made:",
+    "share.bytes": "({n} bytes)",
+    "share.send": "Send",
+    "share.sending": "Sending…",
+    "share.sent": "Sent",
+    "share.failed": "Failed",
+    "share.rejected": "The endpoint rejected the payload.",
+    "share.rejectedReply": "The endpoint rejected the payload; its reply is below.",
+    "share.networkError": "Network error: {message}. The endpoint may be down, or it refuses browser requests (CORS) — post through a relay.",
+    "share.emailPreview": "Email preview",
+    "import.help": "Paste CSV/TSV copied from a spreadsheet or the output of Copy JSON, or choose a file. Nothing changes until you replace the weeks.",
+    "import.helpBranch": "Paste CSV/TSV copied from a spreadsheet or the output of Copy JSON, or choose a file. Nothing changes until you replace the weeks of {branch}.",
+    "import.format": "format: {format}",
+    "import.hashVerified": "hash verified",
+    "import.hashVerified.title": "Recomputed canonical hash matches audit.hashHex",
+    "import.hashMismatch": "hash mismatch — edited since export",
+    "import.noHash": "no audit hash",
+    "import.logVerified.one": "edit log verified (1 entry)",
+    "import.logVerified.other": "edit log verified ({n} entries)",
+    "import.logVerified.title": "Every entry re-hashes and replays to its recorded document hash",
+    "import.logTampered": "edit log tampered: {reason}",
+    "import.logTamperedAt": "edit log tampered at #{seq}: {reason}",
+    "import.header": "First row is a header",
+    "import.mapping": "Column mapping",
+    "import.column": "Column {n}",
+    "import.ignore": "(ignore)",
+    "import.rollup": "All branches is a roll-up — pick a branch to import weeks into.",
+    "import.ok": "ok",
+    "import.summary": "{n} rows, {errors} with errors",
+    "import.waiting": "Waiting for data",
+    "import.replace": "Replace {n} weeks",
+    "import.error.unmapped": "Unmapped fields: {fields}",
+    "import.error.mappedTwice": "Mapped more than once: {fields}",
+    "import.error.endISO": 'endISO "{raw}" is not a YYYY-MM-DD date',
+    "import.error.field": "{path}: {error}",
+    "import.error.json": "Invalid JSON: {message}",
+    "import.error.shape": "Expected an object with a weeks or branches array (the Copy JSON export).",
+    "import.error.weeksArray": "{branch}: weeks must be an array",
+    "import.error.noBranches": "no branches",
+    "import.error.branches": "Branches: {errors}",
+    "import.error.kpisList": "kpis must be an array of KPI definitions",
+    "import.error.channelDefsList": "channelDefs must be an array of channel definitions",
+    "import.error.channelRegistry": "Channel registry: {errors}",
+    "import.error.kpiRegistry": "KPI registry: {errors}",
+    "import.error.channelMetric": "channelMetric must be one of {values}",
+    "import.error.alertThreshold": "alertThreshold must be a number between 0.05 and 0.30",
+    "import.error.logicVersion": "logicVersion must be a string",
+    "import.error.locale": 'locale must be one of {values} or ""',
+    "import.error.currency": "currency must be one of {values}",
+    "import.error.fx": "fx must map {values} to positive rates",
+    "import.error.branchCurrency": "{branch} currency must be one of {values}",
+    "import.error.targets": "targets: {error}",
+    "import.error.branchTargets": "{branch} targets: {error}",
+    "import.error.notObject": "week is not an object",
+    "import.error.endISODate": "endISO is not a YYYY-MM-DD date",
+    "import.error.notValue": "{path} must be a finite number or null",
+    "import.error.branchRows.one": "branch {branch}: 1 row with errors",
+    "import.error.branchRows.other": "branch {branch}: {n} rows with errors",
+    "import.error.branch": "branch {branch}: {error}",
+    "import.error.duplicate": "duplicate endISO (also row {row})",
+    "import.error.tooFew": "At least 2 weeks are needed for WoW deltas.",
+    "import.note.defaulted": "Not in file, imported as missing: {fields}",
+    "import.note.migrated.one": "1 week has flat channel values; imported as {metric}, other channel metrics left missing.",
+    "import.note.migrated.other": "{n} weeks have flat channel values; imported as {metric}, other channel metrics left missing.",
+    "import.note.multi": "Multi-branch export: replaces all branches with its {n}; previewing {branch}.",
+
+    "test.finite": "KPI finiteness",
+    "test.finite.ok": "All KPI values are finite or missing across {n} weeks.",
+    "test.finite.fail": "Found non-finite KPI values.",
+    "test.registry": "KPI registry",
+    "test.registry.ok": "{n} KPIs defined.",
+    "test.derived": "Derived KPIs",
+    "test.derived.ok": "All formulas evaluate to finite values.",
+    "test.derived.fail": "Not computable in some weeks: {kpis}",
+    "test.metric": "Channel metric set",
+    "test.metric.pass": "metric = {metric}",
+    "test.metric.fail": "channelMetric missing",
+    "test.channels": "Channel data",
+    "test.channels.ok": "All channel rows valid ({n} channels).",
+    "test.channels.fail": "Channel values must be finite or missing and {metric} must sum > 0.",
+    "test.reconcile": "Channel reconciliation",
+    "test.reconcile.none": "No revenue/orders KPI to reconcile against.",
+    "test.reconcile.ok": "Channel {metrics} sum to KPI totals within {pct}.",
+    "test.reconcile.fail": "Channel {metrics} off KPI totals by > {pct}: {weeks}",
+    "test.wow": "WoW computation",
+    "test.wow.ok": "WoW finite or null per rule.",
+    "test.wow.fail": "WoW contains invalid numbers.",
+    "test.targets": "Targets",
+    "test.targets.ok": "Targets set for {n} weeks.",
+    "test.targets.none": "No targets set.",
+    "test.coverage": "Branch coverage",
+    "test.coverage.ok": "All {n} branches report every week.",
+    "test.coverage.fail": "Roll-up weeks missing a branch: {weeks}",
+    "test.fx": "FX rates",
+    "test.fx.ok": "Branches converted at {rates}.",
+    "test.fx.fail": "No rate from {codes} into {currency}; their money values are missing from the roll-up.",
+    "rule.row": "row {n}",
+    "rule.dates": "Archive continuity",
+    "rule.dates.ok": "Valid ISO dates, ascending, 7 days apart ({weeks} weeks).",
+    "rule.dates.invalid": "not an ISO date",
+    "rule.dates.order": "out of order",
+    "rule.dates.gap": "{n} missing before",
+    "rule.dates.cadence": "off-cadence ({n} days)",
+    "rule.dates.cadenceCount": "{n} not 7 days after the previous week",
+    "rule.dupes": "Duplicate weeks",
+    "rule.dupes.ok": "No endISO appears twice.",
+    "rule.dupes.fail": "{n} repeated endISO:",
+    "rule.negative": "Negative values",
+    "rule.negative.ok": "No negative KPI or channel values.",
+    "rule.negative.fail": "{n} negative:",
+    "rule.missing": "Missing values",
+    "rule.missing.ok": "Every KPI and channel cell has a value.",
+    "rule.missing.fail": "{n} missing (left out of totals and deltas, not counted as 0):",
+    "rule.typos": "Possible typos",
+    "rule.typos.ok": "No value {factor}× above or below its trailing {n}-week median.",
+    "rule.typos.fail": "{count} jump {factor}× off the trailing median (extra or missing zero?):",
+    "rule.noBase": "{kpi} with zero {base}",
+    "rule.noBase.ok": "{kpi} only set where {base} > 0",
+    "rule.noBase.fail": "{n} set in weeks with zero {base}:",
+    "rule.user.ok": "No week with {cond}.",
+    "rule.user.fail.one": "1 week with {cond}:",
+    "rule.user.fail.other": "{n} weeks with {cond}:",
+    "anomaly.wow": "WoW {pct} (threshold ±{threshold})",
+    "anomaly.yoy": "{pct} vs same week last year ({date})",
+    "anomaly.zscore": "z = {z} vs trailing {n}w mean",
+    "anomaly.mad": "robust z = {z} vs trailing {n}w median",
+
+    "md.view": "View: {view}",
+    "md.overridden": "Tests Gate overridden",
+    "md.alertThreshold": "Alert threshold: {pct}",
+    "md.channelMetric": "Channel metric: {metric}",
+    "md.whatChanged": "What changed",
+    "md.kpis": "KPIs",
+    "md.weeksShort": "{n}w",
+    "md.wowRule": "WoW rule: if last==0 → delta=null (render “—”)",
+    "md.inverted": "{kpis} inverted",
+    "md.noEarlierPeriod": "(no earlier period to compare)",
+    "md.basis": "Comparison basis: {basis} — {period}",
+    "md.basis.weekly": "weekly averages",
+    "md.basis.summed": "additive KPIs summed, ratio KPIs recomputed from the summed inputs",
+    "md.derived": "Derived: {list}",
+    "md.rag": "RAG: green on or better than target, amber up to {pct} worse, red beyond; to date = actual ÷ target over planned weeks.",
+    "md.branches": "Branches",
+    "md.anomalyCounts": "Anomalies (latest / all)",
+    "md.noAnomalies": "None flagged.",
+    "md.history": "History — {n} weeks",
+    "md.legend": "⚠ flagged by the KPI's anomaly detector; — missing or not computable.",
+    "report.toDate": "to date {pct}",
+    "report.help": "Standalone HTML with inline charts; Print saves it as PDF.",
+    "report.paper": "Paper size",
+    "report.download": "Download HTML",
+    "report.print": "Print / PDF",
+    "report.preview": "Report preview",
+    "report.legend": "Red values are flagged by the KPI's anomaly detector.",
+    "report.footer": "docId {docId} · hash {hash} · logicVersion {logicVersion} · generated {ts}",
+    "share.overridden": "overridden: {reason}",
+    "share.share": "{pct} share",
+    "share.vsTarget": "{pct} vs target",
+    "share.anomaliesThisWeek": "Anomalies this week",
+    "share.emailSubject": "Real Estate WBR — week ending {date}",
+  },
+
+  nl: {
+    "app.title": "Pipeline Scoreboard — Vastgoed WBR",
+    "app.tagline": "Wekelijkse kantoorreview. Volgt leads → bezichtigingen → biedingen → deals. KPI's waar lager beter is omgekeerd voor verschillen. De kanaaltabel toont de gekozen maatstaf.",
+    "badge.branch": "kantoor: {label}",
+    "badge.baselineAt": "Basislijn @ {ts}",
+    "badge.baselineSet": "basislijn gezet",
+    "badge.drift.one": "afwijking: 1 wijziging",
+    "badge.drift.other": "afwijking: {n} wijzigingen",
+    "badge.inSync": "basislijn: gelijk",
+    "badge.lastRun": "laatste run: {ts}",
+    "badge.server.synced": "server: gelijk",
+    "badge.server.changed": "server: niet opgeslagen wijzigingen",
+    "badge.server.conflict": "server: conflict",
+    "badge.serverAt": "Serverkopie opgeslagen {ts} door {author}",
+    "branch.aria": "Kantoor",
+    "branch.all": "Alle kantoren",
+    "branch.allCount": "Alle kantoren ({n})",
+    present: "Presenteren",
+    slides: "Dia's",
+    "slides.title": "Dia's op volledig scherm; pijltjestoetsen om te bladeren, Esc om te stoppen",
+    vs: "vs",
+    weekEnding: "Week eindigend {date}",
+
+    "locale.browser": "Browserinstelling",
+
+    "ctl.channelMetric": "Kanaalmaatstaf",
+    "ctl.viewWindow": "Periode",
+    "ctl.lastWeeks": "laatste {n} weken",
+    "ctl.customRange": "eigen periode…",
+    "ctl.emptyRange": "Geen weken in die periode; de laatste {n} worden getoond.",
+    "ctl.compare": "Vergelijken",
+    "ctl.alertThreshold": "Signaaldrempel (|WoW| ≥ …)",
+    "ctl.alertThreshold.title": "Voor KPI's zonder eigen detector",
+    "ctl.logicVersion": "Logicaversie",
+    "ctl.locale": "Taal en notatie",
+    "ctl.currency": "Rapportagevaluta",
+    "ctl.currency.title": "Alle kantoren en de kantoorvergelijking worden naar deze valuta omgerekend",
+    "ctl.branchCurrency": "Dit kantoor rapporteert in {currency}",
+
+    "metric.revenue": "omzet",
+    "metric.orders": "deals",
+    "metric.sessions": "sessies",
+    "basis.wow": "Week op week",
+    "basis.r4": "Voortschrijdend gemiddelde (4 weken)",
+    "basis.r4.short": "vs vorige 4w",
+    "basis.mom": "Maand op maand",
+    "basis.qoq": "Kwartaal op kwartaal",
+    "basis.yoy": "Jaar op jaar (zelfde week)",
+    "period.rolling": "{n} wkn tot {date}",
+    "period.partial": "{period} ({n} van {total} wkn)",
+    "period.first": "{period} eerste {n} wkn",
+    "window.label": "{n} weken, {from} → {to}",
+
+    "kpi.revenue": "Omzet",
+    "kpi.revenue.sub": "(Courtage)",
+    "kpi.orders": "Deals",
+    "kpi.orders.sub": "(Verkoop/Verhuur)",
+    "kpi.active": "Actief",
+    "kpi.active.sub": "(Bezichtigingen)",
+    "kpi.cac": "CAC",
+    "kpi.cac.sub": "({currency}/Opdracht)",
+    "channel.paid": "Betaald",
+    "channel.organic": "Organisch",
+    "channel.email": "E-mail",
+    "channel.referral": "Doorverwijzing",
+    "channel.retired": "(vervallen)",
+
+    "btn.copyMarkdown": "Markdown kopiëren",
+    "btn.copyJSON": "JSON kopiëren",
+    "btn.import": "Importeren…",
+    "btn.branches": "Kantoren…",
+    "btn.kpis": "KPI's…",
+    "btn.channels": "Kanalen…",
+    "btn.rules": "Regels…",
+    "btn.log": "Logboek…",
+    "btn.report": "Rapport…",
+    "btn.share": "Delen…",
+    "btn.fx": "Wisselkoersen…",
+    "btn.server": "Server…",
+    "btn.targets": "Doelen…",
+    "btn.close": "Sluiten",
+    "btn.edit": "Bewerken",
+    "btn.save": "Opslaan",
+    "btn.cancel": "Annuleren",
+    "btn.remove": "Verwijderen",
+    "btn.delete": "Verwijderen",
+
+    "baseline.confirm": "De basislijn vervangen door de huidige invoer?",
+    "baseline.updated": "Basislijn bijgewerkt",
+    "history.branchGone": "Dat kantoor is verwijderd; er is niets te herstellen",
+    "export.blocked": "De Tests Gate heeft fouten; leg een reden voor overschrijven vast om te exporteren",
+    "export.jsonCopied": "JSON naar het klembord gekopieerd",
+    "export.markdownCopied": "Markdown-samenvatting naar het klembord gekopieerd",
+    "export.logCopied.one": "Logboek gekopieerd (1 regel)",
+    "export.logCopied.other": "Logboek gekopieerd ({n} regels)",
+    "import.branches": "{n} kantoren geïmporteerd",
+    "import.weeks": "{n} weken geïmporteerd",
+    "import.weeksInto": "{n} weken geïmporteerd in {branch}",
+    "paste.cells.one": "1 cel geplakt",
+    "paste.cells.other": "{n} cellen geplakt",
+    "paste.invalid": "{n} geen getal, ongewijzigd gelaten",
+    "paste.skipped": "{n} voorbij de laatste week of kolom overgeslagen",
+    "parse.notFinite": "Geen eindig getal",
+    "parse.notNumber": '"{raw}" is geen getal',
+    "input.missing": "Ontbreekt — leeg is niet nul",
+    "targets.rollupTitle": "Doelen van alle kantoren zijn de som van de kantoordoelen; kies een kantoor om te bewerken",
+    "targets.spread": "Doel verdeeld over {n} weken",
+    "targets.help": "Weekplan per KPI en kanaal. Leeg = geen doel. Een week hoort bij de maand of het kwartaal waarin de einddatum valt.",
+    "targets.period": "Maand of kwartaal",
+    "targets.amount": "Bedrag",
+    "targets.spreadMode": "Verdeling",
+    "targets.split": "gelijk verdelen over de weken",
+    "targets.same": "elke week dezelfde waarde",
+    "targets.applySpread": "Verdelen",
+    "targets.planOnly": "(alleen plan)",
+    "targets.badPeriod": "Periode moet JJJJ-MM of JJJJ-Qn zijn",
+    "targets.badAmount": "Bedrag moet een getal zijn",
+    "targets.noWeeks": "Er vallen geen week-einddatums in die periode",
+    "targets.error.object": "moet een object zijn met endISO als sleutel",
+    "targets.error.date": '"{endISO}" is geen JJJJ-MM-DD-datum',
+    "targets.error.row": "{endISO}: verwacht een object van veld → getal",
+    "targets.error.field": "{endISO}: onbekend veld {path}",
+    "targets.error.number": "{endISO}: {path} moet een eindig getal zijn",
+    "registry.badKey": '"{key}" is geen geldige sleutel',
+    "registry.duplicateKpi": 'dubbele sleutel "{key}"',
+    "registry.kpiClash": '"{key}" botst met een kanaalnaam',
+    "registry.format": '{key}: onbekende opmaak "{format}"',
+    "registry.polarity": "{key}: richting moet up of down zijn",
+    "registry.detector": '{key}: onbekende detector "{method}"',
+    "registry.sensitivity": "{key}: gevoeligheid van de detector moet > 0 zijn",
+    "registry.rollup": "{key}: optelling moet sum, mean of weighted zijn",
+    "registry.weight": "{key}: gewogen optelling heeft een andere opgeslagen KPI als gewicht nodig",
+    "registry.unknownField": "{key}: onbekend veld {fields}",
+    "registry.circular": "kringverwijzing in formule: {trail}",
+    "registry.duplicateChannel": 'dubbel kanaal "{key}"',
+    "registry.channelClash": '"{key}" botst met een KPI-sleutel',
+    "registry.emptyLabel": "{key}: naam is leeg",
+    "registry.noActiveChannel": "minstens één actief kanaal is verplicht",
+    "registry.branchKey": '"{key}" is geen geldige kantoorsleutel',
+    "registry.duplicateBranch": 'dubbel kantoor "{key}"',
+    "snapshot.saved": "Momentopname opgeslagen: {name}",
+    "snapshot.restored": "{name} hersteld",
+    "snapshot.restoredMismatch": "{name} hersteld — hash wijkt af, de momentopname is gewijzigd",
+    "server.save": "Opslaan op server",
+    "server.pull": "Serverversie ophalen",
+    "server.saved": "{docId} opgeslagen op de server",
+    "server.conflict": "De serverkopie is gewijzigd sinds je hem laadde — voeg samen voor je opslaat",
+    "server.notFound": "{docId} staat nog niet op de server; kies Opslaan op server om hem te publiceren",
+    "server.upToDate": "Al gelijk aan de server",
+    "server.pulled": "Serverversie geladen (opgeslagen door {author})",
+    "server.confirmOpen": "{docId} heeft wijzigingen die niet op de server staan. Toch {id} openen? Ze blijven bewaard in deze browser maar worden niet getoond.",
+    "server.opened": "{docId} geopend van de server",
+    "server.merged": "Samengevoegd met de serverversie; sla op op de server om te publiceren",
+    "conflict.merge": "Samenvoegen",
+    "conflict.keepMine": "Server overschrijven met mijn versie",
+    "conflict.takeTheirs": "Serverversie nemen",
+    "server.help": "Eén gedeelde kopie per docId (node scoreboard-server.mjs). Opslaan wordt geweigerd als de serverkopie is gewijzigd sinds deze werd geladen; je voegt dan samen.",
+    "server.url": "Server-URL",
+    "server.refresh": "Lijst vernieuwen",
+    "server.synced": "{docId}: serverkopie opgeslagen {ts} door {author} · hash {hash}… · {state}",
+    "server.neverSynced": "{docId} is nog niet op deze server opgeslagen of ervan geladen.",
+    "server.thisDocument": "(dit document)",
+    "server.open": "Openen",
+    "server.empty": "Nog geen documenten op deze server.",
+    "server.replied": "Server antwoordde {status}: {reason}",
+    "server.networkError": "Netwerkfout: {message}. Draait de documentserver op {url}?",
+    "server.invalid": "De server weigerde dit document: {details}",
+    "server.invalidRow": "rij {row}: {errors}",
+    "server.error.methodNotAllowed": "verzoekmethode niet ondersteund",
+    "server.error.notFound": "niet gevonden",
+    "server.error.badDocId": "docId moet 1–64 letters, cijfers, - of _ zijn",
+    "server.error.tooLarge": "document te groot",
+    "server.error.badJson": "verzoek is geen geldige JSON",
+    "server.error.badRequest": "het document ontbreekt in het verzoek",
+    "server.error.invalidDoc": "geen geldig scoreboarddocument",
+    "server.error.conflict": "de serverkopie is gewijzigd sinds hij werd geladen",
+    "server.error.internal": "interne serverfout",
+    "conflict.help": "Serverkopie opgeslagen {ts} door {author} · hash {hash}…",
+    "conflict.clean.one": "1 wijziging voegt zonder conflict samen",
+    "conflict.clean.other": "{n} wijzigingen voegen zonder conflict samen",
+    "conflict.count.one": "1 conflict",
+    "conflict.count.other": "{n} conflicten",
+    "conflict.merge.title": "Voeg hier samen; sla opnieuw op om te publiceren",
+    "conflict.keepMine.title": "Vervang de serverkopie door deze",
+    "conflict.takeTheirs.title": "Vervang deze kopie door die van de server",
+    "conflict.side.mine": "mijn",
+    "conflict.side.theirs": "server",
+    "conflict.more": "+{n} meer",
+
+    "gate.title": "Tests Gate",
+    "gate.pass": "GOED",
+    "gate.check": "CONTROLEREN",
+    "gate.blocked": "GEBLOKKEERD",
+    "gate.overridden": "overschreven",
+    "gate.more": "+{n} meer",
+    "gate.overrideToast": "Overschrijven vastgelegd",
+    "gate.overrideRecorded": "Overschreven op {ts}:",
+    "gate.withdraw": "Intrekken",
+    "gate.blocksExport": "Fouten blokkeren Markdown/JSON kopiëren.",
+    "gate.overridePlaceholder": "Reden voor overschrijven (blijft in exports tot de gegevens wijzigen)",
+    "gate.recordOverride": "Overschrijven vastleggen",
+    "severity.error": "Fout — blokkeert export",
+    "severity.error.short": "fout",
+    "severity.warn": "Waarschuwing",
+    "severity.warn.short": "waarschuwing",
+    "severity.info": "Info",
+    "severity.info.short": "info",
+
+    "forecast.title": "Prognose",
+    "forecast.method": "Prognosemethode",
+    "forecast.horizon": "Prognosehorizon",
+    "forecast.linear": "Lineaire trend",
+    "forecast.ses": "Exponentiële afvlakking",
+    "forecast.seasonal": "Seizoensnaïef",
+    "forecast.ahead.one": "1 wk vooruit",
+    "forecast.ahead.other": "{n} wkn vooruit",
+    "forecast.help": "Gestreept op de sparklines, band = ±1,28σ van de backtestfouten (≈80%).",
+    "forecast.helpPeriods": "Sparklines tonen perioden; zet Vergelijken op week op week om de prognose te tekenen.",
+
+    "card.openChart": "Grafiek openen",
+    "card.notComputable": "niet te berekenen",
+    "card.missing": "ontbreekt",
+    "card.forecastAt": "+{n} wk: {value} ({lo}–{hi})",
+    "card.nextWeek": "Volgende wk {value} ({lo}–{hi})",
+    "card.target": "Doel {value}",
+    "card.toDate": "Tot nu {pct}",
+    "card.toDateTitle.one": "1 geplande week: {actual} vs {target}",
+    "card.toDateTitle.other": "{n} geplande weken: {actual} vs {target}",
+    "note.prefix": "Notitie: {text}",
+    "delta.none": "Geen {basis}-vergelijking",
+    "rag.green": "groen",
+    "rag.amber": "oranje",
+    "rag.red": "rood",
+    "rag.none": "geen doel",
+
+    "narrative.title": "Wat is er veranderd — week eindigend {date}",
+    "narrative.edited": "bewerkt",
+    "narrative.reset": "Terug naar gegenereerd",
+    "narrative.aria": "Toelichting",
+    "narrative.help": "Eén punt per regel. Alleen voor deze week bewaard; exports gebruiken de tekst zoals geschreven.",
+    "narrative.none": "Geen vorige week om mee te vergelijken.",
+    "narrative.flat": "{label} gelijk WoW op {value}",
+    "narrative.improved": "{label} verbeterd met {by} ({pct} WoW) naar {value}",
+    "narrative.worsened": "{label} verslechterd met {by} ({pct} WoW) naar {value}",
+    "narrative.change": "{label} {pct} WoW naar {value}",
+    "narrative.drivenBy": ", gedreven door {channels}",
+    "narrative.and": " en ",
+    "narrative.whileGrew": " terwijl {label} {pct} groeide",
+    "narrative.whileFell": " terwijl {label} {pct} daalde",
+    "narrative.movers": "Grootste bewegers ({metric}): {list}",
+    "narrative.flagged": "Gesignaleerd: {list}",
+
+    "mix.title": "Kanaalmix — {metric}",
+    "mixChart.title": "Mix over de periode",
+    "mixChart.stacked": "Gestapeld",
+    "mixChart.total": "Totaal {value}",
+    "chart.range": "{from} → {to} · wijs een week aan voor de waarde en WoW",
+    "chart.targetLine": "Doellijn",
+
+    "col.channel": "Kanaal",
+    "col.this": "Deze",
+    "col.last": "Vorige",
+    "col.share": "Aandeel",
+    "col.target": "Doel",
+    "col.vsTarget": "vs Doel",
+    "col.revPerOrder": "Omzet/Deal",
+    "col.conversion": "Conversie",
+    "col.toDate": "Tot nu",
+    "col.branch": "Kantoor",
+    "col.anomalies": "Afwijkingen",
+    "col.weekEnding": "Week eindigend",
+    "col.value": "Waarde",
+    "col.reason": "Reden",
+    "col.notes": "Notities",
+    "col.key": "Sleutel",
+    "col.label": "Naam",
+    "col.currency": "Valuta",
+    "col.rate": "Koers",
+    "col.weeks": "Weken",
+    "col.actions": "Acties",
+    "col.name": "Naam",
+    "col.saved": "Opgeslagen",
+    "col.subLabel": "Subnaam",
+    "col.format": "Opmaak",
+    "col.polarity": "Richting",
+    "col.formula": "Formule",
+    "col.detector": "Afwijkingsdetector",
+    "col.rollup": "Optelling",
+    "col.rollup.title": "Hoe weken samengaan voor tot-nu- en kantoortotalen",
+    "col.status": "Status",
+    "col.flagWhen": "Signaleren als",
+    "col.severity": "Ernst",
+    "col.field": "Veld",
+    "col.baseline": "Basislijn",
+    "col.current": "Huidig",
+    "col.when": "Wanneer",
+    "col.author": "Auteur",
+    "col.action": "Actie",
+    "col.change": "Wijziging",
+    "col.hash": "Hash",
+    "col.row": "Rij",
+    "col.branches": "Kantoren",
+    "col.latestWeek": "Laatste week",
+    "col.mine": "Mijn versie",
+    "col.server": "Server",
+    "col.keep": "Behouden",
+    "col.from": "Van",
+    "col.mergedChange": "Samengevoegde wijziging",
+    "field.endISO": "Einde (ISO)",
+
+    "editor.title": "Historie-editor",
+    "editor.rollup": "Alle kantoren is een optelling; kies een kantoor om de weken te bewerken.",
+    "editor.heading": "Historie-editor — {n} van {total} weken",
+    "editor.help": "Kanaalkolommen tonen {metric}; wissel de kanaalmaatstaf om de andere te bewerken. Pijltjes/Enter/Tab verplaatsen, Shift+pijltjes selecteren, plak blokken uit een spreadsheet.",
+    "editor.undo": "Ongedaan maken",
+    "editor.undo.title": "Ongedaan maken (Ctrl+Z)",
+    "editor.redo": "Opnieuw",
+    "editor.redo.title": "Opnieuw (Ctrl+Shift+Z)",
+    "editor.fillDown": "Vullen ↓",
+    "editor.fillDown.title": "Omlaag vullen (Ctrl+D)",
+    "editor.fillRight": "Vullen →",
+    "editor.fillRight.title": "Naar rechts vullen (Ctrl+R)",
+    "editor.clear": "Wissen",
+    "editor.clear.title": "De geselecteerde cellen wissen (Delete)",
+    "editor.prefill": "Vooraf invullen uit prognose",
+    "editor.addWeek": "+ Volgende week toevoegen",
+    "editor.addWeek.forecast": "Voeg de week na de laatste toe, vooraf ingevuld uit de prognose ({method}); oudere weken blijven in het archief",
+    "editor.addWeek.copy": "Voeg de week na de laatste toe met dezelfde waarden; oudere weken blijven in het archief",
+    "editor.retired.title": "Vervallen kanaal — historie bewaard, nieuwe weken beginnen op 0",
+    "editor.cell.baseline": "Basislijn: {value}",
+    "editor.cell.anomaly": "Afwijking: {reason}",
+    "editor.cell.rule": "Tests Gate: {name}",
+    "editor.note.title": "Voeg een notitie toe aan deze week of een van de cellen",
+    "editor.note.add": "+ notitie",
+    "editor.notes.one": "1 notitie",
+    "editor.notes.other": "{n} notities",
+    "notes.title": "Notities — week eindigend {date}",
+    "notes.week": "Hele week",
+    "notes.on": "Notitie bij {label}",
+    "notes.target": "Notitie bij",
+    "notes.placeholder": "bijv. feestdag, storing op het portaal",
+    "notes.new": "Nieuwe notitie",
+    "notes.add": "Notitie toevoegen",
+
+    "deck.overview": "Overzicht",
+    "deck.noPrior": "Geen vorige week om mee te vergelijken.",
+    "deck.toDate.one": "Tot nu {pct} van het plan over 1 week",
+    "deck.toDate.other": "Tot nu {pct} van het plan over {n} weken",
+    "deck.anomaly": "Afwijking deze week: {reason}",
+    "deck.actions.title": "Afwijkingen & acties",
+    "deck.action.kpi": "{label} {pct} vs doel — spreek een eigenaar voor herstel af",
+    "deck.action.channel": "{label} {metric} {pct} vs doel",
+    "deck.action.data": "Gegevens herstellen: {name} — {message}",
+    "deck.anomalyCount": "{n} afwijkingen deze week, {total} in de periode",
+    "deck.agreeOwners": "Spreek per actie een eigenaar en een datum af",
+    "deck.noActions": "Geen acties: niets onder doel, geen mislukte controles",
+    "deck.popupBlocked": "Pop-up geblokkeerd; sta pop-ups toe om de sprekersnotities te openen",
+    "deck.timer": "Vergadertimer",
+    "deck.pause": "Pauzeren",
+    "deck.paused": "(gepauzeerd)",
+    "deck.resume": "Hervatten",
+    "deck.reset": "Opnieuw",
+    "deck.speakerNotes": "Sprekersnotities",
+    "deck.exit": "Stoppen",
+    "deck.anomalies": "Afwijkingen in de periode",
+    "deck.actions": "Acties",
+    "deck.nothing": "Niets onder doel of mislukt.",
+    "deck.prev": "← Vorige",
+    "deck.nextButton": "Volgende →",
+    "deck.slide": "Dia {n}: {title}",
+    "deck.slideOf": "Dia {n} / {total}",
+    "deck.next": "Volgende: {title}",
+    "deck.end": "einde van de presentatie",
+
+    "panel.kpis": "KPI-register",
+    "panel.channels": "Kanalen",
+    "panel.report": "WBR-rapport",
+    "panel.share": "Delen",
+    "panel.server": "Documentserver",
+    "panel.conflict": "Opslagconflict — samenvoegen met de serverkopie",
+    "panel.rules": "Tests Gate-regels",
+    "panel.targets": "Doelen",
+    "panel.drift": "Afwijking t.o.v. basislijn",
+    "panel.import": "Importeren",
+    "panel.log.one": "Logboek — 1 regel",
+    "panel.log.other": "Logboek — {n} regels",
+    "branches.title": "Kantoren",
+    "branches.help": "Elk kantoor heeft eigen weken en doelen. Een nieuw kantoor begint op de huidige weekdatums zonder waarden.",
+    "branches.add": "Kantoor toevoegen",
+    "branches.currencyOf": "Valuta van {label}",
+    "branches.reportingCurrency": "{currency} (rapportage)",
+    "branches.confirmRemove": 'Kantoor "{label}" en de hele historie verwijderen?',
+    "fx.title": "Wisselkoersen naar {currency}",
+    "fx.help": "Kantoren in een andere valuta worden tegen deze koersen omgerekend voor Alle kantoren en de kantoorvergelijking.",
+    "fx.none": "Alle kantoren rapporteren in {currency}; geen koersen nodig.",
+    "fx.usedBy": "Gebruikt door",
+    "ranking.title": "Kantoorvergelijking",
+    "ranking.sortBy": "Rangschikken op",
+    "ranking.byAnomalies": "aantal afwijkingen",
+    "ranking.anomalies.title": "Signalen in de laatste week / over alle weken",
+    "snapshots.title": "Momentopnamen",
+    "snapshots.help": "Werkdocument automatisch opgeslagen onder {docId}",
+    "snapshots.placeholder": "{name} definitief",
+    "snapshots.save": "Momentopname opslaan",
+    "snapshots.none": "Nog geen momentopnamen.",
+    "snapshots.current": "huidig",
+    "snapshots.current.title": "De huidige invoer komt overeen met deze momentopname",
+    "snapshots.restore": "Herstellen",
+    "snapshots.duplicate": "Dupliceren",
+    "snapshots.copyName": "{name} (kopie)",
+    "snapshots.confirmDelete": 'Momentopname "{name}" verwijderen?',
+
+    "kpis.help": "De volgorde hier bepaalt de kaarten, tests en exports. Formules gebruiken + − × ÷ en haakjes over KPI-sleutels en kanaalnamen.",
+    "kpis.format.currency": "valuta",
+    "kpis.format.integer": "geheel getal",
+    "kpis.format.decimal": "decimaal",
+    "kpis.format.percent": "procent",
+    "kpis.polarity.up": "hoger is beter",
+    "kpis.polarity.down": "lager is beter",
+    "kpis.stored": "opgeslagen",
+    "kpis.recomputed": "herberekend",
+    "kpis.globalDetector": "WoW (algemeen)",
+    "kpis.globalDetector.title": "Algemene signaleringsdrempel",
+    "kpis.rollup.sum": "som",
+    "kpis.rollup.mean": "gemiddelde",
+    "kpis.rollup.weighted": "gemiddelde gewogen naar {key}",
+    "kpis.rollup.default": "standaard",
+    "kpis.moveUp": "Omhoog",
+    "kpis.moveDown": "Omlaag",
+    "kpis.labelPlaceholder": "Conversie",
+    "kpis.subPlaceholder": "(Deals/Bezichtiging)",
+    "kpis.formulaPlaceholder": "orders / active (leeg = opgeslagen)",
+    "kpis.add": "KPI toevoegen",
+    "kpis.confirmRemove": 'KPI "{label}" verwijderen?',
+    "kpis.confirmRemoveStored": 'KPI "{label}" en de waarden in elke week verwijderen?',
+    "detector.wow": "WoW-drempel",
+    "detector.wow.hint": "Signaleren als |WoW| ≥ deze fractie",
+    "detector.zscore": "z-score (voorgaand)",
+    "detector.zscore.hint": "Signaleren als |z| t.o.v. het voorgaande venster ≥ deze waarde",
+    "detector.mad": "Voortschrijdende mediaan/MAD",
+    "detector.mad.hint": "Signaleren als |robuuste z| t.o.v. het voorgaande venster ≥ deze waarde",
+    "detector.yoy": "Zelfde week vorig jaar",
+    "detector.yoy.hint": "Signaleren als |verschil met 52 weken eerder| ≥ deze fractie",
+    "channels.help": "Hernoemen wijzigt alleen de naam, dus de historie blijft gekoppeld. Vervallen kanalen houden hun historie maar lopen niet meer door.",
+    "channels.active": "actief",
+    "channels.retired": "vervallen",
+    "channels.retire": "Laten vervallen",
+    "channels.reinstate": "Herstellen",
+    "channels.mergeInto": "Samenvoegen met",
+    "channels.newHistory": "historie blijft leeg",
+    "channels.add": "Kanaal toevoegen",
+    "channels.confirmMerge": '"{from}" samenvoegen met "{into}"? De {from}-waarde van elke week wordt opgeteld bij {into}.',
+    "channels.merged": "{from} samengevoegd met {into}",
+    "rules.help": "Elke regel signaleert elke week, in elk kantoor, waarin het veld aan de voorwaarde voldoet. Fouten blokkeren export; waarschuwingen en info niet.",
+    "rules.derived": "{label} (afgeleid)",
+    "rules.namePlaceholder": "Minimum bezichtigingen",
+    "rules.add": "Regel toevoegen",
+    "drift.help": "Basislijn @ {ts} · hash {hash}…",
+    "drift.rebaseline": "Nieuwe basislijn",
+    "drift.noPayload": "Deze basislijn is van vóór het bijhouden van afwijkingen en heeft geen gegevens. Zet een nieuwe basislijn om te vergelijken.",
+    "drift.none": "Geen wijzigingen — de huidige invoer komt overeen met de basislijn.",
+    "drift.absent": "(afwezig)",
+    "drift.added": "(toegevoegd)",
+    "drift.present": "(aanwezig)",
+    "drift.removed": "(verwijderd)",
+    "drift.default": "(standaard)",
+    "log.help": "Alleen toevoegen; elke regel hasht de regel ervoor en het document dat eruit volgde. Begin {hash}…",
+    "log.authorPlaceholder": "Je naam",
+    "log.verify": "Controleren",
+    "log.export": "Keten exporteren",
+    "log.intact.one": "Keten intact: 1 regel komt uit op de eigen hashes.",
+    "log.intact.other": "Keten intact: {n} regels komen uit op hun hashes.",
+    "log.brokenAt": "Verbroken bij #{seq}: {reason}",
+    "log.broken.notLog": "geen logboek",
+    "log.broken.genesis": "begin komt niet overeen met de hash",
+    "log.broken.order": "regels ontbreken of staan in de verkeerde volgorde",
+    "log.broken.link": "sluit niet aan op de regel ervoor",
+    "log.broken.altered": "regel gewijzigd nadat hij is vastgelegd",
+    "log.broken.replay": "wijzigingen zijn niet opnieuw af te spelen",
+    "log.broken.docHash": "opnieuw afspelen komt niet uit op de vastgelegde documenthash",
+    "log.broken.head": "document gewijzigd na de laatste regel",
+    "log.allActions": "alle acties",
+    "log.filter": "Filter op auteur, kantoor, week of veld",
+    "log.shown": "{n} getoond",
+    "log.shownNewest": "{n} getoond, nieuwste {max} weergegeven",
+    "log.more": "+{n} meer",
+    "log.replay": "Tot hier terugzetten",
+    "log.confirmReplay": "Het document terugzetten naar regel #{seq}? Latere regels blijven in het logboek en het terugzetten wordt vastgelegd.",
+    "log.replayed": "Teruggezet naar regel #{seq}",
+    "share.help": "Dezelfde gegevens als Markdown kopiëren. Webhook-URL's blijven in deze browser en worden nooit geëxporteerd.",
+    "share.format": "Opmaak",
+    "share.format.slack": "Slack (Block Kit)",
+    "share.format.teams": "Teams (Adaptive Card)",
+    "share.format.email": "E-mail (HTML)",
+    "share.webhookUrl": "Webhook-URL",
+    "share.placeholder.slack": "https://hooks.slack.com/services/…",
+    "share.placeholder.teams": "https://….webhook.office.com/… of een Workflows-URL",
+    "share.placeholder.email": "https://jouw-mailrelay/hook",
+    "share.noUrl": "Geen webhook-URL ingesteld.",
+    "share.badScheme": "Webhook-URL moet http(s) zijn.",
+    "share.badUrl": "Geen geldige URL.",
+    "share.copy": "Inhoud kopiëren",
+    "share.copied": "{format}-inhoud gekopieerd",
+    "share.dryRun": "Proefrun",
+    "share.dryRunNote": "Proefrun — niets verstuurd. Dit verzoek zou worden gedaan:",
+    "share.bytes": "({n} bytes)",
+    "share.send": "Versturen",
+    "share.sending": "Versturen…",
+    "share.sent": "Verstuurd",
+    "share.failed": "Mislukt",
+    "share.rejected": "Het eindpunt heeft de inhoud geweigerd.",
+    "share.rejectedReply": "Het eindpunt heeft de inhoud geweigerd; het antwoord staat hieronder.",
+    "share.networkError": "Netwerkfout: {message}. Het eindpunt is mogelijk onbereikbaar of weigert browserverzoeken (CORS) — verstuur via een relay.",
+    "share.emailPreview": "E-mailvoorbeeld",
+    "import.help": "Plak CSV/TSV uit een spreadsheet of de uitvoer van JSON kopiëren, of kies een bestand. Er verandert niets tot je de weken vervangt.",
+    "import.helpBranch": "Plak CSV/TSV uit een spreadsheet of de uitvoer van JSON kopiëren, of kies een bestand. Er verandert niets tot je de weken van {branch} vervangt.",
+    "import.format": "opmaak: {format}",
+    "import.hashVerified": "hash gecontroleerd",
+    "import.hashVerified.title": "De opnieuw berekende canonieke hash komt overeen met audit.hashHex",
+    "import.hashMismatch": "hash wijkt af — gewijzigd na export",
+    "import.noHash": "geen audit-hash",
+    "import.logVerified.one": "logboek gecontroleerd (1 regel)",
+    "import.logVerified.other": "logboek gecontroleerd ({n} regels)",
+    "import.logVerified.title": "Elke regel hasht opnieuw en komt uit op de vastgelegde documenthash",
+    "import.logTampered": "logboek gemanipuleerd: {reason}",
+    "import.logTamperedAt": "logboek gemanipuleerd bij #{seq}: {reason}",
+    "import.header": "Eerste rij is een kop",
+    "import.mapping": "Kolomtoewijzing",
+    "import.column": "Kolom {n}",
+    "import.ignore": "(negeren)",
+    "import.rollup": "Alle kantoren is een optelling — kies een kantoor om weken in te importeren.",
+    "import.ok": "ok",
+    "import.summary": "{n} rijen, {errors} met fouten",
+    "import.waiting": "Wachten op gegevens",
+    "import.replace": "{n} weken vervangen",
+    "import.error.unmapped": "Niet toegewezen velden: {fields}",
+    "import.error.mappedTwice": "Meer dan eens toegewezen: {fields}",
+    "import.error.endISO": 'endISO "{raw}" is geen JJJJ-MM-DD-datum',
+    "import.error.field": "{path}: {error}",
+    "import.error.json": "Ongeldige JSON: {message}",
+    "import.error.shape": "Verwacht een object met een weeks- of branches-array (de export van JSON kopiëren).",
+    "import.error.weeksArray": "{branch}: weeks moet een array zijn",
+    "import.error.noBranches": "geen kantoren",
+    "import.error.branches": "Kantoren: {errors}",
+    "import.error.kpisList": "kpis moet een array met KPI-definities zijn",
+    "import.error.channelDefsList": "channelDefs moet een array met kanaaldefinities zijn",
+    "import.error.channelRegistry": "Kanaalregister: {errors}",
+    "import.error.kpiRegistry": "KPI-register: {errors}",
+    "import.error.channelMetric": "channelMetric moet een van {values} zijn",
+    "import.error.alertThreshold": "alertThreshold moet een getal tussen 0,05 en 0,30 zijn",
+    "import.error.logicVersion": "logicVersion moet tekst zijn",
+    "import.error.locale": 'locale moet een van {values} of "" zijn',
+    "import.error.currency": "currency moet een van {values} zijn",
+    "import.error.fx": "fx moet {values} koppelen aan positieve koersen",
+    "import.error.branchCurrency": "{branch}: currency moet een van {values} zijn",
+    "import.error.targets": "doelen: {error}",
+    "import.error.branchTargets": "{branch} doelen: {error}",
+    "import.error.notObject": "week is geen object",
+    "import.error.endISODate": "endISO is geen JJJJ-MM-DD-datum",
+    "import.error.notValue": "{path} moet een eindig getal of null zijn",
+    "import.error.branchRows.one": "kantoor {branch}: 1 rij met fouten",
+    "import.error.branchRows.other": "kantoor {branch}: {n} rijen met fouten",
+    "import.error.branch": "kantoor {branch}: {error}",
+    "import.error.duplicate": "dubbele endISO (ook rij {row})",
+    "import.error.tooFew": "Er zijn minstens 2 weken nodig voor verschillen week op week.",
+    "import.note.defaulted": "Niet in bestand, geïmporteerd als ontbrekend: {fields}",
+    "import.note.migrated.one": "1 week heeft platte kanaalwaarden; geïmporteerd als {metric}, andere kanaalmaatstaven ontbreken.",
+    "import.note.migrated.other": "{n} weken hebben platte kanaalwaarden; geïmporteerd als {metric}, andere kanaalmaatstaven ontbreken.",
+    "import.note.multi": "Export met meerdere kantoren: vervangt alle kantoren door de {n} uit het bestand; voorbeeld van {branch}.",
+
+    "test.finite": "Eindige KPI-waarden",
+    "test.finite.ok": "Alle KPI-waarden zijn eindig of ontbreken over {n} weken.",
+    "test.finite.fail": "Niet-eindige KPI-waarden gevonden.",
+    "test.registry": "KPI-register",
+    "test.registry.ok": "{n} KPI's gedefinieerd.",
+    "test.derived": "Afgeleide KPI's",
+    "test.derived.ok": "Alle formules geven eindige waarden.",
+    "test.derived.fail": "In sommige weken niet te berekenen: {kpis}",
+    "test.metric": "Kanaalmaatstaf gekozen",
+    "test.metric.pass": "maatstaf = {metric}",
+    "test.metric.fail": "channelMetric ontbreekt",
+    "test.channels": "Kanaalgegevens",
+    "test.channels.ok": "Alle kanaalrijen geldig ({n} kanalen).",
+    "test.channels.fail": "Kanaalwaarden moeten eindig zijn of ontbreken en {metric} moet optellen tot > 0.",
+    "test.reconcile": "Kanaalaansluiting",
+    "test.reconcile.none": "Geen omzet- of deals-KPI om mee aan te sluiten.",
+    "test.reconcile.ok": "Kanaal-{metrics} sluit binnen {pct} aan op de KPI-totalen.",
+    "test.reconcile.fail": "Kanaal-{metrics} wijkt meer dan {pct} af van de KPI-totalen: {weeks}",
+    "test.wow": "WoW-berekening",
+    "test.wow.ok": "WoW eindig of leeg volgens de regel.",
+    "test.wow.fail": "WoW bevat ongeldige getallen.",
+    "test.targets": "Doelen",
+    "test.targets.ok": "Doelen gezet voor {n} weken.",
+    "test.targets.none": "Geen doelen gezet.",
+    "test.coverage": "Kantoordekking",
+    "test.coverage.ok": "Alle {n} kantoren rapporteren elke week.",
+    "test.coverage.fail": "Weken in de optelling waarin een kantoor ontbreekt: {weeks}",
+    "test.fx": "Wisselkoersen",
+    "test.fx.ok": "Kantoren omgerekend tegen {rates}.",
+    "test.fx.fail": "Geen koers van {codes} naar {currency}; hun geldbedragen ontbreken in de optelling.",
+    "rule.row": "rij {n}",
+    "rule.dates": "Doorlopend archief",
+    "rule.dates.ok": "Geldige ISO-datums, oplopend, 7 dagen uit elkaar ({weeks} weken).",
+    "rule.dates.invalid": "geen ISO-datum",
+    "rule.dates.order": "niet op volgorde",
+    "rule.dates.gap": "{n} ontbrekend ervoor",
+    "rule.dates.cadence": "buiten ritme ({n} dagen)",
+    "rule.dates.cadenceCount": "{n} niet 7 dagen na de vorige week",
+    "rule.dupes": "Dubbele weken",
+    "rule.dupes.ok": "Geen endISO komt twee keer voor.",
+    "rule.dupes.fail": "{n} herhaalde endISO:",
+    "rule.negative": "Negatieve waarden",
+    "rule.negative.ok": "Geen negatieve KPI- of kanaalwaarden.",
+    "rule.negative.fail": "{n} negatief:",
+    "rule.missing": "Ontbrekende waarden",
+    "rule.missing.ok": "Elke KPI- en kanaalcel heeft een waarde.",
+    "rule.missing.fail": "{n} ontbrekend (niet meegeteld in totalen en verschillen, niet als 0 geteld):",
+    "rule.typos": "Mogelijke tikfouten",
+    "rule.typos.ok": "Geen waarde {factor}× boven of onder de mediaan van de voorgaande {n} weken.",
+    "rule.typos.fail": "{count} springen {factor}× van de voorgaande mediaan af (nul te veel of te weinig?):",
+    "rule.noBase": "{kpi} bij nul {base}",
+    "rule.noBase.ok": "{kpi} alleen gezet waar {base} > 0",
+    "rule.noBase.fail": "{n} gezet in weken met nul {base}:",
+    "rule.user.ok": "Geen week met {cond}.",
+    "rule.user.fail.one": "1 week met {cond}:",
+    "rule.user.fail.other": "{n} weken met {cond}:",
+    "anomaly.wow": "WoW {pct} (drempel ±{threshold})",
+    "anomaly.yoy": "{pct} vs dezelfde week vorig jaar ({date})",
+    "anomaly.zscore": "z = {z} vs gemiddelde voorgaande {n}w",
+    "anomaly.mad": "robuuste z = {z} vs mediaan voorgaande {n}w",
+
+    "md.view": "Weergave: {view}",
+    "md.overridden": "Tests Gate overschreven",
+    "md.alertThreshold": "Signaaldrempel: {pct}",
+    "md.channelMetric": "Kanaalmaatstaf: {metric}",
+    "md.whatChanged": "Wat is er veranderd",
+    "md.kpis": "KPI's",
+    "md.wowRule": "WoW-regel: als vorige==0 → verschil=leeg (toon “—”)",
+    "md.inverted": "{kpis} omgekeerd",
+    "md.noEarlierPeriod": "(geen eerdere periode om mee te vergelijken)",
+    "md.basis": "Vergelijkingsbasis: {basis} — {period}",
+    "md.basis.weekly": "weekgemiddelden",
+    "md.basis.summed": "optelbare KPI's opgeteld, verhoudingen herberekend uit de opgetelde invoer",
+    "md.derived": "Afgeleid: {list}",
+    "md.rag": "RAG: groen op of boven doel, oranje tot {pct} slechter, rood daarbuiten; tot nu = werkelijk ÷ doel over de geplande weken.",
+    "md.branches": "Kantoren",
+    "md.anomalyCounts": "Afwijkingen (laatste / alle)",
+    "md.noAnomalies": "Niets gesignaleerd.",
+    "md.history": "Historie — {n} weken",
+    "md.legend": "⚠ gesignaleerd door de afwijkingsdetector van de KPI; — ontbreekt of niet te berekenen.",
+    "report.toDate": "tot nu {pct}",
+    "report.help": "Losse HTML met ingebouwde grafieken; Afdrukken bewaart het als pdf.",
+    "report.paper": "Papierformaat",
+    "report.download": "HTML downloaden",
+    "report.print": "Afdrukken / pdf",
+    "report.preview": "Rapportvoorbeeld",
+    "report.legend": "Rode waarden zijn gesignaleerd door de afwijkingsdetector van de KPI.",
+    "report.footer": "docId {docId} · hash {hash} · logicVersion {logicVersion} · gemaakt {ts}",
+    "share.overridden": "overschreven: {reason}",
+    "share.share": "{pct} aandeel",
+    "share.vsTarget": "{pct} vs doel",
+    "share.anomaliesThisWeek": "Afwijkingen deze week",
+    "share.emailSubject": "Vastgoed WBR — week eindigend {date}",
+  },
+};
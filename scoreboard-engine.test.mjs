@@ -0,0 +1,428 @@
+import assert from "node:assert/strict";
+import { webcrypto } from "node:crypto";
+import { describe, test } from "node:test";
+import {
+  DEFAULT_CHANNELS,
+  DEFAULT_KPIS,
+  appendLogEntry,
+  applyMerge,
+  canonicalHash,
+  canonicalPayload,
+  comparisonSeries,
+  formatter,
+  gateStatus,
+  kpiSeries,
+  logChanges,
+  mergePayloads,
+  plainPayload,
+  previewImportJSON,
+  previewImportTable,
+  replayLog,
+  resolveWindow,
+  rollupBranches,
+  runTests,
+  startEditLog,
+  validateChannels,
+  validateKpis,
+  verifyLog,
+  weekFields,
+  wowDeltas,
+} from "./scoreboard-engine.mjs";
+
+if (!globalThis.crypto) globalThis.crypto = webcrypto; // Node 18
+
+const en = formatter("en-GB");
+const nl = formatter("nl-NL");
+
+// A week whose paid channel carries all revenue and orders, so the channels reconcile with the KPI totals
+function week(endISO, { revenue = 1000, orders = 2, active = 50, cac = 500 } = {}) {
+  const only = (v) => ({ paid: v, organic: 0, email: 0, referral: 0 });
+  return {
+    endISO,
+    kpi: { revenue, orders, active, cac },
+    channels: { revenue: only(revenue), orders: only(orders), sessions: { paid: 100, organic: 50, email: 20, referral: 10 } },
+  };
+}
+
+function doc(weeks) {
+  return {
+    branches: [{ key: "main", label: "Main branch", weeks, targets: {} }],
+    kpis: DEFAULT_KPIS,
+    channelDefs: DEFAULT_CHANNELS,
+    channelMetric: "orders",
+    alertThreshold: 0.1,
+    logicVersion: "1.0.0-re",
+  };
+}
+
+// The Tests Gate for one branch, as scoreboardReport runs it
+function testsFor(weeks, rules = []) {
+  const branches = doc(weeks).branches;
+  const series = kpiSeries(weeks, DEFAULT_KPIS);
+  const deltas = wowDeltas(series, DEFAULT_KPIS);
+  const rollup = rollupBranches(branches, DEFAULT_KPIS);
+  return runTests(weeks, DEFAULT_KPIS, [], series, DEFAULT_CHANNELS, "orders", deltas, {}, [], branches, rollup, rules, "GBP", {}, en);
+}
+
+describe("parseNumber", () => {
+  test("reads blank as missing, never 0", () => {
+    assert.deepEqual(en.parseNumber(""), { value: null, error: null });
+    assert.deepEqual(en.parseNumber("  "), { value: null, error: null });
+    assert.deepEqual(en.parseNumber(null), { value: null, error: null });
+  });
+
+  test("accepts currency, suffixes, signs and accounting parentheses", () => {
+    assert.equal(en.parseNumber("£1,250").value, 1250);
+    assert.equal(en.parseNumber("1.2k").value, 1200);
+    assert.equal(en.parseNumber("3bn").value, 3e9);
+    assert.equal(en.parseNumber("-40").value, -40);
+    assert.equal(en.parseNumber("(250)").value, -250);
+    assert.equal(en.parseNumber("1 234 567").value, 1234567);
+  });
+
+  test("reads a lone separator by the locale's decimal mark", () => {
+    assert.equal(en.parseNumber("1,500").value, 1500);
+    assert.equal(en.parseNumber("1.5").value, 1.5);
+    assert.equal(nl.parseNumber("1,500").value, 1.5);
+    assert.equal(nl.parseNumber("1.500").value, 1500);
+    assert.equal(en.parseNumber("1,5").value, 1.5); // not a thousands group
+  });
+
+  test("takes the last of two separator kinds as decimal", () => {
+    assert.equal(en.parseNumber("1.234,5").value, 1234.5);
+    assert.equal(nl.parseNumber("1,234.5").value, 1234.5);
+  });
+
+  test("rejects text in the formatter's language", () => {
+    const bad = en.parseNumber("12abc");
+    assert.equal(bad.value, null);
+    assert.match(bad.error, /12abc/);
+    assert.notEqual(nl.parseNumber("12abc").error, bad.error);
+    assert.equal(en.parseNumber("1,50,0").value, null);
+    assert.notEqual(en.parseNumber(Infinity).error, null);
+  });
+});
+
+describe("registry validation", () => {
+  const channelKeys = DEFAULT_CHANNELS.map((c) => c.key);
+
+  test("accepts the default registries", () => {
+    assert.deepEqual(validateKpis(DEFAULT_KPIS, channelKeys, en), []);
+    assert.deepEqual(validateChannels(DEFAULT_CHANNELS, DEFAULT_KPIS.map((k) => k.key), en), []);
+  });
+
+  test("reports clashes, bad formulas and cycles in the formatter's language", () => {
+    const kpis = [
+      ...DEFAULT_KPIS,
+      { key: "paid", label: "Paid", format: "integer", polarity: "up" },
+      { key: "a", label: "A", format: "integer", polarity: "up", formula: "b + 1" },
+      { key: "b", label: "B", format: "integer", polarity: "up", formula: "a + nope" },
+    ];
+    const errors = validateKpis(kpis, channelKeys, en);
+    assert.deepEqual(errors, ['"paid" clashes with a channel name', "b: unknown field nope", "circular formula: a → b → a"]);
+    assert.notDeepEqual(validateKpis(kpis, channelKeys, nl), errors);
+  });
+
+  test("needs one active channel", () => {
+    const retired = DEFAULT_CHANNELS.map((c) => ({ ...c, retired: true }));
+    assert.deepEqual(validateChannels(retired, [], en), ["at least one active channel is required"]);
+  });
+});
+
+describe("import preview", () => {
+  const fields = weekFields(DEFAULT_KPIS, DEFAULT_CHANNELS, en);
+  const mapping = ["endISO", "kpi.revenue"];
+
+  test("passes the number parser's error through", () => {
+    const p = previewImportTable([["2025-08-03", "12abc"], ["2025-08-10", "1000"]], mapping, fields, en);
+    assert.equal(p.ok, false);
+    assert.ok(p.rows[0].errors.includes(`kpi.revenue: ${en.parseNumber("12abc").error}`));
+  });
+
+  test("reports file errors in the formatter's language", () => {
+    const rows = [["2025-08-03", "1000"]];
+    const errors = previewImportTable(rows, mapping, fields, en).fileErrors;
+    assert.ok(errors.some((e) => e.startsWith("Unmapped fields: ")));
+    assert.ok(errors.includes("At least 2 weeks are needed for WoW deltas."));
+    assert.notDeepEqual(previewImportTable(rows, mapping, weekFields(DEFAULT_KPIS, DEFAULT_CHANNELS, nl), nl).fileErrors, errors);
+    assert.match(previewImportJSON("{", DEFAULT_KPIS, DEFAULT_CHANNELS, null, en).fileErrors[0], /^Invalid JSON: /);
+    assert.match(previewImportJSON("{", DEFAULT_KPIS, DEFAULT_CHANNELS, null, nl).fileErrors[0], /^Ongeldige JSON: /);
+  });
+});
+
+describe("wowDeltas", () => {
+  const weeks = [
+    week("2025-08-03", { revenue: 1000, cac: 500 }),
+    week("2025-08-10", { revenue: 1100, cac: 400 }),
+    week("2025-08-17", { revenue: 0, cac: 400 }),
+    week("2025-08-24", { revenue: 500, cac: null }),
+  ];
+  const deltas = wowDeltas(kpiSeries(weeks, DEFAULT_KPIS), DEFAULT_KPIS);
+
+  test("leaves the first week without a delta", () => {
+    assert.equal(deltas.revenue[0], null);
+  });
+
+  test("is the change over last week, inverted for polarity down", () => {
+    assert.ok(Math.abs(deltas.revenue[1] - 0.1) < 1e-12);
+    assert.ok(Math.abs(deltas.cac[1] - 0.2) < 1e-12); // CAC fell 20%: an improvement
+  });
+
+  test("is null after a zero week or around a missing value", () => {
+    assert.equal(deltas.revenue[3], null);
+    assert.equal(deltas.cac[3], null);
+  });
+});
+
+describe("comparisonSeries", () => {
+  // Four July weeks at 1000, then four August weeks at 1100 (August has five week ends, so it is partial)
+  const weeks = [
+    ...["2025-07-06", "2025-07-13", "2025-07-20", "2025-07-27"].map((d) => week(d, { revenue: 1000, orders: 2 })),
+    ...["2025-08-03", "2025-08-10", "2025-08-17", "2025-08-24"].map((d) => week(d, { revenue: 1100, orders: 2 })),
+  ];
+  const range = resolveWindow(weeks, { weeks: 8 });
+
+  test("month on month sums each month and compares a partial month with as many weeks", () => {
+    const c = comparisonSeries(weeks, DEFAULT_KPIS, "mom", range, en);
+    const last = c.periods.length - 1;
+    assert.equal(c.periods.length, 2);
+    assert.equal(c.periods[last].partial, true);
+    assert.equal(c.values.revenue[last], 4400);
+    assert.ok(Math.abs(c.deltas.revenue[last] - 0.1) < 1e-12);
+    assert.equal(c.deltas.revenue[0], null); // no earlier month in the archive
+  });
+
+  test("rolling four weeks averages per week", () => {
+    const c = comparisonSeries(weeks, DEFAULT_KPIS, "r4", range, en);
+    assert.equal(c.values.revenue[7], 1100);
+    assert.ok(Math.abs(c.deltas.revenue[7] - 0.1) < 1e-12);
+    assert.equal(c.deltas.revenue[3], null); // fewer than eight weeks behind it
+  });
+
+  test("week on week matches wowDeltas", () => {
+    const c = comparisonSeries(weeks, DEFAULT_KPIS, "wow", range, en);
+    assert.deepEqual(c.deltas.revenue, wowDeltas(kpiSeries(weeks, DEFAULT_KPIS), DEFAULT_KPIS).revenue);
+  });
+});
+
+describe("rollupBranches", () => {
+  const branches = [
+    { key: "a", label: "A", weeks: [week("2025-08-03", { revenue: 1000, orders: 2, cac: 100 })], targets: { "2025-08-03": { "kpi.revenue": 900, "kpi.cac": 90 } } },
+    {
+      key: "b",
+      label: "B",
+      weeks: [week("2025-08-03", { revenue: 3000, orders: 8, cac: 50 }), week("2025-08-10", { revenue: 3100, orders: 8, cac: 50 })],
+      targets: { "2025-08-03": { "kpi.revenue": 2900 }, "2025-08-10": { "kpi.revenue": 3000 } },
+    },
+  ];
+  const rollup = rollupBranches(branches, DEFAULT_KPIS);
+
+  test("sums additive KPIs and channels per week", () => {
+    assert.equal(rollup.weeks[0].kpi.revenue, 4000);
+    assert.equal(rollup.weeks[0].kpi.orders, 10);
+    assert.equal(rollup.weeks[0].channels.revenue.paid, 4000);
+  });
+
+  test("weights CAC by orders rather than averaging it", () => {
+    assert.equal(rollup.weeks[0].kpi.cac, (2 * 100 + 8 * 50) / 10);
+  });
+
+  test("counts the branches behind each week", () => {
+    assert.deepEqual(rollup.coverage, { "2025-08-03": 2, "2025-08-10": 1 });
+  });
+
+  test("rolls up a target only where every branch has one", () => {
+    assert.deepEqual(rollup.targets["2025-08-03"], { "kpi.revenue": 3800 });
+    assert.equal(rollup.targets["2025-08-10"], undefined);
+  });
+});
+
+describe("runTests and gateStatus", () => {
+  const clean = [week("2025-08-03"), week("2025-08-10", { revenue: 1050 })];
+  const failing = (tests) => tests.filter((t) => !t.pass);
+
+  test("passes a clean archive", () => {
+    const tests = testsFor(clean);
+    assert.deepEqual(failing(tests), []);
+    assert.equal(gateStatus(tests), "pass");
+    assert.ok(tests.some((t) => t.message === "metric = orders"));
+  });
+
+  test("a missing value only asks for a check, and links to its cell", () => {
+    const weeks = [week("2025-08-03"), { ...week("2025-08-10"), kpi: { ...week("2025-08-10").kpi, active: null } }];
+    const tests = testsFor(weeks);
+    const [missing] = failing(tests);
+    assert.equal(failing(tests).length, 1);
+    assert.equal(missing.severity, "warn");
+    assert.deepEqual(missing.cells.map((c) => [c.index, c.path]), [[1, "kpi.active"]]);
+    assert.equal(gateStatus(tests), "check");
+  });
+
+  test("a negative value blocks", () => {
+    const tests = testsFor([week("2025-08-03"), week("2025-08-10", { revenue: -5 })]);
+    assert.ok(failing(tests).some((t) => t.severity === "error"));
+    assert.equal(gateStatus(tests), "blocked");
+  });
+
+  test("out-of-order weeks block", () => {
+    assert.equal(gateStatus(testsFor([week("2025-08-10"), week("2025-08-03")])), "blocked");
+  });
+
+  test("user rules fail at their own severity", () => {
+    const rule = (severity) => ({ id: "r1", name: "Revenue floor", path: "kpi.revenue", op: "<", value: 1040, severity });
+    assert.equal(gateStatus(testsFor(clean, [rule("warn")])), "check");
+    assert.equal(gateStatus(testsFor(clean, [rule("error")])), "blocked");
+    assert.equal(gateStatus(testsFor(clean, [rule("info")])), "pass");
+  });
+
+  test("names and messages follow the formatter", () => {
+    const weeks = [week("2025-08-03"), week("2025-08-10")];
+    const branches = doc(weeks).branches;
+    const series = kpiSeries(weeks, DEFAULT_KPIS);
+    const args = [weeks, DEFAULT_KPIS, [], series, DEFAULT_CHANNELS, "orders", wowDeltas(series, DEFAULT_KPIS), {}, [], branches, rollupBranches(branches, DEFAULT_KPIS), [], "GBP", {}];
+    assert.notEqual(runTests(...args, nl)[0].name, runTests(...args, en)[0].name);
+  });
+});
+
+describe("edit log", () => {
+  const p0 = plainPayload(doc([week("2025-08-03"), week("2025-08-10")]));
+  const p1 = plainPayload(doc([week("2025-08-03"), week("2025-08-10", { revenue: 1200 })]));
+  const p2 = plainPayload(doc([week("2025-08-03"), week("2025-08-10", { revenue: 1200 }), week("2025-08-17")]));
+  const ts = "2025-08-18T09:00:00.000Z";
+  const build = async () => {
+    const log0 = await startEditLog(p0);
+    const log1 = await appendLogEntry(log0, { ts, author: "Sam", action: "edit", changes: logChanges(p0, p1) }, p1);
+    return appendLogEntry(log1, { ts, author: "Kim", action: "week", changes: logChanges(p1, p2) }, p2);
+  };
+
+  test("labels a week cell change by branch, week and field", () => {
+    assert.deepEqual(logChanges(p0, p1).map((c) => c.at), ["main · 2025-08-10 · kpi.revenue", "main · 2025-08-10 · channels.revenue.paid"]);
+  });
+
+  test("replays to any entry", async () => {
+    const log = await build();
+    assert.deepEqual(replayLog(log, 0), p0);
+    assert.deepEqual(replayLog(log, 1), p1);
+    assert.deepEqual(replayLog(log, 2), p2);
+  });
+
+  test("verifies an intact chain against the document's hash", async () => {
+    const log = await build();
+    assert.deepEqual(await verifyLog(log, await canonicalHash(p2)), { ok: true, seq: null, reason: "", entries: 2 });
+  });
+
+  test("finds an entry altered after it was logged", async () => {
+    const log = await build();
+    log.entries[0].changes[0].new = 9999;
+    const result = await verifyLog(log);
+    assert.equal(result.ok, false);
+    assert.equal(result.seq, 1);
+  });
+
+  test("finds a dropped entry", async () => {
+    const log = await build();
+    const result = await verifyLog({ ...log, entries: log.entries.slice(1) });
+    assert.equal(result.ok, false);
+    assert.equal(result.seq, 2);
+  });
+
+  test("finds a document changed after the last entry", async () => {
+    const log = await build();
+    const result = await verifyLog(log, await canonicalHash(p1));
+    assert.equal(result.ok, false);
+    assert.equal(result.seq, null);
+  });
+
+  test("rejects something that is not a log", async () => {
+    assert.equal((await verifyLog({ entries: [] })).ok, false);
+  });
+});
+
+describe("mergePayloads", () => {
+  const base = plainPayload(doc([week("2025-08-03"), week("2025-08-10")]));
+  // A copy of base with edit applied to it
+  const edited = (edit) => {
+    const p = JSON.parse(JSON.stringify(base));
+    edit(p.branches[0].weeks, p);
+    return p;
+  };
+  const merged = (mine, theirs, choices) => applyMerge(base, mergePayloads(base, mine, theirs), choices);
+
+  test("merges edits to different cells", () => {
+    const mine = edited((w) => (w[1].kpi.active = 60));
+    const theirs = edited((w, p) => {
+      w[0].kpi.orders = 3;
+      p.alertThreshold = 0.2;
+    });
+    const merge = mergePayloads(base, mine, theirs);
+    assert.deepEqual(merge.conflicts, []);
+    assert.deepEqual(merge.clean.map((c) => [c.side, c.at]), [["mine", "main · 2025-08-10 · kpi.active"], ["theirs", "main · 2025-08-03 · kpi.orders"], ["theirs", "alertThreshold"]]);
+    const result = applyMerge(base, merge);
+    assert.equal(result.branches[0].weeks[1].kpi.active, 60);
+    assert.equal(result.branches[0].weeks[0].kpi.orders, 3);
+    assert.equal(result.alertThreshold, 0.2);
+  });
+
+  test("holds two edits to the same cell as a conflict, resolved to the chosen side", () => {
+    const mine = edited((w) => (w[1].kpi.revenue = 1200));
+    const theirs = edited((w) => (w[1].kpi.revenue = 1300));
+    const merge = mergePayloads(base, mine, theirs);
+    assert.equal(merge.conflicts.length, 1);
+    assert.deepEqual(merge.conflicts[0].mine.map((c) => c.new), [1200]);
+    assert.equal(merged(mine, theirs).branches[0].weeks[1].kpi.revenue, 1200);
+    assert.equal(merged(mine, theirs, ["theirs"]).branches[0].weeks[1].kpi.revenue, 1300);
+  });
+
+  test("applies an edit made on both sides once", () => {
+    const mine = edited((w) => (w[1].kpi.revenue = 1200));
+    const merge = mergePayloads(base, mine, edited((w) => (w[1].kpi.revenue = 1200)));
+    assert.deepEqual(merge.conflicts, []);
+    assert.deepEqual(merge.clean.map((c) => c.side), ["mine"]);
+    assert.deepEqual(applyMerge(base, merge), mine);
+  });
+
+  test("merges the same week appended on both sides", () => {
+    const mine = edited((w) => w.push(week("2025-08-17")));
+    const merge = mergePayloads(base, mine, edited((w) => w.push(week("2025-08-17"))));
+    assert.deepEqual(merge.conflicts, []);
+    assert.deepEqual(applyMerge(base, merge), mine);
+  });
+
+  test("holds different appends to the same archive as one conflict", () => {
+    const mine = edited((w) => w.push(week("2025-08-17"), week("2025-08-24")));
+    const theirs = edited((w) => w.push(week("2025-08-17", { revenue: 900 })));
+    const merge = mergePayloads(base, mine, theirs);
+    assert.equal(merge.conflicts.length, 1);
+    assert.deepEqual(merged(mine, theirs), mine);
+    assert.deepEqual(merged(mine, theirs, ["theirs"]), theirs);
+  });
+
+  test("holds an edit to a week the other side removed as a conflict", () => {
+    const mine = edited((w) => w.pop());
+    const theirs = edited((w) => (w[1].kpi.revenue = 1300));
+    const merge = mergePayloads(base, mine, theirs);
+    assert.equal(merge.conflicts.length, 1);
+    assert.deepEqual(merged(mine, theirs), mine);
+    assert.deepEqual(merged(mine, theirs, ["theirs"]), theirs);
+  });
+});
+
+describe("canonicalHash", () => {
+  test("is the SHA-256 of the canonical JSON", async () => {
+    assert.equal(await canonicalHash({}), "44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a");
+  });
+
+  test("ignores key order and undefined fields", async () => {
+    assert.equal(await canonicalHash({ a: 1, b: [1, { c: 2, d: 3 }] }), await canonicalHash({ b: [1, { d: 3, c: 2 }], a: 1, e: undefined }));
+    assert.notEqual(await canonicalHash({ a: [1, 2] }), await canonicalHash({ a: [2, 1] }));
+  });
+
+  test("hashes the inputs, not view settings", async () => {
+    const base = doc([week("2025-08-03")]);
+    const hash = await canonicalHash(canonicalPayload(base));
+    assert.equal(await canonicalHash(canonicalPayload({ ...base, activeBranch: "*", locale: "nl-NL", comparisonBasis: "yoy" })), hash);
+    assert.equal(await canonicalHash(canonicalPayload({ ...base, currency: "GBP", fx: {} })), hash); // as before currencies
+    assert.notEqual(await canonicalHash(canonicalPayload({ ...base, currency: "EUR" })), hash);
+    assert.notEqual(await canonicalHash(canonicalPayload({ ...base, alertThreshold: 0.2 })), hash);
+  });
+});
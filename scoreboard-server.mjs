@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Pipeline Scoreboard document server — one shared copy of each document by docId, so managers editing "the" WBR
+ * from different browsers edit the same document. Plain Node, no dependencies; meant to run on a laptop or LAN box.
+ * Each document is a JSON file <dir>/<docId>.json holding { docId, hash, updatedAt, author, doc }; hash is the
+ * engine's canonicalHash(canonicalPayload(doc)), worked out here on every save.
+ *
+ *   GET /api/docs          [{ docId, hash, updatedAt, author, branches, latest }], most recently saved first
+ *   GET /api/docs/:docId   { docId, hash, updatedAt, author, doc }; 404 when there is none
+ *   PUT /api/docs/:docId   { baseHash, doc, author } → { docId, hash, updatedAt, author }
+ *
+ * Optimistic locking: a save must name the hash it started from (baseHash; null for a new document). If the stored
+ * hash has moved on, the save is refused with 409 { error, current } and the client merges against current. Only the
+ * hashed inputs take part; a save that hashes the same as the stored copy always goes through. Documents are checked
+ * as Import checks a JSON file (400 with the reasons otherwise).
+ *
+ * Error bodies are { error, code, … }. error is English and meant for logs; the app shows its own catalogue text
+ * for code (methodNotAllowed, notFound, badDocId, tooLarge, badJson, badRequest, invalidDoc, conflict, internal).
+ *
+ * Usage: node scoreboard-server.mjs [--port 8787] [--host 127.0.0.1] [--dir data/scoreboards]
+ */
+import { webcrypto } from "node:crypto";
+import http from "node:http";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_CHANNELS, DEFAULT_KPIS, canonicalHash, canonicalPayload, formatter, previewImportJSON } from "./scoreboard-engine.mjs";
+
+if (!globalThis.crypto) globalThis.crypto = webcrypto; // Node 18: canonicalHash needs crypto.subtle
+
+const DOC_ID = /^[A-Za-z0-9_-]{1,64}$/; // also keeps file names inside dir
+const MAX_BODY = 10 * 1024 * 1024;
+const CORS = {
+  "Access-Control-Allow-Origin": "*", // the app may be served from anywhere; bind to a private host
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function parseArgs(argv) {
+  const opts = { port: 8787, host: "127.0.0.1", dir: path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "scoreboards") };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (!["--port", "--host", "--dir"].includes(flag) || value == null) throw new Error(`unexpected argument ${flag}`);
+    opts[flag.slice(2)] = flag === "--port" ? Number(value) : value;
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) throw new Error("--port must be 0–65535");
+  return opts;
+}
+
+// File-backed store. Saves to one document run one at a time, so the hash check and the write can't interleave;
+// each write goes to a temporary file first and is renamed over the old copy.
+function fileStore(dir) {
+  const queues = new Map();
+  const file = (docId) => path.join(dir, `${docId}.json`);
+
+  const read = async (docId) => {
+    try {
+      return JSON.parse(await readFile(file(docId), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+
+  // A record that does not parse or has no branches (hand-edited, cut short) is left out and logged, so one bad
+  // file can't fail the listing for everyone
+  const listable = async (docId) => {
+    try {
+      const record = await read(docId);
+      if (record && record.doc && Array.isArray(record.doc.branches) && record.doc.branches.every((b) => b && Array.isArray(b.weeks))) return record;
+      if (record) console.error(`${file(docId)}: not a stored document, left out of the list`);
+    } catch (e) {
+      console.error(`${file(docId)}: ${e.message}, left out of the list`);
+    }
+    return null;
+  };
+
+  const list = async () => {
+    let names;
+    try {
+      names = await readdir(dir);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    const records = await Promise.all(names.filter((n) => n.endsWith(".json") && DOC_ID.test(n.slice(0, -5))).map((n) => listable(n.slice(0, -5))));
+    return records
+      .filter(Boolean)
+      .map(({ docId, hash, updatedAt, author, doc }) => ({
+        docId,
+        hash,
+        updatedAt,
+        author,
+        branches: doc.branches.map((b) => b.label || b.key),
+        latest: doc.branches.flatMap((b) => b.weeks.map((w) => w.endISO)).sort().pop() || null,
+      }))
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  };
+
+  const save = (docId, { baseHash, doc, author }) => {
+    const run = async () => {
+      const preview = previewImportJSON(JSON.stringify(doc), DEFAULT_KPIS, DEFAULT_CHANNELS, null, formatter());
+      if (!preview.ok || !Array.isArray(doc.branches)) {
+        const rows = preview.rows.filter((r) => r.errors.length).map((r) => `row ${r.row}: ${r.errors.join("; ")}`);
+        return { status: 400, body: { error: "not a valid scoreboard document", code: "invalidDoc", details: [...preview.fileErrors, ...rows] } };
+      }
+      const hash = await canonicalHash(canonicalPayload(doc));
+      const current = await read(docId);
+      if (current && current.hash !== baseHash && current.hash !== hash) {
+        return { status: 409, body: { error: "the server copy has changed since it was loaded", code: "conflict", current } };
+      }
+      const record = { docId, hash, updatedAt: new Date().toISOString(), author: String(author || "anonymous"), doc };
+      await mkdir(dir, { recursive: true });
+      const tmp = `${file(docId)}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(record, null, 2));
+      await rename(tmp, file(docId));
+      return { status: 200, body: { docId, hash, updatedAt: record.updatedAt, author: record.author } };
+    };
+    const next = (queues.get(docId) || Promise.resolve()).then(run, run);
+    queues.set(docId, next.catch(() => {}));
+    return next;
+  };
+
+  return { read, list, save };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("request body too large"), { status: 413, code: "tooLarge" }));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// { status, body } for one request
+async function route(req, store) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return { status: 204 };
+  if (pathname === "/api/docs") return req.method === "GET" ? { status: 200, body: await store.list() } : { status: 405, body: { error: "use GET", code: "methodNotAllowed" } };
+  const m = pathname.match(/^\/api\/docs\/([^/]+)$/);
+  if (!m) return { status: 404, body: { error: "not found", code: "notFound" } };
+  let docId;
+  try {
+    docId = decodeURIComponent(m[1]);
+  } catch {
+    docId = ""; // malformed escape, e.g. %E0
+  }
+  if (!DOC_ID.test(docId)) return { status: 400, body: { error: "docId must be 1–64 letters, digits, - or _", code: "badDocId" } };
+  if (req.method === "GET") {
+    const record = await store.read(docId);
+    return record ? { status: 200, body: record } : { status: 404, body: { error: `no document "${docId}"`, code: "notFound" } };
+  }
+  if (req.method !== "PUT") return { status: 405, body: { error: "use GET or PUT", code: "methodNotAllowed" } };
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (e) {
+    return { status: e.status || 400, body: e.status ? { error: e.message, code: e.code } : { error: `invalid JSON: ${e.message}`, code: "badJson" } };
+  }
+  if (!body || typeof body !== "object" || !body.doc || typeof body.doc !== "object") return { status: 400, body: { error: "expected { baseHash, doc, author }", code: "badRequest" } };
+  return store.save(docId, body);
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(`${e.message}\nUsage: node scoreboard-server.mjs [--port 8787] [--host 127.0.0.1] [--dir data/scoreboards]`);
+    process.exitCode = 2;
+    return;
+  }
+  const store = fileStore(opts.dir);
+  const server = http.createServer(async (req, res) => {
+    let result;
+    try {
+      result = await route(req, store);
+    } catch (e) {
+      console.error(`${req.method} ${req.url}: ${e.stack || e.message}`);
+      result = { status: 500, body: { error: e.message, code: "internal" } };
+    }
+    const json = result.body === undefined ? "" : JSON.stringify(result.body);
+    res.writeHead(result.status, { ...CORS, ...(json ? { "Content-Type": "application/json; charset=utf-8" } : {}) });
+    res.end(json);
+    console.log(`${req.method} ${req.url} ${result.status}`);
+  });
+  server.listen(opts.port, opts.host, () => {
+    const { port } = server.address();
+    console.log(`Scoreboard document server on http://${opts.host}:${port} · documents in ${opts.dir}`);
+  });
+}
+
+main(process.argv.slice(2));
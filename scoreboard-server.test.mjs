@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("./scoreboard-server.mjs", import.meta.url));
+const dir = mkdtempSync(path.join(tmpdir(), "scoreboard-server-"));
+let server;
+let base;
+
+// Port 0 picks a free port; the server prints the one it got
+before(async () => {
+  server = spawn(process.execPath, [SERVER, "--port", "0", "--dir", dir], { stdio: ["ignore", "pipe", "pipe"] });
+  base = await new Promise((resolve, reject) => {
+    let out = "";
+    server.stdout.on("data", (chunk) => {
+      out += chunk;
+      const m = out.match(/on (http:\/\/[^\s]+)/);
+      if (m) resolve(m[1]);
+    });
+    server.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+});
+after(() => {
+  server.kill();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function week(endISO, revenue) {
+  const only = (v) => ({ paid: v, organic: 0, email: 0, referral: 0 });
+  return {
+    endISO,
+    kpi: { revenue, orders: 2, active: 50, cac: 500 },
+    channels: { revenue: only(revenue), orders: only(2), sessions: { paid: 100, organic: 50, email: 20, referral: 10 } },
+  };
+}
+
+function doc(lastRevenue = 1100) {
+  return { branches: [{ key: "main", label: "Main branch", weeks: [week("2025-08-03", 1000), week("2025-08-10", lastRevenue)], targets: {} }] };
+}
+
+async function request(docPath, { method = "GET", body } = {}) {
+  const res = await fetch(`${base}${docPath}`, {
+    method,
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const put = (docId, body) => request(`/api/docs/${docId}`, { method: "PUT", body });
+
+describe("scoreboard document server", () => {
+  test("404 for an unknown docId", async () => {
+    const res = await request("/api/docs/nobody");
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "notFound");
+  });
+
+  test("400 for a docId that is not allowed or not decodable", async () => {
+    assert.equal((await request("/api/docs/a.b")).body.code, "badDocId");
+    const res = await request("/api/docs/%E0");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "badDocId");
+  });
+
+  test("400 for a request that is not JSON or not a document", async () => {
+    assert.equal((await put("bad", "{ nope")).body.code, "badJson");
+    assert.equal((await put("bad", { baseHash: null })).body.code, "badRequest");
+    const res = await put("bad", { baseHash: null, doc: { branches: [{ key: "main", label: "Main", weeks: [week("2025-08-03", 1000)], targets: {} }] } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalidDoc");
+    assert.ok(res.body.details.length > 0);
+    assert.equal((await request("/api/docs/bad")).status, 404);
+  });
+
+  test("saves a new document and reads it back", async () => {
+    const saved = await put("first", { baseHash: null, doc: doc(), author: "Ann" });
+    assert.equal(saved.status, 200);
+    assert.match(saved.body.hash, /^[0-9a-f]{64}$/);
+    const read = await request("/api/docs/first");
+    assert.equal(read.body.hash, saved.body.hash);
+    assert.equal(read.body.author, "Ann");
+    assert.deepEqual(read.body.doc, doc());
+  });
+
+  test("409 with the server copy when baseHash is stale", async () => {
+    const v1 = (await put("stale", { baseHash: null, doc: doc(1100), author: "Ann" })).body.hash;
+    const v2 = (await put("stale", { baseHash: v1, doc: doc(1200), author: "Ann" })).body.hash;
+    const res = await put("stale", { baseHash: v1, doc: doc(1300), author: "Sam" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "conflict");
+    assert.equal(res.body.current.hash, v2);
+    assert.equal((await request("/api/docs/stale")).body.hash, v2);
+  });
+
+  test("a re-save that hashes the same as the stored copy goes through", async () => {
+    const v1 = (await put("again", { baseHash: null, doc: doc(1100) })).body.hash;
+    const v2 = (await put("again", { baseHash: v1, doc: doc(1200) })).body.hash;
+    const res = await put("again", { baseHash: v1, doc: doc(1200) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.hash, v2);
+  });
+
+  test("saves to one document run one at a time", async () => {
+    const v1 = (await put("race", { baseHash: null, doc: doc(1100) })).body.hash;
+    const results = await Promise.all([1200, 1300, 1400].map((revenue) => put("race", { baseHash: v1, doc: doc(revenue) })));
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409, 409]);
+    const winner = results.find((r) => r.status === 200);
+    assert.equal((await request("/api/docs/race")).body.hash, winner.body.hash);
+  });
+
+  test("lists documents, leaving out a stored file that does not parse", async () => {
+    writeFileSync(path.join(dir, "broken.json"), '{ "docId": "broken", "doc": {');
+    const res = await request("/api/docs");
+    assert.equal(res.status, 200);
+    const ids = res.body.map((d) => d.docId);
+    assert.ok(ids.includes("first"));
+    assert.ok(!ids.includes("broken"));
+    const first = res.body.find((d) => d.docId === "first");
+    assert.deepEqual(first.branches, ["Main branch"]);
+    assert.equal(first.latest, "2025-08-10");
+  });
+});